@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { Scanner } from '../lib/scanner.js';
+import { createScanner, ENGINES } from '../lib/scanner-factory.js';
+import { loadConfig, resolveSite } from '../lib/config.js';
+import { parseMaxDistance } from '../lib/location.js';
+import { parseAppointmentTypes } from '../lib/appointment-types.js';
+import { loadPreferences, parsePreferences, rankSlots } from '../lib/preferences.js';
+import { Booker, BOOKING_STATUS, DEFAULT_PROFILE_FILE, checkBookingSelectors, loadProfile } from '../lib/booking.js';
+import { TestHelpers } from '../utils/test-helpers.js';
+
+const EXIT_CODES = {
+  BOOKED: 0,
+  NOTHING_TO_BOOK: 1,
+  ERROR: 2
+};
+
+const USAGE = `Usage: dmv-book [options]
+
+Scan for open appointments, pick the best slot and walk through the booking steps
+with the details from a profile file. Without --submit this is a dry run that
+stops on the review step, before the appointment is booked. Settings not given
+as flags come from the environment, then the profile and the config file.
+
+The booking step selectors are modeled on the local mock. Until they are confirmed
+against the live site, dmv-book only runs against another --base-url such as the
+mock, and exits ${EXIT_CODES.ERROR} on the live site.
+
+Options:
+  --customer <file>    Customer profile JSON (default: $BOOKING_PROFILE or ${DEFAULT_PROFILE_FILE})
+  --config <file>      Config file (default: $DMV_CONFIG or dmv.config.json when it exists)
+  --profile <name>     Profile of the config file (default: $DMV_PROFILE)
+  --submit             Confirm the appointment; without it nothing is booked
+  --type <ids>         Appointment type data-ids, comma-separated (default: $APPOINTMENT_TYPE_ID or 10)
+  --type-text <texts>  Appointment type texts, "|"-separated, used when --type is not given
+  --preferences <file> Preference spec the slot must match (default: $PREFERENCES_FILE)
+  --lat <latitude>     Latitude to search from (default: $LATITUDE or Raleigh)
+  --lon <longitude>    Longitude to search from (default: $LONGITUDE or Raleigh)
+  --max-distance <mi>  Skip offices farther than this many miles (default: $MAX_DISTANCE_MILES)
+  --site <name|file>   Site adapter: nc-dmv or a .json file (default: $DMV_SITE or nc-dmv)
+  --base-url <url>     Appointment Index URL (default: $BASE_URL or the site's)
+  --engine <engine>    Engine for the scan: auto, http or browser (default: $SCAN_ENGINE or auto);
+                       booking always uses the browser
+  --format <format>    Output format: text or json (default: text)
+  --headed             Show the browser window
+  -h, --help           Show this help
+
+Exit codes:
+  ${EXIT_CODES.BOOKED}  Booked, or the dry run reached the review step
+  ${EXIT_CODES.NOTHING_TO_BOOK}  No slot matches
+  ${EXIT_CODES.ERROR}  The scan or booking failed, or the arguments are invalid`;
+
+/**
+ * Parse command line arguments into booking options
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {object} Parsed options
+ */
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      customer: { type: 'string' },
+      config: { type: 'string' },
+      profile: { type: 'string' },
+      submit: { type: 'boolean', default: false },
+      type: { type: 'string', multiple: true },
+      'type-text': { type: 'string', multiple: true },
+      preferences: { type: 'string' },
+      lat: { type: 'string' },
+      lon: { type: 'string' },
+      'max-distance': { type: 'string' },
+      site: { type: 'string' },
+      'base-url': { type: 'string' },
+      engine: { type: 'string' },
+      format: { type: 'string', default: 'text' },
+      headed: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    return { help: true };
+  }
+
+  if (values.profile?.endsWith('.json')) {
+    throw new Error('--profile names a profile of the config file; pass the customer profile with --customer');
+  }
+  // The config file and profile with environment overrides; flags win over all of them
+  const config = loadConfig({ file: values.config, profile: values.profile });
+  const latitude = parseFloat(values.lat);
+  const longitude = parseFloat(values.lon);
+  const flagTypes = parseAppointmentTypes({ ids: values.type, texts: values['type-text'] });
+
+  if (!['text', 'json'].includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}" (expected text or json)`);
+  }
+  const engine = values.engine || process.env.SCAN_ENGINE || 'auto';
+  if (!ENGINES.includes(engine)) {
+    throw new Error(`Unknown engine "${engine}" (expected ${ENGINES.join(', ')})`);
+  }
+  if ((values.lat !== undefined && Number.isNaN(latitude)) || (values.lon !== undefined && Number.isNaN(longitude))) {
+    throw new Error('--lat and --lon must be numbers');
+  }
+  const preferencesFile = values.preferences || config.preferencesFile;
+  const preferences = preferencesFile ? loadPreferences(preferencesFile) : parsePreferences();
+
+  const { site, baseUrl } = resolveSite(config, { site: values.site, baseUrl: values['base-url'] });
+  checkBookingSelectors(site, baseUrl);
+  return {
+    help: false,
+    format: values.format,
+    engine,
+    dryRun: !values.submit,
+    profile: loadProfile(values.customer || process.env.BOOKING_PROFILE || DEFAULT_PROFILE_FILE),
+    preferences,
+    site,
+    baseUrl,
+    geolocation: {
+      latitude: Number.isNaN(latitude) ? config.geolocation.latitude : latitude,
+      longitude: Number.isNaN(longitude) ? config.geolocation.longitude : longitude
+    },
+    appointmentTypes: flagTypes.length > 0 ? flagTypes : config.appointmentTypes,
+    maxDistanceMiles: parseMaxDistance(values['max-distance']) ?? config.maxDistanceMiles ?? preferences.maxDistanceMiles,
+    concurrency: config.concurrency,
+    maxChecksPerMinute: config.maxChecksPerMinute,
+    recoveryPolicy: config.recoveryPolicy,
+    headless: !values.headed && config.headless,
+    slowMo: config.slowMo
+  };
+}
+
+/**
+ * Print a booking outcome as text
+ * @param {object} outcome - Outcome from Booker.book()
+ */
+function printOutcome(outcome) {
+  const { slot, result } = outcome;
+  console.log(`\nSlot: ${slot.date} ${slot.time || slot.value} at ${result.cityName}`);
+  for (const [label, value] of Object.entries(outcome.details)) {
+    console.log(`  ${label}: ${value}`);
+  }
+
+  if (outcome.status === BOOKING_STATUS.BOOKED) {
+    console.log(`\n✓ Booked. Confirmation number: ${outcome.confirmationNumber}`);
+  } else {
+    console.log('\nDry run: stopped on the review step, nothing was booked. Run again with --submit to book.');
+  }
+}
+
+/**
+ * Scan, pick the best slot and book it, returning the process exit code
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (error) {
+    console.error(`dmv-book: ${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.ERROR;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const json = options.format === 'json';
+  if (json) {
+    // Keep stdout clean for the JSON output; page object logging goes to stderr
+    console.log = console.error;
+  }
+
+  const scanner = createScanner(options);
+  const browser = new Scanner(options);
+  try {
+    TestHelpers.logWithTimestamp(`Scanning ${options.baseUrl}`);
+    const scan = await scanner.scan();
+    const candidates = rankSlots(scan.results, options.preferences);
+    if (candidates.length === 0) {
+      console.error('dmv-book: no open slot matches');
+      return EXIT_CODES.NOTHING_TO_BOOK;
+    }
+
+    const [best] = TestHelpers.formatRankedSlots(candidates);
+    TestHelpers.logWithTimestamp(`${options.dryRun ? 'Dry run for' : 'Booking'} ${best.date} ${best.time} at ${best.cityName}`);
+    const outcome = await new Booker({ scanner: browser, profile: options.profile, dryRun: options.dryRun }).book(candidates);
+
+    if (json) {
+      const { slot, result, ...rest } = outcome;
+      const [row] = TestHelpers.formatRankedSlots(candidates.filter(candidate => candidate.slot === slot && candidate.result === result));
+      process.stdout.write(`${JSON.stringify({ ...rest, dryRun: options.dryRun, slot: row }, null, 2)}\n`);
+    } else {
+      printOutcome(outcome);
+    }
+    return EXIT_CODES.BOOKED;
+  } catch (error) {
+    console.error(`dmv-book: ${error.message}`);
+    return EXIT_CODES.ERROR;
+  } finally {
+    await scanner.close();
+    await browser.close();
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(`dmv-book: ${error.stack || error}`);
+  process.exitCode = EXIT_CODES.ERROR;
+});
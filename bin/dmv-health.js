@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { Scanner } from '../lib/scanner.js';
+import { CHECK_STATUS, HealthCheck } from '../lib/health-check.js';
+import { loadConfig, resolveSite } from '../lib/config.js';
+import { parseAppointmentTypes } from '../lib/appointment-types.js';
+
+const USAGE = `Usage: dmv-health [options]
+
+Walk the appointment flow in a browser and check that every selector and API
+marker the scanner relies on is still on the site. Exits with 0 when all of
+them were found, 1 when any have drifted and 2 when the check could not run.
+
+Settings not given as flags come from the environment, then the profile and
+the config file.
+
+Options:
+  --config <file>        Config file (default: $DMV_CONFIG or dmv.config.json when it exists)
+  --profile <name>       Profile of the config file (default: $DMV_PROFILE)
+  --site <name|file>     Site adapter: nc-dmv or a .json file (default: $DMV_SITE or nc-dmv)
+  --base-url <url>       Appointment Index URL (default: $BASE_URL or the site's)
+  --lat <latitude>       Latitude to search from (default: $LATITUDE or Raleigh)
+  --lon <longitude>      Longitude to search from (default: $LONGITUDE or Raleigh)
+  --type <id>            Appointment type data-id to walk (default: $APPOINTMENT_TYPE_ID or 10)
+  --max-locations <n>    Offices to open while looking for both calendar outcomes (default: 5)
+  --format <format>      Output format: text or json (default: text)
+  --headed               Show the browser window
+  -h, --help             Show this help`;
+
+const STATUS_MARKS = {
+  [CHECK_STATUS.OK]: '✓',
+  [CHECK_STATUS.MISSING]: '✗',
+  [CHECK_STATUS.UNVERIFIED]: '?'
+};
+
+/**
+ * Parse command line arguments into health check options
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {object} Parsed options
+ */
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      config: { type: 'string' },
+      profile: { type: 'string' },
+      site: { type: 'string' },
+      'base-url': { type: 'string' },
+      lat: { type: 'string' },
+      lon: { type: 'string' },
+      type: { type: 'string' },
+      'max-locations': { type: 'string', default: '5' },
+      format: { type: 'string', default: 'text' },
+      headed: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  // The config file and profile with environment overrides; flags win over all of them
+  const config = loadConfig({ file: values.config, profile: values.profile });
+  const latitude = parseFloat(values.lat);
+  const longitude = parseFloat(values.lon);
+  const maxLocations = Number(values['max-locations']);
+
+  if (!['text', 'json'].includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}" (expected text or json)`);
+  }
+  if ((values.lat !== undefined && Number.isNaN(latitude)) || (values.lon !== undefined && Number.isNaN(longitude))) {
+    throw new Error('--lat and --lon must be numbers');
+  }
+  if (!Number.isInteger(maxLocations) || maxLocations < 1) {
+    throw new Error('--max-locations must be a positive whole number');
+  }
+
+  const { site, baseUrl } = resolveSite(config, { site: values.site, baseUrl: values['base-url'] });
+  return {
+    help: values.help,
+    format: values.format,
+    maxLocations,
+    site,
+    baseUrl,
+    geolocation: {
+      latitude: Number.isNaN(latitude) ? config.geolocation.latitude : latitude,
+      longitude: Number.isNaN(longitude) ? config.geolocation.longitude : longitude
+    },
+    appointmentTypes: values.type ? parseAppointmentTypes({ ids: values.type }) : config.appointmentTypes,
+    headless: !values.headed && config.headless,
+    slowMo: config.slowMo
+  };
+}
+
+/**
+ * Format a health report for the terminal
+ * @param {object} report - Report from HealthCheck.run()
+ * @returns {string} One line per check and a verdict
+ */
+function formatReport(report) {
+  const width = Math.max(...report.checks.map(check => check.id.length));
+  const lines = report.checks.map(check => {
+    const line = `${STATUS_MARKS[check.status]} ${check.id.padEnd(width)}  ${check.selector || check.marker} (${check.step})`;
+    return check.detail ? `${line}\n    ${check.detail}` : line;
+  });
+
+  lines.push('');
+  lines.push(report.healthy
+    ? `All checks found on ${report.baseUrl}`
+    : `Selector drift on ${report.baseUrl}: ${report.drifted.join(', ')}`);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Run the health check and return the process exit code
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (error) {
+    console.error(`dmv-health: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  // Keep stdout for the report; page object logging goes to stderr
+  console.log = console.error;
+
+  const scanner = new Scanner(options);
+  try {
+    const report = await new HealthCheck({ scanner, maxLocations: options.maxLocations }).run();
+
+    process.stdout.write(options.format === 'json' ? `${JSON.stringify(report, null, 2)}\n` : formatReport(report));
+    return report.healthy ? 0 : 1;
+  } catch (error) {
+    console.error(`dmv-health: could not run the health check: ${error.message}`);
+    return 2;
+  } finally {
+    await scanner.close();
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(`dmv-health: ${error.stack || error}`);
+  process.exitCode = 2;
+});
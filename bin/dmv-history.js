@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { HistoryStore, resolveHistoryFile } from '../lib/history-store.js';
+import { loadConfig } from '../lib/config.js';
+
+const USAGE = `Usage: dmv-history <query> [options]
+
+Query the scan history recorded by dmv-scan and the test run. The history file
+not given with --file comes from the environment, then the profile and the
+config file.
+
+Queries:
+  earliest     Earliest date seen per office
+  hours        Hour of day (local time) at which new slots appeared
+  lifetimes    How long each slot stayed open
+
+Options:
+  --config <file>  Config file (default: $DMV_CONFIG or dmv.config.json when it exists)
+  --profile <name> Profile of the config file (default: $DMV_PROFILE)
+  --days <n>       Only look at the last n days (default: 7)
+  --type <id>      Only look at one appointment type
+  --file <path>    History file (default: $SCAN_HISTORY, the config's historyFile or
+                   data/scan-history.jsonl)
+  --format <fmt>   Output format: text or json (default: text)
+  -h, --help       Show this help`;
+
+/**
+ * Format a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration such as "2h 15m"
+ */
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+/**
+ * Print query rows as text
+ * @param {string} query - Query name
+ * @param {Array<object>} rows - Query rows
+ */
+function printText(query, rows) {
+  if (query === 'earliest') {
+    if (rows.length === 0) {
+      console.log('No scans recorded in this period');
+    }
+    for (const row of rows) {
+      const earliest = row.earliestDate ? `${row.earliestDate} (seen ${row.seenAt})` : 'no dates seen';
+      console.log(`${row.cityName.padEnd(24)} ${earliest}  [available in ${row.availableScans}/${row.scans} scans]`);
+    }
+  } else if (query === 'hours') {
+    const max = Math.max(...rows.map(row => row.count), 1);
+    for (const row of rows) {
+      const bar = '█'.repeat(Math.round((row.count / max) * 40));
+      console.log(`${String(row.hour).padStart(2, '0')}:00 ${bar} ${row.count}`);
+    }
+  } else {
+    if (rows.length === 0) {
+      console.log('No slots recorded in this period');
+    }
+    for (const row of rows) {
+      const state = row.open ? `still open after ${formatDuration(row.durationMs)}` : `open for ${formatDuration(row.durationMs)}`;
+      const opened = row.isNew ? `opened ${row.firstSeenAt}` : `already open at ${row.firstSeenAt}`;
+      console.log(`${row.cityName.padEnd(24)} ${row.datetime.padEnd(24)} ${state}, ${opened}`);
+    }
+  }
+}
+
+/**
+ * Run a history query and return the process exit code
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        config: { type: 'string' },
+        profile: { type: 'string' },
+        days: { type: 'string', default: '7' },
+        type: { type: 'string' },
+        file: { type: 'string' },
+        format: { type: 'string', default: 'text' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    }));
+  } catch (error) {
+    console.error(`dmv-history: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const [query] = positionals;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const days = Number(values.days);
+  if (!['earliest', 'hours', 'lifetimes'].includes(query) || !(days > 0) || !['text', 'json'].includes(values.format)) {
+    console.error(`dmv-history: invalid query or options\n\n${USAGE}`);
+    return 2;
+  }
+
+  let filePath;
+  try {
+    filePath = values.file ? resolveHistoryFile(values.file) : loadConfig({ file: values.config, profile: values.profile }).historyFile;
+  } catch (error) {
+    console.error(`dmv-history: ${error.message}`);
+    return 2;
+  }
+  if (!filePath) {
+    console.error('dmv-history: history is disabled (SCAN_HISTORY or historyFile is off)');
+    return 2;
+  }
+
+  const store = new HistoryStore(filePath);
+  const filters = {
+    since: new Date(Date.now() - days * 24 * 60 * 60 * 1000),
+    appointmentTypeId: values.type || null
+  };
+  const rows = query === 'earliest'
+    ? await store.earliestDatePerOffice(filters)
+    : query === 'hours' ? await store.newSlotHours(filters) : await store.slotLifetimes(filters);
+
+  if (values.format === 'json') {
+    process.stdout.write(`${JSON.stringify(rows, null, 2)}\n`);
+  } else {
+    printText(query, rows);
+  }
+  return 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(`dmv-history: ${error.stack || error}`);
+  process.exitCode = 2;
+});
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { Scanner } from '../lib/scanner.js';
+import { createScanner, ENGINES } from '../lib/scanner-factory.js';
+import { loadConfig, resolveSite } from '../lib/config.js';
+import { parseMaxDistance } from '../lib/location.js';
+import { parseAppointmentTypes } from '../lib/appointment-types.js';
+import { loadPreferences, parsePreferences, rankSlots } from '../lib/preferences.js';
+import { AppointmentManager, MANAGE_STATUS, checkManageSelectors, earlierCandidates, parseAppointmentLookup } from '../lib/manage-appointment.js';
+import { TestHelpers } from '../utils/test-helpers.js';
+
+const EXIT_CODES = {
+  DONE: 0,
+  NO_EARLIER_SLOT: 1,
+  ERROR: 2
+};
+
+const COMMANDS = ['lookup', 'reschedule', 'cancel'];
+
+const USAGE = `Usage: dmv-manage <lookup|reschedule|cancel> [options]
+
+Look up an appointment you already hold by its confirmation number and the email
+or phone number it was booked with, then show it, move it to an earlier slot
+found by a scan, or cancel it. Settings not given as flags come from the
+environment, then the profile and the config file.
+
+  lookup      Show the appointment
+  reschedule  Scan and move the appointment to the best earlier slot. Without
+              --submit this is a dry run that stops on the review step.
+  cancel      Cancel the appointment. Without --confirm-cancel this stops on the
+              site's cancellation step and nothing is cancelled.
+
+The existing-appointment steps are modeled on the local mock and have not been
+confirmed against the live site. Until they are, dmv-manage only works against
+another --base-url such as the mock, and exits ${EXIT_CODES.ERROR} on the live site.
+
+Options:
+  --confirmation <no>  Confirmation number (default: $APPOINTMENT_CONFIRMATION)
+  --contact <value>    Email address or phone number (default: $APPOINTMENT_CONTACT)
+  --config <file>      Config file (default: $DMV_CONFIG or dmv.config.json when it exists)
+  --profile <name>     Profile of the config file (default: $DMV_PROFILE)
+  --submit             reschedule: move the appointment; without it nothing changes
+  --confirm-cancel     cancel: cancel the appointment; without it nothing changes
+  --type <ids>         reschedule: appointment type data-ids, comma-separated
+                       (default: $APPOINTMENT_TYPE_ID, or the type of the appointment; the
+                       config file's types do not apply)
+  --type-text <texts>  reschedule: appointment type texts, "|"-separated, used when --type is not given
+  --preferences <file> reschedule: preference spec the slot must match (default: $PREFERENCES_FILE)
+  --lat <latitude>     Latitude to search from (default: $LATITUDE or Raleigh)
+  --lon <longitude>    Longitude to search from (default: $LONGITUDE or Raleigh)
+  --max-distance <mi>  reschedule: skip offices farther than this many miles (default: $MAX_DISTANCE_MILES)
+  --site <name|file>   Site adapter: nc-dmv or a .json file (default: $DMV_SITE or nc-dmv)
+  --base-url <url>     Appointment Index URL (default: $BASE_URL or the site's)
+  --engine <engine>    Engine for the scan: auto, http or browser (default: $SCAN_ENGINE or auto);
+                       the appointment itself is always managed in the browser
+  --format <format>    Output format: text or json (default: text)
+  --headed             Show the browser window
+  -h, --help           Show this help
+
+Exit codes:
+  ${EXIT_CODES.DONE}  Done, or the dry run reached its last step
+  ${EXIT_CODES.NO_EARLIER_SLOT}  reschedule: no matching slot is earlier than the appointment
+  ${EXIT_CODES.ERROR}  The appointment was not found, a step failed, or the arguments are invalid`;
+
+/**
+ * Parse command line arguments into options
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {object} Parsed options
+ */
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      confirmation: { type: 'string' },
+      contact: { type: 'string' },
+      config: { type: 'string' },
+      profile: { type: 'string' },
+      submit: { type: 'boolean', default: false },
+      'confirm-cancel': { type: 'boolean', default: false },
+      type: { type: 'string', multiple: true },
+      'type-text': { type: 'string', multiple: true },
+      preferences: { type: 'string' },
+      lat: { type: 'string' },
+      lon: { type: 'string' },
+      'max-distance': { type: 'string' },
+      site: { type: 'string' },
+      'base-url': { type: 'string' },
+      engine: { type: 'string' },
+      format: { type: 'string', default: 'text' },
+      headed: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    return { help: true };
+  }
+
+  const [command, ...extra] = positionals;
+  if (!COMMANDS.includes(command) || extra.length > 0) {
+    throw new Error(command ? `Unknown command "${positionals.join(' ')}" (expected ${COMMANDS.join(', ')})` : 'Missing command');
+  }
+  if (values.submit && command !== 'reschedule') {
+    throw new Error('--submit only applies to reschedule');
+  }
+  if (values['confirm-cancel'] && command !== 'cancel') {
+    throw new Error('--confirm-cancel only applies to cancel');
+  }
+
+  // The config file and profile with environment overrides; flags win over all of them
+  const config = loadConfig({ file: values.config, profile: values.profile });
+  const latitude = parseFloat(values.lat);
+  const longitude = parseFloat(values.lon);
+  const flagTypes = parseAppointmentTypes({ ids: values.type, texts: values['type-text'] });
+  const envTypes = parseAppointmentTypes({ ids: process.env.APPOINTMENT_TYPE_ID, texts: process.env.APPOINTMENT_TYPE_TEXT });
+
+  if (!['text', 'json'].includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}" (expected text or json)`);
+  }
+  const engine = values.engine || process.env.SCAN_ENGINE || 'auto';
+  if (!ENGINES.includes(engine)) {
+    throw new Error(`Unknown engine "${engine}" (expected ${ENGINES.join(', ')})`);
+  }
+  if ((values.lat !== undefined && Number.isNaN(latitude)) || (values.lon !== undefined && Number.isNaN(longitude))) {
+    throw new Error('--lat and --lon must be numbers');
+  }
+  const preferencesFile = values.preferences || config.preferencesFile;
+  const preferences = preferencesFile ? loadPreferences(preferencesFile) : parsePreferences();
+
+  const { site, baseUrl } = resolveSite(config, { site: values.site, baseUrl: values['base-url'] });
+  checkManageSelectors(site, baseUrl);
+  return {
+    help: false,
+    command,
+    format: values.format,
+    engine,
+    dryRun: !values.submit,
+    confirmCancel: values['confirm-cancel'],
+    lookup: parseAppointmentLookup({
+      confirmationNumber: values.confirmation ?? process.env.APPOINTMENT_CONFIRMATION,
+      contact: values.contact ?? process.env.APPOINTMENT_CONTACT
+    }),
+    preferences,
+    site,
+    baseUrl,
+    geolocation: {
+      latitude: Number.isNaN(latitude) ? config.geolocation.latitude : latitude,
+      longitude: Number.isNaN(longitude) ? config.geolocation.longitude : longitude
+    },
+    // Empty means: scan for the appointment's own type
+    appointmentTypes: flagTypes.length > 0 ? flagTypes : envTypes,
+    maxDistanceMiles: parseMaxDistance(values['max-distance']) ?? config.maxDistanceMiles ?? preferences.maxDistanceMiles,
+    concurrency: config.concurrency,
+    maxChecksPerMinute: config.maxChecksPerMinute,
+    recoveryPolicy: config.recoveryPolicy,
+    headless: !values.headed && config.headless,
+    slowMo: config.slowMo
+  };
+}
+
+/**
+ * Print an outcome as text
+ * @param {object} outcome - Outcome from AppointmentManager
+ * @param {object} options - Parsed options
+ */
+function printOutcome(outcome, options) {
+  const { appointment } = outcome;
+  console.log(`\nAppointment ${appointment.confirmationNumber}: ${appointment.date} ${appointment.time} at ${appointment.office}`);
+
+  if (outcome.slot) {
+    console.log(`New slot: ${outcome.slot.date} ${outcome.slot.time || outcome.slot.value} at ${outcome.result.cityName}`);
+  }
+  for (const [label, value] of Object.entries(outcome.details || appointment.details)) {
+    console.log(`  ${label}: ${value}`);
+  }
+
+  if (outcome.status === MANAGE_STATUS.RESCHEDULED) {
+    console.log(`\n✓ Rescheduled. Confirmation number: ${outcome.confirmationNumber}`);
+  } else if (outcome.status === MANAGE_STATUS.CANCELLED) {
+    console.log(`\n✓ ${outcome.message}`);
+  } else if (outcome.status === MANAGE_STATUS.DRY_RUN && options.command === 'reschedule') {
+    console.log('\nDry run: stopped on the review step, the appointment was not moved. Run again with --submit to reschedule.');
+  } else if (outcome.status === MANAGE_STATUS.DRY_RUN) {
+    console.log('\nDry run: stopped on the cancellation step, nothing was cancelled. Run again with --confirm-cancel to cancel.');
+  }
+}
+
+/**
+ * Scan for slots earlier than the appointment and move it to the best one
+ * @param {AppointmentManager} manager - Manager on a browser Scanner
+ * @param {object} options - Parsed options
+ * @returns {Promise<object|null>} Outcome, or null when no slot is earlier
+ */
+async function reschedule(manager, options) {
+  const { appointment } = await manager.find();
+  TestHelpers.logWithTimestamp(`Appointment ${appointment.confirmationNumber}: ${appointment.date} ${appointment.time} at ${appointment.office}`);
+
+  const appointmentTypes = options.appointmentTypes.length > 0
+    ? options.appointmentTypes
+    : [{ id: null, text: appointment.appointmentType }];
+
+  const scanner = createScanner({ ...options, appointmentTypes });
+  try {
+    TestHelpers.logWithTimestamp(`Scanning ${options.baseUrl}`);
+    const scan = await scanner.scan();
+    const candidates = earlierCandidates(rankSlots(scan.results, options.preferences), appointment);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const [best] = TestHelpers.formatRankedSlots(candidates);
+    TestHelpers.logWithTimestamp(`${options.dryRun ? 'Dry run for' : 'Rescheduling to'} ${best.date} ${best.time} at ${best.cityName}`);
+    return await manager.reschedule(candidates);
+  } finally {
+    await scanner.close();
+  }
+}
+
+/**
+ * Run the command and return the process exit code
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (error) {
+    console.error(`dmv-manage: ${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.ERROR;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const json = options.format === 'json';
+  if (json) {
+    // Keep stdout clean for the JSON output; page object logging goes to stderr
+    console.log = console.error;
+  }
+
+  const browser = new Scanner(options);
+  const manager = new AppointmentManager({ scanner: browser, lookup: options.lookup, dryRun: options.dryRun });
+  try {
+    let outcome;
+    if (options.command === 'lookup') {
+      outcome = await manager.find();
+    } else if (options.command === 'cancel') {
+      TestHelpers.logWithTimestamp(`${options.confirmCancel ? 'Cancelling' : 'Dry run for cancelling'} appointment ${options.lookup.confirmationNumber}`);
+      outcome = await manager.cancel({ confirm: options.confirmCancel });
+    } else {
+      outcome = await reschedule(manager, options);
+      if (!outcome) {
+        console.error('dmv-manage: no open slot that matches is earlier than the appointment');
+        return EXIT_CODES.NO_EARLIER_SLOT;
+      }
+    }
+
+    if (json) {
+      const { slot, result, ...rest } = outcome;
+      const [row] = slot ? TestHelpers.formatRankedSlots([{ slot, result }]) : [];
+      process.stdout.write(`${JSON.stringify({ command: options.command, ...rest, ...(row ? { slot: row } : {}) }, null, 2)}\n`);
+    } else {
+      printOutcome(outcome, options);
+    }
+    return EXIT_CODES.DONE;
+  } catch (error) {
+    console.error(`dmv-manage: ${error.message}`);
+    return EXIT_CODES.ERROR;
+  } finally {
+    await browser.close();
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(`dmv-manage: ${error.stack || error}`);
+  process.exitCode = EXIT_CODES.ERROR;
+});
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { createScanner, ENGINES } from '../lib/scanner-factory.js';
+import { loadConfig, resolveSite } from '../lib/config.js';
+import { parseAppointmentTypes } from '../lib/appointment-types.js';
+import { DEFAULT_CATALOG_FILE, gridOrigins, parseBounds, parseOrigin, saveCatalog, sweepOffices } from '../lib/office-catalog.js';
+import { TestHelpers } from '../utils/test-helpers.js';
+
+const USAGE = `Usage: dmv-offices [options]
+
+Build a statewide office catalog. The site only lists the offices nearest the
+position the browser reports, so this searches from several positions and
+merges the offices seen from each. Scan the catalog with dmv-scan --catalog.
+Settings not given as flags come from the environment, then the profile and
+the config file.
+
+Options:
+  --config <file>      Config file (default: $DMV_CONFIG or dmv.config.json when it exists)
+  --profile <name>     Profile of the config file (default: $DMV_PROFILE)
+  --origin <lat,lon>   Position to search from, repeatable
+  --grid <bounds>      Search from a grid over "south,west,north,east" or "nc"
+                       (default: nc when no --origin is given)
+  --spacing <mi>       Miles between grid positions (default: 40)
+  --type <ids>         Appointment type data-ids, comma-separated or repeated
+                       (default: $APPOINTMENT_TYPE_ID or 10)
+  --type-text <texts>  Appointment type texts, "|"-separated or repeated, used when --type is not given
+  --site <name|file>   Site adapter: nc-dmv or a .json file (default: $DMV_SITE or nc-dmv)
+  --base-url <url>     Appointment Index URL (default: $BASE_URL or the site's)
+  --engine <engine>    auto, http or browser (default: $SCAN_ENGINE or auto)
+  --out <file>         Catalog file to write (default: $OFFICE_CATALOG or ${DEFAULT_CATALOG_FILE})
+  --format <format>    Output format: text or json (the catalog) (default: text)
+  --delay <sec>        Seconds between positions (default: 1)
+  --headed             Show the browser window
+  -h, --help           Show this help
+
+Exit codes:
+  0  The catalog has at least one office
+  1  No office was listed from any position
+  2  Every position failed, or the arguments are invalid`;
+
+/**
+ * Parse command line arguments into sweep options
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {object} Parsed options
+ */
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      config: { type: 'string' },
+      profile: { type: 'string' },
+      origin: { type: 'string', multiple: true },
+      grid: { type: 'string' },
+      spacing: { type: 'string', default: '40' },
+      type: { type: 'string', multiple: true },
+      'type-text': { type: 'string', multiple: true },
+      site: { type: 'string' },
+      'base-url': { type: 'string' },
+      engine: { type: 'string' },
+      out: { type: 'string' },
+      format: { type: 'string', default: 'text' },
+      delay: { type: 'string', default: '1' },
+      headed: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  // The config file and profile with environment overrides; flags win over all of them
+  const config = loadConfig({ file: values.config, profile: values.profile });
+  if (!['text', 'json'].includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}" (expected text or json)`);
+  }
+  const engine = values.engine || process.env.SCAN_ENGINE || 'auto';
+  if (!ENGINES.includes(engine)) {
+    throw new Error(`Unknown engine "${engine}" (expected ${ENGINES.join(', ')})`);
+  }
+  const spacingMiles = Number(values.spacing);
+  const delaySeconds = Number(values.delay);
+  if (!(spacingMiles > 0) || !(delaySeconds >= 0)) {
+    throw new Error('--spacing must be a positive number and --delay must not be negative');
+  }
+
+  const origins = (values.origin || []).map(parseOrigin);
+  if (values.grid !== undefined || origins.length === 0) {
+    origins.push(...gridOrigins(parseBounds(values.grid ?? 'nc'), spacingMiles));
+  }
+  const flagTypes = parseAppointmentTypes({ ids: values.type, texts: values['type-text'] });
+
+  const { site, baseUrl } = resolveSite(config, { site: values.site, baseUrl: values['base-url'] });
+  return {
+    help: values.help,
+    format: values.format,
+    engine,
+    origins,
+    delayMs: delaySeconds * 1000,
+    outFile: values.out || process.env.OFFICE_CATALOG || DEFAULT_CATALOG_FILE,
+    site,
+    baseUrl,
+    appointmentTypes: flagTypes.length > 0 ? flagTypes : config.appointmentTypes,
+    headless: !values.headed && config.headless,
+    slowMo: config.slowMo
+  };
+}
+
+/**
+ * Print the catalog as a table, one office per line
+ * @param {object} catalog - Catalog from sweepOffices()
+ */
+function printCatalog(catalog) {
+  const rows = catalog.offices.map(office => [
+    office.unitId || '',
+    office.name,
+    [office.city, office.state].filter(Boolean).join(', '),
+    office.appointmentTypes.map(type => type.id ?? type.text).join(','),
+    String(office.seenFrom.length)
+  ]);
+  const header = ['ID', 'Office', 'City', 'Types', 'Seen from'];
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  for (const row of [header, ...rows]) {
+    process.stdout.write(`${row.map((cell, i) => (i === row.length - 1 ? cell : cell.padEnd(widths[i]))).join('  ')}\n`);
+  }
+}
+
+/**
+ * Sweep the origins and return the process exit code
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (error) {
+    console.error(`dmv-offices: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  // Keep stdout for the catalog; progress and page object logging go to stderr
+  console.log = console.error;
+
+  const scanner = createScanner(options);
+  try {
+    const catalog = await sweepOffices(scanner, options.origins, {
+      baseUrl: options.baseUrl,
+      delayMs: options.delayMs,
+      onOrigin: (entry, index, total) => {
+        const at = `${entry.latitude},${entry.longitude}`;
+        TestHelpers.logWithTimestamp(entry.error
+          ? `[${index + 1}/${total}] ${at}: failed: ${entry.error}`
+          : `[${index + 1}/${total}] ${at}: ${entry.officeCount} offices, ${entry.newOfficeCount} new`);
+      }
+    });
+
+    const failed = catalog.origins.filter(entry => entry.error);
+    if (failed.length === catalog.origins.length) {
+      console.error(`dmv-offices: every position failed (${failed[0].error})`);
+      return 2;
+    }
+
+    saveCatalog(catalog, options.outFile);
+    TestHelpers.logWithTimestamp(`${catalog.offices.length} offices from ${catalog.origins.length} positions written to ${options.outFile}`
+      + (failed.length > 0 ? ` (${failed.length} positions failed)` : ''));
+
+    if (options.format === 'json') {
+      process.stdout.write(`${JSON.stringify(catalog, null, 2)}\n`);
+    } else {
+      printCatalog(catalog);
+    }
+    return catalog.offices.length > 0 ? 0 : 1;
+  } finally {
+    await scanner.close();
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(`dmv-offices: ${error.stack || error}`);
+  process.exitCode = 2;
+});
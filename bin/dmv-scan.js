@@ -0,0 +1,505 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { createScanner, ENGINES } from '../lib/scanner-factory.js';
+import { Watcher, MIN_INTERVAL_MS, diffResults, formatChange } from '../lib/watcher.js';
+import { createDispatcherFromEnv, deliveredEvents } from '../lib/notifiers/index.js';
+import { HistoryStore, resolveHistoryFile } from '../lib/history-store.js';
+import { loadConfig, resolveSite } from '../lib/config.js';
+import { parseMaxDistance } from '../lib/location.js';
+import { parseConcurrency } from '../lib/parallel-scanner.js';
+import { parseRateLimit } from '../lib/rate-limiter.js';
+import { parseRecoveryPolicy } from '../lib/errors.js';
+import { parseAppointmentTypes, appointmentTypeKey, appointmentTypeLabel } from '../lib/appointment-types.js';
+import { loadPreferences, rankSlots } from '../lib/preferences.js';
+import { createExportPipeline } from '../lib/exporters/index.js';
+import { DEFAULT_RECORDINGS_DIR, FixtureRecorder, FixtureReplayer } from '../lib/recordings.js';
+import { DashboardServer, DashboardState } from '../lib/dashboard.js';
+import { loadCatalog } from '../lib/office-catalog.js';
+import { DEFAULT_ALERT_STATE_FILE, EarlierSlotTracker, findEarlierSlots, formatEarlierSlot, parseCurrentBooking } from '../lib/current-booking.js';
+import { TestHelpers } from '../utils/test-helpers.js';
+
+/**
+ * Exit codes so shell scripts and cron can branch on the scan outcome
+ */
+const EXIT_CODES = {
+  SLOTS_FOUND: 0,
+  NOTHING_FOUND: 1,
+  SCAN_ERROR: 2
+};
+
+const FORMATS = ['text', 'json', 'csv', 'ndjson'];
+
+const USAGE = `Usage: dmv-scan [options]
+
+Scan NC DMV locations for open appointments. Settings not given as flags come
+from the environment, then the profile and the config file (see the README).
+
+Options:
+  --config <file>      Config file (default: $DMV_CONFIG or dmv.config.json when it exists)
+  --profile <name>     Profile of the config file (default: $DMV_PROFILE)
+  --type <ids>         Appointment type data-ids, comma-separated or repeated
+                       (default: $APPOINTMENT_TYPE_ID or 10; list them with dmv-types)
+  --type-text <texts>  Appointment type texts, "|"-separated or repeated, used when --type is not given
+  --lat <latitude>     Latitude to search from (default: $LATITUDE or Raleigh)
+  --lon <longitude>    Longitude to search from (default: $LONGITUDE or Raleigh)
+  --max-distance <mi>  Skip offices farther than this many miles (default: $MAX_DISTANCE_MILES)
+  --catalog <file>     Scan the offices of a catalog built by dmv-offices instead of the ones the
+                       site lists near --lat/--lon (default: $OFFICE_CATALOG)
+  --preferences <file> Rank every slot found by a JSON preference spec (default: $PREFERENCES_FILE)
+  --booking <when>     Appointment you already hold, e.g. "2027-01-20 9:00 AM @ Raleigh West"; only
+                       slots before it are reported and notified, each once (default: $CURRENT_BOOKING;
+                       alerted slots are kept in $EARLIER_SLOT_STATE or ${DEFAULT_ALERT_STATE_FILE})
+  --site <name|file>   Site adapter: nc-dmv or a .json file (default: $DMV_SITE or nc-dmv)
+  --base-url <url>     Appointment Index URL (default: $BASE_URL or the site's)
+  --format <format>    Output format on stdout: text, json (versioned scan document), csv (one row
+                       per slot) or ndjson (one line per location as it completes) (default: text)
+  --export <fmt:file>  Also write json, csv or ndjson to a file, repeatable or comma-separated
+                       (default: $SCAN_EXPORT)
+  --engine <engine>    auto, http or browser (default: $SCAN_ENGINE or auto, which uses
+                       HTTP and falls back to the browser if the HTTP scan fails)
+  --concurrency <n>    Browser contexts checking locations at once (default: $SCAN_CONCURRENCY or 1)
+  --rate-limit <n>     Location checks started per minute across all contexts, or "off"
+                       (default: $SCAN_RATE_LIMIT or off)
+  --recovery <rules>   Browser recovery per error type, e.g. "timeout=skip,selector-drift=reenter:2"
+                       (types: site-down, session-expired, throttled, selector-drift, timeout,
+                       unknown; actions: reenter[:retries], skip, abort) (default: $SCAN_RECOVERY)
+  --record <name>      Record the site's responses into recordings/<name>.json (default: $SCAN_RECORD)
+  --replay <name>      Scan offline from a recording instead of the site (default: $SCAN_REPLAY)
+                       Both use the browser engine; $RECORDINGS_DIR changes the folder
+  --headed             Show the browser window
+  --history <file>     Append results to this JSONL file, or "off" (default: $SCAN_HISTORY or data/scan-history.jsonl)
+  --watch              Keep scanning and report only changes between scans
+  --interval <sec>     Seconds between watch scans (default: 300, minimum: ${MIN_INTERVAL_MS / 1000})
+  --jitter <sec>       Random seconds added to or removed from the interval (default: 30)
+  --dashboard <port>   Serve a live dashboard and JSON API on http://127.0.0.1:<port>, 0 for any
+                       free port (default: $DASHBOARD_PORT); most useful with --watch
+  -h, --help           Show this help
+
+Exit codes:
+  ${EXIT_CODES.SLOTS_FOUND}  At least one location has appointments (a slot matching --preferences and
+     before --booking, when given)
+  ${EXIT_CODES.NOTHING_FOUND}  No location has appointments
+  ${EXIT_CODES.SCAN_ERROR}  The scan failed or stopped early, or the arguments are invalid
+In watch mode the exit code reflects the last completed scan.`;
+
+/**
+ * Parse command line arguments into scanner options
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {object} Parsed options
+ */
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      type: { type: 'string', multiple: true },
+      'type-text': { type: 'string', multiple: true },
+      lat: { type: 'string' },
+      lon: { type: 'string' },
+      'max-distance': { type: 'string' },
+      catalog: { type: 'string' },
+      preferences: { type: 'string' },
+      booking: { type: 'string' },
+      site: { type: 'string' },
+      'base-url': { type: 'string' },
+      format: { type: 'string', default: 'text' },
+      export: { type: 'string', multiple: true },
+      engine: { type: 'string' },
+      concurrency: { type: 'string' },
+      'rate-limit': { type: 'string' },
+      recovery: { type: 'string' },
+      record: { type: 'string' },
+      replay: { type: 'string' },
+      headed: { type: 'boolean', default: false },
+      history: { type: 'string' },
+      watch: { type: 'boolean', default: false },
+      interval: { type: 'string', default: '300' },
+      jitter: { type: 'string', default: '30' },
+      dashboard: { type: 'string' },
+      config: { type: 'string' },
+      profile: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  // The config file and profile with environment overrides; flags win over all of them
+  const config = loadConfig({ file: values.config, profile: values.profile });
+  const latitude = parseFloat(values.lat);
+  const longitude = parseFloat(values.lon);
+  // --type wins over --type-text
+  const flagTypes = parseAppointmentTypes({ ids: values.type, texts: values['type-text'] });
+  const appointmentTypes = flagTypes.length > 0 ? flagTypes : config.appointmentTypes;
+
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}" (expected ${FORMATS.join(', ')})`);
+  }
+  if (values.watch && values.format === 'csv') {
+    throw new Error('--watch supports the text, json and ndjson formats');
+  }
+  let engine = values.engine || process.env.SCAN_ENGINE || 'auto';
+  if (!ENGINES.includes(engine)) {
+    throw new Error(`Unknown engine "${engine}" (expected ${ENGINES.join(', ')})`);
+  }
+  const record = values.record ?? process.env.SCAN_RECORD ?? null;
+  const replay = values.replay ?? process.env.SCAN_REPLAY ?? null;
+  const recordingsDir = process.env.RECORDINGS_DIR || DEFAULT_RECORDINGS_DIR;
+  if (record || replay) {
+    // Recording and replay hook into the browser's requests
+    if (engine === 'http') {
+      throw new Error('--record and --replay need the browser engine');
+    }
+    engine = 'browser';
+  }
+  const { site, baseUrl } = resolveSite(config, { site: values.site, baseUrl: values['base-url'] });
+  if ((values.lat !== undefined && Number.isNaN(latitude)) || (values.lon !== undefined && Number.isNaN(longitude))) {
+    throw new Error('--lat and --lon must be numbers');
+  }
+  const preferencesFile = values.preferences || config.preferencesFile;
+  const preferences = preferencesFile ? loadPreferences(preferencesFile) : null;
+  const intervalSeconds = Number(values.interval);
+  const jitterSeconds = Number(values.jitter);
+  if (!(intervalSeconds > 0) || !(jitterSeconds >= 0)) {
+    throw new Error('--interval must be a positive number and --jitter must not be negative');
+  }
+  const catalogFile = values.catalog || process.env.OFFICE_CATALOG || null;
+  const dashboard = values.dashboard ?? process.env.DASHBOARD_PORT ?? null;
+  const dashboardPort = dashboard === null || dashboard === '' ? null : Number(dashboard);
+  if (dashboardPort !== null && !(Number.isInteger(dashboardPort) && dashboardPort >= 0 && dashboardPort <= 65535)) {
+    throw new Error(`Invalid dashboard port "${dashboard}" (expected 0-65535)`);
+  }
+
+  const options = {
+    help: values.help,
+    format: values.format,
+    engine,
+    watch: values.watch,
+    intervalMs: intervalSeconds * 1000,
+    jitterMs: jitterSeconds * 1000,
+    dashboardPort,
+    site,
+    baseUrl,
+    geolocation: {
+      latitude: Number.isNaN(latitude) ? config.geolocation.latitude : latitude,
+      longitude: Number.isNaN(longitude) ? config.geolocation.longitude : longitude
+    },
+    appointmentTypes,
+    // The preference spec's distance limit also spares scanning offices it would reject
+    maxDistanceMiles: parseMaxDistance(values['max-distance']) ?? config.maxDistanceMiles ?? preferences?.maxDistanceMiles ?? null,
+    catalog: catalogFile ? loadCatalog(catalogFile) : null,
+    preferences,
+    currentBooking: values.booking !== undefined ? parseCurrentBooking(values.booking) : config.currentBooking,
+    historyFile: values.history !== undefined ? resolveHistoryFile(values.history) : config.historyFile,
+    concurrency: values.concurrency !== undefined ? parseConcurrency(values.concurrency) : config.concurrency,
+    maxChecksPerMinute: values['rate-limit'] !== undefined ? parseRateLimit(values['rate-limit']) : config.maxChecksPerMinute,
+    recoveryPolicy: values.recovery !== undefined ? parseRecoveryPolicy(values.recovery) : config.recoveryPolicy,
+    replayer: replay ? FixtureReplayer.load(replay, recordingsDir) : null,
+    headless: !values.headed && config.headless,
+    slowMo: config.slowMo
+  };
+
+  // Only now that every argument is valid, set up what writes files.
+  // Non-text formats are exports to stdout, except watch mode's JSON change events
+  const exportSpecs = values.export ?? config.exports;
+  const stdoutFormat = values.format !== 'text' && !(values.watch && values.format === 'json') ? [`${values.format}:-`] : [];
+  return {
+    ...options,
+    exports: createExportPipeline([...exportSpecs, ...stdoutFormat]),
+    recorder: record ? new FixtureRecorder({ name: record, baseUrl, dir: recordingsDir, site }) : null
+  };
+}
+
+/**
+ * Run the scanner and return the process exit code
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (error) {
+    console.error(`dmv-scan: ${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.SCAN_ERROR;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const quiet = options.format !== 'text';
+  if (quiet) {
+    // Keep stdout clean for the machine-readable output; page object logging goes to stderr
+    console.log = console.error;
+  }
+
+  const { exports } = options;
+  const history = options.historyFile ? new HistoryStore(options.historyFile) : null;
+  const dashboard = options.dashboardPort !== null ? new DashboardState() : null;
+  let dashboardServer = null;
+  if (dashboard) {
+    dashboard.loadHistory(history ? await history.readRecords() : []);
+    dashboardServer = new DashboardServer({ state: dashboard, port: options.dashboardPort });
+    try {
+      TestHelpers.logWithTimestamp(`Dashboard on ${await dashboardServer.start()}`);
+    } catch (error) {
+      console.error(`dmv-scan: could not start the dashboard: ${error.message}`);
+      return EXIT_CODES.SCAN_ERROR;
+    }
+  }
+
+  const printResult = quiet || options.watch ? null : createResultPrinter(options);
+  const scanner = createScanner({
+    ...options,
+    onResult: printResult || exports.enabled || dashboard
+      ? (result, position, total) => {
+        exports.addResult(result);
+        dashboard?.addResult(result, position, total);
+        printResult?.(result);
+      }
+      : null
+  });
+
+  const dispatcher = createDispatcherFromEnv();
+  const alerts = options.currentBooking
+    ? new EarlierSlotTracker({ booking: options.currentBooking, filePath: process.env.EARLIER_SLOT_STATE || DEFAULT_ALERT_STATE_FILE })
+    : null;
+  // Earlier slots already printed, so one waiting for its notification is printed once
+  const reported = new Set();
+  const services = { dispatcher, history, exports, dashboard, alerts, reported };
+
+  try {
+    return options.watch ? await watch(scanner, services, options) : await scanOnce(scanner, services, options);
+  } finally {
+    await scanner.close();
+    await dashboardServer?.stop();
+  }
+}
+
+/**
+ * Result callback printing each location as it is checked, under a header per
+ * appointment type when several are scanned
+ * @param {object} options - Parsed options
+ * @returns {Function} onResult callback
+ */
+function createResultPrinter(options) {
+  let currentType = null;
+
+  return result => {
+    const type = appointmentTypeKey(result.appointmentType);
+    if (options.appointmentTypes.length > 1 && type !== currentType) {
+      currentType = type;
+      process.stdout.write(`\n== ${appointmentTypeLabel(result.appointmentType)} ==\n`);
+    }
+    process.stdout.write(`${TestHelpers.formatResultLine(result)}\n`);
+  };
+}
+
+/**
+ * Exit code for a list of location results
+ * @param {Array<object>} results - Location results
+ * @param {object} options - Parsed options
+ * @param {object|null} options.preferences - Preference spec the slots must match (optional)
+ * @param {object|null} options.currentBooking - Booking the slots must be earlier than (optional)
+ * @returns {number} Exit code
+ */
+function exitCodeFor(results, { preferences = null, currentBooking = null }) {
+  const earlier = currentBooking ? new Set(findEarlierSlots(results, currentBooking).map(event => event.slot)) : null;
+  const found = preferences
+    ? rankSlots(results, preferences).some(({ slot }) => !earlier || earlier.has(slot))
+    : earlier ? earlier.size > 0 : results.some(r => r.isAvailable);
+  return found ? EXIT_CODES.SLOTS_FOUND : EXIT_CODES.NOTHING_FOUND;
+}
+
+/**
+ * Report and notify the slots of a scan that beat the current booking and were
+ * not alerted before, in this run or an earlier one. A slot counts as alerted once
+ * its notification reached every channel (or once printed, without channels), so
+ * one that failed to deliver or that the NOTIFY_* filters held back comes up again.
+ * @param {object} scan - Completed scan
+ * @param {object} services - Notification dispatcher, earlier slot tracker and printed slot keys
+ * @param {object} options - Parsed options
+ * @returns {Promise<Array<object>>} Earlier slot events still to alert
+ */
+async function alertEarlierSlots(scan, { dispatcher, alerts, reported }, options) {
+  const pending = alerts.pending(findEarlierSlots(scan.results, options.currentBooking));
+
+  for (const event of pending.filter(event => !reported.has(event.key))) {
+    reported.add(event.key);
+    if (options.watch && options.format === 'json') {
+      const { key, slot, result, ...line } = event;
+      process.stdout.write(`${JSON.stringify({ ...line, scannedAt: scan.finishedAt })}\n`);
+    } else {
+      TestHelpers.logWithTimestamp(formatEarlierSlot(event));
+    }
+  }
+  if (dispatcher.enabled) {
+    alerts.markAlerted(deliveredEvents(await dispatcher.dispatchEarlierSlots(pending, scan)));
+  } else {
+    alerts.markAlerted(pending);
+  }
+  return pending;
+}
+
+/**
+ * Persist a scan to the history store, if enabled. Each result carries its appointment type.
+ * @param {HistoryStore|null} history - History store
+ * @param {object} scan - Completed scan
+ */
+function recordScan(history, scan) {
+  if (!history) return;
+  try {
+    history.append(scan);
+  } catch (error) {
+    console.error(`dmv-scan: could not write history: ${error.message}`);
+  }
+}
+
+/**
+ * Scan once, feeding the exporters and the dashboard. A scan the recovery policy
+ * stopped early is exported with its error and returned with the locations checked before it.
+ * @param {object} scanner - Configured scanner from createScanner()
+ * @param {object} services - Export pipeline and dashboard state (null without --dashboard)
+ * @param {object} options - Parsed options
+ * @returns {Promise<object>} Scan with the summary and ranked slots to report
+ * @throws {Error} If the scan fails, after exporting the error
+ */
+async function exportedScan(scanner, { exports, dashboard }, options) {
+  const startedAt = new Date().toISOString();
+  exports.begin({ baseUrl: options.baseUrl, startedAt });
+  dashboard?.beginScan({ baseUrl: options.baseUrl, startedAt });
+
+  let scan;
+  try {
+    scan = await scanner.scan();
+  } catch (error) {
+    const failed = { baseUrl: options.baseUrl, startedAt, finishedAt: new Date().toISOString(), appointmentTypes: options.appointmentTypes, results: [] };
+    exports.finish(failed, { geolocation: options.geolocation, errors: [error] });
+    dashboard?.finishScan({ finishedAt: failed.finishedAt, error });
+    throw error;
+  }
+  dashboard?.finishScan({ finishedAt: scan.finishedAt, error: scan.errors?.[0] || null });
+
+  const summary = TestHelpers.formatResults(scan.results);
+  const rankedSlots = options.preferences ? TestHelpers.formatRankedSlots(rankSlots(scan.results, options.preferences)) : undefined;
+  exports.finish(scan, { geolocation: options.geolocation, summary, rankedSlots, errors: scan.errors || [] });
+  return { scan, summary, rankedSlots };
+}
+
+/**
+ * Run one scan, print the results and notify about every available location
+ * @param {object} scanner - Configured scanner from createScanner()
+ * @param {object} services - Notification dispatcher, history store, export pipeline and dashboard state
+ * @param {object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+async function scanOnce(scanner, { dispatcher, history, exports, dashboard, alerts, reported }, options) {
+  const text = options.format === 'text';
+
+  try {
+    if (text) {
+      TestHelpers.logWithTimestamp(`Scanning ${options.baseUrl}`);
+    }
+    const { scan, summary, rankedSlots } = await exportedScan(scanner, { exports, dashboard }, options);
+    recordScan(history, scan);
+
+    if (text) {
+      TestHelpers.printSummary(summary);
+      if (rankedSlots) {
+        TestHelpers.printBestSlots(rankedSlots);
+      }
+    }
+
+    if (scan.errors?.length > 0) {
+      console.error(`dmv-scan: scan stopped early: ${scan.errors[0].message}`);
+      return EXIT_CODES.SCAN_ERROR;
+    }
+
+    // With a current booking, only slots that beat it are alerted
+    if (alerts) {
+      await alertEarlierSlots(scan, { dispatcher, alerts, reported }, options);
+    } else if (dispatcher.enabled) {
+      await dispatcher.dispatch(diffResults([], scan.results), scan);
+    }
+
+    return exitCodeFor(scan.results, options);
+  } catch (error) {
+    console.error(`dmv-scan: scan failed: ${error.message}`);
+    return EXIT_CODES.SCAN_ERROR;
+  }
+}
+
+/**
+ * Scan until interrupted, printing and notifying only changes between scans
+ * @param {object} scanner - Configured scanner from createScanner()
+ * @param {object} services - Notification dispatcher, history store, export pipeline and dashboard state
+ * @param {object} options - Parsed options
+ * @returns {Promise<number>} Exit code of the last completed scan
+ */
+async function watch(scanner, { dispatcher, history, exports, dashboard, alerts, reported }, options) {
+  const json = options.format === 'json';
+  const text = options.format === 'text';
+  let exitCode = EXIT_CODES.SCAN_ERROR;
+
+  const watcher = new Watcher({
+    scan: async () => {
+      const { scan } = await exportedScan(scanner, { exports, dashboard }, options);
+      // A scan stopped early backs off like a failed one
+      if (scan.errors?.length > 0) {
+        throw scan.errors[0];
+      }
+      return scan;
+    },
+    intervalMs: options.intervalMs,
+    jitterMs: options.jitterMs,
+    onScan: async scan => {
+      exitCode = exitCodeFor(scan.results, options);
+      recordScan(history, scan);
+      if (text) {
+        const available = scan.results.filter(r => r.isAvailable).length;
+        TestHelpers.logWithTimestamp(`Scanned ${scan.results.length} locations, ${available} with appointments`);
+      }
+      if (alerts) {
+        await alertEarlierSlots(scan, { dispatcher, alerts, reported }, options);
+      }
+    },
+    onChange: async (changes, scan) => {
+      // With --format ndjson, stdout carries every location of every scan instead of the changes
+      for (const change of changes) {
+        if (json) {
+          const { result, ...event } = change;
+          process.stdout.write(`${JSON.stringify({
+            ...event,
+            appointmentType: result?.appointmentType || event.appointmentType || null,
+            scannedAt: scan.finishedAt,
+            availableDates: result?.availableDates || []
+          })}\n`);
+        } else if (text) {
+          TestHelpers.logWithTimestamp(formatChange(change));
+        }
+      }
+      if (dispatcher.enabled && !alerts) {
+        await dispatcher.dispatch(changes, scan);
+      }
+    },
+    onError: (error, delayMs) => {
+      console.error(`dmv-scan: scan failed: ${error.message} (next attempt in ${Math.round(delayMs / 1000)}s)`);
+    }
+  });
+
+  const stop = () => watcher.stop();
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  if (text) {
+    TestHelpers.logWithTimestamp(`Watching ${options.baseUrl} every ${Math.round(watcher.intervalMs / 1000)}s (Ctrl+C to stop)`);
+  }
+  await watcher.run();
+  return exitCode;
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(`dmv-scan: ${error.stack || error}`);
+  process.exitCode = EXIT_CODES.SCAN_ERROR;
+});
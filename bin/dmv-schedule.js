@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+import { spawn } from 'child_process';
+import { parseArgs } from 'util';
+import { loadSchedules } from '../lib/config.js';
+import { zonedParts } from '../lib/cron.js';
+import { DEFAULT_LOCK_FILE, DEFAULT_RUN_LOG, RUN_STATUS, RunLock, RunLog, Scheduler } from '../lib/scheduler.js';
+import { TestHelpers } from '../utils/test-helpers.js';
+
+const EXIT_CODES = {
+  STOPPED: 0,
+  FAILED: 1,
+  INVALID: 2
+};
+
+const DEFAULT_COMMAND = 'npm test';
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const USAGE = `Usage: dmv-schedule [options]
+
+Run scans on the schedules in the config file instead of external cron. Every
+profile with a "schedule" (a cron expression read in its "timeZone") runs the
+command with DMV_PROFILE set to it, except in its "quietHours", on weekends and
+NC state holidays when "skipWeekends" and "skipHolidays" are set, and once its
+"maxRunsPerDay" runs are used. Runs never overlap, also across schedulers, and
+every run and skip is appended to the run log.
+
+Options:
+  --config <file>      Config file (default: $DMV_CONFIG or dmv.config.json)
+  --profile <names>    Only these profiles, comma-separated (default: every scheduled profile)
+  --command <cmd>      Shell command each run executes (default: $SCHEDULE_COMMAND or "${DEFAULT_COMMAND}")
+  --lock <file>        Lock file held during runs (default: $SCHEDULE_LOCK or ${DEFAULT_LOCK_FILE})
+  --log <file>         JSONL run log (default: $SCHEDULE_LOG or ${DEFAULT_RUN_LOG})
+  --list               Print the next runs of each profile, and what would skip them, then exit
+  --count <n>          Runs to print per profile with --list (default: 5)
+  -h, --help           Show this help
+
+Exit codes:
+  ${EXIT_CODES.STOPPED}  Stopped with Ctrl+C, or listed
+  ${EXIT_CODES.FAILED}  The scheduler itself failed, e.g. it could not write the run log
+  ${EXIT_CODES.INVALID}  The config or the arguments are invalid`;
+
+/**
+ * Parse command line arguments into scheduler options
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {object} Parsed options
+ */
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      config: { type: 'string' },
+      profile: { type: 'string' },
+      command: { type: 'string' },
+      lock: { type: 'string' },
+      log: { type: 'string' },
+      list: { type: 'boolean', default: false },
+      count: { type: 'string', default: '5' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const count = Number(values.count);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('--count must be a positive whole number');
+  }
+  if (values.help) {
+    return { help: true };
+  }
+
+  let configs = loadSchedules({ file: values.config });
+  if (values.profile) {
+    const names = values.profile.split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = names.filter(name => !configs.some(config => config.profile === name));
+    if (unknown.length > 0) {
+      throw new Error(`No schedule for profile ${unknown.map(name => `"${name}"`).join(', ')} (scheduled: ${configs.map(config => config.profile).filter(Boolean).join(', ') || 'none'})`);
+    }
+    configs = configs.filter(config => names.includes(config.profile));
+  }
+  if (configs.length === 0) {
+    throw new Error('Nothing to schedule: give a profile or the config file a "schedule", or set SCAN_SCHEDULE');
+  }
+
+  return {
+    help: false,
+    list: values.list,
+    count,
+    configs,
+    command: values.command || process.env.SCHEDULE_COMMAND || DEFAULT_COMMAND,
+    lockFile: values.lock || process.env.SCHEDULE_LOCK || DEFAULT_LOCK_FILE,
+    logFile: values.log || process.env.SCHEDULE_LOG || DEFAULT_RUN_LOG
+  };
+}
+
+/**
+ * Run the command for one profile
+ * @param {string} command - Shell command
+ * @param {object} config - Resolved config of the profile
+ * @returns {Promise<number>} Exit code
+ */
+function runCommand(command, config) {
+  const env = { ...process.env };
+  delete env.DMV_PROFILE;
+  if (config.profile) env.DMV_PROFILE = config.profile;
+  if (config.file) env.DMV_CONFIG = config.file;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, { shell: true, stdio: 'inherit', env });
+    child.on('error', reject);
+    child.on('close', code => resolve(code ?? 1));
+  });
+}
+
+/**
+ * Format an instant as wall-clock time in a time zone, e.g. "Mon 2026-10-19 07:00"
+ */
+function formatLocal(date, timeZone) {
+  const parts = zonedParts(date, timeZone);
+  return `${WEEKDAY_NAMES[parts.weekday]} ${parts.date} ${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
+}
+
+/**
+ * Describe a job's schedule on one line
+ */
+function describeJob(job) {
+  const { cron, timeZone, quietHours, skipWeekends, skipHolidays, maxRunsPerDay } = job.schedule;
+  const rules = [
+    timeZone,
+    ...(quietHours.length > 0 ? [`quiet ${quietHours.map(window => window.text).join(', ')}`] : []),
+    ...(skipWeekends ? ['no weekends'] : []),
+    ...(skipHolidays ? ['no state holidays'] : []),
+    ...(maxRunsPerDay ? [`at most ${maxRunsPerDay} a day`] : [])
+  ];
+  return `${job.name}: ${cron.expression} (${rules.join(', ')})`;
+}
+
+/**
+ * Format a run log entry as a console line
+ */
+function formatEntry(entry) {
+  if (entry.status === RUN_STATUS.SKIPPED) {
+    return `${entry.job}: skipped the ${entry.scheduledFor} run: ${entry.reason}`;
+  }
+  const outcome = entry.error ? `could not run: ${entry.error}` : `exited with ${entry.exitCode}`;
+  return `${entry.job}: ${entry.status === RUN_STATUS.OK ? '✓' : '✗'} ${outcome} after ${Math.round(entry.durationMs / 1000)}s`;
+}
+
+/**
+ * Run the scheduler and return the process exit code
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (error) {
+    console.error(`dmv-schedule: ${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.INVALID;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.STOPPED;
+  }
+
+  const jobs = options.configs.map(config => ({
+    name: config.profile || 'default',
+    schedule: config.schedule,
+    run: job => {
+      TestHelpers.logWithTimestamp(`${job.name}: running ${options.command}`);
+      return runCommand(options.command, config);
+    }
+  }));
+  const scheduler = new Scheduler({
+    jobs,
+    lock: new RunLock(options.lockFile),
+    log: new RunLog(options.logFile),
+    onRun: entry => TestHelpers.logWithTimestamp(formatEntry(entry))
+  });
+
+  if (options.list) {
+    for (const job of jobs) {
+      console.log(describeJob(job));
+      for (const { at, reason } of scheduler.upcoming(job, options.count)) {
+        console.log(`  ${formatLocal(at, job.schedule.timeZone)}  ${reason ? `skip: ${reason}` : 'run'}`);
+      }
+    }
+    return EXIT_CODES.STOPPED;
+  }
+
+  const stop = () => scheduler.stop();
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  for (const job of jobs) {
+    const [next] = scheduler.upcoming(job, 1);
+    TestHelpers.logWithTimestamp(`${describeJob(job)}, next ${formatLocal(next.at, job.schedule.timeZone)}`);
+  }
+  TestHelpers.logWithTimestamp(`Logging runs to ${options.logFile} (Ctrl+C to stop)`);
+  await scheduler.run();
+  return EXIT_CODES.STOPPED;
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(`dmv-schedule: ${error.stack || error}`);
+  process.exitCode = EXIT_CODES.FAILED;
+});
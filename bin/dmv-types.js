@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { createScanner, ENGINES } from '../lib/scanner-factory.js';
+import { loadConfig, resolveSite } from '../lib/config.js';
+
+const USAGE = `Usage: dmv-types [options]
+
+List the appointment types offered on the site with the data-id to pass to
+dmv-scan --type or APPOINTMENT_TYPE_ID. Settings not given as flags come from
+the environment, then the profile and the config file.
+
+Options:
+  --config <file>      Config file (default: $DMV_CONFIG or dmv.config.json when it exists)
+  --profile <name>     Profile of the config file (default: $DMV_PROFILE)
+  --site <name|file>   Site adapter: nc-dmv or a .json file (default: $DMV_SITE or nc-dmv)
+  --base-url <url>     Appointment Index URL (default: $BASE_URL or the site's)
+  --lat <latitude>     Latitude to search from (default: $LATITUDE or Raleigh)
+  --lon <longitude>    Longitude to search from (default: $LONGITUDE or Raleigh)
+  --engine <engine>    auto, http or browser (default: $SCAN_ENGINE or auto)
+  --format <format>    Output format: text or json (default: text)
+  --headed             Show the browser window
+  -h, --help           Show this help`;
+
+/**
+ * Parse command line arguments into scanner options
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {object} Parsed options
+ */
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      config: { type: 'string' },
+      profile: { type: 'string' },
+      site: { type: 'string' },
+      'base-url': { type: 'string' },
+      lat: { type: 'string' },
+      lon: { type: 'string' },
+      engine: { type: 'string' },
+      format: { type: 'string', default: 'text' },
+      headed: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  // The config file and profile with environment overrides; flags win over all of them
+  const config = loadConfig({ file: values.config, profile: values.profile });
+  const latitude = parseFloat(values.lat);
+  const longitude = parseFloat(values.lon);
+
+  if (!['text', 'json'].includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}" (expected text or json)`);
+  }
+  const engine = values.engine || process.env.SCAN_ENGINE || 'auto';
+  if (!ENGINES.includes(engine)) {
+    throw new Error(`Unknown engine "${engine}" (expected ${ENGINES.join(', ')})`);
+  }
+  if ((values.lat !== undefined && Number.isNaN(latitude)) || (values.lon !== undefined && Number.isNaN(longitude))) {
+    throw new Error('--lat and --lon must be numbers');
+  }
+
+  const { site, baseUrl } = resolveSite(config, { site: values.site, baseUrl: values['base-url'] });
+  return {
+    help: values.help,
+    format: values.format,
+    engine,
+    site,
+    baseUrl,
+    geolocation: {
+      latitude: Number.isNaN(latitude) ? config.geolocation.latitude : latitude,
+      longitude: Number.isNaN(longitude) ? config.geolocation.longitude : longitude
+    },
+    headless: !values.headed && config.headless,
+    slowMo: config.slowMo
+  };
+}
+
+/**
+ * List the appointment types and return the process exit code
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (error) {
+    console.error(`dmv-types: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  // Keep stdout for the list; page object logging goes to stderr
+  console.log = console.error;
+
+  const scanner = createScanner(options);
+  try {
+    const types = await scanner.listAppointmentTypes();
+
+    if (options.format === 'json') {
+      process.stdout.write(`${JSON.stringify(types, null, 2)}\n`);
+    } else {
+      const width = Math.max(...types.map(type => String(type.id).length), 'ID'.length);
+      process.stdout.write(`${'ID'.padEnd(width)}  Appointment type\n`);
+      for (const type of types) {
+        process.stdout.write(`${String(type.id).padEnd(width)}  ${type.label}\n`);
+      }
+    }
+    return types.length > 0 ? 0 : 1;
+  } catch (error) {
+    console.error(`dmv-types: could not list appointment types: ${error.message}`);
+    return 2;
+  } finally {
+    await scanner.close();
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(`dmv-types: ${error.stack || error}`);
+  process.exitCode = 2;
+});
@@ -0,0 +1,229 @@
+import { findTags, textChunks } from './html.js';
+import { NC_DMV } from './sites/index.js';
+
+export const CALENDAR_MODEL_TYPE = NC_DMV.markers.calendarModelType;
+
+/**
+ * Read a property that the site may send in PascalCase or camelCase
+ * @param {object} object - Source object
+ * @param {string} name - PascalCase property name
+ * @returns {any} Property value
+ */
+function pick(object, name) {
+  return object?.[name] ?? object?.[name.charAt(0).toLowerCase() + name.slice(1)];
+}
+
+/**
+ * Normalize a date from the model or the datepicker to YYYY-MM-DD
+ * @param {string} value - "2026-11-04", "2026-11-04T00:00:00", "11/4/2026" or "/Date(1793750400000)/"
+ * @returns {string|null} Date in YYYY-MM-DD format, or null when unrecognized
+ */
+export function toIsoDate(value) {
+  const text = String(value ?? '').trim();
+  let match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  if (match) {
+    return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+  match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})/.exec(text);
+  if (match) {
+    return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+  }
+  match = /^\/Date\((-?\d+)/.exec(text);
+  if (match) {
+    return new Date(Number(match[1])).toISOString().slice(0, 10);
+  }
+  return null;
+}
+
+/**
+ * Build the site's data-datetime value from a date and a time label
+ * @param {string} isoDate - Date in YYYY-MM-DD format
+ * @param {string} time - Time label such as "8:15 AM"
+ * @returns {string} Datetime such as "11/4/2026 8:15:00 AM"
+ */
+function toQflowDateTime(isoDate, time) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const [clock, meridiem = ''] = time.trim().split(/\s+/);
+  const seconds = clock.split(':').length === 2 ? `${clock}:00` : clock;
+  return `${month}/${day}/${year} ${seconds} ${meridiem.toUpperCase()}`.trim();
+}
+
+/**
+ * Time label of a data-datetime value
+ * @param {string} datetime - Datetime such as "11/4/2026 8:15:00 AM"
+ * @returns {string} Time label such as "8:15 AM"
+ */
+function timeLabel(datetime) {
+  const [, clock = '', meridiem = ''] = String(datetime).trim().split(/\s+/);
+  return `${clock.replace(/:00$/, '')} ${meridiem}`.trim();
+}
+
+/**
+ * Parse the CalendarDateModel payload of a calendar step into an availability map
+ * @param {string} html - AmendStep response HTML
+ * @param {SiteAdapter} site - Site whose calendar markers are looked for (default: NC DMV)
+ * @returns {object|null} Map of YYYY-MM-DD to [{ time, datetime, serviceId, appointmentTypeId }], or null without a readable model
+ */
+export function parseCalendarModel(html, site = NC_DMV) {
+  const inputs = findTags(html, 'input').map(tag => tag.attributes);
+
+  // The model sits in StepControls[n].Model next to StepControls[n].ModelType
+  const calendarControls = new Set(inputs
+    .filter(input => /\.ModelType$/.test(input.name || '') && input.value === site.markers.calendarModelType)
+    .map(input => input.name.replace(/\.ModelType$/, '')));
+  const modelInput = inputs.find(input => calendarControls.has((input.name || '').replace(/\.Model$/, '')) && /\.Model$/.test(input.name))
+    || inputs.find(input => input.id === site.markers.calendarModelId);
+  if (!modelInput?.value) {
+    return null;
+  }
+
+  let model;
+  try {
+    model = JSON.parse(modelInput.value);
+  } catch (error) {
+    return null;
+  }
+
+  const entries = pick(model, 'AvailableDates');
+  if (!Array.isArray(entries)) {
+    return null;
+  }
+
+  const availability = {};
+  for (const entry of entries) {
+    const date = toIsoDate(typeof entry === 'string' ? entry : pick(entry, 'Date'));
+    if (!date) continue;
+
+    const slots = availability[date] || (availability[date] = []);
+    for (const slot of pick(entry, 'Times') || []) {
+      const time = pick(slot, 'Time') || timeLabel(pick(slot, 'DateTime') || '');
+      const serviceId = pick(slot, 'ServiceId') ?? pick(model, 'ServiceId');
+      const appointmentTypeId = pick(slot, 'AppointmentTypeId') ?? pick(model, 'AppointmentTypeId');
+      slots.push({
+        time,
+        datetime: pick(slot, 'DateTime') || toQflowDateTime(date, time),
+        serviceId: serviceId != null ? String(serviceId) : null,
+        appointmentTypeId: appointmentTypeId != null ? String(appointmentTypeId) : null
+      });
+    }
+  }
+
+  return sortAvailability(availability);
+}
+
+/**
+ * Selectable days of a rendered jQuery UI datepicker
+ * @param {string} html - Datepicker HTML
+ * @returns {Array<string>} Dates in YYYY-MM-DD format, in calendar order
+ */
+export function parseDatepickerDates(html) {
+  const dates = [];
+
+  for (const cell of findTags(html, 'td')) {
+    if (cell.attributes['data-handler'] !== 'selectDay') continue;
+
+    let date = toIsoDate(cell.attributes['data-date']);
+    if (!date) {
+      // jQuery UI only sets the year and zero-based month; the day is the cell text
+      const closing = html.indexOf('</td>', cell.end);
+      const day = parseInt(textChunks(html.slice(cell.end, closing === -1 ? undefined : closing))[0], 10);
+      const year = parseInt(cell.attributes['data-year'], 10);
+      const month = parseInt(cell.attributes['data-month'], 10);
+      if ([day, year, month].some(Number.isNaN)) continue;
+      date = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+    if (!dates.includes(date)) {
+      dates.push(date);
+    }
+  }
+  return dates.sort();
+}
+
+/**
+ * Copy an availability map with its dates in order
+ * @param {object} availability - Map of YYYY-MM-DD to time slots
+ * @returns {object} Sorted map
+ */
+export function sortAvailability(availability) {
+  return Object.fromEntries(Object.keys(availability).sort().map(date => [date, availability[date]]));
+}
+
+/**
+ * Flatten an availability map into the time slot list used in results
+ * @param {object} availability - Map of YYYY-MM-DD to time slots
+ * @returns {Array<object>} Time slots with date, time, datetime, value, serviceId and appointmentTypeId, earliest first
+ */
+export function flattenAvailability(availability) {
+  return Object.entries(sortAvailability(availability || {})).flatMap(([date, slots]) => slots.map(slot => ({
+    date,
+    ...slot,
+    value: slot.time
+  })));
+}
+
+/**
+ * Parse appointment availability data from an AmendStep response
+ * @param {string} responseBody - The HTML or JSON response body
+ * @param {SiteAdapter} site - Site whose markers and messages are looked for (default: NC DMV)
+ * @returns {object} Parsed appointment data with hasAppointments, availableDates, availability and errorMessage
+ */
+export function parseAppointmentData(responseBody, site = NC_DMV) {
+  const data = {
+    hasAppointments: false,
+    availableDates: [],
+    availability: {},
+    errorMessage: null
+  };
+
+  try {
+    // Check for JSON response first
+    if (responseBody.trim().startsWith('{') || responseBody.trim().startsWith('[')) {
+      try {
+        const json = JSON.parse(responseBody);
+        // Handle JSON structure if present
+        data.hasAppointments = json.hasAppointments || false;
+        data.availability = sortAvailability(json.availability
+          || Object.fromEntries((json.availableDates || []).map(date => [date, []])));
+        data.availableDates = Object.keys(data.availability);
+        if (!data.hasAppointments && json.hasAppointments !== undefined) {
+          // An explicit empty calendar, the JSON form of the no-appointments error
+          data.errorMessage = 'No appointments available';
+        }
+        return data;
+      } catch (e) {
+        // Not JSON, continue with HTML parsing
+      }
+    }
+
+    // DEFINITIVE INDICATOR: Check for CalendarDateModel in the response
+    // This model ONLY appears when appointments are actually available
+    // This is more reliable than checking for calendar HTML (which may be rendered client-side)
+    const hasCalendarModel = responseBody.includes(site.markers.calendarModelType);
+
+    if (hasCalendarModel) {
+      data.hasAppointments = true;
+
+      // Dates and times come from the model payload; a server-rendered datepicker
+      // gives the dates when the payload can't be read
+      data.availability = parseCalendarModel(responseBody, site)
+        || Object.fromEntries(parseDatepickerDates(responseBody).map(date => [date, []]));
+      data.availableDates = Object.keys(data.availability);
+
+      return data; // Early return - we found appointments
+    }
+
+    // Only check for error if CalendarDateModel is NOT present
+    // Look for the actual visible error span with the specific message
+    const hasVisibleError = site.noAppointmentsPattern.test(responseBody);
+
+    if (hasVisibleError) {
+      data.errorMessage = 'No appointments available';
+      data.hasAppointments = false;
+    }
+
+  } catch (error) {
+    console.error('Error parsing appointment data:', error.message);
+  }
+
+  return data;
+}
@@ -0,0 +1,115 @@
+/**
+ * Appointment types to scan. Each type is { id, text }: the data-id of its
+ * `.QflowObjectItem` on the type step, or the text to match when the id is not known.
+ */
+
+export const DEFAULT_APPOINTMENT_TYPE = { id: '10', text: null }; // Teen driver
+
+/**
+ * Split a list value into trimmed, non-empty entries
+ * @param {string|Array<string>} value - List value or values
+ * @param {string} separator - Separator within one value
+ * @returns {Array<string>} Entries
+ */
+function splitList(value, separator) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter(item => item !== undefined && item !== null)
+    .flatMap(item => String(item).split(separator))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Build the list of appointment types from ids and texts.
+ * Ids are comma-separated; texts are separated by "|" because labels can contain commas.
+ * As with a single type, ids win when both are given.
+ * @param {object} lists - Type lists
+ * @param {string|Array<string>} lists.ids - Appointment type data-ids
+ * @param {string|Array<string>} lists.texts - Appointment type texts
+ * @returns {Array<object>} Appointment types of { id, text }, without duplicates
+ */
+export function parseAppointmentTypes({ ids, texts } = {}) {
+  const idList = splitList(ids, ',');
+  const types = idList.length > 0
+    ? idList.map(id => ({ id, text: null }))
+    : splitList(texts, '|').map(text => ({ id: null, text }));
+
+  return types.filter((type, index) => types.findIndex(other => appointmentTypeKey(other) === appointmentTypeKey(type)) === index);
+}
+
+/**
+ * Appointment types configured through APPOINTMENT_TYPE_ID / APPOINTMENT_TYPE_TEXT
+ * @param {object} env - Environment variables
+ * @returns {Array<object>} Appointment types, the teen driver type when none is set
+ */
+export function appointmentTypesFromEnv(env = process.env) {
+  const types = parseAppointmentTypes({ ids: env.APPOINTMENT_TYPE_ID, texts: env.APPOINTMENT_TYPE_TEXT });
+  return types.length > 0 ? types : [{ ...DEFAULT_APPOINTMENT_TYPE }];
+}
+
+/**
+ * Key identifying an appointment type
+ * @param {object} appointmentType - Object with id and text
+ * @returns {string} The id, or the text when there is no id
+ */
+export function appointmentTypeKey(appointmentType) {
+  return appointmentType?.id || appointmentType?.text || '';
+}
+
+/**
+ * Label for output: the site's label when known, otherwise the text or id
+ * @param {object} appointmentType - Object with id, text and an optional label
+ * @returns {string} Label
+ */
+export function appointmentTypeLabel(appointmentType) {
+  if (!appointmentType) return 'Unknown type';
+  return appointmentType.label || appointmentType.text || `Type ${appointmentType.id}`;
+}
+
+/**
+ * Group location results by their appointmentType, keeping scan order
+ * @param {Array<object>} results - Location results
+ * @returns {Array<object>} Groups of { appointmentType, results }
+ */
+export function groupByAppointmentType(results) {
+  const groups = new Map();
+  for (const result of results) {
+    const key = appointmentTypeKey(result.appointmentType);
+    if (!groups.has(key)) {
+      groups.set(key, { appointmentType: result.appointmentType || null, results: [] });
+    }
+    groups.get(key).results.push(result);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Normalize scanner options to a list of appointment types
+ * @param {object} options - Scanner options
+ * @param {Array<object>} options.appointmentTypes - Appointment types of { id, text } (optional)
+ * @param {string} options.appointmentTypeId - Single appointment type data-id (optional)
+ * @param {string} options.appointmentTypeText - Single appointment type text (optional)
+ * @returns {Array<object>} Appointment types of { id, text }
+ */
+export function normalizeAppointmentTypes({ appointmentTypes = null, appointmentTypeId = null, appointmentTypeText = null } = {}) {
+  if (appointmentTypes && appointmentTypes.length > 0) {
+    return appointmentTypes.map(type => ({ id: type.id || null, text: type.id ? null : type.text || null }));
+  }
+  if (appointmentTypeId || appointmentTypeText) {
+    return [{ id: appointmentTypeId || null, text: appointmentTypeId ? null : appointmentTypeText }];
+  }
+  return [];
+}
+
+/**
+ * Find a configured appointment type among the ones the site offers
+ * @param {Array<object>} offered - Offered types of { id, label }
+ * @param {object} appointmentType - Configured type of { id, text }
+ * @returns {object|undefined} The offered type
+ */
+export function findAppointmentType(offered, appointmentType) {
+  return appointmentType.id
+    ? offered.find(type => type.id === String(appointmentType.id))
+    : offered.find(type => type.label.includes(appointmentType.text));
+}
@@ -0,0 +1,208 @@
+import fs from 'fs';
+import { appointmentTypeLabel } from './appointment-types.js';
+import { diffResults, formatChange, resultKey } from './watcher.js';
+import { escapeHtml } from './html.js';
+
+/**
+ * Name of the test attachment holding one location record (JSON from toLocationRecord())
+ */
+export const RESULT_ATTACHMENT = 'availability-result';
+
+export const DEFAULT_REPORT_FOLDER = 'availability-report';
+export const REPORT_FILE = 'index.html';
+
+/**
+ * Results of the last report, kept next to it for the next run's diff
+ */
+export const SNAPSHOT_FILE = 'report.json';
+
+/**
+ * Table row for one location record
+ * @param {object} record - Location record, with the name of its screenshot attachment when one was taken
+ * @returns {object} Row values
+ */
+export function toReportRow(record) {
+  const dates = [...(record.availableDates || [])].sort();
+  return {
+    key: resultKey(record),
+    office: record.location?.name || record.cityName,
+    unitId: record.unitId ?? record.location?.unitId ?? null,
+    address: record.location ? [record.location.address, record.location.city].filter(Boolean).join(', ') : '',
+    appointmentType: record.appointmentType ? appointmentTypeLabel(record.appointmentType) : '',
+    distanceMiles: record.distanceMiles ?? null,
+    isAvailable: !!record.isAvailable,
+    earliestDate: dates[0] || null,
+    dateCount: dates.length,
+    slotCount: (record.timeSlots || []).length,
+    error: record.error?.message || null,
+    screenshot: record.screenshot || null
+  };
+}
+
+/**
+ * Read the results of a previous report
+ * @param {string} filePath - Snapshot file
+ * @returns {object|null} Snapshot of { generatedAt, results }, or null without a usable one
+ */
+export function readSnapshot(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(snapshot.results) ? snapshot : null;
+  } catch (error) {
+    console.warn(`Ignoring previous availability report ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Change in open slots for a location since the previous report
+ * @param {object} row - Row from toReportRow()
+ * @param {Map<string, object>} previousRows - Previous rows by key, or null without a previous report
+ * @returns {object} Change of { text, value }: '+3', '-1' or 'new', and the number to sort by
+ */
+function slotChange(row, previousRows) {
+  if (!previousRows) return { text: '', value: null };
+  const before = previousRows.get(row.key);
+  if (!before) return { text: 'new', value: row.slotCount };
+  const delta = row.slotCount - before.slotCount;
+  return { text: delta > 0 ? `+${delta}` : delta < 0 ? String(delta) : '', value: delta };
+}
+
+/**
+ * Table cell with the value its column sorts by
+ * @param {string} html - Cell content, already escaped
+ * @param {string|number|null} sortValue - Value to sort by; null sorts last
+ * @param {string} className - CSS class (optional)
+ * @returns {string} HTML
+ */
+function cell(html, sortValue, className = '') {
+  const value = sortValue === null || sortValue === undefined ? '' : sortValue;
+  return `<td data-value="${escapeHtml(value)}"${className ? ` class="${className}"` : ''}>${html}</td>`;
+}
+
+/**
+ * Render the availability report as a standalone HTML page
+ * @param {object} report - Report of { generatedAt, results } with location records
+ * @param {object} options - Render options
+ * @param {object} options.previous - Snapshot from the previous run (optional)
+ * @param {Map<string, string>} options.screenshots - Data URIs by screenshot attachment name
+ * @returns {string} HTML page
+ */
+export function renderReport(report, { previous = null, screenshots = new Map() } = {}) {
+  const rows = report.results.map(toReportRow);
+  const previousRows = previous ? new Map(previous.results.map(record => [resultKey(record), toReportRow(record)])) : null;
+  const available = rows.filter(row => row.isAvailable);
+  const earliest = available.filter(row => row.earliestDate).sort((a, b) => a.earliestDate.localeCompare(b.earliestDate))[0];
+  const totalSlots = rows.reduce((sum, row) => sum + row.slotCount, 0);
+  const shots = rows.filter(row => row.screenshot && screenshots.has(row.screenshot));
+
+  const tableRows = rows.map(row => {
+    const shot = shots.indexOf(row);
+    const change = slotChange(row, previousRows);
+    const status = row.error ? `Error: ${escapeHtml(row.error)}` : row.isAvailable ? 'Available' : 'None';
+    return `<tr class="${row.error ? 'error' : row.isAvailable ? 'available' : 'none'}">
+      ${cell(`${escapeHtml(row.office)}${row.address ? `<div class="address">${escapeHtml(row.address)}</div>` : ''}`, row.office)}
+      ${cell(escapeHtml(row.appointmentType), row.appointmentType)}
+      ${cell(row.distanceMiles === null ? '' : row.distanceMiles.toFixed(1), row.distanceMiles, 'number')}
+      ${cell(row.earliestDate || '', row.earliestDate)}
+      ${cell(String(row.dateCount), row.dateCount, 'number')}
+      ${cell(String(row.slotCount), row.slotCount, 'number')}
+      ${cell(change.text, change.value, 'number')}
+      ${cell(status, row.error ? 2 : row.isAvailable ? 0 : 1)}
+      ${cell(shot === -1 ? '' : `<a href="#screenshot-${shot}">View</a>`, null)}
+    </tr>`;
+  }).join('\n');
+
+  let changes;
+  if (!previous) {
+    changes = '<p>No previous report to compare with.</p>';
+  } else {
+    const diff = diffResults(previous.results, report.results);
+    changes = `<p>Since ${escapeHtml(previous.generatedAt || 'the previous run')}:</p>` + (diff.length > 0
+      ? `<ul>${diff.map(change => `<li class="${change.type}">${escapeHtml(formatChange(change))}</li>`).join('')}</ul>`
+      : '<p>No changes.</p>');
+  }
+
+  const gallery = shots.map((row, i) => `<figure id="screenshot-${i}">
+      <figcaption>${escapeHtml(row.office)}${row.appointmentType ? ` &middot; ${escapeHtml(row.appointmentType)}` : ''}</figcaption>
+      <img src="${screenshots.get(row.screenshot)}" alt="Calendar at ${escapeHtml(row.office)}">
+    </figure>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>NC DMV appointment availability</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { padding: 0.4rem 0.6rem; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; }
+    th[data-sort] { cursor: pointer; user-select: none; }
+    th[aria-sort="ascending"]::after { content: " \\25B2"; }
+    th[aria-sort="descending"]::after { content: " \\25BC"; }
+    td.number { text-align: right; }
+    tr.available { background: #eef8ee; }
+    tr.error { background: #fdeeee; }
+    .address { color: #666; font-size: 0.85em; }
+    li.gained, li.earlier { color: #1a7f37; }
+    li.lost { color: #b42318; }
+    figure { margin: 1.5rem 0; }
+    figure img { max-width: 100%; border: 1px solid #ddd; }
+  </style>
+</head>
+<body>
+  <h1>NC DMV appointment availability</h1>
+  <p>Generated ${escapeHtml(report.generatedAt)}: ${rows.length} locations checked, ${available.length} with availability, ${totalSlots} open slots${earliest ? `, earliest ${escapeHtml(earliest.earliestDate)} at ${escapeHtml(earliest.office)}` : ''}.</p>
+
+  <h2>Changes</h2>
+  ${changes}
+
+  <h2>Locations</h2>
+  <table>
+    <thead>
+      <tr>
+        <th data-sort="text">Office</th>
+        <th data-sort="text">Appointment type</th>
+        <th data-sort="number">Distance (mi)</th>
+        <th data-sort="text">Earliest date</th>
+        <th data-sort="number">Dates</th>
+        <th data-sort="number">Slots</th>
+        <th data-sort="number">Change</th>
+        <th data-sort="number">Status</th>
+        <th>Screenshot</th>
+      </tr>
+    </thead>
+    <tbody>
+${tableRows}
+    </tbody>
+  </table>
+${shots.length > 0 ? `
+  <h2>Screenshots</h2>
+  ${gallery}` : ''}
+  <script>
+    // Click a column header to sort by it; click again to reverse. Empty cells stay last.
+    document.querySelectorAll('th[data-sort]').forEach(header => {
+      header.addEventListener('click', () => {
+        const tbody = header.closest('table').tBodies[0];
+        const column = header.cellIndex;
+        const numeric = header.dataset.sort === 'number';
+        const direction = header.getAttribute('aria-sort') === 'ascending' ? -1 : 1;
+        const value = row => row.cells[column].dataset.value;
+
+        const sorted = [...tbody.rows].sort((a, b) => {
+          const x = value(a);
+          const y = value(b);
+          if (x === '' || y === '') return (x === '') - (y === '');
+          return direction * (numeric ? Number(x) - Number(y) : x.localeCompare(y));
+        });
+        header.parentElement.querySelectorAll('th').forEach(th => th.removeAttribute('aria-sort'));
+        header.setAttribute('aria-sort', direction === 1 ? 'ascending' : 'descending');
+        tbody.append(...sorted);
+      });
+    });
+  </script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,105 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  DEFAULT_REPORT_FOLDER,
+  REPORT_FILE,
+  RESULT_ATTACHMENT,
+  SNAPSHOT_FILE,
+  readSnapshot,
+  renderReport
+} from './availability-report.js';
+
+/**
+ * Playwright reporter that turns the location results a scan attaches to its
+ * test (RESULT_ATTACHMENT, plus screenshot attachments) into a standalone
+ * availability page, and compares it with the previous run's results.
+ * Runs without location results, such as the unit tests, leave the last report alone.
+ */
+export class AvailabilityReporter {
+  /**
+   * @param {object} options - Reporter options from playwright.config.js
+   * @param {string} options.outputFolder - Folder for index.html and report.json, relative to the config file
+   */
+  constructor({ outputFolder = DEFAULT_REPORT_FOLDER } = {}) {
+    this.outputFolder = outputFolder;
+    this.rootDir = process.cwd();
+    this.byTest = new Map();
+  }
+
+  /**
+   * @param {import('@playwright/test/reporter').FullConfig} config - Resolved configuration
+   */
+  onBegin(config) {
+    if (config.configFile) {
+      this.rootDir = path.dirname(config.configFile);
+    }
+  }
+
+  /**
+   * Collect a test's location results and screenshots; a retry replaces the earlier attempt
+   * @param {import('@playwright/test/reporter').TestCase} test - Finished test
+   * @param {import('@playwright/test/reporter').TestResult} result - Result of this attempt
+   */
+  onTestEnd(test, result) {
+    const results = [];
+    const screenshots = new Map();
+
+    for (const attachment of result.attachments) {
+      const isResult = attachment.name === RESULT_ATTACHMENT;
+      if (!isResult && !attachment.contentType?.startsWith('image/')) continue;
+
+      const body = readAttachment(attachment);
+      if (!body) continue;
+      if (isResult) {
+        results.push(JSON.parse(body.toString('utf8')));
+      } else {
+        screenshots.set(attachment.name, `data:${attachment.contentType};base64,${body.toString('base64')}`);
+      }
+    }
+
+    if (results.length > 0) {
+      this.byTest.set(test.id, { results, screenshots });
+    }
+  }
+
+  /**
+   * Write the report and the snapshot for the next run's diff
+   */
+  onEnd() {
+    if (this.byTest.size === 0) return;
+
+    const results = [];
+    const screenshots = new Map();
+    for (const collected of this.byTest.values()) {
+      results.push(...collected.results);
+      collected.screenshots.forEach((uri, name) => screenshots.set(name, uri));
+    }
+
+    const folder = path.resolve(this.rootDir, this.outputFolder);
+    const snapshotFile = path.join(folder, SNAPSHOT_FILE);
+    const report = { generatedAt: new Date().toISOString(), results };
+    const previous = readSnapshot(snapshotFile);
+
+    fs.mkdirSync(folder, { recursive: true });
+    fs.writeFileSync(path.join(folder, REPORT_FILE), renderReport(report, { previous, screenshots }));
+    fs.writeFileSync(snapshotFile, JSON.stringify(report, null, 2) + '\n');
+    console.log(`Availability report: ${path.relative(process.cwd(), path.join(folder, REPORT_FILE))}`);
+  }
+
+  printsToStdio() {
+    return false;
+  }
+}
+
+/**
+ * Contents of an attachment held in memory or saved to a file
+ * @param {object} attachment - Attachment with body or path
+ * @returns {Buffer|null} Contents, or null when the file is gone
+ */
+function readAttachment(attachment) {
+  if (attachment.body) return attachment.body;
+  if (attachment.path && fs.existsSync(attachment.path)) return fs.readFileSync(attachment.path);
+  return null;
+}
+
+export default AvailabilityReporter;
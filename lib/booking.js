@@ -0,0 +1,233 @@
+import fs from 'fs';
+import { BookingPage } from '../pages/BookingPage.js';
+import { findAppointmentType } from './appointment-types.js';
+import { NC_DMV } from './sites/index.js';
+
+export const DEFAULT_PROFILE_FILE = 'profile.json';
+
+/**
+ * Selectors of the booking steps that follow the calendar
+ */
+export const BOOKING_SELECTORS = [
+  'stepTitle',
+  'nextButton',
+  'validationError',
+  'firstName',
+  'lastName',
+  'phoneNumber',
+  'email',
+  'question',
+  'questionText',
+  'appointmentSummary',
+  'confirmAppointment',
+  'confirmationNumber'
+];
+
+/**
+ * Refuse to book on the live site while the adapter's booking step selectors are
+ * unconfirmed, see SiteAdapter.checkConfirmed()
+ * @param {SiteAdapter} site - Site adapter
+ * @param {string} baseUrl - Appointment Index URL in use
+ * @throws {Error} If the URL is the live site and a selector is unconfirmed
+ */
+export function checkBookingSelectors(site, baseUrl) {
+  site.checkConfirmed(BOOKING_SELECTORS, baseUrl, 'booking');
+}
+
+/**
+ * Outcomes of a booking attempt
+ */
+export const BOOKING_STATUS = {
+  DRY_RUN: 'dry-run',
+  BOOKED: 'booked'
+};
+
+/**
+ * Validate a customer profile
+ * @param {object} data - Profile with firstName, lastName, phone, email and optional answers
+ * @returns {object} Profile with trimmed fields
+ */
+export function parseProfile(data) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Profile must be an object');
+  }
+
+  const profile = {};
+  for (const field of ['firstName', 'lastName', 'phone', 'email']) {
+    const value = typeof data[field] === 'string' ? data[field].trim() : '';
+    if (!value) {
+      throw new Error(`Profile is missing ${field}`);
+    }
+    profile[field] = value;
+  }
+  if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(profile.email)) {
+    throw new Error(`Profile email "${profile.email}" is not a valid address`);
+  }
+  if (profile.phone.replace(/\D/g, '').length !== 10) {
+    throw new Error(`Profile phone "${profile.phone}" is not a 10-digit number`);
+  }
+  if (data.answers !== undefined && (data.answers === null || typeof data.answers !== 'object' || Array.isArray(data.answers))) {
+    throw new Error('Profile answers must map question ids or texts to answers');
+  }
+
+  profile.answers = { ...data.answers };
+  return profile;
+}
+
+/**
+ * Read a customer profile from a JSON file
+ * @param {string} filePath - JSON file
+ * @returns {object} Validated profile
+ */
+export function loadProfile(filePath = DEFAULT_PROFILE_FILE) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read profile from ${filePath}: ${error.message}`);
+  }
+  return parseProfile(data);
+}
+
+/**
+ * Finish a booking from an open calendar with a selected time slot: submit the
+ * slot, fill the customer info, answer the step questions and, unless this is a
+ * dry run, confirm on the review step.
+ * @param {import('@playwright/test').Page} page - Page on the calendar step
+ * @param {object} profile - Validated profile
+ * @param {object} options - Booking options
+ * @param {boolean} options.dryRun - Stop on the review step without confirming (default: true)
+ * @param {SiteAdapter} options.site - Site being booked on (default: NC DMV)
+ * @returns {Promise<object>} Outcome with status, answers, details and, once booked, confirmationNumber
+ */
+export async function completeBooking(page, profile, { dryRun = true, site = NC_DMV } = {}) {
+  const bookingPage = new BookingPage(page, { site });
+
+  await bookingPage.submitSelectedSlot();
+  await bookingPage.fillCustomerInfo(profile);
+  await bookingPage.submitCustomerInfo();
+
+  let answers = {};
+  if (await bookingPage.hasQuestions()) {
+    answers = await bookingPage.answerQuestions(profile.answers);
+    await bookingPage.submitAnswers();
+  }
+
+  const details = await bookingPage.getAppointmentSummary();
+  if (dryRun) {
+    return { status: BOOKING_STATUS.DRY_RUN, confirmationNumber: null, answers, details };
+  }
+
+  await bookingPage.confirmAppointment();
+  const confirmation = await bookingPage.getConfirmation();
+  return { status: BOOKING_STATUS.BOOKED, confirmationNumber: confirmation.confirmationNumber, answers, details: confirmation.details };
+}
+
+/**
+ * From the appointment type step, walk to a candidate's office and select its slot
+ * @param {AppointmentPage} appointmentPage - Page object on the appointment type step
+ * @param {object} slot - Time slot with date, value and datetime
+ * @param {object} result - Location result with location and cityName
+ * @param {object} type - Appointment type of { id, text } to select
+ * @returns {Promise<boolean>} True if the slot is selected
+ */
+export async function selectCandidateSlot(appointmentPage, slot, result, type) {
+  if (!findAppointmentType(await appointmentPage.getAppointmentTypes(), type)) {
+    return false;
+  }
+  await appointmentPage.selectAppointmentType(type.id, type.text);
+  if (!(await appointmentPage.waitForActiveUnitsLoad())) {
+    return false;
+  }
+
+  const locations = await appointmentPage.getLocations();
+  const index = locations.findIndex(location => result.location?.unitId
+    ? location.unitId === result.location.unitId
+    : location.name === result.cityName);
+  if (index === -1) {
+    return false;
+  }
+
+  const { isAvailable } = await appointmentPage.checkLocationAvailability(index);
+  if (!isAvailable || (slot.date && !(await appointmentPage.selectCalendarDate(slot.date)))) {
+    return false;
+  }
+
+  // The calendar may have changed since the scan. Reading every date's times can walk the
+  // datepicker to another day, so with a date only that day's times are read.
+  const slots = slot.date ? await appointmentPage.getSelectedDateTimeSlots() : await appointmentPage.getTimeSlots();
+  const open = slots.find(s => s.datetime === slot.datetime);
+  if (!open || !(await appointmentPage.selectSlot(open))) {
+    return false;
+  }
+
+  const selected = await appointmentPage.getSelectedTimeSlot();
+  if (selected !== slot.datetime) {
+    console.warn(`Selected ${selected || 'no slot'} instead of ${slot.datetime}`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Books one of a list of candidate slots in a browser session, best first.
+ * A candidate that is gone by the time its office is opened is skipped.
+ */
+export class Booker {
+  /**
+   * @param {object} options - Booker options
+   * @param {Scanner} options.scanner - Browser Scanner whose session is used
+   * @param {object} options.profile - Validated profile
+   * @param {boolean} options.dryRun - Stop before the final submission (default: true)
+   * @param {number} options.maxAttempts - Candidates to try before giving up
+   */
+  constructor({ scanner, profile, dryRun = true, maxAttempts = 3 }) {
+    this.scanner = scanner;
+    this.profile = profile;
+    this.dryRun = dryRun;
+    this.maxAttempts = maxAttempts;
+  }
+
+  /**
+   * Book the first candidate that is still open
+   * @param {Array<object>} candidates - Ranked slots of { slot, result } from rankSlots()
+   * @returns {Promise<object>} Outcome from completeBooking() with the booked slot and location result
+   * @throws {Error} If no candidate could be booked
+   */
+  async book(candidates) {
+    if (candidates.length === 0) {
+      throw new Error('No slot to book');
+    }
+
+    return this.scanner.withAppointmentPage(async appointmentPage => {
+      const attempts = candidates.slice(0, this.maxAttempts);
+
+      for (let i = 0; i < attempts.length; i++) {
+        const { slot, result } = attempts[i];
+        if (i > 0) {
+          await appointmentPage.returnToIndex(this.scanner.baseUrl);
+        }
+
+        if (await this.openSlot(appointmentPage, slot, result)) {
+          const outcome = await completeBooking(appointmentPage.page, this.profile, { dryRun: this.dryRun, site: appointmentPage.site });
+          return { ...outcome, slot, result };
+        }
+        console.warn(`${slot.datetime} at ${result.cityName} is no longer available`);
+      }
+
+      throw new Error(`None of the ${attempts.length} best slots could be selected`);
+    });
+  }
+
+  /**
+   * Walk to a candidate's office and select its slot
+   * @param {AppointmentPage} appointmentPage - Page object on the Index page
+   * @param {object} slot - Time slot with date, value and datetime
+   * @param {object} result - Location result with location and appointmentType
+   * @returns {Promise<boolean>} True if the slot is selected
+   */
+  async openSlot(appointmentPage, slot, result) {
+    await appointmentPage.clickMakeAppointment();
+    return selectCandidateSlot(appointmentPage, slot, result, result.appointmentType || this.scanner.appointmentTypes[0]);
+  }
+}
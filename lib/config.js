@@ -0,0 +1,329 @@
+import fs from 'fs';
+import { DEFAULT_GEOLOCATION } from './scanner.js';
+import { DEFAULT_SITE, getSiteAdapter } from './sites/index.js';
+import { parseAppointmentTypes, DEFAULT_APPOINTMENT_TYPE } from './appointment-types.js';
+import { parseMaxDistance } from './location.js';
+import { parseConcurrency } from './parallel-scanner.js';
+import { parseRateLimit } from './rate-limiter.js';
+import { parseRecoveryPolicy } from './errors.js';
+import { resolveHistoryFile } from './history-store.js';
+import { parseCurrentBooking } from './current-booking.js';
+import { parseCron, parseTimeZone } from './cron.js';
+import { DEFAULT_TIME_ZONE, parseQuietHours, parseRunBudget } from './scheduler.js';
+
+export const DEFAULT_CONFIG_FILE = 'dmv.config.json';
+
+/**
+ * Settings of a config file or profile. Each has the environment variable that
+ * overrides it, the JSON type it must have in the file, and a parser that
+ * validates and normalizes it (throwing with the reason when it is invalid).
+ * Environment values are strings and are converted to the type first.
+ */
+export const CONFIG_FIELDS = {
+  site: { env: 'DMV_SITE', type: 'string', parse: getSiteAdapter },
+  baseUrl: { env: 'BASE_URL', type: 'string', parse: parseUrl },
+  latitude: { env: 'LATITUDE', type: 'number', parse: value => parseCoordinate(value, 90) },
+  longitude: { env: 'LONGITUDE', type: 'number', parse: value => parseCoordinate(value, 180) },
+  appointmentTypeIds: { env: 'APPOINTMENT_TYPE_ID', type: 'list' },
+  appointmentTypeTexts: { env: 'APPOINTMENT_TYPE_TEXT', type: 'list' },
+  maxDistanceMiles: { env: 'MAX_DISTANCE_MILES', type: 'number', parse: parseMaxDistance },
+  preferencesFile: { env: 'PREFERENCES_FILE', type: 'string' },
+  concurrency: { env: 'SCAN_CONCURRENCY', type: 'integer', parse: parseConcurrency },
+  maxChecksPerMinute: { env: 'SCAN_RATE_LIMIT', type: 'number', parse: parseRateLimit },
+  recoveryPolicy: { env: 'SCAN_RECOVERY', type: 'string', parse: parseRecoveryPolicy },
+  historyFile: { env: 'SCAN_HISTORY', type: 'string', parse: resolveHistoryFile },
+  exports: { env: 'SCAN_EXPORT', type: 'list' },
+  currentBooking: { env: 'CURRENT_BOOKING', type: 'string', parse: parseCurrentBooking },
+  schedule: { env: 'SCAN_SCHEDULE', type: 'string', parse: parseCron },
+  timeZone: { env: 'SCHEDULE_TIME_ZONE', type: 'string', parse: parseTimeZone },
+  quietHours: { env: 'QUIET_HOURS', type: 'list', parse: parseQuietHours },
+  skipWeekends: { env: 'SKIP_WEEKENDS', type: 'boolean' },
+  skipHolidays: { env: 'SKIP_HOLIDAYS', type: 'boolean' },
+  maxRunsPerDay: { env: 'MAX_RUNS_PER_DAY', type: 'integer', parse: parseRunBudget },
+  headless: { env: 'HEADLESS', type: 'boolean' },
+  slowMo: { env: 'SLOW_MO', type: 'integer', parse: parseSlowMo }
+};
+
+const BOOLEAN_VALUES = { true: true, false: false, 1: true, 0: false, yes: true, no: false };
+
+/**
+ * Validate an appointment Index URL
+ */
+function parseUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error(`Invalid URL "${value}"`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`Invalid URL "${value}" (expected http or https)`);
+  }
+  return url.href;
+}
+
+/**
+ * Validate a latitude or longitude
+ */
+function parseCoordinate(value, limit) {
+  if (!Number.isFinite(value) || Math.abs(value) > limit) {
+    throw new Error(`Invalid coordinate "${value}" (expected a number from -${limit} to ${limit})`);
+  }
+  return value;
+}
+
+/**
+ * Validate a browser slow-motion delay
+ */
+function parseSlowMo(value) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`Invalid delay "${value}" (expected a whole number of milliseconds, 0 or more)`);
+  }
+  return value;
+}
+
+/**
+ * Check a value from the config file against a field's JSON type
+ * @param {any} value - Value from the file
+ * @param {string} type - Field type
+ * @returns {string|null} Why the value has the wrong type, or null
+ */
+function typeMismatch(value, type) {
+  const ok = {
+    string: typeof value === 'string',
+    number: typeof value === 'number',
+    integer: Number.isInteger(value),
+    boolean: typeof value === 'boolean',
+    list: typeof value === 'string' || (Array.isArray(value) && value.every(item => ['string', 'number'].includes(typeof item)))
+  }[type];
+  if (ok) return null;
+  const expected = { integer: 'a whole number', list: 'a string or a list of strings' }[type] || `a ${type}`;
+  return `expected ${expected}, got ${JSON.stringify(value)}`;
+}
+
+/**
+ * Convert an environment variable to a field's type
+ * @param {string} value - Variable value
+ * @param {string} type - Field type
+ * @returns {any} Converted value
+ */
+function fromEnv(value, type) {
+  if (type === 'number' || type === 'integer') {
+    const number = Number(value);
+    if (value.trim() === '' || Number.isNaN(number)) {
+      throw new Error(`expected a number, got "${value}"`);
+    }
+    return number;
+  }
+  if (type === 'boolean') {
+    const flag = BOOLEAN_VALUES[value.trim().toLowerCase()];
+    if (flag === undefined) {
+      throw new Error(`expected true or false, got "${value}"`);
+    }
+    return flag;
+  }
+  return type === 'list' ? [value] : value;
+}
+
+/**
+ * Check the settings of the file or one of its profiles
+ * @param {object} settings - Settings object
+ * @param {string} where - Location for error messages, e.g. "dmv.config.json.profiles.renewal-charlotte"
+ * @param {Array<string>} problems - Collects the problems found
+ */
+function checkSettings(settings, where, problems) {
+  for (const [name, value] of Object.entries(settings)) {
+    const field = CONFIG_FIELDS[name];
+    if (!field) {
+      problems.push(`${where}: unknown setting "${name}" (expected one of ${Object.keys(CONFIG_FIELDS).join(', ')})`);
+      continue;
+    }
+    const mismatch = typeMismatch(value, field.type);
+    if (mismatch) {
+      problems.push(`${where}.${name}: ${mismatch}`);
+      continue;
+    }
+    try {
+      field.parse?.(value);
+    } catch (error) {
+      problems.push(`${where}.${name}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Resolve the settings of a parsed config file, a profile of it and environment
+ * overrides into scanner options. Later sources win: built-in defaults, the file's
+ * top-level settings, the profile, then environment variables. baseUrl defaults to
+ * the site's Index URL, and MOCK_SITE points it at the mock site unless BASE_URL is set.
+ * @param {object} fileConfig - Parsed config file ({} without one): settings plus optional profiles by name
+ * @param {object} options - Resolution options
+ * @param {string} options.profile - Profile to apply (optional)
+ * @param {object} options.env - Environment variables (default: process.env)
+ * @param {string} options.file - Config file the settings came from, null without one
+ * @returns {object} Config of { file, profile, site, baseUrl, geolocation, appointmentTypes, maxDistanceMiles,
+ *   preferencesFile, concurrency, maxChecksPerMinute, recoveryPolicy, historyFile, exports, currentBooking, schedule, headless, slowMo }
+ *   where schedule is { cron, timeZone, quietHours, skipWeekends, skipHolidays, maxRunsPerDay }
+ */
+export function resolveConfig(fileConfig = {}, { profile = null, env = process.env, file = null } = {}) {
+  const problems = [];
+  const source = file || 'config';
+  if (fileConfig === null || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+    throw new Error(`Invalid configuration in ${source}: expected an object of settings`);
+  }
+
+  const { profiles = {}, ...topLevel } = fileConfig;
+  checkSettings(topLevel, source, problems);
+  if (profiles === null || typeof profiles !== 'object' || Array.isArray(profiles)) {
+    problems.push(`${source}.profiles: expected an object of profiles by name`);
+  } else {
+    for (const [name, settings] of Object.entries(profiles)) {
+      if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+        problems.push(`${source}.profiles.${name}: expected an object of settings`);
+      } else {
+        checkSettings(settings, `${source}.profiles.${name}`, problems);
+      }
+    }
+  }
+  if (profile && !Object.hasOwn(profiles || {}, profile)) {
+    const names = Object.keys(profiles || {});
+    problems.push(`Unknown profile "${profile}" (${names.length > 0 ? `${source} has ${names.join(', ')}` : `${source} has no profiles`})`);
+  }
+
+  const settings = { ...topLevel, ...(profile ? profiles?.[profile] : null) };
+  for (const [name, field] of Object.entries(CONFIG_FIELDS)) {
+    const value = env[field.env];
+    if (value === undefined || value === '') continue;
+    try {
+      settings[name] = fromEnv(value, field.type);
+      field.parse?.(settings[name]);
+    } catch (error) {
+      problems.push(`${field.env}: ${error.message}`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+  }
+
+  const value = name => {
+    const { parse } = CONFIG_FIELDS[name];
+    return settings[name] === undefined || !parse ? settings[name] : parse(settings[name]);
+  };
+  const site = value('site') ?? DEFAULT_SITE;
+  if (!env.BASE_URL && env.MOCK_SITE) {
+    settings.baseUrl = site.indexUrlOn(`http://127.0.0.1:${env.MOCK_PORT || 3000}`);
+  }
+  const appointmentTypes = parseAppointmentTypes({ ids: settings.appointmentTypeIds, texts: settings.appointmentTypeTexts });
+  return {
+    file,
+    profile,
+    site,
+    baseUrl: value('baseUrl') ?? site.baseUrl,
+    geolocation: {
+      latitude: value('latitude') ?? DEFAULT_GEOLOCATION.latitude,
+      longitude: value('longitude') ?? DEFAULT_GEOLOCATION.longitude
+    },
+    appointmentTypes: appointmentTypes.length > 0 ? appointmentTypes : [{ ...DEFAULT_APPOINTMENT_TYPE }],
+    maxDistanceMiles: value('maxDistanceMiles') ?? null,
+    preferencesFile: value('preferencesFile') ?? null,
+    concurrency: parseConcurrency(settings.concurrency),
+    maxChecksPerMinute: value('maxChecksPerMinute') ?? null,
+    recoveryPolicy: parseRecoveryPolicy(settings.recoveryPolicy),
+    historyFile: resolveHistoryFile(settings.historyFile),
+    exports: settings.exports === undefined ? [] : [settings.exports].flat().map(String),
+    currentBooking: value('currentBooking') ?? null,
+    schedule: {
+      cron: value('schedule') ?? null,
+      timeZone: value('timeZone') ?? DEFAULT_TIME_ZONE,
+      quietHours: value('quietHours') ?? [],
+      skipWeekends: settings.skipWeekends ?? false,
+      skipHolidays: settings.skipHolidays ?? false,
+      maxRunsPerDay: value('maxRunsPerDay') ?? null
+    },
+    headless: settings.headless ?? true,
+    slowMo: settings.slowMo ?? 0
+  };
+}
+
+/**
+ * Apply --site and --base-url flags to a resolved config. A configured URL stays
+ * unless --site switches to another site, which then brings its own default URL.
+ * @param {object} config - Config from resolveConfig()
+ * @param {object} flags - Flag values
+ * @param {string} flags.site - Site adapter name or file (optional)
+ * @param {string} flags.baseUrl - Appointment Index URL (optional)
+ * @returns {object} { site, baseUrl }
+ */
+export function resolveSite(config, { site, baseUrl } = {}) {
+  const adapter = site ? getSiteAdapter(site) : config.site;
+  const configuredUrl = config.baseUrl !== config.site.baseUrl ? config.baseUrl : null;
+  return { site: adapter, baseUrl: baseUrl || configuredUrl || adapter.baseUrl };
+}
+
+/**
+ * Load the config file and resolve a profile with environment overrides.
+ * The file is DMV_CONFIG, or dmv.config.json when it exists; the profile is DMV_PROFILE.
+ * Without a file, the configuration comes from the environment alone.
+ * @param {object} options - Load options
+ * @param {string} options.file - Config file (default: $DMV_CONFIG or dmv.config.json)
+ * @param {string} options.profile - Profile name (default: $DMV_PROFILE)
+ * @param {object} options.env - Environment variables (default: process.env)
+ * @returns {object} Config from resolveConfig()
+ */
+export function loadConfig({ file, profile, env = process.env } = {}) {
+  const configFile = file || env.DMV_CONFIG || null;
+  const profileName = profile || env.DMV_PROFILE || null;
+  const path = configFile || DEFAULT_CONFIG_FILE;
+
+  if (!configFile && !fs.existsSync(path)) {
+    if (profileName) {
+      throw new Error(`Profile "${profileName}" needs a config file (none at ${path})`);
+    }
+    return resolveConfig({}, { env });
+  }
+  if (!fs.existsSync(path)) {
+    throw new Error(`No config file at ${path}`);
+  }
+
+  return resolveConfig(readConfigFile(path), { profile: profileName, env, file: path });
+}
+
+/**
+ * Parse a config file
+ */
+function readConfigFile(path) {
+  try {
+    return JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config from ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Load the config of every scheduled run: each profile with a schedule (its own
+ * or the top-level one), or the top-level settings when no profile has one.
+ * The file is found as in loadConfig(); DMV_PROFILE plays no part.
+ * @param {object} options - Load options
+ * @param {string} options.file - Config file (default: $DMV_CONFIG or dmv.config.json)
+ * @param {object} options.env - Environment variables (default: process.env)
+ * @returns {Array<object>} Configs from resolveConfig() with a schedule.cron
+ */
+export function loadSchedules({ file, env = process.env } = {}) {
+  const configFile = file || env.DMV_CONFIG || null;
+  const path = configFile || DEFAULT_CONFIG_FILE;
+
+  let configs;
+  if (!configFile && !fs.existsSync(path)) {
+    configs = [resolveConfig({}, { env })];
+  } else if (!fs.existsSync(path)) {
+    throw new Error(`No config file at ${path}`);
+  } else {
+    const fileConfig = readConfigFile(path);
+    const topLevel = resolveConfig(fileConfig, { env, file: path });
+    configs = [topLevel, ...Object.keys(fileConfig.profiles || {}).map(profile => resolveConfig(fileConfig, { profile, env, file: path }))];
+  }
+
+  const scheduled = configs.filter(config => config.schedule.cron);
+  const profiles = scheduled.filter(config => config.profile);
+  return profiles.length > 0 ? profiles : scheduled;
+}
@@ -0,0 +1,229 @@
+/**
+ * Fields of a cron expression in order, with their range and the names they accept
+ */
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  // 7 is Sunday too
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MINUTE_MS = 60 * 1000;
+// How far ahead next() looks before deciding an expression never matches, e.g. "0 0 30 2 *"
+const MAX_LOOKAHEAD_MS = 5 * 366 * 24 * 60 * MINUTE_MS;
+
+const formatters = new Map();
+
+/**
+ * Wall-clock date and time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone such as "America/New_York"
+ * @returns {object} Parts of { date (YYYY-MM-DD), year, month, day, hour, minute, weekday (0 = Sunday) }
+ */
+export function zonedParts(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * Validate an IANA time zone name
+ * @param {string} value - Time zone such as "America/New_York"
+ * @returns {string} The time zone
+ */
+export function parseTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+  } catch (error) {
+    throw new Error(`Unknown time zone "${value}" (expected an IANA name such as America/New_York)`);
+  }
+  return value;
+}
+
+/**
+ * Read one value of a field, as a number or a name
+ */
+function fieldValue(text, field) {
+  const index = field.names?.indexOf(text.toLowerCase()) ?? -1;
+  const value = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : Number(text);
+  if (!/^\w+$/.test(text) || !Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new Error(`${field.name} "${text}" is out of range (expected ${field.min}-${field.max}${field.names ? ' or a name' : ''})`);
+  }
+  return value;
+}
+
+/**
+ * Parse one field into the set of values it matches
+ * @param {string} text - Field such as "*", "9-17", "*\/15" or "mon,wed,fri"
+ * @param {object} field - Entry of FIELDS
+ * @returns {Set<number>} Matching values
+ */
+function parseField(text, field) {
+  const values = new Set();
+  for (const item of text.split(',')) {
+    const [range, stepText, ...extra] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (extra.length > 0 || !Number.isInteger(step) || step < 1) {
+      throw new Error(`${field.name} "${item}" has an invalid step`);
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      [from, to] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(part => fieldValue(part, field));
+      if (from > to) {
+        throw new Error(`${field.name} range "${range}" runs backwards`);
+      }
+    } else {
+      from = fieldValue(range, field);
+      // "5/15" means every 15 from 5
+      to = stepText === undefined ? from : field.max;
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(field.name === 'day of week' && value === 7 ? 0 : value);
+    }
+  }
+  return values;
+}
+
+/**
+ * First minute of the day after an instant, in a time zone. A day is 23 or 25 hours
+ * long when the clocks change, so 24 hours on lands an hour off: step to the
+ * midnight of the day landed on, or on to the next one if still the same day.
+ * @param {number} time - Instant in milliseconds
+ * @param {object} parts - Parts of the instant from zonedParts()
+ * @param {string} timeZone - Time zone
+ * @returns {number} Instant of the next midnight (the first existing minute of the next day)
+ */
+function nextMidnight(time, parts, timeZone) {
+  const guess = time + ((24 - parts.hour) * 60 - parts.minute) * MINUTE_MS;
+  const landed = zonedParts(new Date(guess), timeZone);
+  if (landed.date === parts.date) {
+    return guess + ((24 - landed.hour) * 60 - landed.minute) * MINUTE_MS;
+  }
+  const midnight = guess - (landed.hour * 60 + landed.minute) * MINUTE_MS;
+  // Where midnight itself is skipped, the day starts at the guess
+  return zonedParts(new Date(midnight), timeZone).date === landed.date ? midnight : guess;
+}
+
+/**
+ * A parsed cron expression: minute, hour, day of month, month and day of week,
+ * evaluated in a time zone. As in Vixie cron, when both the day of month and the
+ * day of week are restricted, a day matching either one matches.
+ */
+export class CronSchedule {
+  /**
+   * @param {string} expression - Five-field expression such as "*\/20 7-16 * * mon-fri", or a macro such as "@hourly"
+   */
+  constructor(expression) {
+    this.expression = String(expression ?? '').trim();
+    const fields = (MACROS[this.expression.toLowerCase()] || this.expression).split(/\s+/);
+    if (fields.length !== FIELDS.length) {
+      throw new Error(`Invalid cron expression "${this.expression}": expected 5 fields (minute hour day-of-month month day-of-week)`);
+    }
+
+    try {
+      [this.minutes, this.hours, this.daysOfMonth, this.months, this.daysOfWeek] = fields.map((text, i) => parseField(text, FIELDS[i]));
+    } catch (error) {
+      throw new Error(`Invalid cron expression "${this.expression}": ${error.message}`);
+    }
+    this.restrictsDayOfMonth = fields[2] !== '*';
+    this.restrictsDayOfWeek = fields[4] !== '*';
+  }
+
+  /**
+   * Whether a wall-clock day matches the day fields
+   * @param {object} parts - Parts from zonedParts()
+   * @returns {boolean} True if the schedule runs on that day
+   */
+  matchesDay(parts) {
+    if (!this.months.has(parts.month)) return false;
+    const byDayOfMonth = this.daysOfMonth.has(parts.day);
+    const byDayOfWeek = this.daysOfWeek.has(parts.weekday);
+    if (this.restrictsDayOfMonth && this.restrictsDayOfWeek) {
+      return byDayOfMonth || byDayOfWeek;
+    }
+    return byDayOfMonth && byDayOfWeek;
+  }
+
+  /**
+   * Whether the schedule runs in the minute of an instant
+   * @param {Date} date - Instant
+   * @param {string} timeZone - Time zone the expression is read in
+   * @returns {boolean} True if it matches
+   */
+  matches(date, timeZone) {
+    const parts = zonedParts(date, timeZone);
+    return this.matchesDay(parts) && this.hours.has(parts.hour) && this.minutes.has(parts.minute);
+  }
+
+  /**
+   * First minute the schedule runs after an instant
+   * @param {Date} after - Instant; the result is at least a minute later
+   * @param {string} timeZone - Time zone the expression is read in
+   * @returns {Date} Start of the next matching minute
+   * @throws {Error} If nothing matches within five years
+   */
+  next(after, timeZone) {
+    const start = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    let time = start;
+
+    while (time - start <= MAX_LOOKAHEAD_MS) {
+      const parts = zonedParts(new Date(time), timeZone);
+      if (!this.matchesDay(parts)) {
+        time = nextMidnight(time, parts, timeZone);
+      } else if (!this.hours.has(parts.hour)) {
+        time += (60 - parts.minute) * MINUTE_MS;
+      } else if (!this.minutes.has(parts.minute)) {
+        time += MINUTE_MS;
+      } else {
+        return new Date(time);
+      }
+    }
+    throw new Error(`Cron expression "${this.expression}" never matches`);
+  }
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field expression or macro
+ * @returns {CronSchedule} Schedule
+ */
+export function parseCron(expression) {
+  return expression instanceof CronSchedule ? expression : new CronSchedule(expression);
+}
@@ -0,0 +1,224 @@
+import fs from 'fs';
+import path from 'path';
+import { toIsoDate } from './appointment-parser.js';
+import { appointmentTypeLabel } from './appointment-types.js';
+import { slotMinutes, toMinutes } from './preferences.js';
+import { resultKey } from './watcher.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_ALERT_STATE_FILE = 'data/earlier-slot-alerts.json';
+
+/**
+ * Event type of a slot that beats the current booking
+ */
+export const EARLIER_SLOT = 'earlier-slot';
+
+/**
+ * Parse the appointment already held
+ * @param {string} value - "YYYY-MM-DD", optionally followed by a time and "@ office",
+ *   e.g. "2027-02-15 10:30 AM @ Raleigh West"
+ * @returns {object|null} Booking of { date, time, minutes, office }, or null when empty
+ */
+export function parseCurrentBooking(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+
+  const [when, ...office] = String(value).split('@');
+  const match = /^(\d{4}-\d{2}-\d{2})(?:[ T](.+))?$/.exec(when.trim());
+  const minutes = match?.[2] ? toMinutes(match[2]) : null;
+  const validDate = match && !Number.isNaN(Date.parse(match[1])) && new Date(match[1]).toISOString().startsWith(match[1]);
+  if (!validDate || (match[2] && minutes === null)) {
+    throw new Error(`Invalid current booking "${value}" (expected YYYY-MM-DD, an optional time and "@ office", e.g. "2027-02-15 10:30 AM @ Raleigh West")`);
+  }
+
+  return {
+    date: match[1],
+    time: match[2]?.trim() || null,
+    minutes,
+    office: office.join('@').trim() || null
+  };
+}
+
+/**
+ * Describe a booking as "2027-02-15 10:30 AM at Raleigh West"
+ * @param {object} booking - Booking from parseCurrentBooking()
+ * @returns {string} Description
+ */
+export function formatBooking(booking) {
+  return [booking.date, booking.time, booking.office ? `at ${booking.office}` : null].filter(Boolean).join(' ');
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+/**
+ * Slots of a result to compare: its time slots, plus the open dates the calendar
+ * gave no times for
+ * @param {object} result - Location result
+ * @returns {Array<object>} Slots with date, and time and datetime when known
+ */
+function resultSlots(result) {
+  const slots = (result.timeSlots || [])
+    .map(slot => (slot.date ? slot : { ...slot, date: toIsoDate(slot.datetime) }))
+    .filter(slot => slot.date);
+  const timedDates = new Set(slots.map(slot => slot.date));
+  const untimed = (result.availableDates || []).filter(date => !timedDates.has(date)).map(date => ({ date, time: null, datetime: null }));
+  return [...slots, ...untimed];
+}
+
+/**
+ * Whether a slot is earlier than the current booking. Without a booking time, only
+ * an earlier day counts; with one, an earlier time on the same day counts too.
+ * @param {object} slot - Slot with date, and time when known
+ * @param {object} booking - Booking from parseCurrentBooking()
+ * @returns {boolean} True if the slot is earlier
+ */
+export function isBeforeBooking(slot, booking) {
+  const minutes = slotMinutes(slot);
+  return slot.date < booking.date
+    || (slot.date === booking.date && booking.minutes !== null && minutes !== null && minutes < booking.minutes);
+}
+
+/**
+ * Whether a result is the office of the booking, compared by name
+ */
+function isBookedOffice(result, booking) {
+  return String(result.cityName || '').trim().toLowerCase() === booking.office.toLowerCase();
+}
+
+/**
+ * Every slot that is earlier than the current booking, see isBeforeBooking(). When the
+ * booking names its office, a slot at another office has to be on an earlier day:
+ * an earlier time the same day only counts at the booked office.
+ * @param {Array<object>} results - Location results with timeSlots and availableDates
+ * @param {object} booking - Booking from parseCurrentBooking()
+ * @returns {Array<object>} Events of { type, key, cityName, appointmentType, distanceMiles, date, time,
+ *   datetime, deltaDays, booking, slot, result }, earliest first
+ */
+export function findEarlierSlots(results, booking) {
+  const events = [];
+
+  for (const result of results) {
+    if (result.error || !result.isAvailable) continue;
+    const elsewhere = booking.office !== null && !isBookedOffice(result, booking);
+
+    for (const slot of resultSlots(result)) {
+      if (!isBeforeBooking(slot, booking) || (elsewhere && slot.date === booking.date)) continue;
+
+      events.push({
+        type: EARLIER_SLOT,
+        key: [resultKey(result), slot.date, slot.time].filter(Boolean).join('\u0000'),
+        cityName: result.cityName,
+        appointmentType: result.appointmentType || null,
+        distanceMiles: result.distanceMiles ?? null,
+        date: slot.date,
+        time: slot.time || null,
+        datetime: slot.datetime || null,
+        deltaDays: daysBetween(slot.date, booking.date),
+        booking,
+        slot,
+        result
+      });
+    }
+  }
+
+  return events.sort((a, b) => a.date.localeCompare(b.date)
+    || (slotMinutes(a.slot) ?? 0) - (slotMinutes(b.slot) ?? 0)
+    || (a.distanceMiles ?? Infinity) - (b.distanceMiles ?? Infinity));
+}
+
+/**
+ * Format an earlier slot as a console line
+ * @param {object} event - Event from findEarlierSlots()
+ * @returns {string} Status line
+ */
+export function formatEarlierSlot(event) {
+  const type = event.appointmentType ? ` (${appointmentTypeLabel(event.appointmentType)})` : '';
+  const days = event.deltaDays === 0 ? 'earlier the same day as' : `${event.deltaDays} day${event.deltaDays === 1 ? '' : 's'} before`;
+  return `${event.cityName}${type}: ↑ ${[event.date, event.time].filter(Boolean).join(' ')} is ${days} your booking (${formatBooking(event.booking)})`;
+}
+
+/**
+ * Remembers which earlier slots were already alerted, so a slot that stays open
+ * alerts once across scans and runs. The state lives in a JSON file of
+ * { booking, alerted: { key: { date, alertedAt } } }; a new booking starts it over, and
+ * slots whose day has passed are dropped.
+ */
+export class EarlierSlotTracker {
+  /**
+   * @param {object} options - Tracker options
+   * @param {object} options.booking - Booking from parseCurrentBooking()
+   * @param {string} options.filePath - State file, or null to keep the state in memory
+   */
+  constructor({ booking, filePath = DEFAULT_ALERT_STATE_FILE }) {
+    this.booking = booking;
+    this.filePath = filePath;
+    this.alerted = this.load();
+  }
+
+  /**
+   * Read the alerted slots of this booking from the state file
+   * @returns {Map<string, object>} Alerts of { date, alertedAt } by slot key
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return new Map();
+    }
+
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      console.warn(`Ignoring unreadable alert state ${this.filePath}: ${error.message}`);
+      return new Map();
+    }
+    return state.booking === formatBooking(this.booking) ? new Map(Object.entries(state.alerted || {})) : new Map();
+  }
+
+  /**
+   * Write the alerted slots to the state file
+   */
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const state = { booking: formatBooking(this.booking), alerted: Object.fromEntries(this.alerted) };
+    fs.writeFileSync(this.filePath, JSON.stringify(state, null, 2) + '\n');
+  }
+
+  /**
+   * Keep the events not alerted before. Nothing is remembered until markAlerted(),
+   * so a slot whose alert could not be delivered comes up again on the next scan.
+   * @param {Array<object>} events - Events from findEarlierSlots()
+   * @param {object} options - Options
+   * @param {Date} options.now - Current time, to drop alerts of past slots
+   * @returns {Array<object>} Events still to alert
+   */
+  pending(events, { now = new Date() } = {}) {
+    const today = now.toISOString().slice(0, 10);
+    for (const [key, alert] of this.alerted) {
+      if (alert.date < today) {
+        this.alerted.delete(key);
+      }
+    }
+    return events.filter(event => !this.alerted.has(event.key));
+  }
+
+  /**
+   * Remember events as alerted, once their alert was delivered
+   * @param {Array<object>} events - Events from pending()
+   * @param {object} options - Options
+   * @param {Date} options.now - Alert time
+   */
+  markAlerted(events, { now = new Date() } = {}) {
+    for (const event of events) {
+      this.alerted.set(event.key, { date: event.date, alertedAt: now.toISOString() });
+    }
+    this.save();
+  }
+}
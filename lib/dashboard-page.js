@@ -0,0 +1,167 @@
+/**
+ * The dashboard page. It has no data of its own: the script loads the state
+ * from the /api/events stream and keeps the table up to date from its events.
+ * @returns {string} HTML page
+ */
+export function renderDashboardPage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>NC DMV scan dashboard</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { padding: 0.4rem 0.6rem; border-bottom: 1px solid #ddd; text-align: left; vertical-align: middle; }
+    td.number { text-align: right; }
+    tr.available { background: #eef8ee; }
+    tr.error { background: #fdeeee; }
+    tr.updated { outline: 2px solid #f0b429; }
+    .address, .muted { color: #666; font-size: 0.85em; }
+    .progress { display: flex; align-items: center; gap: 0.6rem; margin: 0.3rem 0; }
+    .progress progress { width: 16rem; }
+    #connection.offline { color: #b42318; }
+    svg.sparkline { width: 6rem; height: 1.4rem; }
+    svg.sparkline polyline { fill: none; stroke: #1a7f37; stroke-width: 1.5; }
+    svg.sparkline circle { fill: #1a7f37; }
+  </style>
+</head>
+<body>
+  <h1>NC DMV scan dashboard</h1>
+  <p id="connection" class="muted">Connecting&hellip;</p>
+
+  <h2>Scan</h2>
+  <div id="scan"><p>No scan yet.</p></div>
+
+  <h2>Locations</h2>
+  <table>
+    <thead>
+      <tr>
+        <th>Office</th>
+        <th>Appointment type</th>
+        <th>Distance (mi)</th>
+        <th>Earliest date</th>
+        <th>Dates</th>
+        <th>Slots</th>
+        <th>Slot history</th>
+        <th>Checked</th>
+        <th>Status</th>
+      </tr>
+    </thead>
+    <tbody id="locations"></tbody>
+  </table>
+
+  <script>
+    const rows = new Map();
+    const tbody = document.getElementById('locations');
+    const connection = document.getElementById('connection');
+
+    function element(tag, { text = '', className = '' } = {}) {
+      const node = document.createElement(tag);
+      node.textContent = text;
+      if (className) node.className = className;
+      return node;
+    }
+
+    // Open slots per scan, oldest to newest
+    function sparkline(history) {
+      const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      svg.setAttribute('class', 'sparkline');
+      svg.setAttribute('viewBox', '0 0 100 20');
+      svg.setAttribute('preserveAspectRatio', 'none');
+      if (history.length === 0) return svg;
+
+      const max = Math.max(1, ...history.map(point => point.slotCount));
+      const step = history.length > 1 ? 100 / (history.length - 1) : 0;
+      const points = history.map((point, i) => [i * step, 19 - (point.slotCount / max) * 18]);
+      const line = document.createElementNS(svg.namespaceURI, 'polyline');
+      line.setAttribute('points', points.map(point => point.join(',')).join(' '));
+      const last = document.createElementNS(svg.namespaceURI, 'circle');
+      last.setAttribute('cx', points[points.length - 1][0]);
+      last.setAttribute('cy', points[points.length - 1][1]);
+      last.setAttribute('r', 2);
+      svg.append(line, last);
+
+      const title = document.createElementNS(svg.namespaceURI, 'title');
+      title.textContent = history.map(point => point.timestamp.slice(0, 16).replace('T', ' ') + ': ' + point.slotCount).join('\\n');
+      svg.append(title);
+      return svg;
+    }
+
+    function renderRow(row) {
+      const tr = element('tr', { className: row.error ? 'error' : row.isAvailable ? 'available' : 'none' });
+      const office = element('td', { text: row.office });
+      if (row.address) office.append(element('div', { text: row.address, className: 'address' }));
+      const history = element('td');
+      history.append(sparkline(row.history));
+
+      tr.append(
+        office,
+        element('td', { text: row.appointmentType }),
+        element('td', { text: row.distanceMiles === null ? '' : row.distanceMiles.toFixed(1), className: 'number' }),
+        element('td', { text: row.earliestDate || '' }),
+        element('td', { text: String(row.dateCount), className: 'number' }),
+        element('td', { text: String(row.slotCount), className: 'number' }),
+        history,
+        element('td', { text: new Date(row.checkedAt).toLocaleTimeString(), className: 'muted' }),
+        element('td', { text: row.error ? 'Error: ' + row.error : row.isAvailable ? 'Available' : 'None' })
+      );
+      return tr;
+    }
+
+    // Nearest first, as the scanner checks them
+    function renderLocations(changedKey = null) {
+      const sorted = [...rows.values()].sort((a, b) => (a.distanceMiles ?? Infinity) - (b.distanceMiles ?? Infinity)
+        || a.office.localeCompare(b.office));
+      tbody.replaceChildren(...sorted.map(row => {
+        const tr = renderRow(row);
+        if (row.key === changedKey) tr.classList.add('updated');
+        return tr;
+      }));
+    }
+
+    function renderScan(scan) {
+      const container = document.getElementById('scan');
+      const status = scan.status === 'running' ? 'Scanning' : scan.status === 'failed' ? 'Failed' : 'Finished';
+      const when = scan.finishedAt ? ' at ' + new Date(scan.finishedAt).toLocaleTimeString() : ' since ' + new Date(scan.startedAt).toLocaleTimeString();
+      const summary = element('p', { text: status + when + ': ' + scan.checked + ' locations checked, ' + scan.available
+        + ' with availability' + (scan.errors > 0 ? ', ' + scan.errors + ' not checked' : '') + (scan.error ? ' (' + scan.error + ')' : '') });
+
+      const bars = scan.progress.map(entry => {
+        const bar = element('div', { className: 'progress' });
+        const meter = element('progress');
+        meter.max = entry.total || 1;
+        meter.value = entry.checked;
+        bar.append(element('span', { text: entry.label || 'Locations' }), meter, element('span', { text: entry.checked + ' of ' + entry.total, className: 'muted' }));
+        return bar;
+      });
+      container.replaceChildren(summary, ...bars);
+    }
+
+    const events = new EventSource('/api/events');
+    events.onopen = () => {
+      connection.textContent = 'Live';
+      connection.className = 'muted';
+    };
+    events.onerror = () => {
+      connection.textContent = 'Disconnected, retrying\\u2026';
+      connection.className = 'offline';
+    };
+    events.addEventListener('snapshot', event => {
+      const { scans, locations } = JSON.parse(event.data);
+      rows.clear();
+      locations.forEach(row => rows.set(row.key, row));
+      renderLocations();
+      if (scans[0]) renderScan(scans[0]);
+    });
+    events.addEventListener('location', event => {
+      const row = JSON.parse(event.data);
+      rows.set(row.key, row);
+      renderLocations(row.key);
+    });
+    events.addEventListener('scan', event => renderScan(JSON.parse(event.data)));
+  </script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,346 @@
+import http from 'http';
+import { appointmentTypeKey, appointmentTypeLabel } from './appointment-types.js';
+import { toReportRow } from './availability-report.js';
+import { renderDashboardPage } from './dashboard-page.js';
+import { locationKey, resultKey } from './watcher.js';
+
+/**
+ * Events pushed to dashboard subscribers: a scan started, progressed or ended,
+ * a location was checked, or (on connecting) the whole state
+ */
+export const DASHBOARD_EVENTS = {
+  SNAPSHOT: 'snapshot',
+  SCAN: 'scan',
+  LOCATION: 'location'
+};
+
+export const SCAN_STATUS = {
+  RUNNING: 'running',
+  FINISHED: 'finished',
+  FAILED: 'failed'
+};
+
+/**
+ * Point of a location's sparkline: its open slots and earliest date in one scan
+ * @param {string} scanId - Scan the result belongs to
+ * @param {string} timestamp - When the location was checked
+ * @param {object} row - Row from toReportRow()
+ * @returns {object} Point of { scanId, timestamp, slotCount, earliestDate }
+ */
+function historyPoint(scanId, timestamp, row) {
+  return { scanId, timestamp, slotCount: row.slotCount, earliestDate: row.earliestDate };
+}
+
+/**
+ * Live state of the scans in this process, fed by the scanner's onResult callback
+ * with the same result objects checkLocationAvailability() builds. Keeps one row
+ * per location and appointment type with its latest result, a short slot history
+ * per row for sparklines, and notifies subscribers of every change.
+ */
+export class DashboardState {
+  /**
+   * @param {object} options - State options
+   * @param {number} options.historyLimit - Scans kept per location for its sparkline
+   * @param {number} options.maxScans - Scans kept in the scan list
+   */
+  constructor({ historyLimit = 30, maxScans = 50 } = {}) {
+    this.historyLimit = historyLimit;
+    this.maxScans = maxScans;
+    this.scans = [];
+    this.rows = new Map();
+    this.history = new Map();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Seed the sparklines from the scan history
+   * @param {Array<object>} records - Records from HistoryStore.readRecords(), oldest first
+   */
+  loadHistory(records) {
+    for (const record of records) {
+      this.addHistoryPoint(resultKey(record), historyPoint(record.scanId, record.timestamp, toReportRow(record)));
+    }
+  }
+
+  /**
+   * Listen to state changes
+   * @param {Function} listener - Called with (event, data) for each DASHBOARD_EVENTS change
+   * @returns {Function} Unsubscribes the listener
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify every subscriber; a failing listener does not stop the others
+   */
+  emit(event, data) {
+    for (const listener of this.listeners) {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.warn(`Dashboard listener failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * The scan in progress, or the last one
+   * @returns {object|null} Scan
+   */
+  get currentScan() {
+    return this.scans[this.scans.length - 1] || null;
+  }
+
+  /**
+   * Start tracking a scan
+   * @param {object} scan - Scan metadata of { baseUrl, startedAt }
+   * @returns {object} Tracked scan
+   */
+  beginScan({ baseUrl, startedAt = new Date().toISOString() }) {
+    const scan = {
+      id: startedAt,
+      baseUrl,
+      startedAt,
+      finishedAt: null,
+      status: SCAN_STATUS.RUNNING,
+      progress: [],
+      checked: 0,
+      available: 0,
+      errors: 0,
+      error: null
+    };
+    this.scans.push(scan);
+    this.scans.splice(0, Math.max(0, this.scans.length - this.maxScans));
+    this.emit(DASHBOARD_EVENTS.SCAN, scan);
+    return scan;
+  }
+
+  /**
+   * Record a checked location of the current scan
+   * @param {object} result - Location result
+   * @param {number} position - Position of the location in its appointment type's plan (0-based)
+   * @param {number} total - Locations planned for its appointment type
+   * @returns {object} Updated row
+   */
+  addResult(result, position = 0, total = 0) {
+    const scan = this.currentScan?.status === SCAN_STATUS.RUNNING ? this.currentScan : this.beginScan({ baseUrl: null });
+    const checkedAt = result.checkedAt || new Date().toISOString();
+    const key = resultKey(result);
+    const report = toReportRow(result);
+
+    if (!result.error) {
+      this.addHistoryPoint(key, historyPoint(scan.id, checkedAt, report));
+    }
+    const row = { ...report, id: locationKey(result), scanId: scan.id, checkedAt, result };
+    this.rows.set(key, row);
+
+    const typeKey = appointmentTypeKey(result.appointmentType);
+    let progress = scan.progress.find(entry => entry.appointmentType === typeKey);
+    if (!progress) {
+      progress = { appointmentType: typeKey, label: result.appointmentType ? appointmentTypeLabel(result.appointmentType) : '', checked: 0, total };
+      scan.progress.push(progress);
+    }
+    progress.checked = Math.max(progress.checked, position + 1);
+    progress.total = Math.max(total, progress.checked);
+    scan.checked += 1;
+    scan.available += result.isAvailable ? 1 : 0;
+    scan.errors += result.error ? 1 : 0;
+
+    const updated = this.toLocationRow(key);
+    this.emit(DASHBOARD_EVENTS.LOCATION, updated);
+    this.emit(DASHBOARD_EVENTS.SCAN, scan);
+    return updated;
+  }
+
+  /**
+   * Mark the current scan as done
+   * @param {object} outcome - Outcome of { finishedAt, error }
+   * @returns {object|null} Finished scan
+   */
+  finishScan({ finishedAt = new Date().toISOString(), error = null } = {}) {
+    const scan = this.currentScan;
+    if (!scan || scan.status !== SCAN_STATUS.RUNNING) return null;
+
+    Object.assign(scan, { finishedAt, status: error ? SCAN_STATUS.FAILED : SCAN_STATUS.FINISHED, error: error?.message || null });
+    this.emit(DASHBOARD_EVENTS.SCAN, scan);
+    return scan;
+  }
+
+  /**
+   * Append to a row's sparkline, keeping the last historyLimit scans
+   */
+  addHistoryPoint(key, point) {
+    const points = (this.history.get(key) || []).filter(existing => existing.scanId !== point.scanId);
+    points.push(point);
+    this.history.set(key, points.slice(-this.historyLimit));
+  }
+
+  /**
+   * A row with its sparkline
+   * @param {string} key - Result key
+   * @returns {object} Row
+   */
+  toLocationRow(key) {
+    return { ...this.rows.get(key), history: this.history.get(key) || [] };
+  }
+
+  /**
+   * Every row, nearest first
+   * @returns {Array<object>} Rows
+   */
+  locations() {
+    return [...this.rows.keys()]
+      .map(key => this.toLocationRow(key))
+      .sort((a, b) => (a.distanceMiles ?? Infinity) - (b.distanceMiles ?? Infinity) || a.office.localeCompare(b.office));
+  }
+
+  /**
+   * One office's rows, one per appointment type
+   * @param {string} id - Unit id, or the office name for results without one
+   * @returns {object|null} Location of { id, office, rows }, or null when it was not checked
+   */
+  location(id) {
+    const rows = this.locations().filter(row => row.id === id);
+    return rows.length > 0 ? { id, office: rows[0].office, rows } : null;
+  }
+
+  /**
+   * The whole state, as sent to a new subscriber
+   * @returns {object} Snapshot of { scans (newest first), locations }
+   */
+  snapshot() {
+    return { scans: [...this.scans].reverse(), locations: this.locations() };
+  }
+}
+
+/**
+ * Local HTTP server for a DashboardState: the dashboard page, a JSON API and a
+ * Server-Sent Events stream of changes.
+ *
+ *   GET /                    Dashboard page
+ *   GET /api/scans           Scans, newest first
+ *   GET /api/locations       Location rows with their sparkline history
+ *   GET /api/locations/:id   One office by unit id
+ *   GET /api/events          SSE stream: a snapshot, then scan and location events
+ */
+export class DashboardServer {
+  /**
+   * @param {object} options - Server options
+   * @param {DashboardState} options.state - State to serve
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {string} options.host - Host to bind to
+   * @param {number} options.heartbeatMs - Interval of the keep-alive comments on event streams
+   */
+  constructor({ state, port = 0, host = '127.0.0.1', heartbeatMs = 15000 }) {
+    this.state = state;
+    this.port = port;
+    this.host = host;
+    this.heartbeatMs = heartbeatMs;
+    this.server = null;
+    this.streams = new Set();
+  }
+
+  get url() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL of the server
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      try {
+        this.handle(req, res);
+      } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(`Dashboard error: ${error.message}`);
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.port = this.server.address().port;
+    return this.url;
+  }
+
+  /**
+   * End every event stream and stop listening
+   */
+  async stop() {
+    if (!this.server) return;
+    for (const close of this.streams) {
+      close();
+    }
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Route an incoming request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handle(req, res) {
+    const url = new URL(req.url, this.url);
+    const sendJson = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (req.method !== 'GET') {
+      return sendJson(405, { error: 'Only GET is supported' });
+    }
+    if (url.pathname === '/') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      return res.end(renderDashboardPage());
+    }
+    if (url.pathname === '/api/scans') {
+      return sendJson(200, { scans: this.state.snapshot().scans });
+    }
+    if (url.pathname === '/api/locations') {
+      return sendJson(200, { locations: this.state.locations() });
+    }
+    const match = /^\/api\/locations\/([^/]+)$/.exec(url.pathname);
+    if (match) {
+      const location = this.state.location(decodeURIComponent(match[1]));
+      return location ? sendJson(200, location) : sendJson(404, { error: `No location ${decodeURIComponent(match[1])} in this session` });
+    }
+    if (url.pathname === '/api/events') {
+      return this.handleEvents(req, res);
+    }
+
+    sendJson(404, { error: 'Not found' });
+  }
+
+  /**
+   * Stream state changes as Server-Sent Events, starting with a snapshot
+   */
+  handleEvents(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    send(DASHBOARD_EVENTS.SNAPSHOT, this.state.snapshot());
+
+    const unsubscribe = this.state.subscribe(send);
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), this.heartbeatMs);
+    heartbeat.unref();
+
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      this.streams.delete(close);
+      res.end();
+    };
+    this.streams.add(close);
+    req.on('close', close);
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * Classes of failure during a scan
+ */
+export const ERROR_TYPES = {
+  SITE_DOWN: 'site-down',
+  SESSION_EXPIRED: 'session-expired',
+  THROTTLED: 'throttled',
+  SELECTOR_DRIFT: 'selector-drift',
+  TIMEOUT: 'timeout',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * What a scan does after a failure: re-enter the flow from Make Appointment
+ * and try the location again, record the location as an error and move on,
+ * or stop the scan
+ */
+export const RECOVERY_ACTIONS = {
+  REENTER: 'reenter',
+  SKIP: 'skip',
+  ABORT: 'abort'
+};
+
+/**
+ * Recovery per error type. A reenter rule skips the location once its retries are used up.
+ * Throttling and outages abort, since further requests only make them worse.
+ */
+export const DEFAULT_RECOVERY_POLICY = {
+  [ERROR_TYPES.SITE_DOWN]: { action: RECOVERY_ACTIONS.ABORT },
+  [ERROR_TYPES.THROTTLED]: { action: RECOVERY_ACTIONS.ABORT },
+  [ERROR_TYPES.SESSION_EXPIRED]: { action: RECOVERY_ACTIONS.REENTER, retries: 2 },
+  [ERROR_TYPES.TIMEOUT]: { action: RECOVERY_ACTIONS.REENTER, retries: 1 },
+  [ERROR_TYPES.SELECTOR_DRIFT]: { action: RECOVERY_ACTIONS.SKIP },
+  [ERROR_TYPES.UNKNOWN]: { action: RECOVERY_ACTIONS.REENTER, retries: 1 }
+};
+
+/**
+ * Error raised while scanning, with its type. `recovery` is set to the action
+ * that was taken once retryWithPolicy() gives up on it.
+ */
+export class ScanError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} options - Error details
+   * @param {string} options.type - One of ERROR_TYPES
+   * @param {Error} options.cause - Underlying error (optional)
+   * @param {number} options.status - HTTP status of the response that failed (optional)
+   */
+  constructor(message, { type = ERROR_TYPES.UNKNOWN, cause = undefined, status = null } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ScanError';
+    this.type = type;
+    this.status = status;
+    this.recovery = null;
+  }
+}
+
+/**
+ * The site is unreachable or answers with server errors
+ */
+export class SiteDownError extends ScanError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: ERROR_TYPES.SITE_DOWN });
+    this.name = 'SiteDownError';
+  }
+}
+
+/**
+ * The site session is gone: the page closed or the site started over
+ */
+export class SessionExpiredError extends ScanError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: ERROR_TYPES.SESSION_EXPIRED });
+    this.name = 'SessionExpiredError';
+  }
+}
+
+/**
+ * The site is rate limiting or blocking the scanner
+ */
+export class ThrottledError extends ScanError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: ERROR_TYPES.THROTTLED });
+    this.name = 'ThrottledError';
+  }
+}
+
+/**
+ * The page loaded but an element the page objects rely on is missing or different
+ */
+export class SelectorDriftError extends ScanError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: ERROR_TYPES.SELECTOR_DRIFT });
+    this.name = 'SelectorDriftError';
+  }
+}
+
+/**
+ * The site did not respond in time
+ */
+export class ScanTimeoutError extends ScanError {
+  constructor(message, options = {}) {
+    super(message, { ...options, type: ERROR_TYPES.TIMEOUT });
+    this.name = 'ScanTimeoutError';
+  }
+}
+
+/**
+ * Typed error for an HTTP status the site answered with
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {ScanError} Typed error
+ */
+export function errorForStatus(status, message) {
+  if (status === 429 || status === 403) return new ThrottledError(message, { status });
+  if (status === 401 || status === 440) return new SessionExpiredError(message, { status });
+  if (status >= 500) return new SiteDownError(message, { status });
+  return new ScanError(message, { status });
+}
+
+const SITE_DOWN_PATTERN = /net::ERR_|ECONNREFUSED|ENOTFOUND|ECONNRESET|EAI_AGAIN|socket hang up|fetch failed/i;
+const SESSION_PATTERN = /(page|context|browser)( was| is|)? closed|has been closed|session (has )?expired/i;
+const BLOCKED_PATTERN = /request rejected|access denied|too many requests|captcha/i;
+
+/**
+ * Type an error from a page object or HTTP client
+ * @param {Error} error - Error to classify
+ * @param {object} context - What is known about the failed step
+ * @param {object} context.response - Last AmendStep response with status and body (optional)
+ * @returns {ScanError} The error itself when it is already typed, otherwise a ScanError wrapping it
+ */
+export function classifyError(error, { response = null } = {}) {
+  if (error instanceof ScanError) return error;
+
+  const message = error?.message || String(error);
+  const options = { cause: error };
+
+  if (response?.status >= 400) {
+    const typed = errorForStatus(response.status, message);
+    if (typed.type !== ERROR_TYPES.UNKNOWN) {
+      typed.cause = error;
+      return typed;
+    }
+  }
+  if (BLOCKED_PATTERN.test(message) || BLOCKED_PATTERN.test(response?.body || '')) {
+    return new ThrottledError(message, options);
+  }
+  if (SITE_DOWN_PATTERN.test(message)) {
+    return new SiteDownError(message, options);
+  }
+  if (SESSION_PATTERN.test(message)) {
+    return new SessionExpiredError(message, options);
+  }
+  if (error?.name === 'TimeoutError' || /Timeout \d+ms exceeded/.test(message)) {
+    // The page answered but an element other than the loader never showed up
+    const waitedForElement = /waiting for locator/.test(message) && !/BlockLoader/.test(message);
+    return waitedForElement && response?.status < 400
+      ? new SelectorDriftError(message, options)
+      : new ScanTimeoutError(message, options);
+  }
+  return new ScanError(message, options);
+}
+
+/**
+ * Recovery rule for an error type
+ * @param {object} policy - Rules by error type, over DEFAULT_RECOVERY_POLICY
+ * @param {string} type - One of ERROR_TYPES
+ * @returns {object} Rule of { action, retries }
+ */
+export function recoveryRule(policy, type) {
+  const rules = { ...DEFAULT_RECOVERY_POLICY, ...policy };
+  return { retries: 0, ...(rules[type] || rules[ERROR_TYPES.UNKNOWN]) };
+}
+
+/**
+ * Action to take after a failed attempt
+ * @param {ScanError} error - Typed error
+ * @param {number} attempt - Attempts made so far, starting at 1
+ * @param {object} policy - Rules by error type
+ * @returns {string} One of RECOVERY_ACTIONS; REENTER means try again
+ */
+export function recoveryAction(error, attempt, policy = {}) {
+  const { action, retries } = recoveryRule(policy, error.type);
+  if (action === RECOVERY_ACTIONS.REENTER && attempt > retries) {
+    return RECOVERY_ACTIONS.SKIP;
+  }
+  return action;
+}
+
+/**
+ * Run an operation, retrying it after failures the recovery policy says to re-enter for
+ * @param {Function} operation - Async operation, called with the attempt number
+ * @param {object} options - Retry options
+ * @param {object} options.policy - Rules by error type, over DEFAULT_RECOVERY_POLICY
+ * @param {Function} options.classify - Types an error (default: classifyError)
+ * @param {Function} options.recover - Called with the typed error before each retry, e.g. to re-enter the flow
+ * @param {number} options.delayMs - Wait before a retry, multiplied by the attempt number
+ * @param {Function} options.sleep - Delay function, replaceable in tests
+ * @returns {Promise<any>} The operation's result
+ * @throws {ScanError} Typed error with recovery set to SKIP or ABORT once the policy gives up
+ */
+export async function retryWithPolicy(operation, {
+  policy = {},
+  classify = classifyError,
+  recover = null,
+  delayMs = 1000,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (caught) {
+      const error = await classify(caught);
+      const action = recoveryAction(error, attempt, policy);
+      if (action !== RECOVERY_ACTIONS.REENTER) {
+        error.recovery = action;
+        throw error;
+      }
+
+      console.warn(`Retrying after ${error.type} error (attempt ${attempt}): ${error.message}`);
+      if (delayMs > 0) {
+        await sleep(delayMs * attempt);
+      }
+      if (recover) {
+        await recover(error);
+      }
+    }
+  }
+}
+
+/**
+ * Result for a location that could not be checked
+ * @param {object} entry - Entry from rankLocations() with location and distanceMiles
+ * @param {ScanError} error - Typed error
+ * @returns {object} Location result with error, and no availability
+ */
+export function toErrorResult({ location, distanceMiles = null }, error) {
+  return {
+    cityName: location?.name || 'Unknown',
+    location: location || null,
+    distanceMiles,
+    isAvailable: false,
+    availableDates: [],
+    availability: {},
+    timeSlots: [],
+    checkedAt: new Date().toISOString(),
+    error
+  };
+}
+
+/**
+ * Parse recovery overrides such as "timeout=skip,selector-drift=reenter:2"
+ * @param {string} value - Comma-separated type=action[:retries] rules
+ * @returns {object} Rules by error type
+ */
+export function parseRecoveryPolicy(value) {
+  const policy = {};
+  if (!value) return policy;
+
+  for (const rule of value.split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = rule.match(/^([a-z-]+)=([a-z]+)(?::(\d+))?$/);
+    const type = match?.[1];
+    const action = match?.[2];
+    if (!match || !Object.values(ERROR_TYPES).includes(type) || !Object.values(RECOVERY_ACTIONS).includes(action)) {
+      throw new Error(`Invalid recovery rule "${rule}" (expected <${Object.values(ERROR_TYPES).join('|')}>=<${Object.values(RECOVERY_ACTIONS).join('|')}>[:retries])`);
+    }
+    policy[type] = action === RECOVERY_ACTIONS.REENTER ? { action, retries: match[3] ? Number(match[3]) : 1 } : { action };
+  }
+  return policy;
+}
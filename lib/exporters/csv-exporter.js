@@ -0,0 +1,71 @@
+import { Exporter } from './exporter.js';
+import { toLocationRecord } from './scan-document.js';
+
+/**
+ * CSV columns, one row per time slot
+ */
+export const CSV_COLUMNS = [
+  'scanStartedAt',
+  'appointmentTypeId',
+  'appointmentType',
+  'unitId',
+  'cityName',
+  'address',
+  'distanceMiles',
+  'date',
+  'time',
+  'datetime',
+  'serviceId'
+];
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break (RFC 4180).
+ * Text that a spreadsheet would read as a formula gets a leading `'`; numbers are
+ * written as they are.
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+export function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flat rows of every time slot in a scan
+ * @param {object} scan - Scan with startedAt and results
+ * @returns {Array<object>} Rows keyed by CSV_COLUMNS
+ */
+export function toSlotRows(scan) {
+  return (scan.results || []).map(toLocationRecord).flatMap(record => record.timeSlots.map(slot => ({
+    scanStartedAt: scan.startedAt ?? null,
+    appointmentTypeId: record.appointmentType?.id ?? null,
+    appointmentType: record.appointmentType?.label || record.appointmentType?.text || null,
+    unitId: record.unitId,
+    cityName: record.cityName,
+    address: record.location?.address ?? null,
+    distanceMiles: record.distanceMiles,
+    date: slot.date,
+    time: slot.time,
+    datetime: slot.datetime,
+    serviceId: slot.serviceId
+  })));
+}
+
+/**
+ * Writes one CSV row per open time slot once the scan is done, replacing the
+ * previous file. A scan without slots leaves just the header; a scan that
+ * failed outright leaves the previous file, since CSV has no room for errors.
+ */
+export class CsvExporter extends Exporter {
+  constructor(options = {}) {
+    super('csv', options);
+  }
+
+  finish(scan, { errors = [] } = {}) {
+    if (errors.length > 0 && (scan.results || []).length === 0) return;
+
+    const lines = [CSV_COLUMNS.join(','), ...toSlotRows(scan).map(row => CSV_COLUMNS.map(column => csvField(row[column])).join(','))];
+    this.write(`${lines.join('\r\n')}\r\n`);
+  }
+}
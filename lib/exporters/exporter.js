@@ -0,0 +1,71 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Output that stands for stdout in export specs
+ */
+export const STDOUT = '-';
+
+/**
+ * Base class for scan result exporters. An exporter sees a scan in three steps:
+ * begin(scan) before the first location, addResult(result) as each location
+ * completes, and finish(scan, extras) once the scan is done.
+ */
+export class Exporter {
+  /**
+   * @param {string} name - Format name used in logs
+   * @param {object} options - Exporter options
+   * @param {string} options.output - File to write, or "-" for stdout
+   */
+  constructor(name, { output = STDOUT } = {}) {
+    this.name = name;
+    this.output = output;
+  }
+
+  /**
+   * Whether this exporter writes to stdout
+   */
+  get toStdout() {
+    return this.output === STDOUT;
+  }
+
+  /**
+   * Write text to the output, creating the file's directory
+   * @param {string} text - Text to write
+   * @param {object} options - Write options
+   * @param {boolean} options.append - Append instead of replacing the file
+   */
+  write(text, { append = false } = {}) {
+    if (this.toStdout) {
+      process.stdout.write(text);
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.output), { recursive: true });
+    if (append) {
+      fs.appendFileSync(this.output, text, 'utf8');
+    } else {
+      fs.writeFileSync(this.output, text, 'utf8');
+    }
+  }
+
+  /**
+   * Called before the first location of a scan
+   * @param {object} scan - Scan metadata with baseUrl and startedAt
+   */
+  begin(scan) {}
+
+  /**
+   * Called with each location result as it completes
+   * @param {object} result - Location result
+   */
+  addResult(result) {}
+
+  /**
+   * Called once the scan is done
+   * @param {object} scan - Scan with baseUrl, startedAt, finishedAt, appointmentTypes and results
+   * @param {object} extras - geolocation, summary, rankedSlots and errors, see toScanDocument()
+   */
+  finish(scan, extras) {
+    throw new Error(`${this.constructor.name} must implement finish()`);
+  }
+}
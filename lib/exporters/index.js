@@ -0,0 +1,65 @@
+import { ExportPipeline } from './pipeline.js';
+import { JsonExporter } from './json-exporter.js';
+import { CsvExporter } from './csv-exporter.js';
+import { NdjsonExporter } from './ndjson-exporter.js';
+import { STDOUT } from './exporter.js';
+
+export { Exporter, STDOUT } from './exporter.js';
+export { SCAN_SCHEMA_VERSION, toScanDocument, toLocationRecord } from './scan-document.js';
+export { CSV_COLUMNS, csvField, toSlotRows } from './csv-exporter.js';
+export { ExportPipeline, JsonExporter, CsvExporter, NdjsonExporter };
+
+/**
+ * Exporter classes by format name
+ */
+const EXPORTERS = {
+  json: JsonExporter,
+  csv: CsvExporter,
+  ndjson: NdjsonExporter
+};
+
+export const EXPORT_FORMATS = Object.keys(EXPORTERS);
+
+/**
+ * Create an exporter from a spec such as "csv:data/slots.csv", or "ndjson" for stdout
+ * @param {string} spec - Format, optionally followed by ":" and a file ("-" for stdout)
+ * @returns {Exporter} Exporter
+ */
+export function createExporter(spec) {
+  const separator = spec.indexOf(':');
+  const format = (separator === -1 ? spec : spec.slice(0, separator)).trim().toLowerCase();
+  const output = separator === -1 ? STDOUT : spec.slice(separator + 1).trim() || STDOUT;
+
+  if (!EXPORTERS[format]) {
+    throw new Error(`Unknown export format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`);
+  }
+  return new EXPORTERS[format]({ output });
+}
+
+/**
+ * Create a pipeline from export specs
+ * @param {Array<string>} specs - Specs for createExporter(), comma-separated lists allowed
+ * @returns {ExportPipeline} Pipeline, possibly without exporters
+ */
+export function createExportPipeline(specs = []) {
+  const exporters = specs
+    .flatMap(spec => spec.split(','))
+    .map(spec => spec.trim())
+    .filter(Boolean)
+    .map(createExporter);
+
+  const stdout = exporters.filter(exporter => exporter.toStdout);
+  if (stdout.length > 1) {
+    throw new Error(`Only one export can go to stdout (got ${stdout.map(exporter => exporter.name).join(', ')})`);
+  }
+  return new ExportPipeline(exporters);
+}
+
+/**
+ * Create a pipeline from SCAN_EXPORT, e.g. "json:data/scan.json,csv:data/slots.csv"
+ * @param {object} env - Environment variables (default: process.env)
+ * @returns {ExportPipeline} Pipeline, possibly without exporters
+ */
+export function createExportPipelineFromEnv(env = process.env) {
+  return createExportPipeline(env.SCAN_EXPORT ? [env.SCAN_EXPORT] : []);
+}
@@ -0,0 +1,21 @@
+import { Exporter } from './exporter.js';
+import { toScanDocument } from './scan-document.js';
+
+/**
+ * Writes the versioned scan document (schemas/scan-v1.schema.json) once the
+ * scan is done, replacing the previous file
+ */
+export class JsonExporter extends Exporter {
+  /**
+   * @param {object} options - Exporter options, see Exporter
+   * @param {number} options.indent - Spaces to indent with, 0 for one line
+   */
+  constructor({ indent = 2, ...options } = {}) {
+    super('json', options);
+    this.indent = indent;
+  }
+
+  finish(scan, extras = {}) {
+    this.write(`${JSON.stringify(toScanDocument(scan, extras), null, this.indent || undefined)}\n`);
+  }
+}
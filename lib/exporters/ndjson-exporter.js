@@ -0,0 +1,43 @@
+import { Exporter } from './exporter.js';
+import { SCAN_SCHEMA_VERSION, toLocationRecord } from './scan-document.js';
+
+/**
+ * Streams one JSON line per location as it completes, appending to the file so
+ * that a consumer can follow it across scans. Lines carry the schema version and
+ * the scan's start time to tell scans apart.
+ */
+export class NdjsonExporter extends Exporter {
+  constructor(options = {}) {
+    super('ndjson', options);
+    this.scanStartedAt = null;
+    this.written = new Set();
+  }
+
+  begin(scan) {
+    this.scanStartedAt = scan.startedAt ?? null;
+    this.written = new Set();
+  }
+
+  addResult(result) {
+    this.written.add(result);
+    this.write(`${JSON.stringify({
+      schemaVersion: SCAN_SCHEMA_VERSION,
+      scanStartedAt: this.scanStartedAt,
+      ...toLocationRecord(result)
+    })}\n`, { append: true });
+  }
+
+  /**
+   * Write the locations that were not streamed, e.g. from a scanner run without onResult
+   */
+  finish(scan) {
+    this.scanStartedAt = this.scanStartedAt ?? scan.startedAt ?? null;
+    for (const result of scan.results || []) {
+      if (!this.written.has(result)) {
+        this.addResult(result);
+      }
+    }
+    this.scanStartedAt = null;
+    this.written = new Set();
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Feeds a scan to several exporters. An exporter that fails is logged and
+ * does not stop the others or the scan.
+ */
+export class ExportPipeline {
+  /**
+   * @param {Array<Exporter>} exporters - Exporters to feed
+   */
+  constructor(exporters = []) {
+    this.exporters = exporters;
+  }
+
+  /**
+   * Whether any exporter is configured
+   */
+  get enabled() {
+    return this.exporters.length > 0;
+  }
+
+  /**
+   * Whether an exporter writes to stdout, which then can't take console output
+   */
+  get usesStdout() {
+    return this.exporters.some(exporter => exporter.toStdout);
+  }
+
+  /**
+   * Call a step on every exporter
+   * @param {string} step - begin, addResult or finish
+   * @param {Array<*>} args - Step arguments
+   */
+  run(step, ...args) {
+    for (const exporter of this.exporters) {
+      try {
+        exporter[step](...args);
+      } catch (error) {
+        console.error(`Export to ${exporter.name} (${exporter.output}) failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Start a scan
+   * @param {object} scan - Scan metadata with baseUrl and startedAt
+   */
+  begin(scan) {
+    this.run('begin', scan);
+  }
+
+  /**
+   * Export a location result as it completes
+   * @param {object} result - Location result
+   */
+  addResult(result) {
+    this.run('addResult', result);
+  }
+
+  /**
+   * Export the finished scan
+   * @param {object} scan - Scan with baseUrl, startedAt, finishedAt, appointmentTypes and results
+   * @param {object} extras - geolocation, summary, rankedSlots and errors, see toScanDocument()
+   */
+  finish(scan, extras = {}) {
+    this.run('finish', scan, extras);
+  }
+}
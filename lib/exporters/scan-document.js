@@ -0,0 +1,85 @@
+/**
+ * Version of the scan document layout (schemas/scan-v1.schema.json). Bump it
+ * for changes that could break a consumer: removed or renamed fields, or
+ * changed types. Added fields keep the version.
+ */
+export const SCAN_SCHEMA_VERSION = 1;
+
+/**
+ * Normalize a location or scan error
+ * @param {Error|string|object|null} error - Error from a scanner
+ * @returns {object|null} Error of { message, type, recovery }
+ */
+export function toErrorRecord(error) {
+  if (!error) return null;
+  if (typeof error === 'string') return { message: error, type: null, recovery: null };
+  return { message: error.message || String(error), type: error.type || error.name || null, recovery: error.recovery || null };
+}
+
+/**
+ * Stable export record for one location result
+ * @param {object} result - Location result from a scanner or the spec
+ * @returns {object} Location record
+ */
+export function toLocationRecord(result) {
+  const { location, appointmentType } = result;
+  const availability = result.availability || {};
+  const availableDates = Object.keys(availability).length > 0 ? Object.keys(availability) : [...(result.availableDates || [])];
+
+  return {
+    cityName: result.cityName,
+    unitId: location?.unitId ?? null,
+    location: location ? {
+      name: location.name ?? null,
+      address: location.address ?? null,
+      city: location.city ?? null,
+      state: location.state ?? null,
+      zip: location.zip ?? null,
+      latitude: location.latitude ?? null,
+      longitude: location.longitude ?? null
+    } : null,
+    distanceMiles: result.distanceMiles ?? null,
+    appointmentType: appointmentType ? {
+      id: appointmentType.id ?? null,
+      text: appointmentType.text ?? null,
+      label: appointmentType.label ?? null
+    } : null,
+    isAvailable: !!result.isAvailable,
+    availableDates: availableDates.sort(),
+    timeSlots: (result.timeSlots || []).map(slot => ({
+      date: slot.date ?? null,
+      time: slot.time || slot.value || null,
+      datetime: slot.datetime ?? null,
+      serviceId: slot.serviceId ?? null,
+      appointmentTypeId: slot.appointmentTypeId ?? null
+    })),
+    checkedAt: result.checkedAt ?? null,
+    error: toErrorRecord(result.error)
+  };
+}
+
+/**
+ * Versioned document for a whole scan
+ * @param {object} scan - Scan with baseUrl, startedAt, finishedAt, appointmentTypes and results
+ * @param {object} extras - Data computed outside the scanner
+ * @param {object} extras.geolocation - Origin of the scan (optional)
+ * @param {object} extras.summary - Summary from TestHelpers.formatResults() (optional)
+ * @param {Array<object>} extras.rankedSlots - Rows from TestHelpers.formatRankedSlots() (optional)
+ * @param {Array<Error|string>} extras.errors - Errors that stopped or degraded the scan (optional)
+ * @returns {object} Scan document
+ */
+export function toScanDocument(scan, { geolocation = null, summary = null, rankedSlots = undefined, errors = [] } = {}) {
+  return {
+    schemaVersion: SCAN_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    baseUrl: scan.baseUrl ?? null,
+    startedAt: scan.startedAt ?? null,
+    finishedAt: scan.finishedAt ?? null,
+    geolocation,
+    appointmentTypes: (scan.appointmentTypes || []).map(type => ({ id: type.id ?? null, text: type.text ?? null, label: type.label ?? null })),
+    summary,
+    results: (scan.results || []).map(toLocationRecord),
+    errors: errors.map(toErrorRecord),
+    rankedSlots
+  };
+}
@@ -0,0 +1,191 @@
+import { findAppointmentType } from './appointment-types.js';
+import { NC_DMV } from './sites/index.js';
+
+/**
+ * Outcome of one health check: found, not found where it should be, or not
+ * reached, e.g. because no office checked had open appointments
+ */
+export const CHECK_STATUS = {
+  OK: 'ok',
+  MISSING: 'missing',
+  UNVERIFIED: 'unverified'
+};
+
+/**
+ * Every selector and API marker the scanner depends on for a site, with the step it is looked for on
+ * @param {SiteAdapter} site - Site adapter
+ * @returns {Array<object>} Checks of { id, step, selector } or { id, step, marker }
+ */
+export function healthChecks(site) {
+  const { selectors } = site;
+  return [
+    { id: 'makeAppointment', step: 'index', selector: selectors.makeAppointment },
+    { id: 'blockLoader', step: 'index', selector: selectors.blockLoader },
+    { id: 'appointmentType', step: 'appointment type', selector: selectors.appointmentType },
+    { id: 'activeUnit', step: 'location', selector: selectors.activeUnit },
+    { id: 'calendarModel', step: 'calendar', marker: site.markers.calendarModelType },
+    { id: 'appointmentHeading', step: 'calendar', selector: selectors.appointmentHeading },
+    { id: 'calendarDates', step: 'calendar', selector: selectors.calendarDates },
+    { id: 'noAppointmentsError', step: 'no appointments', selector: selectors.noAppointmentsError },
+    { id: 'noDatesInput', step: 'no appointments', selector: selectors.noDatesInput }
+  ];
+}
+
+export const HEALTH_CHECKS = healthChecks(NC_DMV);
+
+const CALENDAR_CHECKS = ['calendarModel', 'appointmentHeading', 'calendarDates'];
+const NO_APPOINTMENTS_CHECKS = ['noAppointmentsError', 'noDatesInput'];
+
+/**
+ * Walks the appointment flow once in a browser session and looks for every
+ * selector and marker of the scanner's site (see healthChecks()): Index, Make Appointment, the appointment
+ * type, the location list, and offices in order until both a calendar and a
+ * no-appointments step have been seen.
+ */
+export class HealthCheck {
+  /**
+   * @param {object} options - Health check options
+   * @param {Scanner} options.scanner - Browser scanner providing the session, site, base URL and appointment type
+   * @param {number} options.maxLocations - Offices to open at most while looking for both kinds of calendar step
+   * @param {number} options.timeoutMs - How long to wait for an element before reporting it missing
+   */
+  constructor({ scanner, maxLocations = 5, timeoutMs = 5000 }) {
+    this.scanner = scanner;
+    this.site = scanner.site || NC_DMV;
+    this.maxLocations = maxLocations;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Run every check
+   * @returns {Promise<object>} Report with baseUrl, checkedAt, healthy, drifted (check ids), locations opened and checks
+   */
+  async run() {
+    const checkedAt = new Date().toISOString();
+    const checks = new Map(healthChecks(this.site).map(check => [check.id, { ...check, status: CHECK_STATUS.UNVERIFIED, detail: null }]));
+    const locations = [];
+
+    const record = (id, found, detail = null) => {
+      Object.assign(checks.get(id), { status: found ? CHECK_STATUS.OK : CHECK_STATUS.MISSING, detail: found ? null : detail });
+    };
+
+    await this.scanner.withAppointmentPage(appointmentPage => this.walk(appointmentPage, record, locations));
+
+    for (const check of checks.values()) {
+      if (check.status === CHECK_STATUS.UNVERIFIED && !check.detail) {
+        check.detail = locations.length > 0
+          ? `No ${check.step} step among ${locations.join(', ')}`
+          : `The ${check.step} step was not reached`;
+      }
+    }
+
+    const drifted = [...checks.values()].filter(check => check.status === CHECK_STATUS.MISSING).map(check => check.id);
+    return {
+      baseUrl: this.scanner.baseUrl,
+      checkedAt,
+      healthy: drifted.length === 0,
+      drifted,
+      locations,
+      checks: [...checks.values()]
+    };
+  }
+
+  /**
+   * Walk the flow, recording each check as it is reached. Stops at the first
+   * step whose element is missing, since the steps after it can't be reached.
+   * @param {AppointmentPage} appointmentPage - Page object on the Index page
+   * @param {Function} record - Called with a check id, whether it was found and why not
+   * @param {Array<string>} locations - Collects the names of the offices opened
+   */
+  async walk(appointmentPage, record, locations) {
+    const { page } = appointmentPage;
+
+    const buttonShown = await this.isVisible(appointmentPage.makeApptButton);
+    record('makeAppointment', buttonShown, 'No Make Appointment button on the Index page');
+    record('blockLoader', await appointmentPage.blockLoader.count() > 0, 'No loading overlay on the Index page');
+    if (!buttonShown) return;
+
+    await appointmentPage.clickMakeAppointment();
+    const typesShown = await this.isVisible(page.locator(this.site.selectors.appointmentType).first());
+    record('appointmentType', typesShown, 'No appointment types after Make Appointment');
+    if (!typesShown) return;
+
+    const type = this.scanner.appointmentTypes[0];
+    if (!findAppointmentType(await appointmentPage.getAppointmentTypes(), type)) {
+      throw new Error(`Appointment type ${type.id || `"${type.text}"`} is not offered`);
+    }
+    await appointmentPage.selectAppointmentType(type.id, type.text);
+
+    const unitsShown = await this.isVisible(appointmentPage.activeUnits.first());
+    record('activeUnit', unitsShown, 'No office tiles on the location step');
+    if (!unitsShown) return;
+
+    const count = Math.min(await appointmentPage.getActiveUnitsCount(), this.maxLocations);
+    const seen = new Set();
+    for (let i = 0; i < count && seen.size < 2; i++) {
+      if (i > 0) {
+        await appointmentPage.navigateBack();
+      }
+      const cityName = await appointmentPage.getCityName(i);
+      locations.push(cityName);
+      await appointmentPage.clickActiveUnit(i);
+
+      const kind = await this.checkCalendarStep(appointmentPage, cityName, record, seen);
+      if (!kind) return;
+      seen.add(kind);
+    }
+  }
+
+  /**
+   * Record the checks of the step an office opened on
+   * @param {AppointmentPage} appointmentPage - Page object after clicking an office
+   * @param {string} cityName - Office name, for the report
+   * @param {Function} record - Records a check
+   * @param {Set<string>} seen - Kinds of step recorded already
+   * @returns {Promise<string|null>} 'calendar' or 'no appointments', or null when the step was neither
+   */
+  async checkCalendarStep(appointmentPage, cityName, record, seen) {
+    const { page } = appointmentPage;
+    const body = appointmentPage.getLastApiResponse()?.body ?? await page.content();
+    const { markers, messages } = this.site;
+    const hasMarker = body.includes(markers.calendarModelType);
+    const hasHeading = await appointmentPage.appointmentHeading.isVisible();
+    const hasError = await appointmentPage.noAppointmentsError.filter({ hasText: messages.noAppointments }).isVisible();
+    const hasErrorInput = await appointmentPage.errorHiddenInput.count() > 0;
+
+    if (hasMarker || hasHeading) {
+      if (!seen.has('calendar')) {
+        record('calendarModel', hasMarker, `No ${markers.calendarModelType} in the AmendStep response for ${cityName}`);
+        record('appointmentHeading', hasHeading, `No date and time heading on the calendar for ${cityName}`);
+        record('calendarDates', await this.isVisible(appointmentPage.calendarDates.first()), `No selectable dates on the calendar for ${cityName}`);
+      }
+      return 'calendar';
+    }
+
+    if (hasError || hasErrorInput || body.includes(messages.noAppointments)) {
+      if (!seen.has('no appointments')) {
+        record('noAppointmentsError', hasError, `No visible no-appointments message for ${cityName}`);
+        record('noDatesInput', hasErrorInput, `No ${markers.noDatesField} field for ${cityName}`);
+      }
+      return 'no appointments';
+    }
+
+    // Availability would be unknown: whichever indicators were not seen yet have drifted
+    for (const id of [...CALENDAR_CHECKS, ...NO_APPOINTMENTS_CHECKS]) {
+      const step = HEALTH_CHECKS.find(check => check.id === id).step;
+      if (!seen.has(step)) {
+        record(id, false, `Neither the calendar nor the no-appointments message for ${cityName}`);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether an element becomes visible within the timeout
+   * @param {import('@playwright/test').Locator} locator - Element to wait for
+   * @returns {Promise<boolean>} True if it is visible
+   */
+  async isVisible(locator) {
+    return locator.waitFor({ state: 'visible', timeout: this.timeoutMs }).then(() => true, () => false);
+  }
+}
@@ -0,0 +1,315 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { locationKey } from './watcher.js';
+
+export const DEFAULT_HISTORY_FILE = 'data/scan-history.jsonl';
+
+/**
+ * Resolve the history file from a flag or SCAN_HISTORY value
+ * @param {string} value - File path, "off" to disable, or empty for the default
+ * @returns {string|null} File path, or null when history is disabled
+ */
+export function resolveHistoryFile(value) {
+  if (value === 'off') return null;
+  return value || DEFAULT_HISTORY_FILE;
+}
+
+/**
+ * Key of the offices a scan set out to check, checked or not. Scans with the same
+ * scope planned the same offices.
+ * @param {Array<object>} results - Location results of the scan, including failed ones
+ * @returns {string} Scope key
+ */
+export function scanScope(results) {
+  const keys = [...new Set(results.map(locationKey))].sort();
+  return crypto.createHash('sha1').update(keys.join('\n')).digest('hex').slice(0, 12);
+}
+
+/**
+ * Append-only JSONL store with one record per location per scan.
+ * Records: { scanId, scope, timestamp, baseUrl, appointmentType: { id, text }, cityName, unitId,
+ *            distanceMiles, isAvailable, availableDates, timeSlots: [datetime] }
+ */
+export class HistoryStore {
+  /**
+   * @param {string} filePath - JSONL file to append to and query
+   */
+  constructor(filePath = DEFAULT_HISTORY_FILE) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Persist every location result of a scan. Locations that could not be checked
+   * are left out, since they say nothing about availability.
+   * @param {object} scan - Scan with startedAt, finishedAt, baseUrl and results
+   * @param {object} appointmentType - Object with id and text of the scanned appointment type,
+   *   used for results that don't carry their own appointmentType
+   * @returns {Array<object>} Records written
+   */
+  append(scan, appointmentType = {}) {
+    const scanId = scan.startedAt || new Date().toISOString();
+    const scope = scanScope(scan.results);
+    const records = scan.results.filter(result => !result.error).map(result => ({
+      scanId,
+      scope,
+      timestamp: result.checkedAt || scan.finishedAt || scanId,
+      baseUrl: scan.baseUrl || null,
+      appointmentType: {
+        id: (result.appointmentType || appointmentType).id || null,
+        text: (result.appointmentType || appointmentType).text || null
+      },
+      cityName: result.cityName,
+      unitId: result.location?.unitId || null,
+      distanceMiles: result.distanceMiles ?? null,
+      isAvailable: result.isAvailable,
+      availableDates: result.availableDates || [],
+      timeSlots: (result.timeSlots || []).map(slot => slot.datetime).filter(Boolean)
+    }));
+
+    if (records.length > 0) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, records.map(record => `${JSON.stringify(record)}\n`).join(''), 'utf8');
+    }
+    return records;
+  }
+
+  /**
+   * Read records in file order, skipping malformed lines
+   * @param {object} filters - Record filters
+   * @param {string|Date} filters.since - Only records at or after this time (optional)
+   * @param {string} filters.appointmentTypeId - Only records for this appointment type (optional)
+   * @returns {Promise<Array<object>>} Records
+   */
+  async readRecords({ since = null, appointmentTypeId = null } = {}) {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const records = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(this.filePath, 'utf8'), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      if (sinceTime !== null && new Date(record.timestamp).getTime() < sinceTime) continue;
+      if (appointmentTypeId && record.appointmentType?.id !== appointmentTypeId) continue;
+      records.push(record);
+    }
+
+    return records;
+  }
+
+  /**
+   * Earliest available date seen per office
+   * @param {object} filters - Record filters, see readRecords()
+   * @returns {Promise<Array<object>>} Rows sorted by earliest date
+   */
+  async earliestDatePerOffice(filters) {
+    return earliestDatePerOffice(await this.readRecords(filters));
+  }
+
+  /**
+   * How many new slots appeared in each hour of the day
+   * @param {object} filters - Record filters, see readRecords()
+   * @returns {Promise<Array<object>>} 24 rows of { hour, count }
+   */
+  async newSlotHours(filters) {
+    return newSlotHours(await this.readRecords(filters));
+  }
+
+  /**
+   * How long each slot stayed open
+   * @param {object} filters - Record filters, see readRecords()
+   * @returns {Promise<Array<object>>} One row per slot
+   */
+  async slotLifetimes(filters) {
+    return slotLifetimes(await this.readRecords(filters));
+  }
+}
+
+/**
+ * Group records by appointment type and location, in time order
+ * @param {Array<object>} records - History records
+ * @returns {Map<string, Array<object>>} Records per appointment type and location
+ */
+function groupByLocation(records) {
+  const groups = new Map();
+  const sorted = [...records].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  for (const record of sorted) {
+    const key = `${record.appointmentType?.id || ''}\u0000${locationKey(record)}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(record);
+  }
+  return groups;
+}
+
+/**
+ * Earliest available date seen per office
+ * @param {Array<object>} records - History records
+ * @returns {Array<object>} Rows of { cityName, unitId, appointmentTypeId, earliestDate, seenAt, scans, availableScans }
+ */
+export function earliestDatePerOffice(records) {
+  const rows = [];
+
+  for (const group of groupByLocation(records).values()) {
+    const row = {
+      cityName: group[0].cityName,
+      unitId: group[0].unitId || null,
+      appointmentTypeId: group[0].appointmentType?.id || null,
+      earliestDate: null,
+      seenAt: null,
+      scans: group.length,
+      availableScans: group.filter(record => record.isAvailable).length
+    };
+
+    for (const record of group) {
+      for (const date of record.availableDates) {
+        if (!row.earliestDate || date < row.earliestDate) {
+          row.earliestDate = date;
+          row.seenAt = record.timestamp;
+        }
+      }
+    }
+    rows.push(row);
+  }
+
+  // Offices that never had a date go last
+  return rows.sort((a, b) => {
+    if (a.earliestDate === b.earliestDate) return a.cityName.localeCompare(b.cityName);
+    if (!a.earliestDate) return 1;
+    if (!b.earliestDate) return -1;
+    return a.earliestDate.localeCompare(b.earliestDate);
+  });
+}
+
+/**
+ * Scans of each appointment type in time order, with the locations they recorded
+ * @param {Array<object>} records - History records
+ * @returns {Map<string, Array<object>>} Scans of { timestamp, scope, locations } per appointment type
+ */
+function scansByType(records) {
+  const scans = new Map();
+
+  for (const record of records) {
+    const type = record.appointmentType?.id || '';
+    if (!scans.has(type)) {
+      scans.set(type, new Map());
+    }
+    const byId = scans.get(type);
+    const scan = byId.get(record.scanId) || { timestamp: record.timestamp, scope: record.scope || null, locations: new Set() };
+    if (new Date(record.timestamp) < new Date(scan.timestamp)) {
+      scan.timestamp = record.timestamp;
+    }
+    scan.locations.add(locationKey(record));
+    byId.set(record.scanId, scan);
+  }
+
+  return new Map([...scans].map(([type, byId]) => [type, [...byId.values()].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))]));
+}
+
+/**
+ * Walk each location's scans and track when every slot opened and closed.
+ * Slots present in a location's first recorded scan were already open, so they have no known opening time.
+ * A location missing from a later scan that set out to check it (same appointment type and scope, so it
+ * could not be checked) closes its open slots at that scan, since nothing more is known about them; like
+ * a first scan, the scan it comes back in has no new slots. Scans of other offices, such as another
+ * profile's, say nothing about the location and are passed over.
+ * @param {Array<object>} records - History records
+ * @returns {Array<object>} Rows of { cityName, appointmentTypeId, datetime, firstSeenAt, lastSeenAt, closedAt, durationMs, open, isNew }
+ */
+export function slotLifetimes(records) {
+  const rows = [];
+  const scans = scansByType(records);
+
+  for (const group of groupByLocation(records).values()) {
+    const open = new Map();
+    const typeScans = scans.get(group[0].appointmentType?.id || '');
+    const key = locationKey(group[0]);
+    const scopes = new Set(group.map(record => record.scope).filter(Boolean));
+
+    const close = (datetime, timestamp) => {
+      const row = open.get(datetime);
+      row.closedAt = timestamp;
+      row.durationMs = new Date(row.closedAt) - new Date(row.firstSeenAt);
+      row.open = false;
+      rows.push(row);
+      open.delete(datetime);
+    };
+
+    // First scan after `from` (and before `to`, if given) that planned this location but did not record it
+    const missedScan = (from, to = null) => typeScans.find(scan => scopes.has(scan.scope) && !scan.locations.has(key)
+      && new Date(scan.timestamp) > new Date(from)
+      && (to === null || new Date(scan.timestamp) < new Date(to)));
+
+    group.forEach((record, index) => {
+      const current = new Set(record.timeSlots);
+      const missed = index > 0 ? missedScan(group[index - 1].timestamp, record.timestamp) : null;
+
+      for (const datetime of open.keys()) {
+        if (missed) {
+          close(datetime, missed.timestamp);
+        } else if (!current.has(datetime)) {
+          close(datetime, record.timestamp);
+        }
+      }
+
+      for (const datetime of current) {
+        if (open.has(datetime)) {
+          open.get(datetime).lastSeenAt = record.timestamp;
+        } else {
+          open.set(datetime, {
+            cityName: record.cityName,
+            appointmentTypeId: record.appointmentType?.id || null,
+            datetime,
+            firstSeenAt: record.timestamp,
+            lastSeenAt: record.timestamp,
+            closedAt: null,
+            durationMs: null,
+            open: true,
+            isNew: index > 0 && !missed
+          });
+        }
+      }
+    });
+
+    const missed = missedScan(group[group.length - 1].timestamp);
+    for (const datetime of open.keys()) {
+      if (missed) {
+        close(datetime, missed.timestamp);
+      } else {
+        const row = open.get(datetime);
+        row.durationMs = new Date(row.lastSeenAt) - new Date(row.firstSeenAt);
+        rows.push(row);
+      }
+    }
+  }
+
+  return rows.sort((a, b) => new Date(a.firstSeenAt) - new Date(b.firstSeenAt));
+}
+
+/**
+ * Count newly appearing slots by local hour of the scan that first saw them
+ * @param {Array<object>} records - History records
+ * @returns {Array<object>} 24 rows of { hour, count }
+ */
+export function newSlotHours(records) {
+  const counts = Array.from({ length: 24 }, (_, hour) => ({ hour, count: 0 }));
+
+  for (const row of slotLifetimes(records)) {
+    if (row.isNew) {
+      counts[new Date(row.firstSeenAt).getHours()].count++;
+    }
+  }
+  return counts;
+}
@@ -0,0 +1,118 @@
+/**
+ * North Carolina state holidays, on which DMV offices are closed. Fixed-date
+ * holidays on a Saturday are observed the Friday before and on a Sunday the Monday
+ * after. The three Christmas days are the observed Christmas Day and the weekdays
+ * either side of it; the state sets them each year, so they can be off by a day.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const cache = new Map();
+
+/**
+ * Date at UTC midnight, for calendar arithmetic free of time zones
+ */
+function day(year, month, date) {
+  return new Date(Date.UTC(year, month - 1, date));
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function isWeekend(date) {
+  return date.getUTCDay() === 0 || date.getUTCDay() === 6;
+}
+
+/**
+ * The nth given weekday of a month; a negative n counts from the end
+ */
+function nthWeekday(year, month, weekday, n) {
+  if (n < 0) {
+    const last = day(year, month + 1, 0);
+    return addDays(last, -((last.getUTCDay() - weekday + 7) % 7) + (n + 1) * 7);
+  }
+  const first = day(year, month, 1);
+  return addDays(first, (weekday - first.getUTCDay() + 7) % 7 + (n - 1) * 7);
+}
+
+/**
+ * Easter Sunday (anonymous Gregorian algorithm)
+ */
+function easter(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  return day(year, month, ((h + l - 7 * m + 114) % 31) + 1);
+}
+
+/**
+ * Weekday a fixed-date holiday is observed on
+ */
+function observed(date) {
+  if (date.getUTCDay() === 6) return addDays(date, -1);
+  if (date.getUTCDay() === 0) return addDays(date, 1);
+  return date;
+}
+
+/**
+ * Nearest weekday before (step -1) or after (step 1) a date
+ */
+function nextWeekday(date, step) {
+  let next = addDays(date, step);
+  while (isWeekend(next)) {
+    next = addDays(next, step);
+  }
+  return next;
+}
+
+/**
+ * State holidays observed in a year
+ * @param {number} year - Year
+ * @returns {Array<object>} Holidays of { date (YYYY-MM-DD), name } in date order
+ */
+export function stateHolidays(year) {
+  if (!cache.has(year)) {
+    const christmas = observed(day(year, 12, 25));
+    const thanksgiving = nthWeekday(year, 11, 4, 4);
+    const holidays = [
+      { date: observed(day(year, 1, 1)), name: 'New Year\'s Day' },
+      { date: nthWeekday(year, 1, 1, 3), name: 'Martin Luther King Jr. Birthday' },
+      { date: addDays(easter(year), -2), name: 'Good Friday' },
+      { date: nthWeekday(year, 5, 1, -1), name: 'Memorial Day' },
+      { date: observed(day(year, 7, 4)), name: 'Independence Day' },
+      { date: nthWeekday(year, 9, 1, 1), name: 'Labor Day' },
+      { date: observed(day(year, 11, 11)), name: 'Veterans Day' },
+      { date: thanksgiving, name: 'Thanksgiving' },
+      { date: addDays(thanksgiving, 1), name: 'Day after Thanksgiving' },
+      { date: nextWeekday(christmas, -1), name: 'Christmas Eve' },
+      { date: christmas, name: 'Christmas Day' },
+      { date: nextWeekday(christmas, 1), name: 'Day after Christmas' }
+    ];
+    cache.set(year, holidays.map(({ date, name }) => ({ date: date.toISOString().slice(0, 10), name })));
+  }
+  return cache.get(year);
+}
+
+/**
+ * Name of the state holiday observed on a date
+ * @param {string} date - Date as YYYY-MM-DD
+ * @returns {string|null} Holiday name, or null on a working day
+ */
+export function holidayOn(date) {
+  const year = Number(date.slice(0, 4));
+  // New Year's Day on a Saturday is observed on December 31 of the year before,
+  // and the day after Christmas can fall in the next year
+  const holidays = [...stateHolidays(year - 1), ...stateHolidays(year), ...stateHolidays(year + 1)];
+  return holidays.find(holiday => holiday.date === date)?.name ?? null;
+}
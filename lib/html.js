@@ -0,0 +1,91 @@
+/**
+ * Small HTML helpers for escaping generated pages and reading AmendStep responses without a DOM.
+ * The readers only cover the markup the QFlow site emits: attribute values, hidden inputs and tag text.
+ */
+
+/**
+ * Escape a value for use in HTML text or attributes
+ * @param {any} value - The value to escape
+ * @returns {string} Escaped string
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Decode the HTML entities the site uses in text and attribute values
+ * @param {string} value - Encoded text
+ * @returns {string} Decoded text
+ */
+export function decodeHtml(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse the attributes of an opening tag
+ * @param {string} tag - Opening tag such as '<div class="x" data-id="1">'
+ * @returns {object} Attribute name to decoded value
+ */
+export function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  const body = tag.replace(/^<\s*[\w-]+/, '').replace(/\/?>$/, '');
+
+  for (const match of body.matchAll(pattern)) {
+    attributes[match[1].toLowerCase()] = decodeHtml(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+/**
+ * Find opening tags by name
+ * @param {string} html - HTML to search
+ * @param {string} name - Tag name such as "input"
+ * @returns {Array<object>} Tags with index, end (offset after the tag) and attributes
+ */
+export function findTags(html, name) {
+  return [...html.matchAll(new RegExp(`<${name}\\b[^>]*>`, 'gi'))].map(match => ({
+    index: match.index,
+    end: match.index + match[0].length,
+    attributes: parseAttributes(match[0])
+  }));
+}
+
+/**
+ * Collect the named hidden inputs of an HTML document or fragment
+ * @param {string} html - HTML to search
+ * @returns {object} Field name to value
+ */
+export function parseHiddenInputs(html) {
+  const fields = {};
+  for (const { attributes } of findTags(html, 'input')) {
+    if (attributes.type?.toLowerCase() === 'hidden' && attributes.name) {
+      fields[attributes.name] = attributes.value ?? '';
+    }
+  }
+  return fields;
+}
+
+/**
+ * Visible text chunks of an HTML fragment, in document order
+ * @param {string} html - HTML fragment
+ * @returns {Array<string>} Non-empty text chunks with collapsed whitespace
+ */
+export function textChunks(html) {
+  return html
+    .split(/<[^>]*>/)
+    .map(text => decodeHtml(text).replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,352 @@
+import { parseAppointmentData, flattenAvailability } from './appointment-parser.js';
+import { parseAttributes, parseHiddenInputs, textChunks } from './html.js';
+import { DEFAULT_GEOLOCATION } from './scanner.js';
+import { Location, rankLocations } from './location.js';
+import { normalizeAppointmentTypes, findAppointmentType } from './appointment-types.js';
+import { SelectorDriftError, errorForStatus } from './errors.js';
+import { NC_DMV } from './sites/index.js';
+import { RateLimiter } from './rate-limiter.js';
+
+const USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0 Safari/537.36';
+
+/**
+ * Find the elements that trigger a step transition, such as the Make Appointment
+ * button, appointment type items and location tiles
+ * @param {string} html - Step HTML
+ * @returns {Array<object>} Triggers with id, field, trigger, target, texts and attributes
+ */
+function parseStepTriggers(html) {
+  const tags = [...html.matchAll(/<(?:div|button|a)\b[^>]*\bdata-step-trigger\s*=[^>]*>/gi)];
+
+  return tags.map((match, i) => {
+    const attributes = parseAttributes(match[0]);
+    const end = i + 1 < tags.length ? tags[i + 1].index : html.length;
+    // Visible text chunks of the element, in document order
+    const texts = textChunks(html.slice(match.index + match[0].length, end));
+
+    return {
+      id: attributes['data-id'] ?? null,
+      field: attributes['data-field'] ?? null,
+      trigger: attributes['data-step-trigger'],
+      target: attributes['data-step-target'],
+      className: attributes.class || '',
+      texts,
+      attributes
+    };
+  });
+}
+
+/**
+ * Talks to the QFlow AmendStep endpoint directly, without a browser.
+ * Keeps the session cookies and the anti-forgery token from the Index page and
+ * posts the same form fields the site's script would.
+ */
+export class QflowHttpClient {
+  /**
+   * @param {object} options - Client options
+   * @param {SiteAdapter} options.site - Site whose step URL and markers are used (default: NC DMV)
+   * @param {string} options.baseUrl - Appointment Index URL (default: the site's)
+   * @param {object} options.geolocation - Object with latitude and longitude
+   * @param {Function} options.fetch - fetch implementation (default: global fetch)
+   * @param {number} options.timeoutMs - Timeout per request in milliseconds
+   */
+  constructor({ site = NC_DMV, baseUrl = null, geolocation = DEFAULT_GEOLOCATION, fetch = globalThis.fetch, timeoutMs = 30000 } = {}) {
+    this.site = site;
+    this.baseUrl = baseUrl || site.baseUrl;
+    this.geolocation = geolocation;
+    this.fetch = fetch;
+    this.timeoutMs = timeoutMs;
+    this.cookies = new Map();
+    this.formFields = null;
+    this.amendStepUrl = null;
+  }
+
+  /**
+   * Send a request with the session cookies and remember any cookies set
+   * @param {string} url - Request URL
+   * @param {object} init - fetch options
+   * @returns {Promise<string>} Response body
+   */
+  async request(url, init = {}) {
+    const headers = { 'User-Agent': USER_AGENT, ...init.headers };
+    if (this.cookies.size > 0) {
+      headers.Cookie = [...this.cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+
+    const response = await this.fetch(url, { ...init, headers, redirect: 'manual', signal: AbortSignal.timeout(this.timeoutMs) });
+    for (const cookie of response.headers.getSetCookie?.() || []) {
+      const [pair] = cookie.split(';');
+      const separator = pair.indexOf('=');
+      if (separator > 0) {
+        this.cookies.set(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim());
+      }
+    }
+
+    const body = await response.text();
+    if (!response.ok) {
+      throw errorForStatus(response.status, `${init.method || 'GET'} ${new URL(url).pathname} returned ${response.status}`);
+    }
+    return body;
+  }
+
+  /**
+   * Open a session on the Index page
+   * @returns {Promise<object>} The Make Appointment trigger
+   */
+  async start() {
+    this.cookies.clear();
+    const html = await this.request(this.baseUrl, { headers: { Accept: 'text/html' } });
+
+    const stepForm = [...html.matchAll(/<form\b[^>]*>/gi)]
+      .map(match => parseAttributes(match[0]))
+      .find(attributes => attributes.id === this.site.steps.stepFormId);
+    const action = stepForm?.action;
+    this.amendStepUrl = new URL(action || this.site.steps.amendStepPath, this.baseUrl).toString();
+
+    this.formFields = parseHiddenInputs(html);
+    if (!this.formFields.__RequestVerificationToken) {
+      throw new SelectorDriftError('Index page has no __RequestVerificationToken');
+    }
+    // The site's script fills these from navigator.geolocation
+    this.formFields.Latitude = String(this.geolocation.latitude);
+    this.formFields.Longitude = String(this.geolocation.longitude);
+
+    const makeAppointment = parseStepTriggers(html).find(t => t.attributes.id === this.site.markers.makeAppointmentId);
+    if (!makeAppointment) {
+      throw new SelectorDriftError('Index page has no Make Appointment button');
+    }
+    return makeAppointment;
+  }
+
+  /**
+   * Post a step transition, as clicking a step trigger does
+   * @param {object} trigger - Step trigger from a previous step
+   * @returns {Promise<string>} Step HTML
+   */
+  async amendStep(trigger) {
+    if (!this.formFields) {
+      throw new Error('No session; call start() first');
+    }
+    if (trigger.field) {
+      this.formFields[trigger.field] = trigger.id;
+    }
+
+    const url = new URL(this.amendStepUrl);
+    url.searchParams.set('stepControlTriggerId', trigger.trigger);
+    url.searchParams.set('targetStepControlId', trigger.target);
+
+    return this.request(url.toString(), {
+      method: 'POST',
+      headers: {
+        Accept: 'text/html, */*; q=0.01',
+        'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+        'X-Requested-With': 'XMLHttpRequest',
+        Referer: this.baseUrl
+      },
+      body: new URLSearchParams(this.formFields).toString()
+    });
+  }
+
+  /**
+   * Open the appointment type step
+   * @returns {Promise<Array<object>>} Appointment type triggers; each has id and label
+   */
+  async getAppointmentTypes() {
+    const makeAppointment = await this.start();
+    const html = await this.amendStep(makeAppointment);
+    return parseStepTriggers(html)
+      .filter(t => t.className.includes(this.site.markers.appointmentTypeClass))
+      .map(t => ({ ...t, label: t.texts.join(' ') }));
+  }
+
+  /**
+   * Select an appointment type and list the offices offering it.
+   * Every call starts over from the Index page, so one client can select several types.
+   * @param {string} appointmentTypeId - Appointment type data-id (optional)
+   * @param {string} appointmentTypeText - Appointment type text (optional)
+   * @returns {Promise<object>} The selected type trigger (with label) and location triggers; each location has id, cityName and location
+   */
+  async selectAppointmentType(appointmentTypeId, appointmentTypeText) {
+    const type = findAppointmentType(await this.getAppointmentTypes(), { id: appointmentTypeId, text: appointmentTypeText });
+    if (!type) {
+      throw new Error(`Appointment type ${appointmentTypeId || `"${appointmentTypeText}"`} not found`);
+    }
+
+    const html = await this.amendStep(type);
+    const locations = parseStepTriggers(html)
+      .filter(t => t.className.includes(this.site.markers.activeUnitClass))
+      // Same text AppointmentPage.getCityName() reads: the first line of the tile
+      .map(t => ({
+        ...t,
+        cityName: t.texts[0] || '',
+        location: Location.fromTile({
+          id: t.id,
+          latitude: t.attributes['data-latitude'],
+          longitude: t.attributes['data-longitude'],
+          lines: t.texts
+        })
+      }));
+    return { appointmentType: type, locations };
+  }
+
+  /**
+   * Open the calendar step of one office
+   * @param {object} location - Location trigger from selectAppointmentType()
+   * @returns {Promise<object>} Parsed appointment data plus the step HTML
+   */
+  async checkLocation(location) {
+    const html = await this.amendStep(location);
+    return { ...parseAppointmentData(html, this.site), html };
+  }
+}
+
+/**
+ * Scanner with the same interface as Scanner that walks the AmendStep flow over plain HTTP.
+ * Much lighter than driving Chromium, but it depends on the step markup; use the
+ * browser Scanner when the site changes.
+ */
+export class HttpScanner {
+  /**
+   * @param {object} options - Scan options, see Scanner
+   * @param {SiteAdapter} options.site - Site to scan (default: NC DMV)
+   * @param {number} options.requestDelayMs - Pause between location requests in milliseconds
+   * @param {number} options.maxChecksPerMinute - Location checks started per minute, on top of the
+   *   pause (optional). Locations are checked one at a time, so any concurrency cap is kept.
+   * @param {Function} options.fetch - fetch implementation (default: global fetch)
+   */
+  constructor({
+    site = NC_DMV,
+    baseUrl = null,
+    geolocation = DEFAULT_GEOLOCATION,
+    searchFrom = null,
+    appointmentTypes = null,
+    appointmentTypeId = null,
+    appointmentTypeText = null,
+    maxDistanceMiles = null,
+    unitIds = null,
+    requestDelayMs = 250,
+    maxChecksPerMinute = null,
+    fetch = globalThis.fetch,
+    onResult = null
+  } = {}) {
+    this.site = site;
+    this.baseUrl = baseUrl || site.baseUrl;
+    this.geolocation = geolocation;
+    this.searchFrom = searchFrom || geolocation;
+    this.appointmentTypes = normalizeAppointmentTypes({ appointmentTypes, appointmentTypeId, appointmentTypeText });
+    this.maxDistanceMiles = maxDistanceMiles;
+    this.unitIds = unitIds;
+    this.requestDelayMs = requestDelayMs;
+    this.rateLimiter = new RateLimiter({ maxPerMinute: maxChecksPerMinute });
+    this.fetch = fetch;
+    this.onResult = onResult;
+  }
+
+  /**
+   * Nothing to release; present so HttpScanner and Scanner are interchangeable
+   */
+  async close() {}
+
+  /**
+   * New client for this scanner's site
+   * @param {object} geolocation - Position reported to the site (default: searchFrom)
+   * @returns {QflowHttpClient} Client
+   */
+  createClient(geolocation = this.searchFrom) {
+    return new QflowHttpClient({ site: this.site, baseUrl: this.baseUrl, geolocation, fetch: this.fetch });
+  }
+
+  /**
+   * List the appointment types the site offers
+   * @returns {Promise<Array<object>>} Appointment types of { id, label }
+   */
+  async listAppointmentTypes() {
+    const types = await this.createClient().getAppointmentTypes();
+    return types.map(({ id, label }) => ({ id, label }));
+  }
+
+  /**
+   * List the offices the site offers for each configured appointment type when
+   * searching from a position, without checking their calendars
+   * @param {object} origin - Position reported to the site (default: searchFrom)
+   * @returns {Promise<Array<object>>} Appointment types of { id, text, label, locations } with the
+   *   locations in page order
+   */
+  async listLocations(origin = this.searchFrom) {
+    const client = this.createClient(origin);
+    const listed = [];
+    for (const type of this.appointmentTypes) {
+      const { appointmentType, locations } = await client.selectAppointmentType(type.id, type.text);
+      listed.push({ ...type, label: appointmentType.label, locations: locations.map(l => l.location) });
+    }
+    return listed;
+  }
+
+  /**
+   * Scan every location offered for each configured appointment type, nearest first.
+   * Any failure ends the scan, so that FallbackScanner can switch to the browser.
+   * @returns {Promise<object>} Scan with baseUrl, startedAt, finishedAt, appointmentTypes, results and
+   *   an empty errors list; every result carries the appointmentType it was found for
+   */
+  async scan() {
+    if (this.appointmentTypes.length === 0) {
+      throw new Error('Either appointmentTypeId or appointmentTypeText must be provided');
+    }
+
+    const startedAt = new Date().toISOString();
+    const client = this.createClient();
+    const appointmentTypes = [];
+    const results = [];
+
+    for (const type of this.appointmentTypes) {
+      const selected = await client.selectAppointmentType(type.id, type.text);
+      const appointmentType = { ...type, label: selected.appointmentType.label };
+      const { locations } = selected;
+      const plan = rankLocations(locations.map(l => l.location), this.geolocation, { maxDistanceMiles: this.maxDistanceMiles, unitIds: this.unitIds });
+      appointmentTypes.push(appointmentType);
+
+      for (let i = 0; i < plan.length; i++) {
+        if (results.length > 0 && this.requestDelayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, this.requestDelayMs));
+        }
+        await this.rateLimiter.acquire();
+
+        const result = { ...await this.checkLocation(client, locations[plan[i].index], plan[i].distanceMiles), appointmentType };
+        results.push(result);
+        if (this.onResult) {
+          await this.onResult(result, i, plan.length);
+        }
+      }
+    }
+
+    return { baseUrl: this.baseUrl, startedAt, finishedAt: new Date().toISOString(), appointmentTypes, results, errors: [] };
+  }
+
+  /**
+   * Check one location and collect every available date and time slot
+   * @param {QflowHttpClient} client - Client with an open session
+   * @param {object} location - Location trigger
+   * @param {number|null} distanceMiles - Distance from the configured geolocation
+   * @returns {Promise<object>} Result with cityName, location, distanceMiles, isAvailable, availableDates, availability, timeSlots and checkedAt
+   */
+  async checkLocation(client, location, distanceMiles = null) {
+    const checkedAt = new Date().toISOString();
+    const { hasAppointments, availability, errorMessage } = await client.checkLocation(location);
+
+    if (!hasAppointments && !errorMessage) {
+      // Neither the calendar model nor the no-appointments error: the markup is not what we expect
+      throw new SelectorDriftError(`Unrecognized calendar step for ${location.cityName}`);
+    }
+
+    return {
+      cityName: location.cityName,
+      location: location.location,
+      distanceMiles,
+      isAvailable: hasAppointments,
+      availableDates: Object.keys(availability),
+      availability,
+      timeSlots: flattenAvailability(availability),
+      checkedAt
+    };
+  }
+}
@@ -0,0 +1,161 @@
+const EARTH_RADIUS_MILES = 3958.8;
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in miles
+ */
+export function haversineMiles(lat1, lon1, lat2, lon2) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Parse a number attribute, keeping missing values as null
+ * @param {string|number|null} value - Attribute value
+ * @returns {number|null} Number or null
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * An office as shown on an `.Active-Unit` tile of the location step
+ */
+export class Location {
+  /**
+   * @param {object} fields - Location fields
+   * @param {string} fields.unitId - Stable unit id (the tile's data-id)
+   * @param {string} fields.name - Office name, the first line of the tile
+   * @param {string} fields.address - Street address
+   * @param {string} fields.city - City
+   * @param {string} fields.state - State abbreviation
+   * @param {string} fields.zip - ZIP code
+   * @param {number} fields.displayedDistanceMiles - Distance shown on the tile, if any
+   * @param {number} fields.latitude - Latitude, when the page provides it
+   * @param {number} fields.longitude - Longitude, when the page provides it
+   */
+  constructor({
+    unitId = null,
+    name = 'Unknown',
+    address = null,
+    city = null,
+    state = null,
+    zip = null,
+    displayedDistanceMiles = null,
+    latitude = null,
+    longitude = null
+  } = {}) {
+    this.unitId = unitId;
+    this.name = name;
+    this.address = address;
+    this.city = city;
+    this.state = state;
+    this.zip = zip;
+    this.displayedDistanceMiles = displayedDistanceMiles;
+    this.latitude = latitude;
+    this.longitude = longitude;
+  }
+
+  /**
+   * Build a location from the data of a tile. The tile text is read line by line:
+   * the office name first, then the street address, a "City, ST 12345" line and
+   * an optional "4.2 mi" distance.
+   * @param {object} tile - Tile data
+   * @param {string} tile.id - The tile's data-id
+   * @param {string} tile.latitude - The tile's data-latitude (optional)
+   * @param {string} tile.longitude - The tile's data-longitude (optional)
+   * @param {Array<string>} tile.lines - Visible text lines of the tile
+   * @returns {Location} Location
+   */
+  static fromTile({ id = null, latitude = null, longitude = null, lines = [] }) {
+    const texts = lines.map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    const fields = {
+      unitId: id || null,
+      name: texts[0] || 'Unknown',
+      latitude: toNumber(latitude),
+      longitude: toNumber(longitude)
+    };
+    const addressLines = [];
+
+    for (const text of texts.slice(1)) {
+      const cityLine = /^(.+?),\s*([A-Z]{2})\s+(\d{5})(?:-\d{4})?$/.exec(text);
+      const distance = /^([\d.]+)\s*(?:mi|miles?)\b/i.exec(text);
+
+      if (cityLine && !fields.city) {
+        [, fields.city, fields.state, fields.zip] = cityLine;
+      } else if (distance) {
+        fields.displayedDistanceMiles = toNumber(distance[1]);
+      } else if (!fields.city) {
+        addressLines.push(text);
+      }
+    }
+    fields.address = addressLines.join(', ') || null;
+
+    return new Location(fields);
+  }
+
+  /**
+   * Whether the page provided coordinates for this office
+   */
+  get hasCoordinates() {
+    return this.latitude !== null && this.longitude !== null;
+  }
+
+  /**
+   * Distance from a point, using the tile coordinates when present and the displayed distance otherwise
+   * @param {object} origin - Object with latitude and longitude
+   * @returns {number|null} Distance in miles, or null when unknown
+   */
+  distanceFrom(origin) {
+    if (this.hasCoordinates && origin && Number.isFinite(origin.latitude) && Number.isFinite(origin.longitude)) {
+      return haversineMiles(origin.latitude, origin.longitude, this.latitude, this.longitude);
+    }
+    return this.displayedDistanceMiles;
+  }
+}
+
+/**
+ * Decide which locations to check and in which order: nearest first, dropping those
+ * beyond the cutoff. Locations with an unknown distance are kept, after the others,
+ * in page order.
+ * @param {Array<Location>} locations - Locations in page order
+ * @param {object} origin - Object with latitude and longitude
+ * @param {object} options - Ranking options
+ * @param {number} options.maxDistanceMiles - Distance cutoff in miles (optional)
+ * @param {Array<string>} options.unitIds - Only these offices, by unit id or, without one, name (optional)
+ * @returns {Array<object>} Entries of { index, location, distanceMiles }, index being the tile position
+ */
+export function rankLocations(locations, origin, { maxDistanceMiles = null, unitIds = null } = {}) {
+  const entries = locations.map((location, index) => {
+    const distance = location.distanceFrom(origin);
+    return { index, location, distanceMiles: distance === null ? null : Math.round(distance * 10) / 10 };
+  });
+
+  return entries
+    .filter(entry => !unitIds || unitIds.includes(entry.location.unitId || entry.location.name))
+    .filter(entry => !maxDistanceMiles || entry.distanceMiles === null || entry.distanceMiles <= maxDistanceMiles)
+    .sort((a, b) => (a.distanceMiles ?? Infinity) - (b.distanceMiles ?? Infinity) || a.index - b.index);
+}
+
+/**
+ * Parse MAX_DISTANCE_MILES or a --max-distance value
+ * @param {string} value - Miles, or empty for no cutoff
+ * @returns {number|null} Cutoff in miles, or null
+ */
+export function parseMaxDistance(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const miles = Number(value);
+  if (!(miles > 0)) {
+    throw new Error(`Invalid maximum distance "${value}" (expected a positive number of miles)`);
+  }
+  return miles;
+}
@@ -0,0 +1,204 @@
+import { toIsoDate } from './appointment-parser.js';
+import { selectCandidateSlot } from './booking.js';
+import { isBeforeBooking } from './current-booking.js';
+import { toMinutes } from './preferences.js';
+
+/**
+ * Outcomes of managing an existing appointment
+ */
+export const MANAGE_STATUS = {
+  FOUND: 'found',
+  DRY_RUN: 'dry-run',
+  RESCHEDULED: 'rescheduled',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Selectors of the existing-appointment steps
+ */
+export const MANAGE_SELECTORS = [
+  'manageAppointment',
+  'lookupConfirmationNumber',
+  'lookupContact',
+  'findAppointment',
+  'rescheduleAppointment',
+  'cancelAppointment',
+  'confirmCancellation',
+  'cancellationMessage'
+];
+
+/**
+ * Refuse to manage appointments on the live site while the adapter's selectors for
+ * it are unconfirmed, see SiteAdapter.checkConfirmed()
+ * @param {SiteAdapter} site - Site adapter
+ * @param {string} baseUrl - Appointment Index URL in use
+ * @throws {Error} If the URL is the live site and a selector is unconfirmed
+ */
+export function checkManageSelectors(site, baseUrl) {
+  site.checkConfirmed(MANAGE_SELECTORS, baseUrl, 'existing appointments');
+}
+
+/**
+ * Validate what an existing appointment is looked up by
+ * @param {object} lookup - Lookup of { confirmationNumber, contact }
+ * @param {string} lookup.confirmationNumber - Confirmation number such as "NC12345678"
+ * @param {string} lookup.contact - Email address or phone number the appointment was booked with
+ * @returns {object} Lookup with trimmed fields
+ */
+export function parseAppointmentLookup({ confirmationNumber, contact } = {}) {
+  const number = String(confirmationNumber ?? '').trim();
+  const value = String(contact ?? '').trim();
+  if (!number) {
+    throw new Error('Missing the confirmation number of the appointment');
+  }
+  if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(value) && value.replace(/\D/g, '').length !== 10) {
+    throw new Error(`Contact "${value}" is neither an email address nor a 10-digit phone number`);
+  }
+  return { confirmationNumber: number, contact: value };
+}
+
+/**
+ * Read the appointment held from the details the site shows for it
+ * @param {object} details - Label to value, as from AppointmentPage.getExistingAppointment()
+ * @returns {object} Appointment of { confirmationNumber, office, appointmentType, datetime, date, time, minutes, details },
+ *   usable as the booking of isBeforeBooking()
+ * @throws {Error} If the date and time can't be read
+ */
+export function heldAppointment(details) {
+  const datetime = (details['Date and time'] || '').trim();
+  const date = toIsoDate(datetime);
+  // "11/4/2026 8:15:00 AM" -> "8:15 AM"
+  const time = datetime.split(/\s+/).slice(1).join(' ').replace(/^(\d{1,2}:\d{2}):\d{2}/, '$1') || null;
+  const minutes = time ? toMinutes(time) : null;
+  if (!date || minutes === null) {
+    throw new Error(`Could not read the appointment's date and time from "${datetime}"`);
+  }
+
+  return {
+    confirmationNumber: details['Confirmation number'] || null,
+    office: (details.Office || '').split(',')[0].trim() || null,
+    appointmentType: details['Appointment type'] || null,
+    datetime,
+    date,
+    time,
+    minutes,
+    details
+  };
+}
+
+/**
+ * Ranked candidates that are earlier than the appointment held
+ * @param {Array<object>} candidates - Ranked slots of { slot, result } from rankSlots()
+ * @param {object} appointment - Appointment from heldAppointment()
+ * @returns {Array<object>} The earlier candidates, in rank order
+ */
+export function earlierCandidates(candidates, appointment) {
+  return candidates.filter(({ slot }) => isBeforeBooking({ ...slot, date: slot.date || toIsoDate(slot.datetime) }, appointment));
+}
+
+/**
+ * Looks up an existing appointment in a browser session, then reschedules it
+ * to one of a list of candidate slots or cancels it. Rescheduling stops on the
+ * review step unless dryRun is off, and cancelling needs an explicit confirm.
+ */
+export class AppointmentManager {
+  /**
+   * @param {object} options - Manager options
+   * @param {Scanner} options.scanner - Browser Scanner whose session is used
+   * @param {object} options.lookup - Lookup from parseAppointmentLookup()
+   * @param {boolean} options.dryRun - Stop a reschedule before the final submission (default: true)
+   * @param {number} options.maxAttempts - Candidates to try before giving up
+   */
+  constructor({ scanner, lookup, dryRun = true, maxAttempts = 3 }) {
+    this.scanner = scanner;
+    this.lookup = lookup;
+    this.dryRun = dryRun;
+    this.maxAttempts = maxAttempts;
+  }
+
+  /**
+   * From the Index page, look the appointment up and read it
+   * @param {AppointmentPage} appointmentPage - Page object on the Index page
+   * @returns {Promise<object>} Appointment from heldAppointment()
+   * @throws {Error} If no appointment matches
+   */
+  async openAppointment(appointmentPage) {
+    await appointmentPage.clickManageAppointment();
+    const details = await appointmentPage.lookUpAppointment(this.lookup.confirmationNumber, this.lookup.contact);
+    if (!details) {
+      throw new Error(`No appointment matches confirmation number ${this.lookup.confirmationNumber} and that contact information`);
+    }
+    return heldAppointment(details);
+  }
+
+  /**
+   * Read the appointment held
+   * @returns {Promise<object>} Outcome of { status, appointment }
+   */
+  async find() {
+    return this.scanner.withAppointmentPage(async appointmentPage => ({
+      status: MANAGE_STATUS.FOUND,
+      appointment: await this.openAppointment(appointmentPage)
+    }));
+  }
+
+  /**
+   * Move the appointment to the first candidate that is still open
+   * @param {Array<object>} candidates - Ranked slots of { slot, result }, see earlierCandidates()
+   * @returns {Promise<object>} Outcome of { status, appointment, confirmationNumber, details, slot, result }
+   * @throws {Error} If no candidate could be selected
+   */
+  async reschedule(candidates) {
+    if (candidates.length === 0) {
+      throw new Error('No slot to reschedule to');
+    }
+
+    return this.scanner.withAppointmentPage(async appointmentPage => {
+      const attempts = candidates.slice(0, this.maxAttempts);
+
+      for (let i = 0; i < attempts.length; i++) {
+        const { slot, result } = attempts[i];
+        if (i > 0) {
+          await appointmentPage.returnToIndex(this.scanner.baseUrl);
+        }
+
+        const appointment = await this.openAppointment(appointmentPage);
+        await appointmentPage.startReschedule();
+        const type = result.appointmentType || this.scanner.appointmentTypes[0];
+        if (!(await selectCandidateSlot(appointmentPage, slot, result, type))) {
+          console.warn(`${slot.datetime} at ${result.cityName} is no longer available`);
+          continue;
+        }
+
+        const details = await appointmentPage.submitRescheduledSlot();
+        if (this.dryRun) {
+          return { status: MANAGE_STATUS.DRY_RUN, appointment, confirmationNumber: appointment.confirmationNumber, details, slot, result };
+        }
+
+        const confirmation = await appointmentPage.confirmReschedule();
+        return { status: MANAGE_STATUS.RESCHEDULED, appointment, ...confirmation, slot, result };
+      }
+
+      throw new Error(`None of the ${attempts.length} best slots could be selected`);
+    });
+  }
+
+  /**
+   * Cancel the appointment, or without confirm stop on the site's cancellation step
+   * @param {object} options - Cancel options
+   * @param {boolean} options.confirm - Cancel for real (default: false)
+   * @returns {Promise<object>} Outcome of { status, appointment, details, message }
+   */
+  async cancel({ confirm = false } = {}) {
+    return this.scanner.withAppointmentPage(async appointmentPage => {
+      const appointment = await this.openAppointment(appointmentPage);
+      const details = await appointmentPage.startCancellation();
+      if (!confirm) {
+        return { status: MANAGE_STATUS.DRY_RUN, appointment, details, message: null };
+      }
+
+      const message = await appointmentPage.confirmCancellation();
+      return { status: MANAGE_STATUS.CANCELLED, appointment, details, message };
+    });
+  }
+}
@@ -0,0 +1,43 @@
+import { execFile } from 'child_process';
+import { Notifier } from './notifier.js';
+
+/**
+ * Rings the terminal bell and optionally raises a desktop notification
+ */
+export class BellNotifier extends Notifier {
+  /**
+   * @param {object} options - Bell options
+   * @param {boolean} options.desktop - Also show a desktop notification (notify-send or osascript)
+   * @param {object} options.stream - Writable stream for the bell and message (default: stderr,
+   *   which reaches the terminal without mixing into json, csv or ndjson output on stdout)
+   */
+  constructor({ desktop = false, stream = process.stderr } = {}) {
+    super('bell');
+    this.desktop = desktop;
+    this.stream = stream;
+  }
+
+  async send(notification) {
+    this.stream.write(`\u0007${notification.title}\n`);
+
+    if (this.desktop) {
+      await this.showDesktopNotification(notification).catch(error => {
+        console.warn(`Desktop notification failed: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Show a desktop notification with the platform's command line tool
+   * @param {object} notification - Notification to show
+   */
+  showDesktopNotification(notification) {
+    const [command, args] = process.platform === 'darwin'
+      ? ['osascript', ['-e', `display notification ${JSON.stringify(notification.text)} with title ${JSON.stringify(notification.title)}`]]
+      : ['notify-send', [notification.title, notification.text]];
+
+    return new Promise((resolve, reject) => {
+      execFile(command, args, error => (error ? reject(error) : resolve()));
+    });
+  }
+}
@@ -0,0 +1,219 @@
+import { CHANGE_TYPES, resultKey } from '../watcher.js';
+import { appointmentTypeLabel } from '../appointment-types.js';
+import { formatBooking } from '../current-booking.js';
+
+/**
+ * Number of time slots included in a notification
+ */
+const MAX_TIME_SLOTS = 5;
+
+/**
+ * Date part of a slot datetime such as "11/4/2026 8:15:00 AM"
+ * @param {string} datetime - Slot datetime
+ * @returns {string|null} Date in YYYY-MM-DD format
+ */
+function slotDate(datetime) {
+  const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})/.exec(datetime || '');
+  return match ? `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}` : null;
+}
+
+/**
+ * Events whose notification reached every channel
+ * @param {Array<object>} outcomes - Outcomes from dispatchEarlierSlots()
+ * @returns {Array<object>} Delivered events
+ */
+export function deliveredEvents(outcomes) {
+  const failed = new Set(outcomes.filter(outcome => outcome.error).flatMap(outcome => outcome.events));
+  return [...new Set(outcomes.flatMap(outcome => outcome.events))].filter(event => !failed.has(event));
+}
+
+/**
+ * Decides which availability changes trigger a notification and fans them out to channels.
+ * Only "gained" and "earlier" changes notify, or with a current booking, slots that beat it;
+ * a channel failure is logged and does not stop the others.
+ */
+export class NotificationDispatcher {
+  /**
+   * @param {object} options - Dispatcher options
+   * @param {Array<Notifier>} options.notifiers - Channels to deliver to
+   * @param {object} options.filters - Trigger filters
+   * @param {number} options.filters.maxDistanceMiles - Skip locations farther than this (locations without a distance pass)
+   * @param {string} options.filters.dateBefore - Only count dates before this YYYY-MM-DD date
+   * @param {Array<string>} options.filters.cities - Only notify for these cities (case-insensitive)
+   */
+  constructor({ notifiers = [], filters = {} } = {}) {
+    this.notifiers = notifiers;
+    this.filters = {
+      maxDistanceMiles: filters.maxDistanceMiles ?? null,
+      dateBefore: filters.dateBefore || null,
+      cities: (filters.cities || []).map(city => city.trim().toLowerCase()).filter(Boolean)
+    };
+  }
+
+  /**
+   * Whether any channel is configured
+   */
+  get enabled() {
+    return this.notifiers.length > 0;
+  }
+
+  /**
+   * Build the notification for a change, or null when the filters reject it
+   * @param {object} change - Change from diffResults
+   * @param {object} scan - Scan the change came from
+   * @returns {object|null} Notification
+   */
+  buildNotification(change, scan = {}) {
+    if (change.type !== CHANGE_TYPES.GAINED && change.type !== CHANGE_TYPES.EARLIER) {
+      return null;
+    }
+
+    const { result } = change;
+    const { maxDistanceMiles, dateBefore, cities } = this.filters;
+
+    if (cities.length > 0 && !cities.includes(result.cityName.toLowerCase())) {
+      return null;
+    }
+    if (maxDistanceMiles != null && result.distanceMiles != null && result.distanceMiles > maxDistanceMiles) {
+      return null;
+    }
+
+    const dates = [...result.availableDates].sort().filter(date => !dateBefore || date < dateBefore);
+    if (dateBefore && dates.length === 0) {
+      return null;
+    }
+
+    const timeSlots = result.timeSlots
+      .filter(slot => !dateBefore || (slotDate(slot.datetime) || dateBefore) < dateBefore)
+      .slice(0, MAX_TIME_SLOTS)
+      .map(slot => slot.datetime);
+    const earliestDate = dates[0] || null;
+    const appointmentType = result.appointmentType || null;
+    const title = change.type === CHANGE_TYPES.EARLIER
+      ? `Earlier DMV appointment in ${result.cityName}: ${earliestDate}`
+      : `DMV appointments available in ${result.cityName}${earliestDate ? ` (earliest ${earliestDate})` : ''}`;
+    const text = [
+      title,
+      appointmentType ? `Appointment type: ${appointmentTypeLabel(appointmentType)}` : null,
+      dates.length > 0 ? `Dates: ${dates.join(', ')}` : null,
+      timeSlots.length > 0 ? `First times: ${timeSlots.join(', ')}` : null,
+      scan.baseUrl ? `Book at: ${scan.baseUrl}` : null
+    ].filter(Boolean).join('\n');
+
+    return {
+      event: 'appointments-available',
+      change: change.type,
+      cityName: result.cityName,
+      appointmentType,
+      dates,
+      earliestDate,
+      timeSlots,
+      scannedAt: scan.finishedAt || new Date().toISOString(),
+      title,
+      text
+    };
+  }
+
+  /**
+   * Build the notification for one location's slots that beat the current booking,
+   * or null when the filters reject them all
+   * @param {Array<object>} events - Events of one location from findEarlierSlots(), earliest first
+   * @param {object} scan - Scan the slots came from
+   * @returns {object|null} Notification
+   */
+  buildEarlierSlotNotification(events, scan = {}) {
+    const { maxDistanceMiles, dateBefore, cities } = this.filters;
+    const kept = events.filter(event => !dateBefore || event.date < dateBefore);
+    const [first] = kept;
+    if (!first) {
+      return null;
+    }
+    if (cities.length > 0 && !cities.includes(first.cityName.toLowerCase())) {
+      return null;
+    }
+    if (maxDistanceMiles != null && first.distanceMiles != null && first.distanceMiles > maxDistanceMiles) {
+      return null;
+    }
+
+    const slots = kept.slice(0, MAX_TIME_SLOTS).map(event => ({ date: event.date, time: event.time, datetime: event.datetime, deltaDays: event.deltaDays }));
+    const when = [first.date, first.time].filter(Boolean).join(' ');
+    const title = `Earlier DMV appointment in ${first.cityName}: ${when}, ${first.deltaDays} day${first.deltaDays === 1 ? '' : 's'} before your booking`;
+    const text = [
+      title,
+      first.appointmentType ? `Appointment type: ${appointmentTypeLabel(first.appointmentType)}` : null,
+      `Your booking: ${formatBooking(first.booking)}`,
+      `Earlier times: ${slots.map(slot => slot.datetime || slot.date).join(', ')}`,
+      scan.baseUrl ? `Book at: ${scan.baseUrl}` : null
+    ].filter(Boolean).join('\n');
+
+    return {
+      event: 'earlier-slot-found',
+      cityName: first.cityName,
+      appointmentType: first.appointmentType,
+      booking: { date: first.booking.date, time: first.booking.time, office: first.booking.office },
+      deltaDays: first.deltaDays,
+      earliestDate: first.date,
+      slots,
+      scannedAt: scan.finishedAt || new Date().toISOString(),
+      title,
+      text
+    };
+  }
+
+  /**
+   * Send notifications for every change that passes the filters
+   * @param {Array<object>} changes - Changes from diffResults
+   * @param {object} scan - Scan the changes came from
+   * @returns {Promise<Array<object>>} Delivery outcomes with notifier, cityName and error
+   */
+  async dispatch(changes, scan = {}) {
+    const notifications = changes.map(change => this.buildNotification(change, scan));
+    return this.deliver(notifications.filter(Boolean));
+  }
+
+  /**
+   * Send one notification per location for the slots that beat the current booking
+   * @param {Array<object>} events - Events from findEarlierSlots(), earliest first
+   * @param {object} scan - Scan the slots came from
+   * @returns {Promise<Array<object>>} Delivery outcomes with notifier, cityName, error and the
+   *   events of the location; locations the filters reject have none
+   */
+  async dispatchEarlierSlots(events, scan = {}) {
+    const byLocation = new Map();
+    for (const event of events) {
+      const key = resultKey(event.result);
+      byLocation.set(key, [...(byLocation.get(key) || []), event]);
+    }
+
+    const outcomes = [];
+    for (const group of byLocation.values()) {
+      const notification = this.buildEarlierSlotNotification(group, scan);
+      if (!notification) continue;
+      outcomes.push(...(await this.deliver([notification])).map(outcome => ({ ...outcome, events: group })));
+    }
+    return outcomes;
+  }
+
+  /**
+   * Send notifications to every channel
+   * @param {Array<object>} notifications - Notifications to send
+   * @returns {Promise<Array<object>>} Delivery outcomes with notifier, cityName and error
+   */
+  async deliver(notifications) {
+    const outcomes = [];
+
+    for (const notification of notifications) {
+      for (const notifier of this.notifiers) {
+        try {
+          await notifier.send(notification);
+          outcomes.push({ notifier: notifier.name, cityName: notification.cityName, error: null });
+        } catch (error) {
+          console.error(`Notification via ${notifier.name} failed: ${error.message}`);
+          outcomes.push({ notifier: notifier.name, cityName: notification.cityName, error });
+        }
+      }
+    }
+
+    return outcomes;
+  }
+}
@@ -0,0 +1,244 @@
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import { Notifier } from './notifier.js';
+
+/**
+ * Minimal SMTP connection: reads (multi-line) replies and sends commands
+ */
+class SmtpConnection {
+  /**
+   * @param {net.Socket} socket - Socket to the server
+   * @param {number} timeoutMs - How long the server may stay silent before the connection is dropped
+   */
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiting = [];
+    this.error = null;
+    this.attach(socket);
+  }
+
+  /**
+   * Start reading replies from a socket
+   * @param {net.Socket} socket - Plain or TLS socket
+   */
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => this.onData(chunk));
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    socket.setTimeout(this.timeoutMs);
+    socket.on('timeout', () => {
+      this.fail(new Error(`SMTP server did not answer within ${this.timeoutMs}ms`));
+      socket.destroy();
+    });
+  }
+
+  onData(chunk) {
+    this.buffer += chunk;
+    let index;
+    while ((index = this.buffer.indexOf('\r\n')) >= 0) {
+      const line = this.buffer.slice(0, index);
+      this.buffer = this.buffer.slice(index + 2);
+      this.lines.push(line);
+
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3), 10), lines: this.lines.splice(0) };
+        const waiter = this.waiting.shift();
+        if (waiter) {
+          waiter.resolve(reply);
+        } else {
+          this.replies.push(reply);
+        }
+      }
+    }
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    for (const waiter of this.waiting.splice(0)) {
+      waiter.reject(error);
+    }
+  }
+
+  /**
+   * Read the next reply
+   * @param {Array<number>} expected - Accepted reply codes
+   * @returns {Promise<object>} Reply with code and lines
+   */
+  async read(expected) {
+    if (this.replies.length === 0 && this.error) {
+      throw this.error;
+    }
+    const reply = this.replies.length > 0
+      ? this.replies.shift()
+      : await new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP error: ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  /**
+   * Send a command and read its reply
+   * @param {string} line - Command without the trailing CRLF
+   * @param {Array<number>} expected - Accepted reply codes
+   * @returns {Promise<object>} Reply with code and lines
+   */
+  command(line, expected) {
+    this.socket.write(`${line}\r\n`);
+    return this.read(expected);
+  }
+
+  /**
+   * Upgrade the connection to TLS after STARTTLS
+   * @param {string} host - Server name for certificate validation
+   */
+  async upgrade(host) {
+    const plain = this.socket;
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('close');
+    plain.removeAllListeners('error');
+    plain.removeAllListeners('timeout');
+    plain.setTimeout(0);
+
+    const secure = tls.connect({ socket: plain, servername: host });
+    this.attach(secure);
+    await new Promise((resolve, reject) => {
+      secure.once('secureConnect', resolve);
+      secure.once('error', reject);
+      secure.once('close', () => reject(this.error));
+    });
+  }
+
+  close() {
+    this.socket.end();
+  }
+}
+
+/**
+ * Encode a header value as RFC 2047 encoded words when it is not plain ASCII.
+ * Each word stays within 75 characters and holds whole characters only.
+ * @param {string} value - Header value
+ * @returns {string} Value to write after the header name
+ */
+export function encodeHeader(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) {
+    return value;
+  }
+
+  const words = [];
+  let chunk = '';
+  for (const character of value) {
+    // 45 bytes make 60 base64 characters, 72 with the =?UTF-8?B?...?= wrapper
+    if (Buffer.byteLength(chunk + character) > 45) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += character;
+  }
+  words.push(chunk);
+  return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+}
+
+/**
+ * Name to greet the server with: the hostname when it looks like a domain,
+ * otherwise the loopback address literal
+ * @param {string} hostname - Local hostname (default: os.hostname())
+ * @returns {string} EHLO argument
+ */
+export function ehloName(hostname = os.hostname()) {
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(hostname) ? hostname : '[127.0.0.1]';
+}
+
+/**
+ * Send a plain text email over SMTP
+ * @param {object} options - SMTP and message options
+ * @param {string} options.host - SMTP host
+ * @param {number} options.port - SMTP port
+ * @param {boolean} options.secure - Connect with TLS from the start (port 465)
+ * @param {string} options.user - Username for AUTH PLAIN (optional)
+ * @param {string} options.pass - Password for AUTH PLAIN (optional)
+ * @param {boolean} options.allowInsecureAuth - Send the credentials even when the server offers no STARTTLS
+ * @param {string} options.from - Sender address
+ * @param {Array<string>} options.to - Recipient addresses
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Message body
+ * @param {number} options.timeoutMs - How long the server may stay silent, connecting included (default: 10 seconds)
+ */
+export async function sendMail({ host, port, secure = false, user, pass, from, to, subject, text, allowInsecureAuth = false, timeoutMs = 10000 }) {
+  const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+  const connection = new SmtpConnection(socket, timeoutMs);
+
+  try {
+    await connection.read([220]);
+    const ehlo = await connection.command(`EHLO ${ehloName()}`, [250]);
+
+    let encrypted = secure;
+    if (!secure && ehlo.lines.some(line => /STARTTLS/i.test(line))) {
+      await connection.command('STARTTLS', [220]);
+      await connection.upgrade(host);
+      await connection.command(`EHLO ${ehloName()}`, [250]);
+      encrypted = true;
+    }
+
+    if (user && !encrypted && !allowInsecureAuth) {
+      await connection.command('QUIT', [221]).catch(() => null);
+      throw new Error('SMTP server does not offer STARTTLS; refusing to send the password unencrypted (set SMTP_ALLOW_INSECURE=true to allow it)');
+    }
+    if (user) {
+      const credentials = Buffer.from(`\u0000${user}\u0000${pass || ''}`).toString('base64');
+      await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await connection.command(`MAIL FROM:<${from}>`, [250]);
+    for (const recipient of to) {
+      await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await connection.command('DATA', [354]);
+
+    const message = [
+      `From: ${from}`,
+      `To: ${to.join(', ')}`,
+      `Subject: ${encodeHeader(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      // Dot-stuff lines that start with a period
+      ...text.split(/\r?\n/).map(line => (line.startsWith('.') ? `.${line}` : line))
+    ].join('\r\n');
+
+    await connection.command(`${message}\r\n.`, [250]);
+    await connection.command('QUIT', [221]).catch(() => null);
+  } finally {
+    connection.close();
+  }
+}
+
+/**
+ * Emails each notification over SMTP
+ */
+export class EmailNotifier extends Notifier {
+  /**
+   * @param {object} options - SMTP options and timeoutMs, see sendMail()
+   */
+  constructor({ host, port = 587, secure = false, user = null, pass = null, allowInsecureAuth = false, from, to, timeoutMs = 10000 }) {
+    super('email');
+    if (!host || !from || !to || to.length === 0) {
+      throw new Error('EmailNotifier requires host, from and to');
+    }
+    this.smtp = { host, port, secure, user, pass, allowInsecureAuth, from, to, timeoutMs };
+  }
+
+  async send(notification) {
+    await sendMail({ ...this.smtp, subject: notification.title, text: notification.text });
+  }
+}
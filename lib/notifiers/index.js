@@ -0,0 +1,57 @@
+import { NotificationDispatcher, deliveredEvents } from './dispatcher.js';
+import { WebhookNotifier } from './webhook-notifier.js';
+import { EmailNotifier } from './email-notifier.js';
+import { BellNotifier } from './bell-notifier.js';
+
+export { Notifier } from './notifier.js';
+export { NotificationDispatcher, WebhookNotifier, EmailNotifier, BellNotifier, deliveredEvents };
+
+/**
+ * Split a comma separated list
+ * @param {string} value - Comma separated values
+ * @returns {Array<string>} Trimmed, non-empty values
+ */
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Build a dispatcher from NOTIFY_* and SMTP_* environment variables.
+ * A channel is enabled when its required variables are set.
+ * @param {object} env - Environment variables (default: process.env)
+ * @returns {NotificationDispatcher} Dispatcher, possibly without channels
+ */
+export function createDispatcherFromEnv(env = process.env) {
+  const notifiers = [];
+
+  if (env.NOTIFY_WEBHOOK_URL) {
+    notifiers.push(new WebhookNotifier({ url: env.NOTIFY_WEBHOOK_URL }));
+  }
+
+  if (env.SMTP_HOST && env.NOTIFY_EMAIL_TO) {
+    notifiers.push(new EmailNotifier({
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT, 10) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER || null,
+      pass: env.SMTP_PASS || null,
+      allowInsecureAuth: env.SMTP_ALLOW_INSECURE === 'true',
+      from: env.NOTIFY_EMAIL_FROM || env.SMTP_USER,
+      to: splitList(env.NOTIFY_EMAIL_TO)
+    }));
+  }
+
+  if (env.NOTIFY_BELL === 'true' || env.NOTIFY_DESKTOP === 'true') {
+    notifiers.push(new BellNotifier({ desktop: env.NOTIFY_DESKTOP === 'true' }));
+  }
+
+  const maxDistance = parseFloat(env.NOTIFY_MAX_DISTANCE);
+  return new NotificationDispatcher({
+    notifiers,
+    filters: {
+      maxDistanceMiles: Number.isNaN(maxDistance) ? null : maxDistance,
+      dateBefore: env.NOTIFY_DATE_BEFORE || null,
+      cities: splitList(env.NOTIFY_CITIES)
+    }
+  });
+}
@@ -0,0 +1,23 @@
+/**
+ * Base class for notification channels.
+ * Channels receive a notification object built by NotificationDispatcher:
+ * { event, change, cityName, dates, earliestDate, timeSlots, scannedAt, title, text }, or for
+ * slots that beat the current booking { event, cityName, booking, deltaDays, earliestDate, slots, scannedAt, title, text }
+ */
+export class Notifier {
+  /**
+   * @param {string} name - Channel name used in logs
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Deliver a notification
+   * @param {object} notification - Notification to deliver
+   * @returns {Promise<void>}
+   */
+  async send(notification) {
+    throw new Error(`${this.constructor.name} must implement send()`);
+  }
+}
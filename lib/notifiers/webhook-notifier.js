@@ -0,0 +1,36 @@
+import { Notifier } from './notifier.js';
+
+/**
+ * POSTs each notification as JSON to a webhook URL
+ */
+export class WebhookNotifier extends Notifier {
+  /**
+   * @param {object} options - Webhook options
+   * @param {string} options.url - Webhook URL
+   * @param {object} options.headers - Extra request headers (optional)
+   * @param {number} options.timeoutMs - Request timeout in milliseconds
+   */
+  constructor({ url, headers = {}, timeoutMs = 10000 }) {
+    super('webhook');
+    if (!url) {
+      throw new Error('WebhookNotifier requires a url');
+    }
+    this.url = url;
+    this.headers = headers;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async send(notification) {
+    const { title, text, ...payload } = notification;
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status} ${response.statusText}`);
+    }
+  }
+}
@@ -0,0 +1,379 @@
+import fs from 'fs';
+import path from 'path';
+import { appointmentTypeKey, normalizeAppointmentTypes } from './appointment-types.js';
+import { haversineMiles } from './location.js';
+
+const MILES_PER_DEGREE_LATITUDE = 69.05;
+
+export const DEFAULT_CATALOG_FILE = 'data/office-catalog.json';
+
+export const CATALOG_VERSION = 1;
+
+/**
+ * Bounding box of North Carolina, mountains to the Outer Banks
+ */
+export const NC_BOUNDS = { south: 33.84, west: -84.32, north: 36.59, east: -75.46 };
+
+/**
+ * Parse a "latitude,longitude" position
+ * @param {string} value - Position, e.g. "35.7796,-78.6382"
+ * @returns {object} Position of { latitude, longitude }
+ */
+export function parseOrigin(value) {
+  const parts = String(value).split(',').map(part => part.trim());
+  const [latitude, longitude] = parts.map(Number);
+  if (parts.length !== 2 || parts.includes('') || !Number.isFinite(latitude) || !Number.isFinite(longitude)
+    || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    throw new Error(`Invalid origin "${value}" (expected latitude,longitude, e.g. 35.7796,-78.6382)`);
+  }
+  return { latitude, longitude };
+}
+
+/**
+ * Parse a bounding box
+ * @param {string} value - "south,west,north,east" in degrees, or "nc" for NC_BOUNDS
+ * @returns {object} Bounds of { south, west, north, east }
+ */
+export function parseBounds(value) {
+  if (String(value).trim().toLowerCase() === 'nc') {
+    return { ...NC_BOUNDS };
+  }
+
+  const parts = String(value).split(',').map(part => part.trim());
+  const [south, west, north, east] = parts.map(Number);
+  if (parts.length !== 4 || parts.includes('') || ![south, west, north, east].every(Number.isFinite) || south >= north || west >= east) {
+    throw new Error(`Invalid grid "${value}" (expected nc or south,west,north,east, e.g. 35.5,-79.2,36.2,-78.3)`);
+  }
+  return { south, west, north, east };
+}
+
+/**
+ * Positions covering a bounding box, at the centers of cells about spacingMiles wide,
+ * south to north and west to east. A box smaller than one cell gets its center.
+ * @param {object} bounds - Bounds of { south, west, north, east }
+ * @param {number} spacingMiles - Distance between neighbouring positions
+ * @returns {Array<object>} Positions of { latitude, longitude }
+ */
+export function gridOrigins(bounds, spacingMiles) {
+  if (!(spacingMiles > 0)) {
+    throw new Error(`Invalid grid spacing "${spacingMiles}" (expected a positive number of miles)`);
+  }
+
+  const round = degrees => Math.round(degrees * 10000) / 10000;
+  const latitudeSpan = bounds.north - bounds.south;
+  const rows = Math.max(1, Math.ceil((latitudeSpan * MILES_PER_DEGREE_LATITUDE) / spacingMiles));
+  const origins = [];
+
+  for (let row = 0; row < rows; row++) {
+    const latitude = bounds.south + ((row + 0.5) * latitudeSpan) / rows;
+    const longitudeSpan = bounds.east - bounds.west;
+    // A degree of longitude shrinks with the cosine of the latitude
+    const milesPerDegree = MILES_PER_DEGREE_LATITUDE * Math.cos((latitude * Math.PI) / 180);
+    const columns = Math.max(1, Math.ceil((longitudeSpan * milesPerDegree) / spacingMiles));
+    for (let column = 0; column < columns; column++) {
+      origins.push({ latitude: round(latitude), longitude: round(bounds.west + ((column + 0.5) * longitudeSpan) / columns) });
+    }
+  }
+  return origins;
+}
+
+/**
+ * Key an office by its unit id, or its name when the tile has none
+ * @param {object} location - Location or catalog office
+ * @returns {string} Office key
+ */
+export function officeKey(location) {
+  return location.unitId || location.name;
+}
+
+/**
+ * List the offices seen from each origin and merge them into one catalog. An origin
+ * whose listing fails is recorded with its error and the sweep goes on.
+ * @param {object} scanner - Scanner with listLocations(origin), see createScanner()
+ * @param {Array<object>} origins - Positions of { latitude, longitude } to search from
+ * @param {object} options - Sweep options
+ * @param {string} options.baseUrl - Site the catalog was built from
+ * @param {number} options.delayMs - Pause between origins
+ * @param {Function} options.onOrigin - Called with (entry, index, total) after each origin
+ * @returns {Promise<object>} Catalog of { catalogVersion, baseUrl, generatedAt, origins, offices }
+ */
+export async function sweepOffices(scanner, origins, { baseUrl = null, delayMs = 0, onOrigin = null } = {}) {
+  const offices = new Map();
+  const swept = [];
+
+  for (let i = 0; i < origins.length; i++) {
+    if (i > 0 && delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+
+    const origin = origins[i];
+    const entry = { latitude: origin.latitude, longitude: origin.longitude, officeCount: 0, newOfficeCount: 0, error: null };
+    try {
+      const types = await scanner.listLocations(origin);
+      const seen = new Set();
+      for (const type of types) {
+        for (const location of type.locations) {
+          const key = officeKey(location);
+          if (!offices.has(key)) {
+            offices.set(key, newOffice(location));
+            entry.newOfficeCount += 1;
+          }
+          addSighting(offices.get(key), location, type, origin);
+          seen.add(key);
+        }
+      }
+      entry.officeCount = seen.size;
+    } catch (error) {
+      entry.error = error.message;
+    }
+
+    swept.push(entry);
+    if (onOrigin) {
+      onOrigin(entry, i, origins.length);
+    }
+  }
+
+  return {
+    catalogVersion: CATALOG_VERSION,
+    baseUrl,
+    generatedAt: new Date().toISOString(),
+    origins: swept,
+    offices: [...offices.values()].sort((a, b) => a.name.localeCompare(b.name))
+  };
+}
+
+/**
+ * Catalog office for a location seen for the first time
+ */
+function newOffice(location) {
+  return {
+    key: officeKey(location),
+    unitId: location.unitId,
+    name: location.name,
+    address: location.address,
+    city: location.city,
+    state: location.state,
+    zip: location.zip,
+    latitude: location.latitude,
+    longitude: location.longitude,
+    appointmentTypes: [],
+    seenFrom: []
+  };
+}
+
+/**
+ * Record that an office was listed for an appointment type from an origin
+ */
+function addSighting(office, location, type, origin) {
+  const typeKey = appointmentTypeKey(type);
+  if (!office.appointmentTypes.some(known => appointmentTypeKey(known) === typeKey)) {
+    office.appointmentTypes.push({ id: type.id ?? null, text: type.text ?? null, label: type.label ?? null });
+  }
+  if (!office.seenFrom.some(seen => seen.latitude === origin.latitude && seen.longitude === origin.longitude)) {
+    const distance = location.distanceFrom(origin);
+    office.seenFrom.push({
+      latitude: origin.latitude,
+      longitude: origin.longitude,
+      distanceMiles: distance === null ? null : Math.round(distance * 10) / 10
+    });
+  }
+}
+
+/**
+ * Write a catalog as JSON
+ * @param {object} catalog - Catalog from sweepOffices()
+ * @param {string} filePath - Output file
+ */
+export function saveCatalog(catalog, filePath = DEFAULT_CATALOG_FILE) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(catalog, null, 2) + '\n');
+}
+
+/**
+ * Read a catalog written by saveCatalog()
+ * @param {string} filePath - Catalog file
+ * @returns {object} Catalog
+ */
+export function loadCatalog(filePath = DEFAULT_CATALOG_FILE) {
+  let catalog;
+  try {
+    catalog = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read office catalog ${filePath}: ${error.message}`);
+  }
+  if (catalog.catalogVersion !== CATALOG_VERSION || !Array.isArray(catalog.offices)) {
+    throw new Error(`${filePath} is not an office catalog (expected catalogVersion ${CATALOG_VERSION}; build one with dmv-offices)`);
+  }
+  return catalog;
+}
+
+/**
+ * Decide which origins to search from so that every catalog office gets listed: the
+ * origin that lists the most offices not yet covered first, until all are covered.
+ * Offices farther than maxDistanceMiles from the geolocation, or not offering any of the
+ * appointment types, are left out.
+ * @param {object} catalog - Catalog from sweepOffices() or loadCatalog()
+ * @param {object} options - Plan options
+ * @param {Array<object>} options.appointmentTypes - Appointment types to scan (optional)
+ * @param {object} options.geolocation - Position distances are measured from (optional)
+ * @param {number} options.maxDistanceMiles - Distance cutoff in miles (optional)
+ * @returns {Array<object>} Searches of { origin, unitIds }
+ */
+export function planCatalogScans(catalog, { appointmentTypes = null, geolocation = null, maxDistanceMiles = null } = {}) {
+  // Offices record the types they were listed for; a type given by text matches their labels
+  const offersType = office => !appointmentTypes?.length || appointmentTypes.some(wanted => office.appointmentTypes.some(type => (wanted.id
+    ? String(type.id) === String(wanted.id)
+    : type.text === wanted.text || Boolean(type.label?.includes(wanted.text)))));
+  const withinReach = office => !maxDistanceMiles || !geolocation || office.latitude === null || office.latitude === undefined
+    || haversineMiles(geolocation.latitude, geolocation.longitude, office.latitude, office.longitude) <= maxDistanceMiles;
+  const remaining = new Map(catalog.offices
+    .filter(office => office.seenFrom.length > 0 && offersType(office) && withinReach(office))
+    .map(office => [office.key, office]));
+  const searches = [];
+
+  while (remaining.size > 0) {
+    const covers = new Map();
+    for (const office of remaining.values()) {
+      for (const seen of office.seenFrom) {
+        const originKey = `${seen.latitude},${seen.longitude}`;
+        if (!covers.has(originKey)) {
+          covers.set(originKey, { origin: { latitude: seen.latitude, longitude: seen.longitude }, unitIds: [] });
+        }
+        covers.get(originKey).unitIds.push(office.key);
+      }
+    }
+
+    // Map keeps insertion order, so ties go to the origin met first
+    const best = [...covers.values()].reduce((a, b) => (b.unitIds.length > a.unitIds.length ? b : a));
+    searches.push(best);
+    best.unitIds.forEach(key => remaining.delete(key));
+  }
+  return searches;
+}
+
+/**
+ * Scans the offices of a catalog instead of the ones listed near the geolocation.
+ * Each planned search runs in its own scanner that reports its origin to the site
+ * and checks only the catalog offices listed from there; distances stay measured
+ * from the geolocation, so the results read like one scan, nearest first.
+ */
+export class CatalogScanner {
+  /**
+   * @param {object} options - Scanner options
+   * @param {object} options.catalog - Catalog from loadCatalog()
+   * @param {Function} options.createScanner - Creates a scanner from { searchFrom, unitIds, onResult }
+   * @param {Array<object>} options.appointmentTypes - Appointment types of { id, text } to scan
+   * @param {string} options.appointmentTypeId - Single appointment type data-id, when appointmentTypes is not given
+   * @param {string} options.appointmentTypeText - Single appointment type text, when neither of the above is given
+   * @param {object} options.geolocation - Position distances are measured from
+   * @param {number} options.maxDistanceMiles - Skip offices farther than this (optional)
+   * @param {Function} options.onResult - Called with (result, position, total) after each location
+   */
+  constructor({
+    catalog,
+    createScanner,
+    appointmentTypes = null,
+    appointmentTypeId = null,
+    appointmentTypeText = null,
+    geolocation = null,
+    maxDistanceMiles = null,
+    onResult = null
+  }) {
+    this.catalog = catalog;
+    this.createScanner = createScanner;
+    this.onResult = onResult;
+    this.searches = planCatalogScans(catalog, {
+      appointmentTypes: normalizeAppointmentTypes({ appointmentTypes, appointmentTypeId, appointmentTypeText }),
+      geolocation,
+      maxDistanceMiles
+    });
+    this.scanners = new Map();
+    this.checked = new Map();
+    this.officeCount = this.searches.reduce((sum, search) => sum + search.unitIds.length, 0);
+  }
+
+  /**
+   * Scanner of a planned search, created on first use and kept for later scans
+   * @param {number} index - Index into searches
+   * @returns {object} Scanner
+   */
+  scannerFor(index) {
+    if (!this.scanners.has(index)) {
+      const { origin, unitIds } = this.searches[index];
+      this.scanners.set(index, this.createScanner({
+        searchFrom: origin,
+        unitIds,
+        onResult: this.onResult ? result => this.reportResult(result) : null
+      }));
+    }
+    return this.scanners.get(index);
+  }
+
+  /**
+   * Pass a result to onResult with its position across every search, since each
+   * search only knows its own share of the offices
+   */
+  async reportResult(result) {
+    const typeKey = appointmentTypeKey(result.appointmentType);
+    const position = this.checked.get(typeKey) || 0;
+    this.checked.set(typeKey, position + 1);
+    await this.onResult(result, position, Math.max(this.officeCount, position + 1));
+  }
+
+  /**
+   * Run every planned search and merge the results. A search that ends early
+   * ends the scan, as it would for a single scanner.
+   * @returns {Promise<object>} Scan with baseUrl, startedAt, finishedAt, appointmentTypes, results and errors
+   */
+  async scan() {
+    if (this.searches.length === 0) {
+      throw new Error('The office catalog has no offices to scan');
+    }
+
+    const startedAt = new Date().toISOString();
+    this.checked.clear();
+    const scans = [];
+    for (let i = 0; i < this.searches.length; i++) {
+      const scan = await this.scannerFor(i).scan();
+      scans.push(scan);
+      if (scan.errors?.length > 0) break;
+    }
+
+    const appointmentTypes = [];
+    for (const type of scans.flatMap(scan => scan.appointmentTypes)) {
+      if (!appointmentTypes.some(known => appointmentTypeKey(known) === appointmentTypeKey(type))) {
+        appointmentTypes.push(type);
+      }
+    }
+    const typeOrder = result => appointmentTypes.findIndex(type => appointmentTypeKey(type) === appointmentTypeKey(result.appointmentType));
+    const results = scans.flatMap(scan => scan.results)
+      .sort((a, b) => typeOrder(a) - typeOrder(b) || (a.distanceMiles ?? Infinity) - (b.distanceMiles ?? Infinity));
+
+    return {
+      baseUrl: scans[0].baseUrl,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      appointmentTypes,
+      results,
+      errors: scans.flatMap(scan => scan.errors || [])
+    };
+  }
+
+  /**
+   * List the appointment types the site offers
+   * @returns {Promise<Array<object>>} Appointment types of { id, label }
+   */
+  async listAppointmentTypes() {
+    return this.scannerFor(0).listAppointmentTypes();
+  }
+
+  /**
+   * Close every search's scanner
+   */
+  async close() {
+    for (const scanner of this.scanners.values()) {
+      await scanner.close();
+    }
+    this.scanners.clear();
+  }
+}
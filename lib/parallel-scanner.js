@@ -0,0 +1,127 @@
+import { Scanner } from './scanner.js';
+import { rankLocations } from './location.js';
+import { RECOVERY_ACTIONS, classifyError, recoveryAction, toErrorResult } from './errors.js';
+
+export const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Parse a concurrency setting
+ * @param {string|number} value - Number of browser contexts
+ * @returns {number} Concurrency, 1 when unset
+ */
+export function parseConcurrency(value) {
+  if (value === undefined || value === null || value === '') return 1;
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency "${value}" (expected a whole number of browser contexts, 1 or more)`);
+  }
+  return concurrency;
+}
+
+/**
+ * Scanner that checks the locations of an appointment type in several isolated
+ * browser contexts at once. Each context is its own site session that enters
+ * through the appointment type and takes the next location from a shared queue,
+ * nearest first. The scanner's rate limit is shared by every context, so it
+ * caps how fast location checks (one AmendStep request each) start overall.
+ * Results are merged back in the order a sequential scan would report them.
+ * A location the recovery policy retries goes back on the queue for whichever
+ * context is free next, while the context that failed re-enters the flow.
+ */
+export class ParallelScanner extends Scanner {
+  /**
+   * @param {object} options - Scanner options, see Scanner
+   * @param {number} options.concurrency - Browser contexts checking locations at once
+   */
+  constructor({ concurrency = DEFAULT_CONCURRENCY, ...options } = {}) {
+    super(options);
+    this.concurrency = parseConcurrency(concurrency);
+  }
+
+  /**
+   * Scan every location offered for one appointment type across up to `concurrency` contexts.
+   * onResult receives results in completion order, with the number completed so far as position.
+   * @param {AppointmentPage} appointmentPage - Page object on the Index page
+   * @param {object} type - Appointment type of { id, text }
+   * @returns {Promise<object>} The appointment type with its site label, its location results nearest first,
+   *   and the error that aborted the scan, if any
+   */
+  async scanAppointmentType(appointmentPage, type) {
+    const { appointmentType, locations } = await this.enterAppointmentType(appointmentPage, type);
+    const plan = rankLocations(locations, this.geolocation, { maxDistanceMiles: this.maxDistanceMiles, unitIds: this.unitIds });
+    const shared = {
+      type,
+      appointmentType,
+      queue: plan.map((entry, position) => ({ ...entry, position, attempts: 0 })),
+      results: new Array(plan.length),
+      completed: 0,
+      aborted: null
+    };
+
+    // The page that planned the scan is already on the location list and works the queue too
+    const workers = [this.runWorker(appointmentPage, locations, shared)];
+    for (let w = 1; w < Math.min(this.concurrency, plan.length); w++) {
+      workers.push(this.withAppointmentPage(async workerPage => {
+        const { locations: workerLocations } = await this.enterAppointmentType(workerPage, type);
+        return this.runWorker(workerPage, workerLocations, shared);
+      }));
+    }
+
+    // A context that fails to start leaves its locations to the others; only give up if some went unchecked
+    const outcomes = await Promise.allSettled(workers);
+    const rejected = outcomes.find(outcome => outcome.status === 'rejected');
+    if (!shared.aborted && rejected && shared.completed < plan.length) {
+      throw rejected.reason;
+    }
+
+    // An aborted scan leaves the locations nobody got to out
+    return { appointmentType, results: shared.results.filter(Boolean), aborted: shared.aborted };
+  }
+
+  /**
+   * Check locations from the shared queue in one session until the queue is empty
+   * @param {AppointmentPage} appointmentPage - Page object on the location list
+   * @param {Array<Location>} locations - Locations in this session's tile order
+   * @param {object} shared - Queue, results and progress shared by the workers
+   */
+  async runWorker(appointmentPage, locations, shared) {
+    const session = { type: shared.type, locations, onLocationList: true, lost: false };
+
+    while (!shared.aborted && shared.queue.length > 0) {
+      const entry = shared.queue.shift();
+
+      let checked;
+      try {
+        checked = await this.checkInSession(appointmentPage, entry, session);
+      } catch (caught) {
+        const error = classifyError(caught, { response: appointmentPage.getLastApiResponse() });
+        const action = recoveryAction(error, ++entry.attempts, this.recoveryPolicy);
+        session.lost = true;
+
+        if (action === RECOVERY_ACTIONS.REENTER) {
+          // Hand the location to whichever context is free next and start this session over
+          console.warn(`Retrying ${entry.location?.name || `location ${entry.index}`} after ${error.type} error: ${error.message}`);
+          shared.queue.push(entry);
+          if (this.retryDelayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * entry.attempts));
+          }
+          continue;
+        }
+
+        console.warn(`${entry.location?.name || `Location ${entry.index}`}: ${error.type} error, ${action === RECOVERY_ACTIONS.ABORT ? 'stopping the scan' : 'skipping'}: ${error.message}`);
+        error.recovery = action;
+        checked = toErrorResult(entry, error);
+        if (action === RECOVERY_ACTIONS.ABORT) {
+          shared.aborted = error;
+        }
+      }
+
+      const result = { ...checked, appointmentType: shared.appointmentType };
+      shared.results[entry.position] = result;
+      shared.completed++;
+      if (this.onResult) {
+        await this.onResult(result, shared.completed - 1, shared.results.length, appointmentPage);
+      }
+    }
+  }
+}
@@ -0,0 +1,258 @@
+import fs from 'fs';
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Named time windows, in minutes after midnight (end exclusive)
+ */
+export const NAMED_TIME_WINDOWS = {
+  morning: { start: 8 * 60, end: 12 * 60 },
+  afternoon: { start: 12 * 60, end: 17 * 60 }
+};
+
+/**
+ * Weights of the soft preferences in a slot's score: points lost per day out and
+ * per mile, and points gained by the first preferred office (later ones get less)
+ */
+export const DEFAULT_WEIGHTS = {
+  perDay: 1,
+  perMile: 0.5,
+  preferredOffice: 14
+};
+
+/**
+ * Minutes after midnight of a time label
+ * @param {string} value - "8:15 AM", "12:30 PM", "8:15:00 AM" or 24-hour "14:30"
+ * @returns {number|null} Minutes after midnight, or null when unrecognized
+ */
+export function toMinutes(value) {
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?\s*([AP]M)?$/i.exec(String(value ?? '').trim());
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const meridiem = match[3]?.toUpperCase();
+  if (minutes > 59 || (meridiem ? hours < 1 || hours > 12 : hours > 24)) return null;
+
+  // 12:xx AM is just after midnight and 12:xx PM just after noon
+  if (meridiem) {
+    hours = (hours % 12) + (meridiem === 'PM' ? 12 : 0);
+  }
+  return hours * 60 + minutes;
+}
+
+/**
+ * Minutes after midnight of a time slot
+ * @param {object} slot - Time slot with time, value or datetime
+ * @returns {number|null} Minutes after midnight
+ */
+export function slotMinutes(slot) {
+  const time = slot.time || slot.value || String(slot.datetime || '').split(' ').slice(1).join(' ');
+  return toMinutes(time);
+}
+
+/**
+ * Parse a time window
+ * @param {string|object} window - "morning", "afternoon", "08:00-12:00", "8:00 AM-1:00 PM" or { start, end }
+ * @returns {object} Window of { start, end } in minutes after midnight
+ */
+function parseTimeWindow(window) {
+  if (typeof window === 'string' && NAMED_TIME_WINDOWS[window.trim().toLowerCase()]) {
+    return { ...NAMED_TIME_WINDOWS[window.trim().toLowerCase()] };
+  }
+
+  const [start, end] = typeof window === 'string' ? window.split('-') : [window?.start, window?.end];
+  const parsed = { start: toMinutes(start), end: toMinutes(end) };
+  if (parsed.start === null || parsed.end === null || parsed.start >= parsed.end) {
+    throw new Error(`Invalid time window "${typeof window === 'string' ? window : JSON.stringify(window)}" (expected e.g. "08:00-12:00" or "morning")`);
+  }
+  return parsed;
+}
+
+/**
+ * Parse a weekday
+ * @param {string|number} day - "mon", "Monday" or 0-6 with 0 for Sunday
+ * @returns {number} Day number, 0 for Sunday
+ */
+function parseWeekday(day) {
+  const index = typeof day === 'number' ? day : WEEKDAYS.indexOf(String(day).trim().slice(0, 3).toLowerCase());
+  if (!Number.isInteger(index) || index < 0 || index > 6) {
+    throw new Error(`Invalid weekday "${day}" (expected mon-sun or 0-6)`);
+  }
+  return index;
+}
+
+/**
+ * Validate a YYYY-MM-DD date
+ * @param {string} value - Date
+ * @param {string} name - Field name for the error message
+ * @returns {string|null} The date, or null when not set
+ */
+function parseDate(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw new Error(`Invalid ${name} "${value}" (expected YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+/**
+ * Validate and normalize a preference spec. Every field is optional; an empty spec
+ * accepts every slot and ranks by date and distance.
+ * @param {object} spec - Preference spec
+ * @param {Array<string|number>} spec.weekdays - Allowed weekdays ("mon" ... "sun", or 0-6)
+ * @param {Array<string|object>} spec.timeWindows - Allowed time windows such as "morning" or "08:00-11:30"
+ * @param {object} spec.dateRange - Allowed dates as { from, to }, inclusive YYYY-MM-DD
+ * @param {Array<string>} spec.excludedDates - YYYY-MM-DD dates never to offer
+ * @param {number} spec.maxDistanceMiles - Skip offices farther than this
+ * @param {Array<string>} spec.preferredOffices - Unit ids or office names, most preferred first
+ * @param {object} spec.weights - Overrides for DEFAULT_WEIGHTS
+ * @returns {object} Normalized preferences
+ */
+export function parsePreferences(spec = {}) {
+  if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error('Preferences must be an object');
+  }
+
+  const from = parseDate(spec.dateRange?.from, 'dateRange.from');
+  const to = parseDate(spec.dateRange?.to, 'dateRange.to');
+  if (from && to && from > to) {
+    throw new Error(`Invalid date range ${from} to ${to}`);
+  }
+  if (spec.maxDistanceMiles != null && !(Number(spec.maxDistanceMiles) > 0)) {
+    throw new Error(`Invalid maxDistanceMiles "${spec.maxDistanceMiles}" (expected a positive number of miles)`);
+  }
+
+  const weights = { ...DEFAULT_WEIGHTS, ...spec.weights };
+  for (const [name, value] of Object.entries(weights)) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid weight ${name} "${value}" (expected a number of points, 0 or more)`);
+    }
+  }
+
+  return {
+    weekdays: spec.weekdays?.length ? [...new Set(spec.weekdays.map(parseWeekday))].sort() : null,
+    timeWindows: spec.timeWindows?.length ? spec.timeWindows.map(parseTimeWindow) : null,
+    dateRange: { from, to },
+    excludedDates: (spec.excludedDates || []).map(date => parseDate(date, 'excluded date')),
+    maxDistanceMiles: spec.maxDistanceMiles != null ? Number(spec.maxDistanceMiles) : null,
+    preferredOffices: (spec.preferredOffices || []).map(office => String(office).trim().toLowerCase()).filter(Boolean),
+    weights
+  };
+}
+
+/**
+ * Read a preference spec from a JSON file
+ * @param {string} filePath - JSON file
+ * @returns {object} Normalized preferences
+ */
+export function loadPreferences(filePath) {
+  let spec;
+  try {
+    spec = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read preferences from ${filePath}: ${error.message}`);
+  }
+  return parsePreferences(spec);
+}
+
+/**
+ * Position of a location in the preferred office list
+ * @param {object} result - Location result with cityName and location
+ * @param {object} preferences - Normalized preferences
+ * @returns {number} Index in preferredOffices, or -1
+ */
+function preferredOfficeRank(result, preferences) {
+  const names = [result.location?.unitId, result.location?.name, result.cityName]
+    .filter(Boolean)
+    .map(name => String(name).toLowerCase());
+  return preferences.preferredOffices.findIndex(office => names.includes(office));
+}
+
+/**
+ * Why a slot does not match the hard constraints of a preference spec
+ * @param {object} slot - Time slot with date and time
+ * @param {object} result - Location result the slot belongs to (distanceMiles is used)
+ * @param {object} preferences - Normalized preferences
+ * @returns {string|null} Reason, or null when the slot matches
+ */
+export function slotMismatch(slot, result, preferences) {
+  const { weekdays, timeWindows, dateRange, excludedDates, maxDistanceMiles } = preferences;
+
+  if (maxDistanceMiles != null && result?.distanceMiles != null && result.distanceMiles > maxDistanceMiles) {
+    return 'too far';
+  }
+  if (slot.date) {
+    if ((dateRange.from && slot.date < dateRange.from) || (dateRange.to && slot.date > dateRange.to)) {
+      return 'outside the date range';
+    }
+    if (excludedDates.includes(slot.date)) {
+      return 'excluded date';
+    }
+    if (weekdays && !weekdays.includes(new Date(`${slot.date}T00:00:00Z`).getUTCDay())) {
+      return 'weekday not allowed';
+    }
+  }
+  if (timeWindows) {
+    const minutes = slotMinutes(slot);
+    if (minutes === null || !timeWindows.some(window => minutes >= window.start && minutes < window.end)) {
+      return 'outside the time windows';
+    }
+  }
+  return null;
+}
+
+/**
+ * Score a matching slot; higher is better. Earlier dates, nearer offices and
+ * preferred offices score higher.
+ * @param {object} slot - Time slot with date
+ * @param {object} result - Location result the slot belongs to
+ * @param {object} preferences - Normalized preferences
+ * @param {string} today - Today as YYYY-MM-DD, the zero point for days out
+ * @returns {number} Score
+ */
+export function scoreSlot(slot, result, preferences, today) {
+  const { weights } = preferences;
+  const daysOut = slot.date ? Math.max(0, (Date.parse(`${slot.date}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / DAY_MS) : 0;
+  const rank = preferredOfficeRank(result, preferences);
+  const officeBonus = rank === -1 ? 0 : weights.preferredOffice * (preferences.preferredOffices.length - rank) / preferences.preferredOffices.length;
+
+  const score = officeBonus - daysOut * weights.perDay - (result?.distanceMiles ?? 0) * weights.perMile;
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Today's date in local time as YYYY-MM-DD
+ * @param {Date} now - Current time
+ * @returns {string} Date
+ */
+function localDate(now) {
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Rank every slot of every location by a preference spec
+ * @param {Array<object>} results - Location results with timeSlots
+ * @param {object} preferences - Normalized preferences from parsePreferences()
+ * @param {object} options - Ranking options
+ * @param {Date} options.now - Current time, the zero point for days out
+ * @returns {Array<object>} Matching slots of { slot, result, score }, best first
+ */
+export function rankSlots(results, preferences, { now = new Date() } = {}) {
+  const today = localDate(now);
+  const ranked = [];
+
+  for (const result of results) {
+    for (const slot of result.timeSlots || []) {
+      if (slotMismatch(slot, result, preferences)) continue;
+      ranked.push({ slot, result, score: scoreSlot(slot, result, preferences, today) });
+    }
+  }
+
+  // Ties go to the earlier slot, then the nearer office
+  return ranked.sort((a, b) => b.score - a.score
+    || (a.slot.date || '').localeCompare(b.slot.date || '')
+    || (slotMinutes(a.slot) ?? 0) - (slotMinutes(b.slot) ?? 0)
+    || (a.result.distanceMiles ?? Infinity) - (b.result.distanceMiles ?? Infinity));
+}
@@ -0,0 +1,51 @@
+/**
+ * Spaces out operations shared by several workers so that together they start
+ * no more than a fixed number per minute. Callers wait their turn in order.
+ */
+export class RateLimiter {
+  /**
+   * @param {object} options - Limiter options
+   * @param {number} options.maxPerMinute - Operations allowed per minute; null or 0 for no limit
+   * @param {Function} options.now - Clock in milliseconds, replaceable in tests
+   * @param {Function} options.sleep - Delay function, replaceable in tests
+   */
+  constructor({ maxPerMinute = null, now = Date.now, sleep = null } = {}) {
+    this.intervalMs = maxPerMinute > 0 ? 60000 / maxPerMinute : 0;
+    this.now = now;
+    this.sleep = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.nextAt = 0;
+  }
+
+  /**
+   * Wait until the next operation may start
+   * @returns {Promise<number>} Milliseconds waited
+   */
+  async acquire() {
+    if (this.intervalMs === 0) return 0;
+
+    // Reserve the slot before waiting so concurrent callers queue behind each other
+    const now = this.now();
+    const startAt = Math.max(now, this.nextAt);
+    this.nextAt = startAt + this.intervalMs;
+
+    const waitMs = startAt - now;
+    if (waitMs > 0) {
+      await this.sleep(waitMs);
+    }
+    return waitMs;
+  }
+}
+
+/**
+ * Parse a rate limit
+ * @param {string|number} value - Operations per minute
+ * @returns {number|null} Operations per minute, or null for no limit
+ */
+export function parseRateLimit(value) {
+  if (value === undefined || value === null || value === '' || value === 'off') return null;
+  const perMinute = Number(value);
+  if (!(perMinute > 0)) {
+    throw new Error(`Invalid rate limit "${value}" (expected a positive number per minute, or "off")`);
+  }
+  return perMinute;
+}
@@ -0,0 +1,254 @@
+import fs from 'fs';
+import path from 'path';
+import { parseAppointmentData } from './appointment-parser.js';
+import { NC_DMV } from './sites/index.js';
+
+/**
+ * Version of the recording file format, bumped on incompatible changes
+ */
+export const RECORDING_VERSION = 1;
+
+export const DEFAULT_RECORDINGS_DIR = 'recordings';
+
+export const AMEND_STEP_PATH = NC_DMV.steps.amendStepPath;
+
+// Session secrets are replaced before a recording is written; replay does not need them
+const REDACTED = '[redacted]';
+const SECRET_HEADERS = ['cookie', 'set-cookie', 'authorization'];
+const SECRET_FIELDS = ['__RequestVerificationToken'];
+const REPLAY_DROPPED_HEADERS = [...SECRET_HEADERS, 'content-encoding', 'content-length', 'transfer-encoding'];
+// Requests worth keeping: the pages, steps and scripts of the site, not images or fonts
+const RECORDED_TYPES = ['document', 'xhr', 'fetch', 'script', 'stylesheet'];
+
+/**
+ * File of a named recording
+ * @param {string} name - Recording name, e.g. "raleigh-2026-10-19"
+ * @param {string} dir - Directory holding recordings
+ * @returns {string} Path of the JSON file
+ */
+export function recordingPath(name, dir = DEFAULT_RECORDINGS_DIR) {
+  if (!/^[\w.-]+$/.test(name || '')) {
+    throw new Error(`Invalid recording name "${name}" (letters, digits, ".", "_" and "-" only)`);
+  }
+  return path.join(dir, `${name}.json`);
+}
+
+/**
+ * Read a recording file
+ * @param {string} file - Recording JSON file
+ * @returns {object} Recording with name, baseUrl, recordedAt and entries
+ */
+export function loadRecording(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`No recording at ${file}`);
+  }
+  const recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (recording.version !== RECORDING_VERSION || !Array.isArray(recording.entries)) {
+    throw new Error(`${file} is not a version ${RECORDING_VERSION} recording`);
+  }
+  return recording;
+}
+
+/**
+ * Parse a posted form body, with session secrets redacted
+ * @param {string|null} postData - Request body
+ * @returns {object|null} Field values by name, or null without a body
+ */
+export function parseForm(postData) {
+  if (!postData) return null;
+  const form = Object.fromEntries(new URLSearchParams(postData));
+  for (const field of SECRET_FIELDS) {
+    if (field in form) form[field] = REDACTED;
+  }
+  return form;
+}
+
+/**
+ * Key matching a replayed request to a recorded one: method, path and query, and
+ * the posted fields that pick the step (secrets differ per session and are left out)
+ * @param {object} request - Request of { method, url, form }
+ * @returns {string} Match key
+ */
+export function requestKey({ method, url, form = null }) {
+  const { pathname, search } = new URL(url);
+  const fields = Object.entries(form || {})
+    .filter(([name]) => !SECRET_FIELDS.includes(name))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => `${name}=${value}`);
+  return [`${method} ${pathname}${search}`, ...fields].join('&');
+}
+
+/**
+ * Headers with session secrets redacted
+ */
+function redactHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) =>
+    [name, SECRET_HEADERS.includes(name.toLowerCase()) ? REDACTED : value]));
+}
+
+/**
+ * Page body with the session secrets in hidden inputs redacted
+ */
+function redactBody(body) {
+  return SECRET_FIELDS.reduce((text, field) => text
+    .replace(new RegExp(`(<input[^>]*name="${field}"[^>]*value=")[^"]*`, 'g'), `$1${REDACTED}`)
+    .replace(new RegExp(`(<input[^>]*value=")[^"]*("[^>]*name="${field}")`, 'g'), `$1${REDACTED}$2`), body);
+}
+
+/**
+ * Captures the site's requests and responses in browser contexts into a named
+ * recording: every AmendStep step with its form body, plus the Index page and
+ * scripts a replay needs to run offline. AmendStep entries carry what
+ * parseAppointmentData() made of them, so parser changes can be checked against
+ * captured pages.
+ */
+export class FixtureRecorder {
+  /**
+   * @param {object} options - Recorder options
+   * @param {string} options.name - Recording name
+   * @param {string} options.baseUrl - Appointment Index URL; only requests to its origin are recorded
+   * @param {string} options.dir - Directory for the recording (default: recordings)
+   * @param {SiteAdapter} options.site - Site whose steps are parsed (default: NC DMV)
+   */
+  constructor({ name, baseUrl, dir = DEFAULT_RECORDINGS_DIR, site = NC_DMV }) {
+    this.file = recordingPath(name, dir);
+    this.name = name;
+    this.site = site;
+    this.baseUrl = baseUrl;
+    this.origin = new URL(baseUrl).origin;
+    this.recordedAt = new Date().toISOString();
+    this.entries = [];
+    this.pending = new Set();
+    this.startedAt = new WeakMap();
+  }
+
+  /**
+   * Start recording a browser context's requests
+   * @param {import('@playwright/test').BrowserContext} context - Context to record
+   */
+  attach(context) {
+    context.on('request', request => this.startedAt.set(request, Date.now()));
+    context.on('requestfinished', request => {
+      const capture = this.capture(request).catch(error => {
+        console.warn(`Could not record ${request.url()}: ${error.message}`);
+      });
+      this.pending.add(capture);
+      capture.finally(() => this.pending.delete(capture));
+    });
+  }
+
+  /**
+   * Record one finished request
+   * @param {import('@playwright/test').Request} request - Finished request
+   */
+  async capture(request) {
+    if (!request.url().startsWith(this.origin) || !RECORDED_TYPES.includes(request.resourceType())) return;
+    const response = await request.response();
+    if (!response) return;
+
+    const finishedAt = Date.now();
+    const startedAt = this.startedAt.get(request) ?? finishedAt;
+    const body = redactBody(await response.text());
+    const url = request.url();
+    const entry = {
+      request: {
+        method: request.method(),
+        url,
+        headers: redactHeaders(await request.allHeaders()),
+        form: parseForm(request.postData())
+      },
+      response: {
+        status: response.status(),
+        headers: redactHeaders(await response.allHeaders()),
+        body
+      },
+      timing: { startedAt: new Date(startedAt).toISOString(), durationMs: finishedAt - startedAt }
+    };
+    if (this.site.isAmendStep(url) && response.status() < 400) {
+      entry.parsed = parseAppointmentData(body, this.site);
+    }
+    this.entries.push(entry);
+  }
+
+  /**
+   * Write everything recorded so far
+   * @returns {Promise<string>} Path of the recording
+   */
+  async save() {
+    await Promise.all(this.pending);
+    const entries = [...this.entries].sort((a, b) => a.timing.startedAt.localeCompare(b.timing.startedAt));
+    const recording = { version: RECORDING_VERSION, name: this.name, baseUrl: this.baseUrl, recordedAt: this.recordedAt, entries };
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(recording, null, 2) + '\n');
+    return this.file;
+  }
+}
+
+/**
+ * Serves a recording back to browser contexts through page.route, so a scan can
+ * be re-run offline. Requests are matched by requestKey(); a step recorded more
+ * than once is served in recorded order, then the last one again. Anything not in
+ * the recording is aborted.
+ */
+export class FixtureReplayer {
+  /**
+   * @param {object} recording - Recording from loadRecording()
+   */
+  constructor(recording) {
+    this.recording = recording;
+    this.served = new Map();
+    this.byKey = new Map();
+    for (const entry of recording.entries) {
+      const key = requestKey(entry.request);
+      this.byKey.set(key, [...(this.byKey.get(key) || []), entry]);
+    }
+  }
+
+  /**
+   * Load a named recording
+   * @param {string} name - Recording name
+   * @param {string} dir - Directory holding recordings
+   * @returns {FixtureReplayer} Replayer
+   */
+  static load(name, dir = DEFAULT_RECORDINGS_DIR) {
+    return new FixtureReplayer(loadRecording(recordingPath(name, dir)));
+  }
+
+  /**
+   * Recorded response for a request
+   * @param {import('@playwright/test').Request} request - Intercepted request
+   * @returns {object|null} Response of { status, headers, body }, or null if it was not recorded
+   */
+  responseFor(request) {
+    const key = requestKey({ method: request.method(), url: request.url(), form: parseForm(request.postData()) });
+    const entries = this.byKey.get(key);
+    if (!entries) return null;
+
+    const count = this.served.get(key) || 0;
+    this.served.set(key, count + 1);
+    const { status, headers, body } = entries[Math.min(count, entries.length - 1)].response;
+    // The body is stored decoded, and redacted cookies would only confuse the browser
+    const replayed = Object.fromEntries(Object.entries(headers)
+      .filter(([name]) => !REPLAY_DROPPED_HEADERS.includes(name.toLowerCase())));
+    return { status, headers: replayed, body };
+  }
+
+  /**
+   * Route a browser context's requests to the recording
+   * @param {import('@playwright/test').BrowserContext} context - Context to serve
+   */
+  async attach(context) {
+    await context.route('**/*', async (route, request) => {
+      const response = this.responseFor(request);
+      if (response) {
+        await route.fulfill(response);
+      } else {
+        if (request.url().startsWith(new URL(this.recording.baseUrl).origin)) {
+          console.warn(`Not in recording ${this.recording.name}: ${request.method()} ${request.url()}`);
+        }
+        await route.abort('internetdisconnected');
+      }
+    });
+  }
+}
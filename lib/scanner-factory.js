@@ -0,0 +1,160 @@
+import { RECOVERY_ACTIONS, classifyError, recoveryRule } from './errors.js';
+import { Scanner } from './scanner.js';
+import { HttpScanner } from './http-scanner.js';
+import { ParallelScanner } from './parallel-scanner.js';
+import { CatalogScanner } from './office-catalog.js';
+import { resultKey } from './watcher.js';
+
+/**
+ * Scan engines: plain HTTP, a real browser, or HTTP with the browser as fallback
+ */
+export const ENGINES = ['auto', 'http', 'browser'];
+
+/**
+ * Scans over HTTP and switches to the browser for the rest of the session
+ * the first time an HTTP scan fails, e.g. because the step markup changed.
+ * Errors the recovery policy aborts on, such as throttling and outages, are
+ * thrown instead: the browser would only hit the same wall with more requests.
+ * When the HTTP scan fails partway, the offices it already passed to onResult
+ * are not passed again when the browser scans them.
+ */
+export class FallbackScanner {
+  /**
+   * @param {object} primary - Scanner tried first
+   * @param {Function} createFallback - Creates the scanner to switch to
+   * @param {object} options - Fallback options
+   * @param {object} options.recoveryPolicy - Recovery rules by error type, over DEFAULT_RECOVERY_POLICY (optional)
+   */
+  constructor(primary, createFallback, { recoveryPolicy = {} } = {}) {
+    this.primary = primary;
+    this.createFallback = createFallback;
+    this.recoveryPolicy = recoveryPolicy;
+    this.fallback = null;
+    // Results the primary reported in the current scan
+    this.reported = new Set();
+    this.filterOnResult(primary, result => {
+      this.reported.add(resultKey(result));
+      return true;
+    });
+  }
+
+  /**
+   * Pass a scanner's results on to its onResult callback only when `keep` says so
+   * @param {object} scanner - Scanner with an onResult callback, or none
+   * @param {Function} keep - Called with each result, returns whether to report it
+   */
+  filterOnResult(scanner, keep) {
+    const onResult = scanner.onResult;
+    if (onResult) {
+      scanner.onResult = async (result, ...rest) => {
+        if (keep(result)) {
+          await onResult(result, ...rest);
+        }
+      };
+    }
+  }
+
+  /**
+   * Call a scanner method on the primary scanner, or the fallback once it has been needed
+   * @param {string} method - Method name
+   * @param {...any} args - Method arguments
+   * @returns {Promise<any>} The method's result
+   */
+  async run(method, ...args) {
+    if (!this.fallback) {
+      this.reported.clear();
+      try {
+        return await this.primary[method](...args);
+      } catch (caught) {
+        const error = classifyError(caught);
+        if (recoveryRule(this.recoveryPolicy, error.type).action === RECOVERY_ACTIONS.ABORT) {
+          throw error;
+        }
+        console.warn(`HTTP scan failed (${error.type}: ${error.message}); falling back to the browser`);
+        this.fallback = this.createFallback();
+        this.filterOnResult(this.fallback, result => !this.reported.has(resultKey(result)));
+      }
+    }
+
+    try {
+      return await this.fallback[method](...args);
+    } finally {
+      // Only the scan the primary failed in had results reported already
+      this.reported.clear();
+    }
+  }
+
+  /**
+   * Scan with the primary scanner, or the fallback once it has been needed
+   * @returns {Promise<object>} Scan with baseUrl, startedAt, finishedAt, appointmentTypes and results
+   */
+  async scan() {
+    return this.run('scan');
+  }
+
+  /**
+   * List the appointment types the site offers
+   * @returns {Promise<Array<object>>} Appointment types of { id, label }
+   */
+  async listAppointmentTypes() {
+    return this.run('listAppointmentTypes');
+  }
+
+  /**
+   * List the offices offered for each configured appointment type from a position
+   * @param {object} origin - Position reported to the site (optional)
+   * @returns {Promise<Array<object>>} Appointment types with their locations
+   */
+  async listLocations(origin) {
+    return this.run('listLocations', origin);
+  }
+
+  /**
+   * Close both scanners
+   */
+  async close() {
+    await this.primary.close();
+    if (this.fallback) {
+      await this.fallback.close();
+    }
+  }
+}
+
+/**
+ * Create a browser scanner, checking locations in several contexts when concurrency is above 1
+ * @param {object} options - Scanner options, see Scanner and ParallelScanner
+ * @returns {Scanner|ParallelScanner} Scanner
+ */
+export function createBrowserScanner(options = {}) {
+  return options.concurrency > 1 ? new ParallelScanner(options) : new Scanner(options);
+}
+
+/**
+ * Create a scanner for an engine
+ * @param {object} options - Scanner options, see Scanner, ParallelScanner and HttpScanner
+ * @param {string} options.engine - One of ENGINES (default: auto)
+ * @param {object} options.catalog - Office catalog to scan instead of the offices listed near the
+ *   geolocation, see CatalogScanner (optional)
+ * @returns {Scanner|ParallelScanner|HttpScanner|FallbackScanner|CatalogScanner} Scanner
+ */
+export function createScanner({ engine = 'auto', catalog = null, ...options } = {}) {
+  if (!ENGINES.includes(engine)) {
+    throw new Error(`Unknown engine "${engine}" (expected ${ENGINES.join(', ')})`);
+  }
+
+  if (catalog) {
+    return new CatalogScanner({
+      ...options,
+      catalog,
+      createScanner: search => createScanner({ engine, ...options, ...search })
+    });
+  }
+
+  if (engine === 'browser') {
+    return createBrowserScanner(options);
+  }
+  if (engine === 'http') {
+    return new HttpScanner(options);
+  }
+  return new FallbackScanner(new HttpScanner(options), () => createBrowserScanner(options), { recoveryPolicy: options.recoveryPolicy });
+}
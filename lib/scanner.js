@@ -0,0 +1,337 @@
+import { chromium } from '@playwright/test';
+import { AVAILABILITY, AppointmentPage } from '../pages/AppointmentPage.js';
+import { rankLocations } from './location.js';
+import { flattenAvailability } from './appointment-parser.js';
+import { normalizeAppointmentTypes, findAppointmentType } from './appointment-types.js';
+import { RateLimiter } from './rate-limiter.js';
+import { RECOVERY_ACTIONS, SelectorDriftError, classifyError, retryWithPolicy, toErrorResult } from './errors.js';
+import { NC_DMV } from './sites/index.js';
+
+export const DEFAULT_BASE_URL = NC_DMV.baseUrl;
+export const DEFAULT_GEOLOCATION = { latitude: 35.7796, longitude: -78.6382 }; // Raleigh, NC
+
+/**
+ * Runs a location scan with AppointmentPage outside the Playwright test runner.
+ * The browser is launched once and every scan gets a fresh context, in which
+ * each configured appointment type is scanned in turn.
+ */
+export class Scanner {
+  /**
+   * @param {object} options - Scan options
+   * @param {SiteAdapter} options.site - Site to scan: selectors, step URL and markers (default: NC DMV)
+   * @param {string} options.baseUrl - Appointment Index URL (default: the site's)
+   * @param {object} options.geolocation - Object with latitude and longitude
+   * @param {object} options.searchFrom - Position reported to the site, which decides the offices it
+   *   lists (default: geolocation)
+   * @param {Array<object>} options.appointmentTypes - Appointment types of { id, text } (optional)
+   * @param {string} options.appointmentTypeId - Single appointment type data-id (optional)
+   * @param {string} options.appointmentTypeText - Single appointment type text (optional)
+   * @param {number} options.maxDistanceMiles - Skip offices farther than this from geolocation (optional)
+   * @param {Array<string>} options.unitIds - Only check these offices, by unit id (optional)
+   * @param {number} options.maxChecksPerMinute - Location checks started per minute (optional)
+   * @param {object} options.recoveryPolicy - Recovery rules by error type, over DEFAULT_RECOVERY_POLICY (optional)
+   * @param {number} options.retryDelayMs - Wait before re-entering the flow to retry a location, times the attempt
+   * @param {FixtureRecorder} options.recorder - Records the site's responses in every context (optional)
+   * @param {FixtureReplayer} options.replayer - Serves every context from a recording instead of the network (optional)
+   * @param {boolean} options.headless - Run without browser UI
+   * @param {number} options.slowMo - Slow down browser operations by this many milliseconds
+   * @param {Function} options.onResult - Called with each location result as it completes, its position,
+   *   the location count and the AppointmentPage it was checked on
+   * @param {import('@playwright/test').Browser} options.browser - Browser to use instead of launching one;
+   *   it is left open by close() (optional)
+   */
+  constructor({
+    site = NC_DMV,
+    baseUrl = null,
+    geolocation = DEFAULT_GEOLOCATION,
+    searchFrom = null,
+    appointmentTypes = null,
+    appointmentTypeId = null,
+    appointmentTypeText = null,
+    maxDistanceMiles = null,
+    unitIds = null,
+    maxChecksPerMinute = null,
+    recoveryPolicy = {},
+    retryDelayMs = 1000,
+    recorder = null,
+    replayer = null,
+    headless = true,
+    slowMo = 0,
+    onResult = null,
+    browser = null
+  } = {}) {
+    this.site = site;
+    this.baseUrl = baseUrl || site.baseUrl;
+    this.geolocation = geolocation;
+    this.searchFrom = searchFrom || geolocation;
+    this.appointmentTypes = normalizeAppointmentTypes({ appointmentTypes, appointmentTypeId, appointmentTypeText });
+    this.maxDistanceMiles = maxDistanceMiles;
+    this.unitIds = unitIds;
+    this.rateLimiter = new RateLimiter({ maxPerMinute: maxChecksPerMinute });
+    this.recoveryPolicy = recoveryPolicy;
+    this.retryDelayMs = retryDelayMs;
+    this.recorder = recorder;
+    this.replayer = replayer;
+    this.headless = headless;
+    this.slowMo = slowMo;
+    this.onResult = onResult;
+    this.browser = browser;
+    this.ownsBrowser = !browser;
+  }
+
+  /**
+   * Launch Chromium if it is not running yet
+   */
+  async launch() {
+    if (!this.browser) {
+      this.browser = await chromium.launch({ headless: this.headless, slowMo: this.slowMo });
+    }
+  }
+
+  /**
+   * Close the browser, unless it was passed in
+   */
+  async close() {
+    if (this.browser && this.ownsBrowser) {
+      await this.browser.close();
+      this.browser = null;
+    }
+  }
+
+  /**
+   * Open a fresh context on the Index page and run a callback with the page object
+   * @param {Function} callback - Receives the AppointmentPage
+   * @param {object} options - Context options
+   * @param {object} options.geolocation - Position reported to the site (default: searchFrom)
+   * @returns {Promise<any>} The callback's result
+   */
+  async withAppointmentPage(callback, { geolocation = this.searchFrom } = {}) {
+    await this.launch();
+
+    const context = await this.browser.newContext();
+    if (this.recorder) {
+      this.recorder.attach(context);
+    }
+    if (this.replayer) {
+      await this.replayer.attach(context);
+    }
+    const page = await context.newPage();
+    const appointmentPage = new AppointmentPage(page, { replay: this.replayer, site: this.site });
+
+    try {
+      await appointmentPage.navigateAndSetup(this.baseUrl, geolocation);
+      return await callback(appointmentPage);
+    } finally {
+      if (this.recorder) {
+        const file = await this.recorder.save();
+        console.log(`Recorded ${this.recorder.entries.length} responses to ${file}`);
+      }
+      await context.close();
+    }
+  }
+
+  /**
+   * List the appointment types the site offers
+   * @returns {Promise<Array<object>>} Appointment types of { id, label }
+   */
+  async listAppointmentTypes() {
+    return this.withAppointmentPage(async appointmentPage => {
+      await appointmentPage.clickMakeAppointment();
+      return appointmentPage.getAppointmentTypes();
+    });
+  }
+
+  /**
+   * List the offices the site offers for each configured appointment type when
+   * searching from a position, without checking their calendars
+   * @param {object} origin - Position reported to the site (default: searchFrom)
+   * @returns {Promise<Array<object>>} Appointment types of { id, text, label, locations } with the
+   *   locations in page order
+   */
+  async listLocations(origin = this.searchFrom) {
+    return this.withAppointmentPage(async appointmentPage => {
+      const listed = [];
+      for (let t = 0; t < this.appointmentTypes.length; t++) {
+        if (t > 0) {
+          await appointmentPage.returnToIndex(this.baseUrl);
+        }
+        const { appointmentType, locations } = await this.enterAppointmentType(appointmentPage, this.appointmentTypes[t]);
+        listed.push({ ...appointmentType, locations });
+      }
+      return listed;
+    }, { geolocation: origin });
+  }
+
+  /**
+   * Scan every location offered for each configured appointment type, nearest first.
+   * A location that can't be checked is reported as a result with an error; a failure
+   * the recovery policy aborts on ends the scan early, with the error in `errors`.
+   * @returns {Promise<object>} Scan with baseUrl, startedAt, finishedAt, appointmentTypes, results and errors;
+   *   every result carries the appointmentType it was found for
+   * @throws {ScanError} If the scan could not start
+   */
+  async scan() {
+    if (this.appointmentTypes.length === 0) {
+      throw new Error('Either appointmentTypeId or appointmentTypeText must be provided');
+    }
+
+    const startedAt = new Date().toISOString();
+    const appointmentTypes = [];
+    const results = [];
+    const errors = [];
+
+    try {
+      await this.withAppointmentPage(async appointmentPage => {
+        for (let t = 0; t < this.appointmentTypes.length; t++) {
+          if (t > 0) {
+            // Re-enter the flow in the same session for the next type
+            await appointmentPage.returnToIndex(this.baseUrl);
+          }
+          const { appointmentType, results: typeResults, aborted } = await this.scanAppointmentType(appointmentPage, this.appointmentTypes[t]);
+          appointmentTypes.push(appointmentType);
+          results.push(...typeResults);
+          if (aborted) {
+            errors.push(aborted);
+            break;
+          }
+        }
+      });
+    } catch (error) {
+      throw classifyError(error);
+    }
+
+    return { baseUrl: this.baseUrl, startedAt, finishedAt: new Date().toISOString(), appointmentTypes, results, errors };
+  }
+
+  /**
+   * Scan every location offered for one appointment type, starting from the Index page
+   * @param {AppointmentPage} appointmentPage - Page object on the Index page
+   * @param {object} type - Appointment type of { id, text }
+   * @returns {Promise<object>} The appointment type with its site label, its location results,
+   *   and the error that aborted the scan, if any
+   */
+  async scanAppointmentType(appointmentPage, type) {
+    const { appointmentType, locations } = await this.enterAppointmentType(appointmentPage, type);
+    const plan = rankLocations(locations, this.geolocation, { maxDistanceMiles: this.maxDistanceMiles, unitIds: this.unitIds });
+    const session = { type, locations, onLocationList: true, lost: false };
+    const results = [];
+
+    for (let i = 0; i < plan.length; i++) {
+      let checked;
+      try {
+        checked = await retryWithPolicy(() => this.checkInSession(appointmentPage, plan[i], session), {
+          policy: this.recoveryPolicy,
+          delayMs: this.retryDelayMs,
+          classify: error => classifyError(error, { response: appointmentPage.getLastApiResponse() }),
+          recover: () => {
+            session.lost = true;
+          }
+        });
+      } catch (error) {
+        // The policy gave up on this location; start the next one from a fresh pass through the flow
+        console.warn(`${plan[i].location?.name || `Location ${plan[i].index}`}: ${error.type} error, ${error.recovery === RECOVERY_ACTIONS.ABORT ? 'stopping the scan' : 'skipping'}: ${error.message}`);
+        session.lost = true;
+        checked = toErrorResult(plan[i], error);
+      }
+
+      const result = { ...checked, appointmentType };
+      results.push(result);
+      if (this.onResult) {
+        await this.onResult(result, i, plan.length, appointmentPage);
+      }
+      if (result.error?.recovery === RECOVERY_ACTIONS.ABORT) {
+        return { appointmentType, results, aborted: result.error };
+      }
+    }
+
+    return { appointmentType, results, aborted: null };
+  }
+
+  /**
+   * Check a planned location from wherever the session is: back from the previous
+   * location's calendar, or through the flow again after a failure
+   * @param {AppointmentPage} appointmentPage - Page object of the session
+   * @param {object} entry - Entry from rankLocations(), possibly planned in another session
+   * @param {object} session - Session state of { type, locations, onLocationList, lost }
+   * @returns {Promise<object>} Result from checkLocation()
+   */
+  async checkInSession(appointmentPage, entry, session) {
+    if (session.lost) {
+      await appointmentPage.returnToIndex(this.baseUrl);
+      ({ locations: session.locations } = await this.enterAppointmentType(appointmentPage, session.type));
+      session.lost = false;
+      session.onLocationList = true;
+    } else if (!session.onLocationList) {
+      await appointmentPage.navigateBack();
+      session.onLocationList = true;
+    }
+
+    const result = await this.checkLocation(appointmentPage, { ...entry, index: tileIndex(session.locations, entry) });
+    session.onLocationList = false;
+    return result;
+  }
+
+  /**
+   * Walk from the Index page to the location list of an appointment type
+   * @param {AppointmentPage} appointmentPage - Page object on the Index page
+   * @param {object} type - Appointment type of { id, text }
+   * @returns {Promise<object>} The appointment type with its site label, and the offered locations
+   */
+  async enterAppointmentType(appointmentPage, type) {
+    await appointmentPage.clickMakeAppointment();
+    const offered = findAppointmentType(await appointmentPage.getAppointmentTypes(), type);
+    const appointmentType = { ...type, label: offered?.label || null };
+    await appointmentPage.selectAppointmentType(type.id, type.text);
+
+    const hasActiveUnits = await appointmentPage.waitForActiveUnitsLoad();
+    const locations = hasActiveUnits ? await appointmentPage.getLocations() : [];
+    return { appointmentType, locations };
+  }
+
+  /**
+   * Check one location and collect every available date and time slot
+   * @param {AppointmentPage} appointmentPage - Page object positioned on the location list
+   * @param {object} entry - Entry from rankLocations() with the tile index and distance
+   * @returns {Promise<object>} Result with cityName, location, distanceMiles, isAvailable, availableDates, availability, timeSlots and checkedAt
+   */
+  async checkLocation(appointmentPage, { index, distanceMiles }) {
+    await this.rateLimiter.acquire();
+    const checkedAt = new Date().toISOString();
+    const { cityName, location, isAvailable, availabilityState } = await appointmentPage.checkLocationAvailability(index);
+    if (availabilityState === AVAILABILITY.UNKNOWN) {
+      // Neither the calendar nor the no-appointments error: the markup is not what we expect
+      throw new SelectorDriftError(`Availability unknown for ${cityName}: no calendar or no-appointments message`);
+    }
+    const result = { cityName, location, distanceMiles, isAvailable, availableDates: [], availability: {}, timeSlots: [], checkedAt };
+
+    if (isAvailable) {
+      const apiData = appointmentPage.getAppointmentApiData();
+      result.availableDates = apiData?.availableDates || [];
+
+      try {
+        result.availability = await appointmentPage.getAvailability();
+        if (Object.keys(result.availability).length > 0) {
+          result.availableDates = Object.keys(result.availability);
+        }
+        result.timeSlots = flattenAvailability(result.availability);
+      } catch (error) {
+        console.warn(`Could not retrieve time slots: ${error.message}`);
+      }
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Tile position of a planned location in a session's location list. Sessions
+ * list the same offices, but the unit id is matched in case the order differs.
+ * @param {Array<Location>} locations - Locations in the session's tile order
+ * @param {object} entry - Entry from rankLocations() planned in another session
+ * @returns {number} Tile index
+ */
+function tileIndex(locations, entry) {
+  const unitId = entry.location?.unitId;
+  const index = unitId ? locations.findIndex(location => location.unitId === unitId) : -1;
+  return index === -1 ? entry.index : index;
+}
@@ -0,0 +1,432 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { zonedParts } from './cron.js';
+import { holidayOn } from './holidays.js';
+
+export const DEFAULT_TIME_ZONE = 'America/New_York';
+export const DEFAULT_LOCK_FILE = 'data/scheduler.lock';
+export const DEFAULT_RUN_LOG = 'data/scheduler-runs.jsonl';
+
+/**
+ * Outcomes recorded in the run log
+ */
+export const RUN_STATUS = {
+  OK: 'ok',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+/**
+ * Longest single sleep, so long waits re-check the clock (and stay within setTimeout's range)
+ */
+const MAX_SLEEP_MS = 60 * 60 * 1000;
+
+/**
+ * Parse quiet hours, the wall-clock windows in which scheduled runs are skipped
+ * @param {string|Array<string>} value - Windows such as "22:00-06:00", comma-separated or as a list
+ * @returns {Array<object>} Windows of { text, start, end } with start and end in minutes after midnight
+ */
+export function parseQuietHours(value) {
+  const items = (Array.isArray(value) ? value : [value]).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+  return items.map(text => {
+    const match = text.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    const [start, end] = match ? [[match[1], match[2]], [match[3], match[4]]].map(([h, m]) => Number(h) * 60 + Number(m)) : [];
+    if (!match || Number(match[1]) > 23 || Number(match[3]) > 24 || Number(match[2]) > 59 || Number(match[4]) > 59 || end > 24 * 60 || start === end) {
+      throw new Error(`Invalid quiet hours "${text}" (expected HH:MM-HH:MM, e.g. 22:00-06:00)`);
+    }
+    return { text, start, end };
+  });
+}
+
+/**
+ * The quiet hours window a wall-clock time falls in
+ * @param {Array<object>} quietHours - Windows from parseQuietHours
+ * @param {number} minutes - Minutes after midnight
+ * @returns {object|null} Window, or null outside quiet hours
+ */
+export function quietWindowAt(quietHours, minutes) {
+  return quietHours.find(({ start, end }) => (start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end)) || null;
+}
+
+/**
+ * Parse a daily run budget
+ * @param {number} value - Runs per day
+ * @returns {number} Positive integer
+ */
+export function parseRunBudget(value) {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Invalid max runs per day "${value}" (expected a positive integer)`);
+  }
+  return value;
+}
+
+/**
+ * Whether a process is still running
+ */
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: it exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Lock file held for the length of a run, so runs never overlap, also across
+ * scheduler processes. A lock whose process has died is taken over.
+ * Contents: { pid, job, startedAt }
+ */
+export class RunLock {
+  /**
+   * @param {string} filePath - Lock file
+   */
+  constructor(filePath = DEFAULT_LOCK_FILE) {
+    this.filePath = filePath;
+    this.held = false;
+  }
+
+  /**
+   * Current holder of the lock
+   * @returns {object|null} Lock contents, or null when the file is missing or unreadable
+   */
+  holder() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Take the lock unless a live process holds it
+   * @param {string} job - Name of the job about to run
+   * @param {Date} startedAt - Start of the run
+   * @returns {object|null} The live holder, or null when the lock was taken
+   */
+  acquire(job, startedAt = new Date()) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        fs.writeFileSync(this.filePath, JSON.stringify({ pid: process.pid, job, startedAt: startedAt.toISOString() }), { flag: 'wx' });
+        this.held = true;
+        return null;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const holder = this.holder();
+      if (holder && isAlive(holder.pid)) {
+        return holder;
+      }
+      // Left behind by a run that died
+      fs.rmSync(this.filePath, { force: true });
+    }
+    return this.holder() || { pid: null, job: null };
+  }
+
+  /**
+   * Give up the lock if acquire() took it
+   */
+  release() {
+    if (this.held && this.holder()?.pid === process.pid) {
+      fs.rmSync(this.filePath, { force: true });
+    }
+    this.held = false;
+  }
+}
+
+/**
+ * Append-only JSONL log with one entry per scheduled run, skipped or not.
+ * Entries: { job, scheduledFor, status, reason, startedAt, finishedAt, durationMs, exitCode, error }
+ */
+export class RunLog {
+  /**
+   * @param {string} filePath - JSONL file to append to and query
+   */
+  constructor(filePath = DEFAULT_RUN_LOG) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Persist one entry
+   * @param {object} fields - Entry fields; missing ones are written as null
+   * @returns {object} Entry written
+   */
+  append(fields) {
+    const entry = {
+      job: null,
+      scheduledFor: null,
+      status: null,
+      reason: null,
+      startedAt: null,
+      finishedAt: null,
+      durationMs: null,
+      exitCode: null,
+      error: null,
+      ...fields
+    };
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+    return entry;
+  }
+
+  /**
+   * Read entries in file order, skipping malformed lines
+   * @param {object} filters - Entry filters
+   * @param {string} filters.job - Only entries of this job (optional)
+   * @returns {Promise<Array<object>>} Entries
+   */
+  async readRuns({ job = null } = {}) {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const entries = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(this.filePath, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (!job || entry.job === job) {
+          entries.push(entry);
+        }
+      } catch (error) {
+        // Skip partial lines, e.g. from a crash mid-write
+      }
+    }
+    return entries;
+  }
+}
+
+/**
+ * Runs jobs on cron schedules, skipping the times a scan is pointless: quiet hours,
+ * weekends and state holidays when offices are closed, and the rest of the day
+ * once its run budget is used. Runs never overlap: jobs due at the same minute run
+ * one after another, an occurrence that comes up while a run is still going is
+ * skipped, and a run another process holds the lock for is skipped too. Every
+ * run and skip goes to the run log.
+ *
+ * A job is { name, schedule, run } where run is an async function returning an
+ * exit code and schedule holds { cron, timeZone, quietHours, skipWeekends,
+ * skipHolidays, maxRunsPerDay } as resolved by the config.
+ */
+export class Scheduler {
+  /**
+   * @param {object} options - Scheduler options
+   * @param {Array<object>} options.jobs - Jobs, see above
+   * @param {RunLock} options.lock - Lock held during runs
+   * @param {RunLog} options.log - Log every run and skip is appended to
+   * @param {Function} options.onRun - Called with each log entry
+   * @param {Function} options.now - Clock, replaceable in tests
+   * @param {Function} options.sleep - Delay function, replaceable in tests
+   */
+  constructor({
+    jobs,
+    lock = new RunLock(),
+    log = new RunLog(),
+    onRun = null,
+    now = () => new Date(),
+    sleep = null
+  }) {
+    this.jobs = jobs;
+    this.lock = lock;
+    this.log = log;
+    this.onRun = onRun;
+    this.now = now;
+    this.sleep = sleep || (ms => this.defaultSleep(ms));
+
+    this.running = false;
+    this.wake = null;
+  }
+
+  /**
+   * Next occurrence of every job after an instant, earliest first
+   * @param {Date} after - Instant
+   * @returns {Array<object>} Occurrences of { job, at }
+   */
+  nextRuns(after = this.now()) {
+    return this.jobs
+      .map(job => ({ job, at: job.schedule.cron.next(after, job.schedule.timeZone) }))
+      .sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Upcoming occurrences of a job with the reason each would be skipped, leaving
+   * out the run budget since that depends on the runs before it
+   * @param {object} job - Job
+   * @param {number} count - Occurrences to list
+   * @param {Date} after - Instant to list from
+   * @returns {Array<object>} Occurrences of { at, reason }
+   */
+  upcoming(job, count, after = this.now()) {
+    const occurrences = [];
+    for (let at = after; occurrences.length < count;) {
+      at = job.schedule.cron.next(at, job.schedule.timeZone);
+      occurrences.push({ at, reason: this.calendarSkipReason(job, at) });
+    }
+    return occurrences;
+  }
+
+  /**
+   * Why an occurrence falls in quiet hours, on a weekend or on a holiday
+   * @param {object} job - Job
+   * @param {Date} at - Occurrence
+   * @returns {string|null} Reason to skip, or null to run
+   */
+  calendarSkipReason(job, at) {
+    const { timeZone, quietHours = [], skipWeekends, skipHolidays } = job.schedule;
+    const parts = zonedParts(at, timeZone);
+
+    const quiet = quietWindowAt(quietHours, parts.hour * 60 + parts.minute);
+    if (quiet) {
+      return `quiet hours ${quiet.text}`;
+    }
+    if (skipWeekends && (parts.weekday === 0 || parts.weekday === 6)) {
+      return 'weekend';
+    }
+    const holiday = skipHolidays ? holidayOn(parts.date) : null;
+    if (holiday) {
+      return `holiday (${holiday})`;
+    }
+    return null;
+  }
+
+  /**
+   * Why an occurrence is skipped, including the run budget
+   * @param {object} job - Job
+   * @param {Date} at - Occurrence
+   * @returns {Promise<string|null>} Reason to skip, or null to run
+   */
+  async skipReason(job, at) {
+    const reason = this.calendarSkipReason(job, at);
+    if (reason || !job.schedule.maxRunsPerDay) {
+      return reason;
+    }
+
+    const { timeZone, maxRunsPerDay } = job.schedule;
+    const day = zonedParts(at, timeZone).date;
+    const runs = (await this.log.readRuns({ job: job.name }))
+      .filter(entry => entry.status !== RUN_STATUS.SKIPPED && entry.startedAt && zonedParts(new Date(entry.startedAt), timeZone).date === day);
+    return runs.length >= maxRunsPerDay ? `daily budget of ${maxRunsPerDay} run${maxRunsPerDay === 1 ? '' : 's'} used` : null;
+  }
+
+  /**
+   * Append an entry to the run log and report it
+   */
+  async record(fields) {
+    const entry = this.log.append(fields);
+    if (this.onRun) {
+      await this.onRun(entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Run or skip one occurrence of a job
+   * @param {object} job - Job
+   * @param {Date} at - Occurrence
+   * @returns {Promise<object>} Log entry
+   */
+  async runOccurrence(job, at) {
+    const scheduledFor = at.toISOString();
+    const reason = await this.skipReason(job, at);
+    if (reason) {
+      return this.record({ job: job.name, scheduledFor, status: RUN_STATUS.SKIPPED, reason });
+    }
+
+    const startedAt = this.now();
+    const holder = this.lock.acquire(job.name, startedAt);
+    if (holder) {
+      return this.record({ job: job.name, scheduledFor, status: RUN_STATUS.SKIPPED, reason: `${holder.job || 'another run'} is still running (pid ${holder.pid})` });
+    }
+
+    let exitCode = null;
+    let error = null;
+    try {
+      exitCode = await job.run(job);
+    } catch (runError) {
+      error = runError.message;
+    } finally {
+      this.lock.release();
+    }
+
+    const finishedAt = this.now();
+    return this.record({
+      job: job.name,
+      scheduledFor,
+      status: exitCode === 0 ? RUN_STATUS.OK : RUN_STATUS.FAILED,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      exitCode,
+      error
+    });
+  }
+
+  /**
+   * Run jobs on their schedules until stop() is called
+   * @param {object} options - Run options
+   * @param {Date} options.until - Stop before the first occurrence after this time (optional)
+   */
+  async run({ until = null } = {}) {
+    this.running = true;
+    let after = this.now();
+
+    while (this.running && this.jobs.length > 0) {
+      const due = this.nextRuns(after);
+      const at = due[0].at;
+      if (until && at > until) break;
+
+      const delay = at - this.now();
+      if (delay > 0) {
+        await this.sleep(Math.min(delay, MAX_SLEEP_MS));
+        if (delay > MAX_SLEEP_MS) continue;
+      }
+      if (!this.running) break;
+
+      for (const { job } of due.filter(occurrence => occurrence.at.getTime() === at.getTime())) {
+        await this.runOccurrence(job, at);
+      }
+
+      // Occurrences that came up during the runs are skipped, not run late
+      const finished = this.now();
+      for (const occurrence of this.nextRuns(at).filter(next => next.at <= finished)) {
+        for (let missed = occurrence.at; missed <= finished; missed = occurrence.job.schedule.cron.next(missed, occurrence.job.schedule.timeZone)) {
+          await this.record({ job: occurrence.job.name, scheduledFor: missed.toISOString(), status: RUN_STATUS.SKIPPED, reason: 'previous run still in progress' });
+        }
+      }
+      after = finished > at ? finished : at;
+    }
+
+    this.running = false;
+  }
+
+  /**
+   * Stop after the current run and cut short any pending delay
+   */
+  stop() {
+    this.running = false;
+    if (this.wake) {
+      this.wake();
+    }
+  }
+
+  /**
+   * Interruptible delay used when no sleep function is injected
+   * @param {number} ms - Delay in milliseconds
+   */
+  defaultSleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => this.wake(), ms);
+      this.wake = () => {
+        clearTimeout(timer);
+        this.wake = null;
+        resolve();
+      };
+    });
+  }
+}
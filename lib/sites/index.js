@@ -0,0 +1,59 @@
+import fs from 'fs';
+import { SiteAdapter } from './site-adapter.js';
+import { NC_DMV } from './nc-dmv.js';
+
+export { SiteAdapter, NC_DMV };
+
+/**
+ * Built-in adapters by name
+ */
+const SITE_ADAPTERS = {
+  [NC_DMV.name]: NC_DMV
+};
+
+export const SITE_NAMES = Object.keys(SITE_ADAPTERS);
+
+export const DEFAULT_SITE = NC_DMV;
+
+/**
+ * Read an adapter from a JSON spec file. The spec extends a built-in adapter,
+ * named by its "extends" (default: nc-dmv), so it only lists what differs.
+ * @param {string} filePath - JSON file
+ * @returns {SiteAdapter} Adapter
+ */
+export function loadSiteAdapter(filePath) {
+  let spec;
+  try {
+    spec = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read site adapter from ${filePath}: ${error.message}`);
+  }
+  if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error(`${filePath} is not a site adapter spec`);
+  }
+
+  const { extends: base = NC_DMV.name, ...overrides } = spec;
+  if (!SITE_ADAPTERS[base]) {
+    throw new Error(`${filePath} extends unknown site "${base}" (expected ${SITE_NAMES.join(', ')})`);
+  }
+  return SITE_ADAPTERS[base].extend(overrides);
+}
+
+/**
+ * Resolve a site from a built-in adapter name or a JSON spec file
+ * @param {string|SiteAdapter} site - Adapter name such as "nc-dmv", a .json file, or an adapter
+ * @returns {SiteAdapter} Adapter
+ */
+export function getSiteAdapter(site = DEFAULT_SITE) {
+  if (site instanceof SiteAdapter) {
+    return site;
+  }
+  const name = String(site).trim();
+  if (name.toLowerCase().endsWith('.json')) {
+    return loadSiteAdapter(name);
+  }
+  if (!SITE_ADAPTERS[name.toLowerCase()]) {
+    throw new Error(`Unknown site "${name}" (expected ${SITE_NAMES.join(', ')} or a .json adapter file)`);
+  }
+  return SITE_ADAPTERS[name.toLowerCase()];
+}
@@ -0,0 +1,80 @@
+import { SiteAdapter } from './site-adapter.js';
+
+/**
+ * NC DMV on skiptheline.ncdot.gov. The booking step selectors (stepTitle to
+ * confirmationNumber) and the existing-appointment ones (manageAppointment to
+ * cancellationMessage) are modeled on the local mock and stay unconfirmed until
+ * they are captured from the live site.
+ */
+export const NC_DMV = new SiteAdapter({
+  name: 'nc-dmv',
+  label: 'NC DMV',
+  baseUrl: 'https://skiptheline.ncdot.gov/Webapp/Appointment/Index/a7ade79b-996d-4971-8766-97feb75254de',
+  steps: {
+    amendStepPath: '/Webapp/Appointment/AmendStep',
+    stepFormId: 'StepForm'
+  },
+  selectors: {
+    makeAppointment: 'button#cmdMakeAppt',
+    blockLoader: '#BlockLoader',
+    appointmentType: '.QflowObjectItem',
+    activeUnit: '.QflowObjectItem.form-control.ui-selectable.Active-Unit.valid',
+    appointmentHeading: 'text=Please select date and time',
+    calendarDates: '.calendar-day, .ui-datepicker-calendar td:not(.ui-datepicker-unselectable)',
+    stepTitle: '.step-title',
+    nextButton: 'button.next-button',
+    validationError: '.field-validation-error',
+    firstName: '#FirstName',
+    lastName: '#LastName',
+    phoneNumber: '#PhoneNumber',
+    email: '#Email',
+    question: '.QflowQuestion',
+    questionText: '.question-text',
+    appointmentSummary: 'dl.appointment-summary',
+    confirmAppointment: 'button#cmdConfirmAppointment',
+    confirmationNumber: '#ConfirmationNumber',
+    manageAppointment: 'button#cmdManageAppt',
+    lookupConfirmationNumber: '#LookupConfirmationNumber',
+    lookupContact: '#LookupContact',
+    findAppointment: 'button#cmdFindAppointment',
+    rescheduleAppointment: 'button#cmdRescheduleAppointment',
+    cancelAppointment: 'button#cmdCancelAppointment',
+    confirmCancellation: 'button#cmdConfirmCancellation',
+    cancellationMessage: '#CancellationMessage'
+  },
+  markers: {
+    calendarModelType: 'OABSEngine.Models.CalendarDateModel',
+    calendarModelId: 'CalendarDateModel',
+    // Misspelled on the site
+    noDatesField: 'ErrorNoAvaiableDates',
+    noAppointmentsClass: 'field-validation-error',
+    makeAppointmentId: 'cmdMakeAppt',
+    appointmentTypeClass: 'QflowObjectItem',
+    activeUnitClass: 'Active-Unit'
+  },
+  messages: {
+    noAppointments: 'This office does not currently have any appointments available'
+  },
+  unconfirmedSelectors: [
+    'stepTitle',
+    'nextButton',
+    'validationError',
+    'firstName',
+    'lastName',
+    'phoneNumber',
+    'email',
+    'question',
+    'questionText',
+    'appointmentSummary',
+    'confirmAppointment',
+    'confirmationNumber',
+    'manageAppointment',
+    'lookupConfirmationNumber',
+    'lookupContact',
+    'findAppointment',
+    'rescheduleAppointment',
+    'cancelAppointment',
+    'confirmCancellation',
+    'cancellationMessage'
+  ]
+});
@@ -0,0 +1,130 @@
+/**
+ * Sections of an adapter spec that extend() merges key by key
+ */
+const SECTIONS = ['steps', 'selectors', 'markers', 'messages'];
+
+/**
+ * Escape text for use inside a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * What the page objects, the parser and the browserless client need to know about
+ * one scheduling site running the QFlow/OABS engine: its Index URL, the step
+ * endpoint, the selectors of each step, the markers that tell a calendar from a
+ * "no appointments" step, and the messages the site shows.
+ *
+ * An adapter is built from a plain spec, so it can live in a JSON file:
+ * - `name`, `label` and `baseUrl` (the appointment Index URL)
+ * - `steps`: `amendStepPath` (step endpoint) and `stepFormId` (form posted to it)
+ * - `selectors`: page object selectors by name, see the nc-dmv adapter
+ * - `markers`: `calendarModelType` and `calendarModelId` (calendar payload),
+ *   `noDatesField` and `noAppointmentsClass` (hidden field and message class of
+ *   the no-appointments step), and the
+ *   `makeAppointmentId`, `appointmentTypeClass` and `activeUnitClass` the
+ *   browserless client finds the step triggers by
+ * - `messages`: `noAppointments`, the start of the no-appointments message
+ * - `unconfirmedSelectors`: names of selectors not yet checked against the live
+ *   site; flows that need them refuse to run there (optional)
+ */
+export class SiteAdapter {
+  /**
+   * @param {object} spec - Adapter spec, see above
+   */
+  constructor(spec) {
+    const missing = ['name', 'baseUrl', ...SECTIONS].filter(key => !spec?.[key]);
+    if (missing.length > 0) {
+      throw new Error(`Site adapter ${spec?.name ? `"${spec.name}" ` : ''}is missing ${missing.join(', ')}`);
+    }
+
+    this.spec = spec;
+    this.name = spec.name;
+    this.label = spec.label || spec.name;
+    this.baseUrl = spec.baseUrl;
+    this.steps = { ...spec.steps };
+    this.markers = { ...spec.markers };
+    this.messages = { ...spec.messages };
+    this.unconfirmedSelectors = [...(spec.unconfirmedSelectors || [])];
+    this.selectors = {
+      // The no-appointments step is found by its markers unless selectors are given
+      noAppointmentsError: `span.${this.markers.noAppointmentsClass}`,
+      noDatesInput: `input[name="StepControls[1].FieldName"][value="${this.markers.noDatesField}"]`,
+      ...spec.selectors
+    };
+  }
+
+  /**
+   * New adapter with some settings replaced, e.g. for another agency on the same engine
+   * @param {object} overrides - Partial spec; its sections are merged into this adapter's
+   * @returns {SiteAdapter} Adapter
+   */
+  extend(overrides = {}) {
+    // Another site's label is not inherited along with the rest
+    const label = overrides.name && overrides.name !== this.name ? undefined : this.spec.label;
+    const spec = { ...this.spec, label, ...overrides };
+    for (const section of SECTIONS) {
+      spec[section] = { ...this.spec[section], ...overrides[section] };
+    }
+    return new SiteAdapter(spec);
+  }
+
+  /**
+   * Whether a URL is on the site itself rather than, say, the local mock
+   * @param {string} url - URL such as the appointment Index URL in use
+   * @returns {boolean} True on the origin of the site's baseUrl
+   */
+  isLive(url) {
+    return new URL(url).origin === new URL(this.baseUrl).origin;
+  }
+
+  /**
+   * Refuse to run a flow on the live site while selectors it needs are unconfirmed:
+   * a wrong guess there could act on a real appointment. The local mock, or any
+   * other origin, is fine.
+   * @param {Array<string>} names - Selector names the flow needs
+   * @param {string} url - Appointment Index URL in use
+   * @param {string} flow - What the selectors are for, e.g. "existing appointments"
+   * @throws {Error} If the URL is the live site and one of the selectors is unconfirmed
+   */
+  checkConfirmed(names, url, flow) {
+    const unconfirmed = names.filter(name => this.unconfirmedSelectors.includes(name));
+    if (unconfirmed.length > 0 && this.isLive(url)) {
+      throw new Error(`The ${this.label} selectors for ${flow} (${unconfirmed.join(', ')}) are not confirmed `
+        + `against ${new URL(this.baseUrl).origin} yet. Capture them from the live site into a site adapter with "unconfirmedSelectors": [] first.`);
+    }
+  }
+
+  /**
+   * Whether a request URL is a step transition
+   * @param {string} url - Request URL
+   * @returns {boolean} True for the step endpoint
+   */
+  isAmendStep(url) {
+    return new URL(url).pathname === this.steps.amendStepPath;
+  }
+
+  /**
+   * Glob matching step transitions, for page.route()
+   */
+  get amendStepGlob() {
+    return `**${this.steps.amendStepPath}*`;
+  }
+
+  /**
+   * Pattern of the visible no-appointments message in step HTML
+   */
+  get noAppointmentsPattern() {
+    return new RegExp(`<span[^>]*class="[^"]*${escapeRegExp(this.markers.noAppointmentsClass)}[^"]*"[^>]*>[^<]*${escapeRegExp(this.messages.noAppointments)}[^<]*</span>`, 'i');
+  }
+
+  /**
+   * The Index URL on another origin, e.g. the local mock site
+   * @param {string} origin - Origin such as "http://127.0.0.1:3000"
+   * @returns {string} Index URL
+   */
+  indexUrlOn(origin) {
+    return `${origin}${new URL(this.baseUrl).pathname}`;
+  }
+}
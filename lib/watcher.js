@@ -0,0 +1,256 @@
+import { appointmentTypeKey } from './appointment-types.js';
+
+/**
+ * Minimum time between scans, to respect the site's guidance against excessive automated requests
+ */
+export const MIN_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Change types reported between two scans
+ */
+export const CHANGE_TYPES = {
+  GAINED: 'gained',
+  LOST: 'lost',
+  EARLIER: 'earlier'
+};
+
+/**
+ * Key identifying a location across scans: the unit id when known, so two offices
+ * in the same city stay apart, and the tile name for older results without one
+ * @param {object} result - Location result or history record
+ * @returns {string} Location key
+ */
+export function locationKey(result) {
+  return result.location?.unitId || result.unitId || result.cityName;
+}
+
+/**
+ * Key identifying a result across scans: its location, and its appointment type
+ * when the scan covered several
+ * @param {object} result - Location result
+ * @returns {string} Result key
+ */
+export function resultKey(result) {
+  const type = appointmentTypeKey(result.appointmentType);
+  return type ? `${type}\u0000${locationKey(result)}` : locationKey(result);
+}
+
+/**
+ * Earliest date in a result's availableDates
+ * @param {object} result - Location result
+ * @returns {string|null} Earliest YYYY-MM-DD date or null
+ */
+function earliestDate(result) {
+  const dates = [...(result?.availableDates || [])].sort();
+  return dates[0] || null;
+}
+
+/**
+ * Compare two result sets and list what changed. A location that could not be
+ * checked (a result with an error) says nothing about its availability, so it
+ * never counts as a change.
+ * @param {Array<object>} previous - Results from the previous scan
+ * @param {Array<object>} current - Results from the current scan
+ * @returns {Array<object>} Changes with type, cityName, result and dates
+ */
+export function diffResults(previous, current) {
+  const changes = [];
+  const previousByKey = new Map(previous.map(result => [resultKey(result), result]));
+  const currentKeys = new Set();
+
+  for (const result of current) {
+    const key = resultKey(result);
+    const before = previousByKey.get(key);
+    currentKeys.add(key);
+    if (result.error) continue;
+
+    if (result.isAvailable && !before?.isAvailable) {
+      changes.push({ type: CHANGE_TYPES.GAINED, cityName: result.cityName, result, earliestDate: earliestDate(result) });
+    } else if (!result.isAvailable && before?.isAvailable) {
+      changes.push({ type: CHANGE_TYPES.LOST, cityName: result.cityName, result, previousEarliestDate: earliestDate(before) });
+    } else if (result.isAvailable) {
+      const earliest = earliestDate(result);
+      const previousEarliest = earliestDate(before);
+      if (earliest && (!previousEarliest || earliest < previousEarliest)) {
+        changes.push({ type: CHANGE_TYPES.EARLIER, cityName: result.cityName, result, earliestDate: earliest, previousEarliestDate: previousEarliest });
+      }
+    }
+  }
+
+  // Locations that disappeared from the list lost whatever they had
+  for (const [key, before] of previousByKey) {
+    if (!currentKeys.has(key) && before.isAvailable) {
+      changes.push({ type: CHANGE_TYPES.LOST, cityName: before.cityName, result: null, appointmentType: before.appointmentType, previousEarliestDate: earliestDate(before) });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Results to compare the next scan against: the current results, with the last
+ * known result standing in for each location that could not be checked
+ * @param {Array<object>} previous - Results the current scan was compared against
+ * @param {Array<object>} current - Results from the current scan
+ * @returns {Array<object>} Results
+ */
+export function carryForwardResults(previous, current) {
+  const previousByKey = new Map(previous.map(result => [resultKey(result), result]));
+  return current.map(result => (result.error && previousByKey.get(resultKey(result))) || result);
+}
+
+/**
+ * Format a change as a console line
+ * @param {object} change - Change from diffResults
+ * @returns {string} Status line
+ */
+export function formatChange(change) {
+  switch (change.type) {
+    case CHANGE_TYPES.GAINED:
+      return `${change.cityName}: ✓ Appointments now available${change.earliestDate ? ` (earliest: ${change.earliestDate})` : ''}`;
+    case CHANGE_TYPES.LOST:
+      return `${change.cityName}: ✗ No longer available`;
+    case CHANGE_TYPES.EARLIER:
+      return `${change.cityName}: ↑ Earlier date available: ${change.earliestDate} (was ${change.previousEarliestDate})`;
+    default:
+      return `${change.cityName}: ${change.type}`;
+  }
+}
+
+/**
+ * Re-runs a scan on an interval and reports only what changed between scans.
+ * Scans are spaced by the interval plus random jitter, never closer than MIN_INTERVAL_MS,
+ * and slow down exponentially after consecutive errors.
+ */
+export class Watcher {
+  /**
+   * @param {object} options - Watch options
+   * @param {Function} options.scan - Async function returning a scan with a results array
+   * @param {number} options.intervalMs - Time between scans
+   * @param {number} options.jitterMs - Maximum random time added to or removed from the interval
+   * @param {number} options.minIntervalMs - Floor for the time between scans
+   * @param {number} options.backoffFactor - Multiplier applied per consecutive error
+   * @param {number} options.maxBackoffMs - Ceiling for the delay after errors
+   * @param {Function} options.onChange - Called with (changes, scan) when something changed
+   * @param {Function} options.onScan - Called with each completed scan
+   * @param {Function} options.onError - Called with (error, delayMs) when a scan fails
+   * @param {Function} options.sleep - Delay function, replaceable in tests
+   * @param {Function} options.random - Random number source in [0, 1), replaceable in tests
+   */
+  constructor({
+    scan,
+    intervalMs = 5 * 60 * 1000,
+    jitterMs = 30 * 1000,
+    minIntervalMs = MIN_INTERVAL_MS,
+    backoffFactor = 2,
+    maxBackoffMs = 60 * 60 * 1000,
+    onChange = null,
+    onScan = null,
+    onError = null,
+    sleep = null,
+    random = Math.random
+  }) {
+    this.scan = scan;
+    this.intervalMs = Math.max(intervalMs, minIntervalMs);
+    this.jitterMs = jitterMs;
+    this.minIntervalMs = minIntervalMs;
+    this.backoffFactor = backoffFactor;
+    this.maxBackoffMs = maxBackoffMs;
+    this.onChange = onChange;
+    this.onScan = onScan;
+    this.onError = onError;
+    this.sleep = sleep || (ms => this.defaultSleep(ms));
+    this.random = random;
+
+    this.previousResults = null;
+    this.consecutiveErrors = 0;
+    this.running = false;
+    this.wake = null;
+  }
+
+  /**
+   * Delay before the next scan
+   * @returns {number} Delay in milliseconds
+   */
+  nextDelay() {
+    if (this.consecutiveErrors > 0) {
+      const backoff = this.intervalMs * this.backoffFactor ** this.consecutiveErrors;
+      return Math.max(Math.min(backoff, this.maxBackoffMs), this.intervalMs);
+    }
+
+    const jitter = (this.random() * 2 - 1) * this.jitterMs;
+    return Math.max(Math.round(this.intervalMs + jitter), this.minIntervalMs);
+  }
+
+  /**
+   * Run a single scan and report changes against the previous one. The scan only
+   * becomes the baseline once onScan and onChange succeed, so changes a failing
+   * callback did not deliver are reported again after the next scan.
+   * @returns {Promise<Array<object>|null>} Changes, or null if the scan or a callback failed
+   */
+  async tick() {
+    try {
+      const scan = await this.scan();
+      const changes = diffResults(this.previousResults || [], scan.results);
+
+      if (this.onScan) {
+        await this.onScan(scan);
+      }
+      if (changes.length > 0 && this.onChange) {
+        await this.onChange(changes, scan);
+      }
+      this.previousResults = carryForwardResults(this.previousResults || [], scan.results);
+      this.consecutiveErrors = 0;
+      return changes;
+    } catch (error) {
+      this.consecutiveErrors++;
+      if (this.onError) {
+        await this.onError(error, this.nextDelay());
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Scan repeatedly until stop() is called
+   * @param {object} options - Run options
+   * @param {number} options.maxScans - Stop after this many scans (optional)
+   */
+  async run({ maxScans = Infinity } = {}) {
+    this.running = true;
+
+    for (let scans = 0; this.running && scans < maxScans; scans++) {
+      await this.tick();
+      if (this.running && scans + 1 < maxScans) {
+        await this.sleep(this.nextDelay());
+      }
+    }
+
+    this.running = false;
+  }
+
+  /**
+   * Stop after the current scan and cut short any pending delay
+   */
+  stop() {
+    this.running = false;
+    if (this.wake) {
+      this.wake();
+    }
+  }
+
+  /**
+   * Interruptible delay used when no sleep function is injected
+   * @param {number} ms - Delay in milliseconds
+   */
+  defaultSleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => this.wake(), ms);
+      this.wake = () => {
+        clearTimeout(timer);
+        this.wake = null;
+        resolve();
+      };
+    });
+  }
+}
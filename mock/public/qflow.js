@@ -0,0 +1,157 @@
+/**
+ * Client script for the mock QFlow site.
+ * Posts step transitions to AmendStep, swaps the step markup and keeps browser history in sync
+ * so that page.goBack() behaves like it does on skiptheline.ncdot.gov.
+ */
+(function () {
+  var form = document.getElementById('StepForm');
+  var container = document.getElementById('StepContainer');
+  var loader = document.getElementById('BlockLoader');
+  var MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+
+  if (navigator.geolocation) {
+    navigator.geolocation.getCurrentPosition(function (position) {
+      form.elements.Latitude.value = position.coords.latitude;
+      form.elements.Longitude.value = position.coords.longitude;
+    }, function () { });
+  }
+
+  function amendStep(triggerId, targetId) {
+    loader.style.display = 'block';
+    var url = '/Webapp/Appointment/AmendStep?stepControlTriggerId=' + triggerId + '&targetStepControlId=' + targetId;
+
+    return fetch(url, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: {
+        'Accept': 'text/html, */*; q=0.01',
+        'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+        'X-Requested-With': 'XMLHttpRequest'
+      },
+      body: new URLSearchParams(new FormData(form)).toString()
+    })
+      .then(function (response) { return response.text(); })
+      .then(function (html) {
+        render(html);
+        history.pushState({ html: html }, '');
+      })
+      .finally(function () {
+        loader.style.display = 'none';
+      });
+  }
+
+  function render(html) {
+    container.innerHTML = html;
+    initCalendar();
+  }
+
+  function pad(value) {
+    return value < 10 ? '0' + value : String(value);
+  }
+
+  function initCalendar() {
+    var modelInput = document.getElementById('CalendarDateModel');
+    if (!modelInput) return;
+
+    var model = JSON.parse(modelInput.value);
+    // Without times in the model, they come separately
+    var timesInput = document.getElementById('AppointmentTimes');
+    var times = timesInput ? JSON.parse(timesInput.value) : {};
+    var slotsByDate = {};
+    model.AvailableDates.forEach(function (entry) {
+      if (typeof entry === 'string') {
+        slotsByDate[entry] = times[entry] || [];
+      } else {
+        slotsByDate[entry.Date] = entry.Times;
+      }
+    });
+    var dates = Object.keys(slotsByDate).sort();
+    if (dates.length === 0) return;
+
+    var first = dates[0].split('-').map(Number);
+    var last = dates[dates.length - 1].split('-').map(Number);
+    var state = { year: first[0], month: first[1] - 1 };
+
+    function renderMonth() {
+      var daysInMonth = new Date(state.year, state.month + 1, 0).getDate();
+      var offset = new Date(state.year, state.month, 1).getDay();
+      var hasPrev = state.year > first[0] || (state.year === first[0] && state.month > first[1] - 1);
+      var hasNext = state.year < last[0] || (state.year === last[0] && state.month < last[1] - 1);
+      var cells = [];
+
+      for (var i = 0; i < offset; i++) {
+        cells.push('<td class="ui-datepicker-other-month ui-datepicker-unselectable ui-state-disabled">&#xa0;</td>');
+      }
+      for (var day = 1; day <= daysInMonth; day++) {
+        var iso = state.year + '-' + pad(state.month + 1) + '-' + pad(day);
+        if (slotsByDate[iso]) {
+          cells.push('<td data-handler="selectDay" data-event="click" data-month="' + state.month + '" data-year="' + state.year +
+            '" data-date="' + iso + '"><a class="ui-state-default" href="#">' + day + '</a></td>');
+        } else {
+          cells.push('<td class="ui-datepicker-unselectable ui-state-disabled"><span class="ui-state-default">' + day + '</span></td>');
+        }
+      }
+
+      var rows = [];
+      for (var start = 0; start < cells.length; start += 7) {
+        rows.push('<tr>' + cells.slice(start, start + 7).join('') + '</tr>');
+      }
+
+      document.getElementById('Datepicker').innerHTML =
+        '<div class="ui-datepicker-inline ui-datepicker ui-widget">' +
+        '<div class="ui-datepicker-header">' +
+        '<a class="ui-datepicker-prev ui-corner-all' + (hasPrev ? '' : ' ui-state-disabled') + '" data-handler="prev" title="Prev">Prev</a>' +
+        '<a class="ui-datepicker-next ui-corner-all' + (hasNext ? '' : ' ui-state-disabled') + '" data-handler="next" title="Next">Next</a>' +
+        '<div class="ui-datepicker-title"><span class="ui-datepicker-month">' + MONTHS[state.month] + '</span>&#xa0;' +
+        '<span class="ui-datepicker-year">' + state.year + '</span></div></div>' +
+        '<table class="ui-datepicker-calendar"><tbody>' + rows.join('') + '</tbody></table></div>';
+    }
+
+    function selectDay(iso) {
+      var select = document.getElementById('AppointmentTime');
+      select.innerHTML = '<option value="" data-datetime="">-</option>' + slotsByDate[iso].map(function (slot) {
+        return '<option value="' + slot.DateTime + '" data-datetime="' + slot.DateTime + '" data-serviceid="' + slot.ServiceId +
+          '" data-appointmenttypeid="' + slot.AppointmentTypeId + '">' + slot.Time + '</option>';
+      }).join('');
+    }
+
+    document.getElementById('Datepicker').onclick = function (event) {
+      var target = event.target.closest('[data-handler]');
+      if (!target || target.classList.contains('ui-state-disabled')) return;
+      event.preventDefault();
+
+      var handler = target.getAttribute('data-handler');
+      if (handler === 'selectDay') {
+        selectDay(target.getAttribute('data-date'));
+        return;
+      }
+      state.month += handler === 'next' ? 1 : -1;
+      if (state.month > 11) { state.month = 0; state.year++; }
+      if (state.month < 0) { state.month = 11; state.year--; }
+      renderMonth();
+    };
+
+    renderMonth();
+  }
+
+  document.addEventListener('click', function (event) {
+    var trigger = event.target.closest('[data-step-trigger]');
+    if (!trigger) return;
+    event.preventDefault();
+
+    var field = trigger.getAttribute('data-field');
+    if (field) {
+      form.elements[field].value = trigger.getAttribute('data-id');
+    }
+    amendStep(trigger.getAttribute('data-step-trigger'), trigger.getAttribute('data-step-target'));
+  });
+
+  window.addEventListener('popstate', function (event) {
+    if (event.state && event.state.html) {
+      render(event.state.html);
+    }
+  });
+
+  history.replaceState({ html: container.innerHTML }, '');
+})();
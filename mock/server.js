@@ -0,0 +1,594 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import {
+  STEP_IDS,
+  renderIndexPage,
+  renderAppointmentTypeStep,
+  renderLocationStep,
+  renderCalendarStep,
+  renderNoAppointmentsStep,
+  renderCustomerStep,
+  renderQuestionsStep,
+  renderReviewStep,
+  renderConfirmationStep,
+  renderLookupStep,
+  renderExistingAppointmentStep,
+  renderCancellationStep,
+  renderCancelledStep,
+  toQflowDateTime,
+  fromQflowDateTime,
+  applyMarkupDrift,
+  CUSTOMER_FIELDS,
+  LOOKUP_FIELDS,
+  APPOINTMENT_TIME_FIELD
+} from './templates.js';
+
+const MOCK_DIR = path.dirname(fileURLToPath(import.meta.url));
+export const FIXTURES_DIR = path.join(MOCK_DIR, 'fixtures');
+const CLIENT_SCRIPT = path.join(MOCK_DIR, 'public', 'qflow.js');
+
+/**
+ * Local stand-in for the skiptheline.ncdot.gov QFlow site.
+ * Serves the Index page, the appointment type and location steps, AmendStep
+ * calendar responses driven by a fixture scenario, the booking steps after
+ * the calendar (customer info, questions, review and confirmation), and the
+ * existing-appointment steps (lookup, reschedule and cancel).
+ */
+export class MockQflowServer {
+  /**
+   * @param {object} options - Server options
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {string} options.host - Host to bind to
+   * @param {string|object} options.scenario - Fixture name or scenario object
+   * @param {string} options.fixturesDir - Directory holding scenario fixtures
+   * @param {number} options.latencyMs - Artificial delay added to AmendStep responses
+   */
+  constructor({ port = 3000, host = '127.0.0.1', scenario = 'default', fixturesDir = FIXTURES_DIR, latencyMs = 0 } = {}) {
+    this.port = port;
+    this.host = host;
+    this.fixturesDir = fixturesDir;
+    this.latencyMs = latencyMs;
+    this.sessions = new Map();
+    this.requests = [];
+    this.server = null;
+    this.setScenario(scenario);
+  }
+
+  /**
+   * Load a scenario fixture by name
+   * @param {string} name - Fixture file name without the .json extension
+   * @param {string} fixturesDir - Directory holding scenario fixtures
+   * @returns {object} Scenario object
+   */
+  static loadScenario(name, fixturesDir = FIXTURES_DIR) {
+    const filePath = path.join(fixturesDir, `${name}.json`);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Unknown mock scenario "${name}" (expected ${filePath})`);
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Replace the active scenario
+   * @param {string|object} scenario - Fixture name or scenario object
+   */
+  setScenario(scenario) {
+    const data = typeof scenario === 'string' ? MockQflowServer.loadScenario(scenario, this.fixturesDir) : scenario;
+    this.scenarioName = typeof scenario === 'string' ? scenario : (scenario.name || 'custom');
+    this.scenario = {
+      appointmentTypes: data.appointmentTypes || [],
+      // Copied because booking a slot removes it from the location's availability
+      locations: structuredClone(data.locations || []),
+      questions: data.questions || [],
+      maxUnits: data.maxUnits || null,
+      latencyMs: data.latencyMs ?? null,
+      drift: data.drift || [],
+      calendarTimes: data.calendarTimes ?? true
+    };
+    // Appointments booked before the test started, for the existing-appointment steps;
+    // bookings made under the previous scenario go with it
+    this.bookings = structuredClone(data.appointments || []);
+  }
+
+  /**
+   * Base URL of the running server
+   */
+  get url() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL of the server
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(`Mock server error: ${error.message}`);
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.port = this.server.address().port;
+    return this.url;
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.server) return;
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Route an incoming request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, this.url);
+
+    if (req.method === 'GET' && url.pathname.startsWith('/Webapp/Appointment/Index/')) {
+      return this.handleIndex(req, res);
+    }
+    if (req.method === 'GET' && url.pathname === '/Webapp/Scripts/qflow.js') {
+      res.writeHead(200, { 'Content-Type': 'application/javascript' });
+      return res.end(fs.readFileSync(CLIENT_SCRIPT));
+    }
+    if (req.method === 'POST' && url.pathname === '/Webapp/Appointment/AmendStep') {
+      return this.handleAmendStep(req, res, url);
+    }
+    if (url.pathname.startsWith('/__mock/')) {
+      return this.handleControl(req, res, url);
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  }
+
+  /**
+   * Serve the Index page and start a session
+   */
+  handleIndex(req, res) {
+    const sessionId = crypto.randomUUID();
+    const token = crypto.randomBytes(24).toString('base64url');
+    this.sessions.set(sessionId, { token });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Set-Cookie': [
+        `ASP.NET_SessionId=${sessionId}; Path=/; HttpOnly; SameSite=Lax`,
+        `__RequestVerificationToken=${token}; Path=/; HttpOnly; SameSite=Lax`
+      ]
+    });
+    res.end(applyMarkupDrift(renderIndexPage({ token }), this.scenario.drift));
+  }
+
+  /**
+   * Serve a step transition
+   */
+  async handleAmendStep(req, res, url) {
+    const startedAt = Date.now();
+    const form = new URLSearchParams(await readBody(req));
+    const cookies = parseCookies(req.headers.cookie);
+    const session = this.sessions.get(cookies['ASP.NET_SessionId']);
+    const trigger = url.searchParams.get('stepControlTriggerId');
+    const target = url.searchParams.get('targetStepControlId');
+
+    const latency = this.scenario.latencyMs ?? this.latencyMs;
+    if (latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, latency));
+    }
+
+    let status = 200;
+    let body;
+
+    if (!session || form.get('__RequestVerificationToken') !== session.token) {
+      status = 400;
+      body = 'The required anti-forgery form field "__RequestVerificationToken" is not present or invalid.';
+    } else if (trigger === STEP_IDS.makeAppointment && target === STEP_IDS.appointmentType) {
+      session.rescheduling = null;
+      body = renderAppointmentTypeStep(this.scenario.appointmentTypes);
+    } else if (trigger === STEP_IDS.manageAppointment && target === STEP_IDS.lookup) {
+      body = renderLookupStep();
+    } else if (trigger === STEP_IDS.lookup && target === STEP_IDS.existingAppointment) {
+      ({ status, body } = this.lookUpAppointment(session, form));
+    } else if (trigger === STEP_IDS.existingAppointment && target === STEP_IDS.appointmentType && session.appointment) {
+      session.rescheduling = session.appointment;
+      body = renderAppointmentTypeStep(this.scenario.appointmentTypes);
+    } else if (trigger === STEP_IDS.existingAppointment && target === STEP_IDS.cancellation && session.appointment) {
+      body = renderCancellationStep(this.appointmentDetails(session.appointment));
+    } else if (trigger === STEP_IDS.cancellation && target === STEP_IDS.cancelled) {
+      ({ status, body } = this.cancelAppointment(session));
+    } else if (trigger === STEP_IDS.appointmentType && target === STEP_IDS.location) {
+      body = renderLocationStep(this.locationsFor(form.get('AppointmentTypeId'), form));
+    } else if (trigger === STEP_IDS.location && target === STEP_IDS.calendar) {
+      const location = this.scenario.locations.find(l => l.id === form.get('UnitId'));
+      if (!location) {
+        status = 404;
+        body = `Unknown unit ${form.get('UnitId')}`;
+      } else if (location.failures?.length > 0) {
+        // Injected failure, one per click: an HTTP status such as 429 or 503
+        status = location.failures.shift();
+        body = `Unit ${location.id} failed with ${status}`;
+      } else if (Object.keys(location.availability || {}).length > 0) {
+        body = renderCalendarStep(location, form.get('AppointmentTypeId'), { calendarTimes: this.scenario.calendarTimes });
+      } else {
+        body = renderNoAppointmentsStep();
+      }
+    } else if (trigger === STEP_IDS.calendar && target === STEP_IDS.customer) {
+      ({ status, body } = this.submitAppointmentTime(session, form));
+    } else if (trigger === STEP_IDS.customer && (target === STEP_IDS.questions || target === STEP_IDS.review)) {
+      ({ status, body } = this.submitCustomer(session, form));
+    } else if (trigger === STEP_IDS.questions && target === STEP_IDS.review) {
+      ({ status, body } = this.submitQuestions(session, form));
+    } else if (trigger === STEP_IDS.review && target === STEP_IDS.confirmation) {
+      ({ status, body } = this.confirmBooking(session));
+    } else {
+      status = 400;
+      body = `Unknown step transition ${trigger} -> ${target}`;
+    }
+
+    this.requests.push({
+      method: req.method,
+      url: req.url,
+      sessionId: cookies['ASP.NET_SessionId'] || null,
+      form: Object.fromEntries(form),
+      status,
+      timestamp: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt
+    });
+
+    res.writeHead(status, { 'Content-Type': status === 200 ? 'text/html; charset=utf-8' : 'text/plain' });
+    res.end(status === 200 ? applyMarkupDrift(body, this.scenario.drift) : body);
+  }
+
+  /**
+   * Whether a location still offers a slot
+   * @param {object} location - Fixture location
+   * @param {string} datetime - Slot datetime such as "11/4/2026 8:00:00 AM"
+   * @returns {object|null} The slot's date and time label, or null
+   */
+  findSlot(location, datetime) {
+    for (const [date, times] of Object.entries(location?.availability || {})) {
+      const time = times.find(t => toQflowDateTime(date, t) === datetime);
+      if (time) return { date, time };
+    }
+    return null;
+  }
+
+  /**
+   * Calendar step "Next": keep the selected slot and ask for the customer's details
+   */
+  submitAppointmentTime(session, form) {
+    const location = this.scenario.locations.find(l => l.id === form.get('UnitId'));
+    const datetime = form.get(APPOINTMENT_TIME_FIELD) || '';
+    if (!this.findSlot(location, datetime)) {
+      return { status: 400, body: `No open slot ${datetime || '(none selected)'} at unit ${form.get('UnitId')}` };
+    }
+
+    session.booking = { unitId: location.id, appointmentTypeId: form.get('AppointmentTypeId'), datetime };
+    if (session.rescheduling) {
+      // A reschedule keeps the customer's details and answers and goes straight to the review
+      session.booking.customer = session.rescheduling.customer;
+      session.booking.answers = session.rescheduling.answers || {};
+      return { status: 200, body: renderReviewStep(this.bookingDetails(session.booking)) };
+    }
+    return { status: 200, body: renderCustomerStep({ target: this.customerTarget() }) };
+  }
+
+  /**
+   * Step the customer info form leads to
+   */
+  customerTarget() {
+    return this.scenario.questions.length > 0 ? STEP_IDS.questions : STEP_IDS.review;
+  }
+
+  /**
+   * Customer step "Next": validate the details, then ask the step questions or show the review
+   */
+  submitCustomer(session, form) {
+    if (!session.booking) {
+      return { status: 400, body: 'No appointment time selected' };
+    }
+
+    const values = Object.fromEntries(CUSTOMER_FIELDS.map(field => [field.name, (form.get(field.name) || '').trim()]));
+    const errors = {};
+    for (const field of CUSTOMER_FIELDS) {
+      if (!values[field.name]) errors[field.name] = `${field.label} is required.`;
+    }
+    if (values.Email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(values.Email)) {
+      errors.Email = 'Please enter a valid email address.';
+    }
+    if (values.PhoneNumber && values.PhoneNumber.replace(/\D/g, '').length !== 10) {
+      errors.PhoneNumber = 'Please enter a 10-digit phone number.';
+    }
+    if (Object.keys(errors).length > 0) {
+      return { status: 200, body: renderCustomerStep({ values, errors, target: this.customerTarget() }) };
+    }
+
+    session.booking.customer = values;
+    return {
+      status: 200,
+      body: this.scenario.questions.length > 0 ? renderQuestionsStep(this.scenario.questions) : renderReviewStep(this.bookingDetails(session.booking))
+    };
+  }
+
+  /**
+   * Questions step "Next": require an answer to every required question
+   */
+  submitQuestions(session, form) {
+    if (!session.booking?.customer) {
+      return { status: 400, body: 'No customer details entered' };
+    }
+
+    const answers = {};
+    const errors = {};
+    for (const question of this.scenario.questions) {
+      const answer = form.get(`Question.${question.id}`) || '';
+      if (answer && !question.options.includes(answer)) {
+        errors[question.id] = 'Please choose one of the options.';
+      } else if (!answer && question.required) {
+        errors[question.id] = 'An answer is required.';
+      }
+      answers[question.id] = answer || null;
+    }
+    if (Object.keys(errors).length > 0) {
+      return { status: 200, body: renderQuestionsStep(this.scenario.questions, { errors }) };
+    }
+
+    session.booking.answers = answers;
+    return { status: 200, body: renderReviewStep(this.bookingDetails(session.booking)) };
+  }
+
+  /**
+   * Review step "Confirm appointment": book the slot unless it was taken in the meantime
+   */
+  confirmBooking(session) {
+    const booking = session.booking;
+    if (!booking?.customer || (this.scenario.questions.length > 0 && !booking.answers)) {
+      return { status: 400, body: 'Booking is incomplete' };
+    }
+
+    const location = this.scenario.locations.find(l => l.id === booking.unitId);
+    const slot = this.findSlot(location, booking.datetime);
+    if (!slot) {
+      return {
+        status: 200,
+        body: renderReviewStep(this.bookingDetails(booking), { error: 'The selected time is no longer available. Please select another time.' })
+      };
+    }
+
+    location.availability[slot.date] = location.availability[slot.date].filter(time => time !== slot.time);
+    if (location.availability[slot.date].length === 0) {
+      delete location.availability[slot.date];
+    }
+
+    const held = session.rescheduling;
+    if (held) {
+      // The appointment keeps its confirmation number and gives its old slot back
+      this.releaseSlot(held);
+      Object.assign(held, {
+        unitId: booking.unitId,
+        appointmentTypeId: booking.appointmentTypeId,
+        datetime: booking.datetime,
+        rescheduledFrom: { unitId: held.unitId, appointmentTypeId: held.appointmentTypeId, datetime: held.datetime },
+        rescheduledAt: new Date().toISOString()
+      });
+      session.booking = null;
+      session.rescheduling = null;
+      return { status: 200, body: renderConfirmationStep(held.confirmationNumber, this.bookingDetails(held)) };
+    }
+
+    const confirmationNumber = `NC${crypto.randomInt(10000000, 100000000)}`;
+    this.bookings.push({ confirmationNumber, ...booking, bookedAt: new Date().toISOString() });
+    session.booking = null;
+    return { status: 200, body: renderConfirmationStep(confirmationNumber, this.bookingDetails(booking)) };
+  }
+
+  /**
+   * Lookup step "Find appointment": match the confirmation number and the email or phone number
+   */
+  lookUpAppointment(session, form) {
+    const values = Object.fromEntries(LOOKUP_FIELDS.map(field => [field.name, (form.get(field.name) || '').trim()]));
+    const confirmationNumber = values.LookupConfirmationNumber.toUpperCase();
+    const contact = values.LookupContact.toLowerCase();
+    const digits = contact.replace(/\D/g, '');
+
+    const appointment = this.bookings.find(booking => !booking.cancelledAt
+      && booking.confirmationNumber.toUpperCase() === confirmationNumber
+      && (booking.customer.Email.toLowerCase() === contact
+        || (digits.length > 0 && booking.customer.PhoneNumber.replace(/\D/g, '') === digits)));
+    if (!confirmationNumber || !contact || !appointment) {
+      return { status: 200, body: renderLookupStep({ values, error: 'No appointment matches that confirmation number and contact information.' }) };
+    }
+
+    session.appointment = appointment;
+    return { status: 200, body: renderExistingAppointmentStep(this.appointmentDetails(appointment)) };
+  }
+
+  /**
+   * Cancellation step "Yes, cancel": give the slot back and mark the appointment cancelled
+   */
+  cancelAppointment(session) {
+    const appointment = session.appointment;
+    if (!appointment || appointment.cancelledAt) {
+      return { status: 400, body: 'No appointment to cancel' };
+    }
+
+    this.releaseSlot(appointment);
+    appointment.cancelledAt = new Date().toISOString();
+    session.appointment = null;
+    session.rescheduling = null;
+    return { status: 200, body: renderCancelledStep(appointment.confirmationNumber, this.bookingDetails(appointment)) };
+  }
+
+  /**
+   * Put an appointment's slot back in its location's availability
+   * @param {object} booking - Booked appointment
+   */
+  releaseSlot(booking) {
+    const location = this.scenario.locations.find(l => l.id === booking.unitId);
+    const slot = fromQflowDateTime(booking.datetime);
+    if (!location || !slot) return;
+
+    const times = [...(location.availability?.[slot.date] || []), slot.time];
+    times.sort((a, b) => new Date(toQflowDateTime(slot.date, a)) - new Date(toQflowDateTime(slot.date, b)));
+    location.availability = Object.fromEntries(Object.entries({ ...location.availability, [slot.date]: times })
+      .sort(([a], [b]) => a.localeCompare(b)));
+  }
+
+  /**
+   * Details shown for an existing appointment: its confirmation number, then the booking details
+   */
+  appointmentDetails(booking) {
+    return { 'Confirmation number': booking.confirmationNumber, ...this.bookingDetails(booking) };
+  }
+
+  /**
+   * Appointment details shown on the review and confirmation steps
+   */
+  bookingDetails(booking) {
+    const location = this.scenario.locations.find(l => l.id === booking.unitId);
+    const type = this.scenario.appointmentTypes.find(t => t.id === booking.appointmentTypeId);
+    return {
+      'Office': location ? `${location.name}, ${location.address}, ${location.city}, NC ${location.zip}` : booking.unitId,
+      'Appointment type': type?.label || booking.appointmentTypeId || '',
+      'Date and time': booking.datetime,
+      'Name': `${booking.customer.FirstName} ${booking.customer.LastName}`,
+      'Phone': booking.customer.PhoneNumber,
+      'Email': booking.customer.Email
+    };
+  }
+
+  /**
+   * Offices offering an appointment type, nearest first when the client sent a position
+   * @param {string} appointmentTypeId - Selected appointment type
+   * @param {URLSearchParams} form - Posted step form
+   * @returns {Array<object>} Locations to render
+   */
+  locationsFor(appointmentTypeId, form) {
+    const latitude = parseFloat(form.get('Latitude'));
+    const longitude = parseFloat(form.get('Longitude'));
+    const hasPosition = Number.isFinite(latitude) && Number.isFinite(longitude);
+
+    let locations = this.scenario.locations
+      .filter(l => !l.appointmentTypes || l.appointmentTypes.includes(appointmentTypeId))
+      .map(l => ({
+        ...l,
+        distance: hasPosition && l.latitude != null ? distanceMiles(latitude, longitude, l.latitude, l.longitude) : null
+      }));
+
+    if (hasPosition) {
+      locations.sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+    }
+    if (this.scenario.maxUnits) {
+      locations = locations.slice(0, this.scenario.maxUnits);
+    }
+    return locations;
+  }
+
+  /**
+   * Control endpoints used by tests to script the mock
+   */
+  async handleControl(req, res, url) {
+    const sendJson = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (url.pathname === '/__mock/health') {
+      return sendJson(200, { status: 'ok', scenario: this.scenarioName });
+    }
+    if (url.pathname === '/__mock/scenario' && req.method === 'GET') {
+      return sendJson(200, { name: this.scenarioName, ...this.scenario });
+    }
+    if (url.pathname === '/__mock/scenario' && req.method === 'POST') {
+      try {
+        const payload = JSON.parse(await readBody(req));
+        this.setScenario(payload.name && !payload.locations ? payload.name : payload);
+        return sendJson(200, { name: this.scenarioName });
+      } catch (error) {
+        return sendJson(400, { error: error.message });
+      }
+    }
+    if (url.pathname === '/__mock/requests' && req.method === 'GET') {
+      return sendJson(200, this.requests);
+    }
+    if (url.pathname === '/__mock/bookings' && req.method === 'GET') {
+      return sendJson(200, this.bookings);
+    }
+    if (url.pathname === '/__mock/requests' && req.method === 'DELETE') {
+      this.requests = [];
+      return sendJson(200, { cleared: true });
+    }
+
+    sendJson(404, { error: 'Unknown control endpoint' });
+  }
+}
+
+/**
+ * Read a request body as a string
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>} Body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parse a Cookie header
+ * @param {string} header - Cookie header value
+ * @returns {object} Cookie name to value map
+ */
+function parseCookies(header = '') {
+  return Object.fromEntries(header.split(';')
+    .map(part => part.trim().split('='))
+    .filter(([name]) => name)
+    .map(([name, ...value]) => [name, value.join('=')]));
+}
+
+/**
+ * Great-circle distance between two points
+ * @returns {number} Distance in miles
+ */
+function distanceMiles(lat1, lon1, lat2, lon2) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 3958.8 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Run directly: node mock/server.js
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const server = new MockQflowServer({
+    port: parseInt(process.env.MOCK_PORT, 10) || 3000,
+    scenario: process.env.MOCK_SCENARIO || 'default',
+    latencyMs: parseInt(process.env.MOCK_LATENCY_MS, 10) || 0
+  });
+
+  server.start().then(url => {
+    console.log(`Mock QFlow site (${server.scenarioName}) listening on ${url}`);
+  });
+
+  const shutdown = () => server.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
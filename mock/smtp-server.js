@@ -0,0 +1,128 @@
+import net from 'net';
+
+/**
+ * Local SMTP stand-in that accepts every message and keeps it in memory.
+ * Supports EHLO/HELO, AUTH PLAIN, MAIL, RCPT, DATA, RSET, NOOP and QUIT; no TLS.
+ */
+export class MockSmtpServer {
+  /**
+   * @param {object} options - Server options
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {string} options.host - Host to bind to
+   */
+  constructor({ port = 2525, host = '127.0.0.1' } = {}) {
+    this.port = port;
+    this.host = host;
+    this.messages = [];
+    this.server = null;
+    this.sockets = new Set();
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<number>} Port the server listens on
+   */
+  async start() {
+    this.server = net.createServer(socket => this.handleConnection(socket));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.port = this.server.address().port;
+    return this.port;
+  }
+
+  /**
+   * Stop listening and drop open connections
+   */
+  async stop() {
+    if (!this.server) return;
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Speak SMTP on one connection
+   * @param {net.Socket} socket - Client connection
+   */
+  handleConnection(socket) {
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.setEncoding('utf8');
+
+    let buffer = '';
+    let envelope = { from: null, to: [], auth: null };
+    let dataLines = null;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    reply('220 mock-smtp ESMTP ready');
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (dataLines) {
+          if (line === '.') {
+            this.messages.push({ ...envelope, data: dataLines.join('\r\n') });
+            envelope = { from: null, to: [], auth: envelope.auth };
+            dataLines = null;
+            reply('250 OK: queued');
+          } else {
+            dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const [verb, ...rest] = line.split(' ');
+        const argument = rest.join(' ');
+        switch (verb.toUpperCase()) {
+          case 'EHLO':
+            reply('250-mock-smtp');
+            reply('250-AUTH PLAIN');
+            reply('250 8BITMIME');
+            break;
+          case 'HELO':
+            reply('250 mock-smtp');
+            break;
+          case 'AUTH': {
+            const [, user] = Buffer.from(argument.replace(/^PLAIN\s+/i, ''), 'base64').toString('utf8').split('\u0000');
+            envelope.auth = user;
+            reply('235 Authentication successful');
+            break;
+          }
+          case 'MAIL':
+            envelope.from = argument.replace(/^FROM:\s*<?|>$/gi, '');
+            reply('250 OK');
+            break;
+          case 'RCPT':
+            envelope.to.push(argument.replace(/^TO:\s*<?|>$/gi, ''));
+            reply('250 OK');
+            break;
+          case 'DATA':
+            dataLines = [];
+            reply('354 End data with <CR><LF>.<CR><LF>');
+            break;
+          case 'RSET':
+            envelope = { from: null, to: [], auth: envelope.auth };
+            reply('250 OK');
+            break;
+          case 'NOOP':
+            reply('250 OK');
+            break;
+          case 'QUIT':
+            reply('221 Bye');
+            socket.end();
+            break;
+          default:
+            reply('502 Command not implemented');
+        }
+      }
+    });
+  }
+}
@@ -0,0 +1,398 @@
+/**
+ * HTML templates for the mock QFlow site.
+ * Markup mirrors the selectors AppointmentPage relies on on skiptheline.ncdot.gov.
+ */
+import { escapeHtml } from '../lib/html.js';
+
+export { escapeHtml };
+
+/**
+ * Step control GUIDs sent as stepControlTriggerId / targetStepControlId
+ */
+export const STEP_IDS = {
+  makeAppointment: '5b5b7f7e-6c1d-4c43-9a43-3f7c1e1b0a01',
+  appointmentType: '5b5b7f7e-6c1d-4c43-9a43-3f7c1e1b0a02',
+  location: '5b5b7f7e-6c1d-4c43-9a43-3f7c1e1b0a03',
+  calendar: '5b5b7f7e-6c1d-4c43-9a43-3f7c1e1b0a04',
+  customer: '5b5b7f7e-6c1d-4c43-9a43-3f7c1e1b0a05',
+  questions: '5b5b7f7e-6c1d-4c43-9a43-3f7c1e1b0a06',
+  review: '5b5b7f7e-6c1d-4c43-9a43-3f7c1e1b0a07',
+  confirmation: '5b5b7f7e-6c1d-4c43-9a43-3f7c1e1b0a08',
+  manageAppointment: '5b5b7f7e-6c1d-4c43-9a43-3f7c1e1b0a09',
+  lookup: '5b5b7f7e-6c1d-4c43-9a43-3f7c1e1b0a0a',
+  existingAppointment: '5b5b7f7e-6c1d-4c43-9a43-3f7c1e1b0a0b',
+  cancellation: '5b5b7f7e-6c1d-4c43-9a43-3f7c1e1b0a0c',
+  cancelled: '5b5b7f7e-6c1d-4c43-9a43-3f7c1e1b0a0d'
+};
+
+/**
+ * Customer info fields of the booking form: name attribute and label
+ */
+export const CUSTOMER_FIELDS = [
+  { name: 'FirstName', label: 'First name' },
+  { name: 'LastName', label: 'Last name' },
+  { name: 'PhoneNumber', label: 'Phone number' },
+  { name: 'Email', label: 'Email address' }
+];
+
+/**
+ * Fields of the existing-appointment lookup: name attribute and label
+ */
+export const LOOKUP_FIELDS = [
+  { name: 'LookupConfirmationNumber', label: 'Confirmation number' },
+  { name: 'LookupContact', label: 'Email address or phone number' }
+];
+
+/**
+ * Field name of the time select on the calendar step
+ */
+export const APPOINTMENT_TIME_FIELD = 'StepControls[2].Model.Value';
+
+export const CALENDAR_MODEL_TYPE = 'OABSEngine.Models.CalendarDateModel';
+export const NO_APPOINTMENTS_MESSAGE = 'This office does not currently have any appointments available for the selected appointment type. Please select another office.';
+
+/**
+ * Markup changes a scenario can apply with its `drift` list, to rehearse a redesign
+ * of the live site. Each one renames something AppointmentPage looks for.
+ */
+export const MARKUP_DRIFT = {
+  makeAppointment: ['id="cmdMakeAppt"', 'id="cmdNewAppointment"'],
+  activeUnit: ['Active-Unit valid', 'Active-Location valid'],
+  appointmentHeading: ['Please select date and time', 'Choose a date and time'],
+  calendarModel: [CALENDAR_MODEL_TYPE, 'OABSEngine.Models.AppointmentCalendarModel'],
+  noAppointmentsError: ['class="field-validation-error"', 'class="validation-summary-errors"'],
+  noDatesInput: ['value="ErrorNoAvaiableDates"', 'value="ErrorNoAvailableDates"']
+};
+
+/**
+ * Apply a scenario's markup drift to rendered HTML
+ * @param {string} html - Rendered page or step
+ * @param {Array<string>} drift - MARKUP_DRIFT names
+ * @returns {string} HTML with the drifted markup
+ */
+export function applyMarkupDrift(html, drift = []) {
+  return drift.reduce((result, name) => {
+    if (!MARKUP_DRIFT[name]) {
+      throw new Error(`Unknown markup drift "${name}" (expected one of ${Object.keys(MARKUP_DRIFT).join(', ')})`);
+    }
+    const [from, to] = MARKUP_DRIFT[name];
+    return result.split(from).join(to);
+  }, html);
+}
+
+/**
+ * Convert a fixture date and time into the site's data-datetime format
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time label such as "8:15 AM"
+ * @returns {string} Datetime such as "11/4/2026 8:15:00 AM"
+ */
+export function toQflowDateTime(date, time) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [clock, meridiem] = time.trim().split(/\s+/);
+  return `${month}/${day}/${year} ${clock}:00 ${meridiem.toUpperCase()}`;
+}
+
+/**
+ * Split a data-datetime value into a fixture date and time label
+ * @param {string} datetime - Datetime such as "11/4/2026 8:15:00 AM"
+ * @returns {object|null} Slot of { date, time } such as { date: '2026-11-04', time: '8:15 AM' }, or null
+ */
+export function fromQflowDateTime(datetime) {
+  const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4}) (\d{1,2}:\d{2}):\d{2} ([AP]M)$/.exec(String(datetime).trim());
+  if (!match) return null;
+  return { date: `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`, time: `${match[4]} ${match[5]}` };
+}
+
+/**
+ * Render the full Index page shell
+ * @param {object} options - Page options
+ * @param {string} options.token - Anti-forgery token for the session
+ * @returns {string} HTML document
+ */
+export function renderIndexPage({ token }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>NCDMV - Skip the Line (mock)</title>
+  <style>
+    #BlockLoader { position: fixed; inset: 0; background: rgba(255, 255, 255, 0.6); }
+    .QflowObjectItem { border: 1px solid #ccc; margin: 4px 0; padding: 8px; cursor: pointer; }
+    .ui-datepicker-calendar td { padding: 2px 6px; }
+    .ui-state-disabled { color: #aaa; }
+  </style>
+</head>
+<body>
+  <form id="StepForm" method="post" action="/Webapp/Appointment/AmendStep">
+    <input type="hidden" name="__RequestVerificationToken" value="${escapeHtml(token)}">
+    <input type="hidden" name="Latitude" value="">
+    <input type="hidden" name="Longitude" value="">
+    <input type="hidden" name="AppointmentTypeId" value="">
+    <input type="hidden" name="UnitId" value="">
+    <div id="StepContainer">
+      <h1>Skip the Line</h1>
+      <p>Schedule an appointment at an NCDMV driver license office.</p>
+      <button id="cmdMakeAppt" type="button" class="btn btn-primary"
+        data-step-trigger="${STEP_IDS.makeAppointment}" data-step-target="${STEP_IDS.appointmentType}">Make an Appointment</button>
+      <button id="cmdManageAppt" type="button" class="btn btn-secondary"
+        data-step-trigger="${STEP_IDS.manageAppointment}" data-step-target="${STEP_IDS.lookup}">Manage an Existing Appointment</button>
+    </div>
+  </form>
+  <div id="BlockLoader" style="display: none">Loading...</div>
+  <script src="/Webapp/Scripts/qflow.js"></script>
+</body>
+</html>`;
+}
+
+/**
+ * Render the appointment type selection step
+ * @param {Array<object>} appointmentTypes - Fixture appointment types
+ * @returns {string} HTML fragment
+ */
+export function renderAppointmentTypeStep(appointmentTypes) {
+  const items = appointmentTypes.map(type => `
+    <div class="QflowObjectItem form-control ui-selectable valid" data-id="${escapeHtml(type.id)}" data-field="AppointmentTypeId"
+      data-step-trigger="${STEP_IDS.appointmentType}" data-step-target="${STEP_IDS.location}">
+      <div class="form-control-child">${escapeHtml(type.label)}</div>
+    </div>`).join('');
+
+  return `<h2 class="step-title">Select an appointment type</h2>${items}`;
+}
+
+/**
+ * Render the location selection step
+ * @param {Array<object>} locations - Fixture locations, optionally with a computed distance
+ * @returns {string} HTML fragment
+ */
+export function renderLocationStep(locations) {
+  if (locations.length === 0) {
+    return '<h2 class="step-title">Select a location</h2><p class="no-units">No offices offer this appointment type.</p>';
+  }
+
+  const tiles = locations.map(location => `
+    <div class="QflowObjectItem form-control ui-selectable Active-Unit valid" data-id="${escapeHtml(location.id)}" data-field="UnitId"
+      data-step-trigger="${STEP_IDS.location}" data-step-target="${STEP_IDS.calendar}"
+      data-latitude="${escapeHtml(location.latitude ?? '')}" data-longitude="${escapeHtml(location.longitude ?? '')}">
+      <input type="hidden" class="unit-id" value="${escapeHtml(location.id)}">
+      <div class="unit-details">
+        <div class="unit-name">${escapeHtml(location.name)}</div>
+        <div class="unit-address">${escapeHtml(location.address)}</div>
+        <div class="unit-city">${escapeHtml(location.city)}, NC ${escapeHtml(location.zip)}</div>
+        ${location.distance != null ? `<div class="unit-distance">${location.distance.toFixed(1)} mi</div>` : ''}
+      </div>
+    </div>`).join('');
+
+  return `<h2 class="step-title">Select a location</h2>${tiles}`;
+}
+
+/**
+ * Render the calendar step for an office with open appointments
+ * @param {object} location - Fixture location
+ * @param {string} appointmentTypeId - Selected appointment type
+ * @param {object} options - Rendering options
+ * @param {boolean} options.calendarTimes - Put the times in the CalendarDateModel payload; without them
+ *   the payload lists only the dates and the page gets the times separately (default: true)
+ * @returns {string} HTML fragment containing the CalendarDateModel payload
+ */
+export function renderCalendarStep(location, appointmentTypeId, { calendarTimes = true } = {}) {
+  const dates = Object.keys(location.availability).sort();
+  const times = Object.fromEntries(dates.map(date => [date, location.availability[date].map(time => ({
+    Time: time,
+    DateTime: toQflowDateTime(date, time),
+    ServiceId: location.serviceId || location.id,
+    AppointmentTypeId: appointmentTypeId
+  }))]));
+  const model = {
+    UnitId: location.id,
+    AppointmentTypeId: appointmentTypeId,
+    AvailableDates: calendarTimes ? dates.map(date => ({ Date: date, Times: times[date] })) : dates
+  };
+
+  return `<h2 class="step-title">Please select date and time</h2>
+    <input type="hidden" name="StepControls[1].FieldName" value="AppointmentDate">
+    <input type="hidden" name="StepControls[1].ModelType" value="${CALENDAR_MODEL_TYPE}">
+    <input type="hidden" id="CalendarDateModel" name="StepControls[1].Model" value="${escapeHtml(JSON.stringify(model))}">
+    ${calendarTimes ? '' : `<input type="hidden" id="AppointmentTimes" value="${escapeHtml(JSON.stringify(times))}">`}
+    <div id="Datepicker"></div>
+    <label for="AppointmentTime">Time</label>
+    <select id="AppointmentTime" name="${APPOINTMENT_TIME_FIELD}">
+      <option value="" data-datetime="">-</option>
+    </select>
+    ${nextButton(STEP_IDS.calendar, STEP_IDS.customer)}`;
+}
+
+/**
+ * Render the calendar step for an office without open appointments
+ * @returns {string} HTML fragment with the validation error
+ */
+export function renderNoAppointmentsStep() {
+  return `<h2 class="step-title">Please select a location</h2>
+    <input type="hidden" name="StepControls[1].FieldName" value="ErrorNoAvaiableDates">
+    <span class="field-validation-error" data-valmsg-for="ErrorNoAvaiableDates">${NO_APPOINTMENTS_MESSAGE}</span>`;
+}
+
+/**
+ * Render the button that moves the booking to the next step
+ * @param {string} trigger - Step control of the current step
+ * @param {string} target - Step control of the next step
+ * @returns {string} HTML button
+ */
+function nextButton(trigger, target) {
+  return `<button type="button" class="btn btn-primary next-button" data-step-trigger="${trigger}" data-step-target="${target}">Next</button>`;
+}
+
+/**
+ * Render a validation message
+ * @param {string} field - Field the message belongs to
+ * @param {string} message - Message text
+ * @returns {string} HTML span, or an empty string without a message
+ */
+function validationMessage(field, message) {
+  return message ? `<span class="field-validation-error" data-valmsg-for="${escapeHtml(field)}">${escapeHtml(message)}</span>` : '';
+}
+
+/**
+ * Render the customer info step
+ * @param {object} options - Step options
+ * @param {object} options.values - Values posted so far, by field name
+ * @param {object} options.errors - Validation messages by field name
+ * @param {string} options.target - Step control the Next button leads to
+ * @returns {string} HTML fragment
+ */
+export function renderCustomerStep({ values = {}, errors = {}, target = STEP_IDS.review } = {}) {
+  const fields = CUSTOMER_FIELDS.map(field => `
+    <div class="form-group">
+      <label for="${field.name}">${field.label}</label>
+      <input type="${field.name === 'Email' ? 'email' : 'text'}" id="${field.name}" name="${field.name}" class="form-control"
+        value="${escapeHtml(values[field.name] || '')}">
+      ${validationMessage(field.name, errors[field.name])}
+    </div>`).join('');
+
+  return `<h2 class="step-title">Please enter your information</h2>${fields}
+    ${nextButton(STEP_IDS.customer, target)}`;
+}
+
+/**
+ * Render the step questions
+ * @param {Array<object>} questions - Fixture questions with id, text, type (radio or select), options and required
+ * @param {object} options - Step options
+ * @param {object} options.errors - Validation messages by question id
+ * @returns {string} HTML fragment
+ */
+export function renderQuestionsStep(questions, { errors = {} } = {}) {
+  const items = questions.map(question => {
+    const name = `Question.${question.id}`;
+    const input = question.type === 'select'
+      ? `<select name="${escapeHtml(name)}" class="form-control"><option value="">-</option>${question.options
+        .map(option => `<option value="${escapeHtml(option)}">${escapeHtml(option)}</option>`).join('')}</select>`
+      : question.options.map(option => `
+        <label><input type="radio" name="${escapeHtml(name)}" value="${escapeHtml(option)}"> ${escapeHtml(option)}</label>`).join('');
+
+    return `
+    <div class="QflowQuestion form-group" data-question-id="${escapeHtml(question.id)}" data-required="${question.required ? 'true' : 'false'}">
+      <div class="question-text">${escapeHtml(question.text)}</div>
+      ${input}
+      ${validationMessage(name, errors[question.id])}
+    </div>`;
+  }).join('');
+
+  return `<h2 class="step-title">Please answer the following questions</h2>${items}
+    ${nextButton(STEP_IDS.questions, STEP_IDS.review)}`;
+}
+
+/**
+ * Render appointment details as a definition list
+ * @param {object} details - Label to value
+ * @returns {string} HTML definition list
+ */
+function renderDetails(details) {
+  const rows = Object.entries(details)
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+    .join('');
+  return `<dl class="appointment-summary">${rows}</dl>`;
+}
+
+/**
+ * Render the review step, the last one before the appointment is booked
+ * @param {object} details - Appointment details, label to value
+ * @param {object} options - Step options
+ * @param {string} options.error - Message shown when the confirmation failed
+ * @returns {string} HTML fragment
+ */
+export function renderReviewStep(details, { error = null } = {}) {
+  return `<h2 class="step-title">Please review your appointment</h2>
+    ${renderDetails(details)}
+    ${validationMessage('AppointmentDateTime', error)}
+    <button type="button" id="cmdConfirmAppointment" class="btn btn-primary"
+      data-step-trigger="${STEP_IDS.review}" data-step-target="${STEP_IDS.confirmation}">Confirm appointment</button>`;
+}
+
+/**
+ * Render the confirmation step
+ * @param {string} confirmationNumber - Confirmation number
+ * @param {object} details - Appointment details, label to value
+ * @returns {string} HTML fragment
+ */
+export function renderConfirmationStep(confirmationNumber, details) {
+  return `<h2 class="step-title">Your appointment is confirmed</h2>
+    <p>Confirmation number: <strong id="ConfirmationNumber">${escapeHtml(confirmationNumber)}</strong></p>
+    ${renderDetails(details)}`;
+}
+
+/**
+ * Render the existing-appointment lookup
+ * @param {object} options - Step options
+ * @param {object} options.values - Values posted so far, by field name
+ * @param {string} options.error - Message shown when no appointment matched
+ * @returns {string} HTML fragment
+ */
+export function renderLookupStep({ values = {}, error = null } = {}) {
+  const fields = LOOKUP_FIELDS.map(field => `
+    <div class="form-group">
+      <label for="${field.name}">${field.label}</label>
+      <input type="text" id="${field.name}" name="${field.name}" class="form-control" value="${escapeHtml(values[field.name] || '')}">
+    </div>`).join('');
+
+  return `<h2 class="step-title">Find your appointment</h2>${fields}
+    ${validationMessage('LookupConfirmationNumber', error)}
+    <button type="button" id="cmdFindAppointment" class="btn btn-primary"
+      data-step-trigger="${STEP_IDS.lookup}" data-step-target="${STEP_IDS.existingAppointment}">Find appointment</button>`;
+}
+
+/**
+ * Render an existing appointment with its reschedule and cancel buttons
+ * @param {object} details - Appointment details, label to value
+ * @returns {string} HTML fragment
+ */
+export function renderExistingAppointmentStep(details) {
+  return `<h2 class="step-title">Your appointment</h2>
+    ${renderDetails(details)}
+    <button type="button" id="cmdRescheduleAppointment" class="btn btn-primary"
+      data-step-trigger="${STEP_IDS.existingAppointment}" data-step-target="${STEP_IDS.appointmentType}">Reschedule</button>
+    <button type="button" id="cmdCancelAppointment" class="btn btn-secondary"
+      data-step-trigger="${STEP_IDS.existingAppointment}" data-step-target="${STEP_IDS.cancellation}">Cancel appointment</button>`;
+}
+
+/**
+ * Render the cancellation step, the last one before the appointment is cancelled
+ * @param {object} details - Appointment details, label to value
+ * @returns {string} HTML fragment
+ */
+export function renderCancellationStep(details) {
+  return `<h2 class="step-title">Cancel this appointment?</h2>
+    ${renderDetails(details)}
+    <button type="button" id="cmdConfirmCancellation" class="btn btn-danger"
+      data-step-trigger="${STEP_IDS.cancellation}" data-step-target="${STEP_IDS.cancelled}">Yes, cancel my appointment</button>`;
+}
+
+/**
+ * Render the step shown once the appointment is cancelled
+ * @param {string} confirmationNumber - Confirmation number of the cancelled appointment
+ * @param {object} details - Appointment details, label to value
+ * @returns {string} HTML fragment
+ */
+export function renderCancelledStep(confirmationNumber, details) {
+  return `<h2 class="step-title">Your appointment has been cancelled</h2>
+    <p id="CancellationMessage">Appointment ${escapeHtml(confirmationNumber)} has been cancelled.</p>
+    ${renderDetails(details)}`;
+}
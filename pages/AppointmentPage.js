@@ -1,14 +1,67 @@
+import fs from 'fs';
+import path from 'path';
+import { parseAppointmentData, parseDatepickerDates, flattenAvailability } from '../lib/appointment-parser.js';
+import { Location } from '../lib/location.js';
+import { parsePreferences, rankSlots } from '../lib/preferences.js';
+import { SessionExpiredError, errorForStatus } from '../lib/errors.js';
+import { BookingPage } from './BookingPage.js';
+import { NC_DMV } from '../lib/sites/index.js';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+// How far ahead the datepicker is walked with its "next" button
+const MAX_CALENDAR_MONTHS = 12;
+
+/**
+ * Selectors for NC DMV's markup, by name. Page objects take theirs from the site
+ * adapter they are given; the health check (bin/dmv-health.js) looks for the scan
+ * path's selectors so a markup change is reported by name.
+ */
+export const SELECTORS = NC_DMV.selectors;
+
+export const NO_APPOINTMENTS_TEXT = NC_DMV.messages.noAppointments;
+
+/**
+ * What the calendar step says about a location. UNKNOWN means it showed neither
+ * the calendar nor the no-appointments error, which usually means the markup changed.
+ */
+export const AVAILABILITY = {
+  AVAILABLE: 'available',
+  UNAVAILABLE: 'unavailable',
+  UNKNOWN: 'unknown'
+};
+
 export class AppointmentPage {
-  constructor(page) {
+  /**
+   * @param {import('@playwright/test').Page} page - Page to drive
+   * @param {object} options - Page object options
+   * @param {FixtureReplayer} options.replay - Serve AmendStep responses from a recording instead of the site (optional)
+   * @param {SiteAdapter} options.site - Site whose selectors, step URL and markers are used (default: NC DMV)
+   */
+  constructor(page, { replay = null, site = NC_DMV } = {}) {
     this.page = page;
+    this.replay = replay;
+    this.site = site;
+    this.selectors = site.selectors;
     // Locators
-    this.makeApptButton = page.locator('button#cmdMakeAppt');
-    this.blockLoader = page.locator('#BlockLoader');
-    this.activeUnits = page.locator('.QflowObjectItem.form-control.ui-selectable.Active-Unit.valid');
-    this.noAppointmentsError = page.locator('span.field-validation-error');
-    this.errorHiddenInput = page.locator('input[name="StepControls[1].FieldName"][value="ErrorNoAvaiableDates"]');
-    this.appointmentHeading = page.locator('text=Please select date and time');
-    this.calendarDates = page.locator('.calendar-day, .ui-datepicker-calendar td:not(.ui-datepicker-unselectable)');
+    this.makeApptButton = page.locator(this.selectors.makeAppointment);
+    this.blockLoader = page.locator(this.selectors.blockLoader);
+    this.activeUnits = page.locator(this.selectors.activeUnit);
+    this.noAppointmentsError = page.locator(this.selectors.noAppointmentsError);
+    this.errorHiddenInput = page.locator(this.selectors.noDatesInput);
+    this.appointmentHeading = page.locator(this.selectors.appointmentHeading);
+    this.calendarDates = page.locator(this.selectors.calendarDates);
+    this.manageApptButton = page.locator(this.selectors.manageAppointment);
+    this.lookupConfirmationNumber = page.locator(this.selectors.lookupConfirmationNumber);
+    this.lookupContact = page.locator(this.selectors.lookupContact);
+    this.findAppointmentButton = page.locator(this.selectors.findAppointment);
+    this.rescheduleButton = page.locator(this.selectors.rescheduleAppointment);
+    this.cancelButton = page.locator(this.selectors.cancelAppointment);
+    this.confirmCancellationButton = page.locator(this.selectors.confirmCancellation);
+    this.cancellationMessage = page.locator(this.selectors.cancellationMessage);
+
+    // The review and confirmation steps are shared with a new booking
+    this.bookingSteps = new BookingPage(page, { site });
 
     // API response storage
     this.lastApiResponse = null;
@@ -20,7 +73,20 @@ export class AppointmentPage {
    */
   async setupApiInterception() {
     // Intercept API responses for appointment calendar data
-    await this.page.route('**/Webapp/Appointment/AmendStep*', async (route, request) => {
+    await this.page.route(this.site.amendStepGlob, async (route, request) => {
+      // Replay: answer from the recording without touching the network
+      if (this.replay) {
+        const recorded = this.replay.responseFor(request);
+        if (!recorded) {
+          console.warn(`AmendStep not in recording: ${request.url()}`);
+          await route.abort('internetdisconnected');
+          return;
+        }
+        this.captureApiResponse(request.url(), recorded);
+        await route.fulfill(recorded);
+        return;
+      }
+
       // Continue with the request
       const response = await route.fetch();
 
@@ -28,19 +94,11 @@ export class AppointmentPage {
       try {
         const contentType = response.headers()['content-type'] || '';
         if (contentType.includes('text/html') || contentType.includes('application/json')) {
-          const responseBody = await response.text();
-
-          // Store the response for later analysis
-          this.lastApiResponse = {
-            url: request.url(),
+          this.captureApiResponse(request.url(), {
             status: response.status(),
-            body: responseBody,
             headers: response.headers(),
-            timestamp: new Date().toISOString()
-          };
-
-          // Parse appointment data if present
-          this.appointmentApiData = this.parseAppointmentData(responseBody);
+            body: await response.text()
+          });
         }
       } catch (error) {
         console.error('Error capturing API response:', error.message);
@@ -51,67 +109,31 @@ export class AppointmentPage {
     });
   }
 
+  /**
+   * Store an AmendStep response for later analysis and parse its appointment data
+   * @param {string} url - Request URL
+   * @param {object} response - Response of { status, headers, body }
+   */
+  captureApiResponse(url, { status, headers, body }) {
+    this.lastApiResponse = {
+      url,
+      status,
+      body,
+      headers,
+      timestamp: new Date().toISOString()
+    };
+
+    // Parse appointment data if present
+    this.appointmentApiData = this.parseAppointmentData(body);
+  }
+
   /**
    * Parse appointment availability data from API response
    * @param {string} responseBody - The HTML or JSON response body
    * @returns {object} Parsed appointment data
    */
   parseAppointmentData(responseBody) {
-    const data = {
-      hasAppointments: false,
-      availableDates: [],
-      errorMessage: null
-    };
-
-    try {
-      // Check for JSON response first
-      if (responseBody.trim().startsWith('{') || responseBody.trim().startsWith('[')) {
-        try {
-          const json = JSON.parse(responseBody);
-          // Handle JSON structure if present
-          data.hasAppointments = json.hasAppointments || false;
-          data.availableDates = json.availableDates || [];
-          return data;
-        } catch (e) {
-          // Not JSON, continue with HTML parsing
-        }
-      }
-
-      // DEFINITIVE INDICATOR: Check for CalendarDateModel in the response
-      // This model ONLY appears when appointments are actually available
-      // This is more reliable than checking for calendar HTML (which may be rendered client-side)
-      const hasCalendarModel = responseBody.includes('OABSEngine.Models.CalendarDateModel');
-
-      if (hasCalendarModel) {
-        data.hasAppointments = true;
-
-        // Extract available dates from the response
-        // The dates are in YYYY-MM-DD format in the form data
-        const simpleDateMatches = [...responseBody.matchAll(/(\d{4}-\d{2}-\d{2})/g)];
-        for (const match of simpleDateMatches) {
-          if (!data.availableDates.includes(match[1])) {
-            data.availableDates.push(match[1]);
-          }
-        }
-
-        return data; // Early return - we found appointments
-      }
-
-      // Only check for error if CalendarDateModel is NOT present
-      // Look for the actual visible error span with the specific message
-      const errorPattern = /<span[^>]*class="[^"]*field-validation-error[^"]*"[^>]*>[^<]*This office does not currently have any appointments available[^<]*<\/span>/i;
-      const hasVisibleError = errorPattern.test(responseBody);
-
-      if (hasVisibleError) {
-        data.errorMessage = 'No appointments available';
-        data.hasAppointments = false;
-      }
-
-    } catch (error) {
-      console.error('Error parsing appointment data:', error.message);
-    }
-
-    return data;
+    return parseAppointmentData(responseBody, this.site);
   }
 
   /**
@@ -140,6 +162,30 @@ export class AppointmentPage {
     await this.makeApptButton.click();
   }
 
+  /**
+   * List every appointment type on the type step
+   * @returns {Promise<Array<object>>} Appointment types of { id, label } in page order
+   */
+  async getAppointmentTypes() {
+    const items = this.page.locator(this.selectors.appointmentType);
+    await items.first().waitFor({ state: 'visible', timeout: 10000 });
+
+    return items.evaluateAll(elements => elements.map(element => ({
+      id: element.getAttribute('data-id'),
+      label: element.innerText.replace(/\s+/g, ' ').trim()
+    })));
+  }
+
+  /**
+   * Go back to the Index page in the same session, e.g. to scan another appointment type
+   * @param {string} url - The Index URL
+   */
+  async returnToIndex(url) {
+    this.lastApiResponse = null;
+    this.appointmentApiData = null;
+    await this.page.goto(url, { waitUntil: 'domcontentloaded' });
+  }
+
   /**
    * Select appointment type by ID or text
    * @param {string} appointmentTypeId - The data-id attribute value (optional)
@@ -155,10 +201,10 @@ export class AppointmentPage {
 
     if (appointmentTypeId) {
       // Select by data-id attribute
-      appointmentOption = this.page.locator(`[data-id="${appointmentTypeId}"].QflowObjectItem`);
+      appointmentOption = this.page.locator(`[data-id="${appointmentTypeId}"]${this.selectors.appointmentType}`);
     } else {
       // Select by text content
-      appointmentOption = this.page.locator('.QflowObjectItem .form-control-child', { hasText: appointmentTypeText });
+      appointmentOption = this.page.locator(`${this.selectors.appointmentType} .form-control-child`, { hasText: appointmentTypeText });
     }
 
     await appointmentOption.waitFor({ state: 'visible', timeout: 10000 });
@@ -210,6 +256,38 @@ export class AppointmentPage {
     return cityName?.trim() || 'Unknown';
   }
 
+  /**
+   * Read the structured location of a specific active unit
+   * @param {number} index - The index of the active unit
+   * @returns {Promise<Location>} The location shown on the tile
+   */
+  async getLocation(index) {
+    const unit = this.activeUnits.nth(index);
+    const tile = await unit.evaluate(element => {
+      const idSource = element.hasAttribute('data-id') ? element : element.querySelector('[data-id]');
+      return {
+        id: idSource?.getAttribute('data-id') || element.querySelector('input.unit-id')?.value || null,
+        latitude: element.getAttribute('data-latitude'),
+        longitude: element.getAttribute('data-longitude'),
+        lines: element.innerText.split('\n')
+      };
+    });
+    return Location.fromTile(tile);
+  }
+
+  /**
+   * Read the structured locations of all active units, in page order
+   * @returns {Promise<Array<Location>>} Locations
+   */
+  async getLocations() {
+    const count = await this.getActiveUnitsCount();
+    const locations = [];
+    for (let i = 0; i < count; i++) {
+      locations.push(await this.getLocation(i));
+    }
+    return locations;
+  }
+
   /**
    * Click on a specific active unit by index
    * @param {number} index - The index of the active unit to click
@@ -221,7 +299,7 @@ export class AppointmentPage {
 
     // Wait for the API response when clicking
     const responsePromise = this.page.waitForResponse(
-      response => response.url().includes('/Webapp/Appointment/AmendStep'),
+      response => this.site.isAmendStep(response.url()),
       { timeout: 15000 }
     ).catch(() => null);
 
@@ -229,11 +307,16 @@ export class AppointmentPage {
     await unit.click();
 
     // Wait for the API response to be captured
-    await responsePromise;
+    const response = await responsePromise;
 
     // Check if page is still valid before waiting for elements
     if (this.page.isClosed()) {
-      throw new Error('Page was closed unexpectedly after clicking unit');
+      throw new SessionExpiredError('Page was closed unexpectedly after clicking unit');
+    }
+
+    // An error page says nothing about availability; the status tells throttling from an outage
+    if (response && response.status() >= 400) {
+      throw errorForStatus(response.status(), `AmendStep for location ${index} returned ${response.status()}`);
     }
 
     // Wait for loader to hide with better error handling
@@ -242,7 +325,7 @@ export class AppointmentPage {
     } catch (error) {
       // If page is closed, throw a more specific error
       if (this.page.isClosed()) {
-        throw new Error('Page was closed while waiting for loader to hide');
+        throw new SessionExpiredError('Page was closed while waiting for loader to hide');
       }
       // Re-throw if it's a different error
       throw error;
@@ -267,33 +350,32 @@ export class AppointmentPage {
 
   /**
    * Check if appointments are available using API data (preferred) or DOM fallback
-   * @returns {Promise<boolean>} True if appointments are available
+   * @returns {Promise<boolean>} True if appointments are available; false when unavailable or unknown
    */
   async hasAppointmentsAvailable() {
+    return (await this.getAvailabilityState()) === AVAILABILITY.AVAILABLE;
+  }
+
+  /**
+   * Read what the calendar step says about availability, from API data (preferred) or the DOM
+   * @returns {Promise<string>} One of AVAILABILITY; UNKNOWN when neither indicator is present
+   */
+  async getAvailabilityState() {
     // Check if page is still valid
     if (this.page.isClosed()) {
-      console.warn('Page is closed, cannot check appointment availability');
-      return false;
+      throw new SessionExpiredError('Page is closed, cannot check appointment availability');
     }
 
-    // Wait a moment for the page to stabilize after navigation
-    // await this.page.waitForTimeout(500).catch(() => { });
-
     // PRIORITY 1: Use captured API data if available
     if (this.appointmentApiData) {
       // If hasAppointments is explicitly set, use it directly (most reliable)
       if (this.appointmentApiData.hasAppointments === true) {
-        return true;
+        return AVAILABILITY.AVAILABLE;
       }
 
       // If there's an explicit error message, no appointments
       if (this.appointmentApiData.errorMessage) {
-        return false;
-      }
-
-      // If explicitly marked as no appointments
-      if (this.appointmentApiData.hasAppointments === false) {
-        return false;
+        return AVAILABILITY.UNAVAILABLE;
       }
     }
 
@@ -302,34 +384,33 @@ export class AppointmentPage {
 
     // Check page validity again before DOM operations
     if (this.page.isClosed()) {
-      console.warn('Page closed during availability check');
-      return false;
+      throw new SessionExpiredError('Page closed during availability check');
     }
 
     // First check for positive indicator - the appointment selection heading
     const hasAppointmentHeading = await this.appointmentHeading.isVisible().catch(() => false);
     if (hasAppointmentHeading) {
-      return true; // If we see the appointment selector, appointments are available
+      return AVAILABILITY.AVAILABLE; // If we see the appointment selector, appointments are available
     }
 
     // Check for error message (negative indicator)
     const errorVisible = await this.noAppointmentsError
-      .filter({ hasText: 'This office does not currently have any appointments available' })
+      .filter({ hasText: this.site.messages.noAppointments })
       .isVisible()
       .catch(() => false);
 
     if (errorVisible) {
-      return false; // Explicit error message
+      return AVAILABILITY.UNAVAILABLE; // Explicit error message
     }
 
     // Check for hidden input indicating no dates (negative indicator)
     const errorInputCount = await this.errorHiddenInput.count().catch(() => 0);
     if (errorInputCount > 0) {
-      return false; // Hidden error input present
+      return AVAILABILITY.UNAVAILABLE; // Hidden error input present
     }
 
-    // If no clear positive or negative indicators, return true (optimistic)
-    return true;
+    // Neither indicator: don't guess, the markup has probably changed
+    return AVAILABILITY.UNKNOWN;
   }
 
   /**
@@ -351,19 +432,21 @@ export class AppointmentPage {
   /**
    * Check a location for appointment availability
    * @param {number} index - The index of the location to check
-   * @returns {Promise<object>} Object with cityName and isAvailable properties
+   * @returns {Promise<object>} Object with cityName, location, isAvailable and availabilityState properties
    */
   async checkLocationAvailability(index) {
-    // Get city name before clicking (in case navigation changes things)
+    // Get city name and location before clicking (in case navigation changes things)
     const cityName = await this.getCityName(index);
+    const location = await this.getLocation(index);
 
     // Click the location
     await this.clickActiveUnit(index);
 
     // Check availability
-    const isAvailable = await this.hasAppointmentsAvailable();
+    const availabilityState = await this.getAvailabilityState();
+    const isAvailable = availabilityState === AVAILABILITY.AVAILABLE;
 
-    return { cityName, isAvailable };
+    return { cityName, location, isAvailable, availabilityState };
   }
 
   /**
@@ -372,7 +455,7 @@ export class AppointmentPage {
   async navigateBack() {
     // Check if page is still valid before navigating
     if (this.page.isClosed()) {
-      throw new Error('Cannot navigate back - page is closed');
+      throw new SessionExpiredError('Cannot navigate back - page is closed');
     }
 
     await this.page.goBack();
@@ -382,7 +465,7 @@ export class AppointmentPage {
       await this.blockLoader.waitFor({ state: 'hidden', timeout: 10000 });
     } catch (error) {
       if (this.page.isClosed()) {
-        throw new Error('Page closed while navigating back');
+        throw new SessionExpiredError('Page closed while navigating back');
       }
       console.warn('Loader wait failed during navigation back:', error.message);
     }
@@ -392,7 +475,7 @@ export class AppointmentPage {
       await this.activeUnits.first().waitFor({ state: 'visible', timeout: 10000 });
     } catch (error) {
       if (this.page.isClosed()) {
-        throw new Error('Page closed while waiting for active units after navigation');
+        throw new SessionExpiredError('Page closed while waiting for active units after navigation');
       }
       console.warn('Active units not visible after navigation back:', error.message);
       throw error; // Re-throw as this is critical
@@ -402,15 +485,19 @@ export class AppointmentPage {
   /**
    * Take a screenshot with a specific filename
    * @param {string} filename - The filename for the screenshot
+   * @returns {Promise<string|null>} Path of the screenshot, or null if it failed
    */
   async takeScreenshot(filename) {
+    const path = `test-results/${filename}`;
     try {
       await this.page.screenshot({
-        path: `test-results/${filename}`,
+        path,
         fullPage: true
       });
+      return path;
     } catch (error) {
       console.error(`Failed to take screenshot: ${error.message}`);
+      return null;
     }
   }
 
@@ -451,9 +538,6 @@ export class AppointmentPage {
       return;
     }
 
-    const fs = require('fs');
-    const path = require('path');
-
     try {
       const filePath = path.join('test-results', filename);
       fs.writeFileSync(filePath, this.lastApiResponse.body, 'utf8');
@@ -469,7 +553,7 @@ export class AppointmentPage {
    */
   async getAvailableDates() {
     // Wait for the appointment heading to ensure we're on the right page
-    const hasAppointmentSection = await this.page.waitForSelector('text=Please select date and time', { timeout: 5000 }).catch(() => false);
+    const hasAppointmentSection = await this.page.waitForSelector(this.selectors.appointmentHeading, { timeout: 5000 }).catch(() => false);
 
     if (!hasAppointmentSection) {
       console.log('Appointment selection section not visible');
@@ -519,21 +603,136 @@ export class AppointmentPage {
     }
 
     await dates[index].click();
+    await this.waitForTimeSlots();
 
-    // Wait for time slots to load - check for both select dropdowns and radio inputs
+    return true;
+  }
+
+  /**
+   * Wait for time slots to load - check for both select dropdowns and radio inputs
+   */
+  async waitForTimeSlots() {
     await Promise.race([
       this.page.waitForSelector('select option[data-datetime]', { timeout: 5000 }),
       this.page.waitForSelector('input[type="radio"][data-datetime]', { timeout: 5000 })
     ]).catch(() => null);
+  }
 
-    return true;
+  /**
+   * Month shown by the datepicker
+   * @returns {Promise<number|null>} year * 12 + zero-based month, or null without a datepicker title
+   */
+  async getDisplayedMonth() {
+    const title = this.page.locator('.ui-datepicker-title').first();
+    if (await title.count() === 0) {
+      return null;
+    }
+    const month = MONTH_NAMES.indexOf((await title.locator('.ui-datepicker-month').textContent()).trim());
+    const year = parseInt(await title.locator('.ui-datepicker-year').textContent(), 10);
+    return month === -1 || Number.isNaN(year) ? null : year * 12 + month;
   }
 
   /**
-   * Get all available time slots with their datetime and value
-   * @returns {Promise<Array>} Array of time slot objects with datetime and value properties
+   * Collect the selectable days of every month the datepicker offers, following its "next" button
+   * @returns {Promise<Array<string>>} Dates in YYYY-MM-DD format
+   */
+  async getDatepickerDates() {
+    const hasAppointmentSection = await this.appointmentHeading.first().waitFor({ timeout: 5000 }).then(() => true, () => false);
+    if (!hasAppointmentSection) {
+      console.log('Appointment selection section not visible');
+      return [];
+    }
+
+    const datepicker = this.page.locator('.ui-datepicker').first();
+    if (!(await datepicker.waitFor({ timeout: 5000 }).then(() => true, () => false))) {
+      return [];
+    }
+
+    // Start from the first month the datepicker offers
+    const prev = this.page.locator('.ui-datepicker [data-handler="prev"]:not(.ui-state-disabled)');
+    for (let month = 0; month < MAX_CALENDAR_MONTHS && await prev.count() > 0; month++) {
+      await prev.first().click();
+    }
+
+    const dates = new Set();
+    for (let month = 0; month < MAX_CALENDAR_MONTHS; month++) {
+      parseDatepickerDates(await datepicker.innerHTML()).forEach(date => dates.add(date));
+
+      const next = this.page.locator('.ui-datepicker [data-handler="next"]:not(.ui-state-disabled)');
+      if (await next.count() === 0) break;
+      await next.first().click();
+    }
+    return [...dates].sort();
+  }
+
+  /**
+   * Select a calendar date, moving the datepicker to its month first
+   * @param {string} isoDate - Date in YYYY-MM-DD format
+   * @returns {Promise<boolean>} True if the date was selected
+   */
+  async selectCalendarDate(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    const target = year * 12 + month - 1;
+
+    for (let step = 0; step <= MAX_CALENDAR_MONTHS; step++) {
+      const cell = this.page
+        .locator(`td[data-handler="selectDay"][data-year="${year}"][data-month="${month - 1}"]`)
+        .filter({ hasText: new RegExp(`^\\s*${day}\\s*$`) });
+      if (await cell.count() > 0) {
+        await cell.first().click();
+        await this.waitForTimeSlots();
+        return true;
+      }
+
+      const shown = await this.getDisplayedMonth();
+      const direction = shown !== null && shown > target ? 'prev' : 'next';
+      const button = this.page.locator(`.ui-datepicker [data-handler="${direction}"]:not(.ui-state-disabled)`);
+      if (shown === null || shown === target || await button.count() === 0) break;
+      await button.first().click();
+    }
+
+    console.log(`Date ${isoDate} is not selectable`);
+    return false;
+  }
+
+  /**
+   * Every available date with its time slots.
+   * Read from the CalendarDateModel payload when the response had one, otherwise by
+   * selecting each datepicker day in turn and reading its times.
+   * @returns {Promise<object>} Map of YYYY-MM-DD to [{ time, datetime, serviceId, appointmentTypeId }]
+   */
+  async getAvailability() {
+    const apiAvailability = this.appointmentApiData?.availability;
+    if (apiAvailability && Object.values(apiAvailability).some(slots => slots.length > 0)) {
+      return apiAvailability;
+    }
+
+    const availability = {};
+    for (const date of await this.getDatepickerDates()) {
+      const slots = (await this.selectCalendarDate(date)) ? await this.getSelectedDateTimeSlots() : [];
+      availability[date] = slots.map(slot => ({
+        time: slot.value,
+        datetime: slot.datetime,
+        serviceId: slot.serviceId ?? null,
+        appointmentTypeId: slot.appointmentTypeId ?? null
+      }));
+    }
+    return availability;
+  }
+
+  /**
+   * Get all available time slots, across every available date
+   * @returns {Promise<Array>} Array of time slot objects with date, time, datetime and value properties
    */
   async getTimeSlots() {
+    return flattenAvailability(await this.getAvailability());
+  }
+
+  /**
+   * Get the time slots of the date selected in the datepicker
+   * @returns {Promise<Array>} Array of time slot objects with datetime and value properties
+   */
+  async getSelectedDateTimeSlots() {
     // Get time slots from select dropdown
     const timeSlots = await this.page.evaluate(() => {
       const selects = document.querySelectorAll('select');
@@ -585,33 +784,30 @@ export class AppointmentPage {
   }
 
   /**
-   * Get morning time slots (AM times with hour >= 8)
+   * Get morning time slots (8:00 AM to noon)
    * @returns {Promise<Array>} Array of morning time slot objects
    */
   async getMorningTimeSlots() {
-    const allSlots = await this.getTimeSlots();
-
-    return allSlots.filter(slot => {
-      if (!slot.datetime) return false;
-      const time = slot.datetime.split(' ')[1]; // Extract time portion
-      const hour = parseInt(time.split(':')[0]);
-      return slot.datetime.includes('AM') && hour >= 8;
-    });
+    return this.getMatchingTimeSlots({ timeWindows: ['morning'] });
   }
 
   /**
-   * Get afternoon time slots (PM times before 5 PM)
+   * Get afternoon time slots (noon to 5:00 PM, including 12:xx PM)
    * @returns {Promise<Array>} Array of afternoon time slot objects
    */
   async getAfternoonTimeSlots() {
-    const allSlots = await this.getTimeSlots();
+    return this.getMatchingTimeSlots({ timeWindows: ['afternoon'] });
+  }
 
-    return allSlots.filter(slot => {
-      if (!slot.datetime) return false;
-      const time = slot.datetime.split(' ')[1]; // Extract time portion
-      const hour = parseInt(time.split(':')[0]);
-      return slot.datetime.includes('PM') && hour < 5;
-    });
+  /**
+   * Get the time slots of the open location that match a preference spec, best first
+   * @param {object} spec - Preference spec, see parsePreferences()
+   * @param {object} result - The open location's result, for distance and preferred offices (optional)
+   * @returns {Promise<Array>} Array of matching time slot objects
+   */
+  async getMatchingTimeSlots(spec = {}, result = {}) {
+    const timeSlots = await this.getTimeSlots();
+    return rankSlots([{ ...result, timeSlots }], parsePreferences(spec)).map(match => match.slot);
   }
 
   /**
@@ -661,68 +857,154 @@ export class AppointmentPage {
   }
 
   /**
-   * Find and select the first available morning appointment
-   * @returns {Promise<object|null>} The selected time slot object or null if none available
+   * Datetime of the time slot currently selected
+   * @returns {Promise<string|null>} data-datetime of the selected option or radio input, or null if none
    */
-  async findAndSelectFirstMorningSlot() {
-    // Select first available date
-    const dateSelected = await this.selectDate(0);
+  async getSelectedTimeSlot() {
+    return this.page.evaluate(() => {
+      const option = Array.from(document.querySelectorAll('select'))
+        .map(select => select.selectedOptions[0])
+        .find(selected => selected?.getAttribute('data-datetime')?.trim());
+      const radio = document.querySelector('input[type="radio"][data-datetime]:checked');
+      return option?.getAttribute('data-datetime') || radio?.getAttribute('data-datetime') || null;
+    });
+  }
 
-    if (!dateSelected) {
-      console.log('No dates available');
-      return null;
+  /**
+   * Select a time slot from getTimeSlots(), selecting its date first
+   * @param {object} slot - Time slot with date and value
+   * @returns {Promise<boolean>} True if slot was selected successfully
+   */
+  async selectSlot(slot) {
+    if (slot.date && !(await this.selectCalendarDate(slot.date))) {
+      return false;
     }
+    return this.selectTimeSlot(slot.value, slot.selectId);
+  }
 
-    // Get all morning slots
-    const morningSlots = await this.getMorningTimeSlots();
+  /**
+   * Find and select the best slot of the open location for a preference spec
+   * @param {object} spec - Preference spec, see parsePreferences()
+   * @param {object} result - The open location's result, for distance and preferred offices (optional)
+   * @returns {Promise<object|null>} The selected time slot object or null if none matches
+   */
+  async selectBestMatchingSlot(spec = {}, result = {}) {
+    const slots = await this.getMatchingTimeSlots(spec, result);
 
-    if (morningSlots.length === 0) {
-      console.log('No morning slots available');
+    if (slots.length === 0) {
+      console.log('No matching slots available');
       return null;
     }
 
-    // Select the first morning slot
-    const firstSlot = morningSlots[0];
-    const selected = await this.selectTimeSlot(firstSlot.value, firstSlot.selectId);
-
-    if (selected) {
-      console.log(`Selected: ${firstSlot.datetime}`);
-      return firstSlot;
+    // Fall through to the next best slot if one can't be selected
+    for (const slot of slots) {
+      if (await this.selectSlot(slot)) {
+        console.log(`Selected: ${slot.datetime}`);
+        return slot;
+      }
     }
 
     return null;
   }
 
+  /**
+   * Find and select the first available morning appointment
+   * @deprecated Use selectBestMatchingSlot({ timeWindows: ['morning'] }) instead
+   * @returns {Promise<object|null>} The selected time slot object or null if none available
+   */
+  async findAndSelectFirstMorningSlot() {
+    return this.selectBestMatchingSlot({ timeWindows: ['morning'] });
+  }
+
   /**
    * Find and select the first available afternoon appointment
+   * @deprecated Use selectBestMatchingSlot({ timeWindows: ['afternoon'] }) instead
    * @returns {Promise<object|null>} The selected time slot object or null if none available
    */
   async findAndSelectFirstAfternoonSlot() {
-    // Select first available date
-    const dateSelected = await this.selectDate(0);
+    return this.selectBestMatchingSlot({ timeWindows: ['afternoon'] });
+  }
 
-    if (!dateSelected) {
-      console.log('No dates available');
+  /**
+   * Click the "Manage an Existing Appointment" button and wait for the lookup form
+   */
+  async clickManageAppointment() {
+    await this.bookingSteps.clickStepButton(this.manageApptButton, 'Opening the appointment lookup');
+    await this.lookupConfirmationNumber.waitFor({ state: 'visible', timeout: 10000 });
+  }
+
+  /**
+   * Look up an existing appointment by its confirmation number and the email or phone number it was booked with
+   * @param {string} confirmationNumber - Confirmation number such as "NC12345678"
+   * @param {string} contact - Email address or phone number
+   * @returns {Promise<object|null>} The appointment's details (label to value), or null if nothing matched
+   */
+  async lookUpAppointment(confirmationNumber, contact) {
+    await this.lookupConfirmationNumber.fill(confirmationNumber);
+    await this.lookupContact.fill(contact);
+    await this.bookingSteps.clickStepButton(this.findAppointmentButton, 'Looking up the appointment', { rejectOnErrors: false });
+
+    const errors = await this.bookingSteps.getValidationErrors();
+    if (errors.length > 0) {
+      console.log(`Appointment not found: ${errors.join(' ')}`);
       return null;
     }
+    return this.getExistingAppointment();
+  }
 
-    // Get all afternoon slots
-    const afternoonSlots = await this.getAfternoonTimeSlots();
+  /**
+   * Read the details of the appointment that was looked up
+   * @returns {Promise<object>} Label to value, including "Confirmation number"
+   */
+  async getExistingAppointment() {
+    return this.bookingSteps.getAppointmentSummary();
+  }
 
-    if (afternoonSlots.length === 0) {
-      console.log('No afternoon slots available');
-      return null;
-    }
+  /**
+   * Start rescheduling the appointment that was looked up. The site continues
+   * with the appointment type step, as for a new booking.
+   */
+  async startReschedule() {
+    await this.bookingSteps.clickStepButton(this.rescheduleButton, 'Starting the reschedule');
+  }
+
+  /**
+   * Submit the time slot selected on the calendar step of a reschedule. The
+   * site keeps the customer's details and goes straight to the review.
+   * @returns {Promise<object>} Details shown on the review step, label to value
+   */
+  async submitRescheduledSlot() {
+    await this.bookingSteps.clickStepButton(this.bookingSteps.nextButton, 'Submitting the new time slot');
+    await this.bookingSteps.confirmButton.waitFor({ state: 'visible', timeout: 10000 });
+    return this.bookingSteps.getAppointmentSummary();
+  }
 
-    // Select the first afternoon slot
-    const firstSlot = afternoonSlots[0];
-    const selected = await this.selectTimeSlot(firstSlot.value, firstSlot.selectId);
+  /**
+   * Move the appointment to the reviewed slot. This is the final submission.
+   * @returns {Promise<object>} Confirmation with confirmationNumber and details
+   */
+  async confirmReschedule() {
+    await this.bookingSteps.confirmAppointment();
+    return this.bookingSteps.getConfirmation();
+  }
 
-    if (selected) {
-      console.log(`Selected: ${firstSlot.datetime}`);
-      return firstSlot;
-    }
+  /**
+   * Open the cancellation step of the appointment that was looked up
+   * @returns {Promise<object>} The details the site asks to confirm the cancellation of
+   */
+  async startCancellation() {
+    await this.bookingSteps.clickStepButton(this.cancelButton, 'Starting the cancellation');
+    await this.confirmCancellationButton.waitFor({ state: 'visible', timeout: 10000 });
+    return this.bookingSteps.getAppointmentSummary();
+  }
 
-    return null;
+  /**
+   * Cancel the appointment. This is the final submission.
+   * @returns {Promise<string>} The site's cancellation message
+   */
+  async confirmCancellation() {
+    await this.bookingSteps.clickStepButton(this.confirmCancellationButton, 'Cancelling the appointment');
+    await this.cancellationMessage.waitFor({ state: 'visible', timeout: 10000 });
+    return (await this.cancellationMessage.textContent()).trim();
   }
 }
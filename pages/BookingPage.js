@@ -0,0 +1,208 @@
+import { NC_DMV } from '../lib/sites/index.js';
+
+/**
+ * Page object for the booking steps that follow the calendar: customer info,
+ * step questions, review and confirmation. Works on the same page as
+ * AppointmentPage once a time slot is selected.
+ */
+export class BookingPage {
+  /**
+   * @param {import('@playwright/test').Page} page - Page to drive
+   * @param {object} options - Page object options
+   * @param {SiteAdapter} options.site - Site whose step URL and selectors are used (default: NC DMV)
+   */
+  constructor(page, { site = NC_DMV } = {}) {
+    this.page = page;
+    this.site = site;
+    this.selectors = site.selectors;
+    // Locators
+    this.blockLoader = page.locator(this.selectors.blockLoader);
+    this.stepTitle = page.locator(this.selectors.stepTitle);
+    this.nextButton = page.locator(this.selectors.nextButton);
+    this.confirmButton = page.locator(this.selectors.confirmAppointment);
+    this.validationErrors = page.locator(this.selectors.validationError);
+    this.customerFields = {
+      firstName: page.locator(this.selectors.firstName),
+      lastName: page.locator(this.selectors.lastName),
+      phone: page.locator(this.selectors.phoneNumber),
+      email: page.locator(this.selectors.email)
+    };
+    this.questions = page.locator(this.selectors.question);
+    this.appointmentSummary = page.locator(this.selectors.appointmentSummary);
+    this.confirmationNumber = page.locator(this.selectors.confirmationNumber);
+  }
+
+  /**
+   * Click a step button and wait for the next step to render
+   * @param {import('@playwright/test').Locator} button - Step button
+   * @param {string} stepName - Step name for error messages
+   * @param {object} options - Click options
+   * @param {boolean} options.rejectOnErrors - Throw when the next step shows validation errors
+   */
+  async clickStepButton(button, stepName, { rejectOnErrors = true } = {}) {
+    await button.waitFor({ state: 'visible', timeout: 10000 });
+
+    const responsePromise = this.page.waitForResponse(
+      response => this.site.isAmendStep(response.url()),
+      { timeout: 15000 }
+    );
+    await button.click();
+    const response = await responsePromise;
+    await this.blockLoader.waitFor({ state: 'hidden', timeout: 10000 });
+
+    if (response.status() >= 400) {
+      throw new Error(`${stepName} failed with status ${response.status()}: ${(await response.text()).slice(0, 200)}`);
+    }
+
+    const errors = rejectOnErrors ? await this.getValidationErrors() : [];
+    if (errors.length > 0) {
+      throw new Error(`${stepName} was rejected: ${errors.join(' ')}`);
+    }
+  }
+
+  /**
+   * Visible validation messages on the current step
+   * @returns {Promise<Array<string>>} Messages
+   */
+  async getValidationErrors() {
+    const messages = await this.validationErrors.allTextContents();
+    return messages.map(message => message.trim()).filter(Boolean);
+  }
+
+  /**
+   * Title of the current step
+   * @returns {Promise<string>} Step title
+   */
+  async getStepTitle() {
+    return (await this.stepTitle.first().textContent())?.trim() || '';
+  }
+
+  /**
+   * Submit the time slot selected on the calendar step
+   */
+  async submitSelectedSlot() {
+    await this.clickStepButton(this.nextButton, 'Submitting the time slot');
+    await this.customerFields.firstName.waitFor({ state: 'visible', timeout: 10000 });
+  }
+
+  /**
+   * Fill the customer info form
+   * @param {object} profile - Profile with firstName, lastName, phone and email
+   */
+  async fillCustomerInfo(profile) {
+    for (const [field, locator] of Object.entries(this.customerFields)) {
+      await locator.fill(profile[field]);
+    }
+  }
+
+  /**
+   * Submit the customer info form
+   */
+  async submitCustomerInfo() {
+    await this.clickStepButton(this.nextButton, 'Submitting customer info');
+  }
+
+  /**
+   * Whether the current step asks questions
+   * @returns {Promise<boolean>} True on the questions step
+   */
+  async hasQuestions() {
+    return (await this.questions.count()) > 0;
+  }
+
+  /**
+   * Read the questions of the current step
+   * @returns {Promise<Array<object>>} Questions with id, text, required, type and options
+   */
+  async getQuestions() {
+    return this.questions.evaluateAll((elements, textSelector) => elements.map(element => {
+      const select = element.querySelector('select');
+      return {
+        id: element.getAttribute('data-question-id'),
+        text: element.querySelector(textSelector)?.textContent.trim() || '',
+        required: element.getAttribute('data-required') === 'true',
+        type: select ? 'select' : 'radio',
+        options: select
+          ? Array.from(select.options).map(option => option.value).filter(Boolean)
+          : Array.from(element.querySelectorAll('input[type="radio"]')).map(input => input.value)
+      };
+    }), this.selectors.questionText);
+  }
+
+  /**
+   * Answer the step questions from a profile's answers, matched by question id or text
+   * @param {object} answers - Question id or text (case-insensitive) to answer
+   * @returns {Promise<object>} Answers given, by question id
+   * @throws {Error} If a required question has no answer or an answer is not an option
+   */
+  async answerQuestions(answers = {}) {
+    const byKey = Object.fromEntries(Object.entries(answers).map(([key, value]) => [key.trim().toLowerCase(), String(value)]));
+    const given = {};
+
+    for (const question of await this.getQuestions()) {
+      const answer = byKey[question.id?.toLowerCase()] ?? byKey[question.text.toLowerCase()];
+      if (answer === undefined) {
+        if (question.required) {
+          throw new Error(`No answer in the profile for required question "${question.text}"`);
+        }
+        continue;
+      }
+
+      const option = question.options.find(o => o.toLowerCase() === answer.toLowerCase());
+      if (!option) {
+        throw new Error(`Answer "${answer}" is not an option for "${question.text}" (${question.options.join(', ')})`);
+      }
+
+      const element = this.page.locator(`${this.selectors.question}[data-question-id="${question.id}"]`);
+      if (question.type === 'select') {
+        await element.locator('select').selectOption(option);
+      } else {
+        await element.locator(`input[type="radio"][value="${option}"]`).check();
+      }
+      given[question.id] = option;
+    }
+
+    return given;
+  }
+
+  /**
+   * Submit the answers to the step questions
+   */
+  async submitAnswers() {
+    await this.clickStepButton(this.nextButton, 'Submitting answers');
+  }
+
+  /**
+   * Read the appointment details shown on the review or confirmation step
+   * @returns {Promise<object>} Label to value
+   */
+  async getAppointmentSummary() {
+    await this.appointmentSummary.waitFor({ state: 'visible', timeout: 10000 });
+    return this.appointmentSummary.evaluate(list => {
+      const details = {};
+      list.querySelectorAll('dt').forEach(term => {
+        details[term.textContent.trim()] = term.nextElementSibling?.textContent.trim() || '';
+      });
+      return details;
+    });
+  }
+
+  /**
+   * Book the appointment. This is the final submission.
+   */
+  async confirmAppointment() {
+    await this.clickStepButton(this.confirmButton, 'Confirming the appointment');
+    await this.confirmationNumber.waitFor({ state: 'visible', timeout: 10000 });
+  }
+
+  /**
+   * Read the confirmation number and appointment details
+   * @returns {Promise<object>} Confirmation with confirmationNumber and details
+   */
+  async getConfirmation() {
+    return {
+      confirmationNumber: (await this.confirmationNumber.textContent()).trim(),
+      details: await this.getAppointmentSummary()
+    };
+  }
+}
@@ -1,4 +1,5 @@
 import { defineConfig, devices } from '@playwright/test';
+import { loadConfig } from './lib/config.js';
 
 /**
  * Read environment variables from file.
@@ -6,6 +7,13 @@ import { defineConfig, devices } from '@playwright/test';
  */
 // require('dotenv').config();
 
+/* Serve the bundled mock of the QFlow site instead of hitting skiptheline.ncdot.gov */
+const useMockSite = !!process.env.MOCK_SITE;
+const MOCK_SITE_URL = `http://127.0.0.1:${process.env.MOCK_PORT || 3000}`;
+
+/* dmv.config.json (or DMV_CONFIG) with the DMV_PROFILE profile and environment overrides, see lib/config.js */
+const config = loadConfig();
+
 /**
  * @see https://playwright.dev/docs/test-configuration
  */
@@ -28,13 +36,19 @@ export default defineConfig({
   reporter: [
     ['html', { outputFolder: 'playwright-report' }],
     ['list'],
-    ['json', { outputFile: 'test-results/results.json' }]
+    ['json', { outputFile: 'test-results/results.json' }],
+    /* Appointment availability from the location results the scan attaches */
+    ['./lib/availability-reporter.js', { outputFolder: 'availability-report' }]
   ],
 
   /* Shared settings for all the projects below. See https://playwright.dev/docs/api/class-testoptions. */
   use: {
     /* Base URL to use in actions like `await page.goto('/')`. */
-    baseURL: process.env.BASE_URL || 'https://skiptheline.ncdot.gov',
+    baseURL: new URL(config.baseUrl).origin,
+
+    /* HEADLESS=false or "headless": false shows the browser; SLOW_MO slows each action down by that many ms */
+    headless: config.headless,
+    launchOptions: { slowMo: config.slowMo },
 
     /* Collect trace when retrying the failed test. See https://playwright.dev/docs/trace-viewer */
     trace: 'on-first-retry',
@@ -82,10 +96,10 @@ export default defineConfig({
     // },
   ],
 
-  /* Run your local dev server before starting the tests */
-  // webServer: {
-  //   command: 'npm run start',
-  //   url: 'http://127.0.0.1:3000',
-  //   reuseExistingServer: !process.env.CI,
-  // },
+  /* Run the mock QFlow site before starting the tests (MOCK_SITE=1, scenario via MOCK_SCENARIO) */
+  webServer: useMockSite ? {
+    command: 'npm run mock',
+    url: `${MOCK_SITE_URL}/__mock/health`,
+    reuseExistingServer: !process.env.CI,
+  } : undefined,
 });
@@ -0,0 +1,237 @@
+import { test, expect } from '@playwright/test';
+import { AppointmentPage } from '../pages/AppointmentPage.js';
+import { MockQflowServer } from '../mock/server.js';
+import { HttpScanner } from '../lib/http-scanner.js';
+import { Scanner } from '../lib/scanner.js';
+import { parsePreferences, rankSlots } from '../lib/preferences.js';
+import { Booker, BOOKING_STATUS, completeBooking, parseProfile } from '../lib/booking.js';
+import { AppointmentManager, MANAGE_STATUS, earlierCandidates, heldAppointment } from '../lib/manage-appointment.js';
+import { INDEX_PATH, GEOLOCATION } from './fixtures.js';
+
+const PROFILE = parseProfile({
+  firstName: 'Pat',
+  lastName: 'Doe',
+  phone: '919-555-0142',
+  email: 'pat.doe@example.com',
+  answers: { permit: 'yes', 'Preferred language for the knowledge test': 'Spanish' }
+});
+
+test.describe('booking flow against the mock QFlow site', () => {
+  let server;
+
+  test.beforeEach(async () => {
+    server = new MockQflowServer({ port: 0 });
+    await server.start();
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+  });
+
+  /**
+   * Open Raleigh West's calendar and select its first 11/4 slot
+   */
+  async function selectRaleighWestSlot(page) {
+    const appointmentPage = new AppointmentPage(page);
+    await appointmentPage.navigateAndSetup(`${server.url}${INDEX_PATH}`, GEOLOCATION);
+    await appointmentPage.clickMakeAppointment();
+    await appointmentPage.selectAppointmentType('10', null);
+    await appointmentPage.waitForActiveUnitsLoad();
+    await appointmentPage.checkLocationAvailability(0);
+    expect(await appointmentPage.selectSlot({ date: '2026-11-04', value: '8:00 AM' })).toBe(true);
+  }
+
+  test('a dry run stops on the review step without booking', async ({ page }) => {
+    await selectRaleighWestSlot(page);
+
+    const outcome = await completeBooking(page, PROFILE);
+    expect(outcome.status).toBe(BOOKING_STATUS.DRY_RUN);
+    expect(outcome.confirmationNumber).toBeNull();
+    expect(outcome.answers).toEqual({ permit: 'Yes', language: 'Spanish' });
+    expect(outcome.details).toMatchObject({
+      'Date and time': '11/4/2026 8:00:00 AM',
+      'Name': 'Pat Doe',
+      'Email': 'pat.doe@example.com'
+    });
+    expect(await page.locator('#cmdConfirmAppointment').isVisible()).toBe(true);
+    expect(server.bookings).toEqual([]);
+  });
+
+  test('books the slot and captures the confirmation when dry run is off', async ({ page }) => {
+    await selectRaleighWestSlot(page);
+
+    const outcome = await completeBooking(page, PROFILE, { dryRun: false });
+    expect(outcome.status).toBe(BOOKING_STATUS.BOOKED);
+    expect(outcome.confirmationNumber).toMatch(/^NC\d{8}$/);
+    expect(outcome.details['Office']).toContain('Raleigh West');
+
+    expect(server.bookings).toHaveLength(1);
+    expect(server.bookings[0]).toMatchObject({
+      confirmationNumber: outcome.confirmationNumber,
+      unitId: '101',
+      datetime: '11/4/2026 8:00:00 AM',
+      answers: { permit: 'Yes', language: 'Spanish' }
+    });
+    expect(server.scenario.locations[0].availability['2026-11-04']).not.toContain('8:00 AM');
+  });
+
+  test('fails before the review step when a required question has no answer', async ({ page }) => {
+    await selectRaleighWestSlot(page);
+
+    await expect(completeBooking(page, { ...PROFILE, answers: {} })).rejects.toThrow(
+      'No answer in the profile for required question "Do you currently hold an NC learner permit?"'
+    );
+    expect(server.bookings).toEqual([]);
+  });
+
+  test('Booker skips a candidate that was taken since the scan', async () => {
+    const options = { baseUrl: `${server.url}${INDEX_PATH}`, geolocation: GEOLOCATION, appointmentTypeId: '10' };
+    const scanner = new HttpScanner(options);
+    const browser = new Scanner(options);
+    try {
+      const { results } = await scanner.scan();
+      const candidates = rankSlots(results, parsePreferences(), { now: new Date('2026-10-19T12:00:00') });
+      expect(candidates[0].slot.datetime).toBe('11/4/2026 8:00:00 AM');
+
+      // Someone else takes the best slot between the scan and the booking
+      const raleighWest = server.scenario.locations.find(location => location.id === '101');
+      raleighWest.availability['2026-11-04'] = raleighWest.availability['2026-11-04'].filter(time => time !== '8:00 AM');
+
+      const outcome = await new Booker({ scanner: browser, profile: PROFILE, dryRun: false }).book(candidates);
+      expect(outcome.status).toBe(BOOKING_STATUS.BOOKED);
+      expect(outcome.slot.datetime).toBe(candidates[1].slot.datetime);
+      expect(server.bookings.map(booking => booking.datetime)).toEqual([candidates[1].slot.datetime]);
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test('Booker books the candidate\'s own day when the calendar data has no times', async () => {
+    const scenario = MockQflowServer.loadScenario('default');
+    scenario.calendarTimes = false;
+    scenario.locations[0].availability = { '2026-11-04': ['9:00 AM'], '2026-11-06': ['9:00 AM'] };
+    server.setScenario(scenario);
+
+    const browser = new Scanner({ baseUrl: `${server.url}${INDEX_PATH}`, geolocation: GEOLOCATION, appointmentTypeId: '10' });
+    const candidate = {
+      slot: { date: '2026-11-04', time: '9:00 AM', value: '9:00 AM', datetime: '11/4/2026 9:00:00 AM' },
+      result: { cityName: 'Raleigh West', location: { unitId: '101' }, appointmentType: { id: '10', text: null } }
+    };
+    try {
+      const outcome = await new Booker({ scanner: browser, profile: PROFILE, dryRun: false }).book([candidate]);
+      expect(outcome.status).toBe(BOOKING_STATUS.BOOKED);
+      expect(server.bookings.map(booking => booking.datetime)).toEqual(['11/4/2026 9:00:00 AM']);
+    } finally {
+      await browser.close();
+    }
+  });
+});
+
+test.describe('existing appointment against the mock QFlow site', () => {
+  const HELD = {
+    confirmationNumber: 'NC20261210',
+    unitId: '101',
+    appointmentTypeId: '10',
+    datetime: '12/10/2026 9:00:00 AM',
+    customer: { FirstName: 'Pat', LastName: 'Doe', PhoneNumber: '919-555-0142', Email: 'pat.doe@example.com' },
+    answers: { permit: 'Yes', language: null }
+  };
+  const LOOKUP = { confirmationNumber: 'NC20261210', contact: 'Pat.Doe@example.com' };
+  let server;
+  let options;
+
+  test.beforeEach(async () => {
+    server = new MockQflowServer({ port: 0, scenario: { ...MockQflowServer.loadScenario('default'), appointments: [HELD] } });
+    await server.start();
+    options = { baseUrl: `${server.url}${INDEX_PATH}`, geolocation: GEOLOCATION, appointmentTypeId: '10' };
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+  });
+
+  const raleighWest = () => server.scenario.locations.find(location => location.id === '101');
+
+  test('looks the appointment up by confirmation number and email or phone', async ({ page }) => {
+    const appointmentPage = new AppointmentPage(page);
+    await appointmentPage.navigateAndSetup(options.baseUrl, GEOLOCATION);
+    await appointmentPage.clickManageAppointment();
+
+    expect(await appointmentPage.lookUpAppointment('NC20261210', 'someone@example.com')).toBeNull();
+    const details = await appointmentPage.lookUpAppointment('nc20261210', '(919) 555-0142');
+    expect(details).toMatchObject({ 'Confirmation number': 'NC20261210', 'Date and time': '12/10/2026 9:00:00 AM', 'Name': 'Pat Doe' });
+
+    expect(heldAppointment(details)).toMatchObject({
+      confirmationNumber: 'NC20261210',
+      office: 'Raleigh West',
+      appointmentType: 'Limited provisional license - ages 16-17; Level 1 permit',
+      date: '2026-12-10',
+      time: '9:00 AM',
+      minutes: 540
+    });
+  });
+
+  test('a reschedule dry run stops on the review step without moving the appointment', async () => {
+    const scanner = new HttpScanner(options);
+    const browser = new Scanner(options);
+    try {
+      const { results } = await scanner.scan();
+      const manager = new AppointmentManager({ scanner: browser, lookup: LOOKUP });
+      const { appointment } = await manager.find();
+      const candidates = earlierCandidates(rankSlots(results, parsePreferences(), { now: new Date('2026-10-19T12:00:00') }), appointment);
+      expect(candidates.every(({ slot }) => slot.date < '2026-12-10')).toBe(true);
+
+      const outcome = await manager.reschedule(candidates);
+      expect(outcome).toMatchObject({ status: MANAGE_STATUS.DRY_RUN, confirmationNumber: 'NC20261210' });
+      expect(outcome.details).toMatchObject({ 'Date and time': '11/4/2026 8:00:00 AM', 'Name': 'Pat Doe' });
+      expect(server.bookings).toEqual([HELD]);
+      expect(raleighWest().availability['2026-11-04']).toContain('8:00 AM');
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test('reschedules to the new slot, keeping the confirmation number and giving the old slot back', async () => {
+    const browser = new Scanner(options);
+    try {
+      const { results } = await new HttpScanner(options).scan();
+      const candidates = rankSlots(results, parsePreferences(), { now: new Date('2026-10-19T12:00:00') });
+
+      const outcome = await new AppointmentManager({ scanner: browser, lookup: LOOKUP, dryRun: false }).reschedule(candidates);
+      expect(outcome).toMatchObject({ status: MANAGE_STATUS.RESCHEDULED, confirmationNumber: 'NC20261210' });
+      expect(outcome.details['Date and time']).toBe('11/4/2026 8:00:00 AM');
+
+      expect(server.bookings).toHaveLength(1);
+      expect(server.bookings[0]).toMatchObject({
+        confirmationNumber: 'NC20261210',
+        datetime: '11/4/2026 8:00:00 AM',
+        rescheduledFrom: { unitId: '101', datetime: '12/10/2026 9:00:00 AM' }
+      });
+      expect(raleighWest().availability['2026-11-04']).not.toContain('8:00 AM');
+      expect(raleighWest().availability['2026-12-10']).toEqual(['9:00 AM']);
+    } finally {
+      await browser.close();
+    }
+  });
+
+  test('cancels only with an explicit confirmation', async () => {
+    const browser = new Scanner(options);
+    const manager = new AppointmentManager({ scanner: browser, lookup: LOOKUP });
+    try {
+      const dryRun = await manager.cancel();
+      expect(dryRun).toMatchObject({ status: MANAGE_STATUS.DRY_RUN, message: null });
+      expect(dryRun.details['Confirmation number']).toBe('NC20261210');
+      expect(server.bookings[0].cancelledAt).toBeUndefined();
+
+      const outcome = await manager.cancel({ confirm: true });
+      expect(outcome).toMatchObject({ status: MANAGE_STATUS.CANCELLED, message: 'Appointment NC20261210 has been cancelled.' });
+      expect(server.bookings[0].cancelledAt).toEqual(expect.any(String));
+      expect(Object.keys(raleighWest().availability)).toEqual(['2026-11-04', '2026-11-06', '2026-12-02', '2026-12-10']);
+
+      // A cancelled appointment can no longer be looked up
+      await expect(manager.find()).rejects.toThrow('No appointment matches confirmation number NC20261210');
+    } finally {
+      await browser.close();
+    }
+  });
+});
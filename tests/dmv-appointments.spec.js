@@ -1,21 +1,132 @@
- import { test, expect } from '@playwright/test';
+import { test, expect } from '@playwright/test';
 import { AppointmentPage } from '../pages/AppointmentPage.js';
 import { TestHelpers } from '../utils/test-helpers.js';
+import { diffResults } from '../lib/watcher.js';
+import { createDispatcherFromEnv, deliveredEvents } from '../lib/notifiers/index.js';
+import { HistoryStore } from '../lib/history-store.js';
+import { rankLocations } from '../lib/location.js';
+import { loadPreferences, rankSlots } from '../lib/preferences.js';
+import { findAppointmentType, appointmentTypeLabel } from '../lib/appointment-types.js';
+import { Scanner } from '../lib/scanner.js';
+import { ParallelScanner } from '../lib/parallel-scanner.js';
+import { RECOVERY_ACTIONS, classifyError, retryWithPolicy, toErrorResult } from '../lib/errors.js';
+import { createExportPipeline } from '../lib/exporters/index.js';
+import { toLocationRecord } from '../lib/exporters/scan-document.js';
+import { RESULT_ATTACHMENT } from '../lib/availability-report.js';
+import { DEFAULT_RECORDINGS_DIR, FixtureRecorder, FixtureReplayer } from '../lib/recordings.js';
+import { loadConfig } from '../lib/config.js';
+import { DEFAULT_ALERT_STATE_FILE, EarlierSlotTracker, findEarlierSlots, formatEarlierSlot } from '../lib/current-booking.js';
 
-// Configuration
-const BASE_URL = process.env.BASE_URL || 'https://skiptheline.ncdot.gov/Webapp/Appointment/Index/a7ade79b-996d-4971-8766-97feb75254de';
-const GEOLOCATION = {
-  latitude: parseFloat(process.env.LATITUDE) || 35.7796,  // Raleigh, NC
-  longitude: parseFloat(process.env.LONGITUDE) || -78.6382
-};
-const APPOINTMENT_TYPE_ID = process.env.APPOINTMENT_TYPE_ID || '10'; // Default to teen driver
-const APPOINTMENT_TYPE_TEXT = process.env.APPOINTMENT_TYPE_TEXT || null;
+// Configuration: dmv.config.json (or DMV_CONFIG) with the DMV_PROFILE profile, overridden by environment variables
+const CONFIG = loadConfig();
+const SITE = CONFIG.site; // Site adapter, e.g. DMV_SITE=nc-dmv or a .json adapter file
+const BASE_URL = CONFIG.baseUrl;
+const GEOLOCATION = CONFIG.geolocation;
+const APPOINTMENT_TYPES = CONFIG.appointmentTypes; // Default to teen driver
+const MAX_DISTANCE_MILES = CONFIG.maxDistanceMiles; // No cutoff when unset
+const PREFERENCES = CONFIG.preferencesFile ? loadPreferences(CONFIG.preferencesFile) : null;
+const CONCURRENCY = CONFIG.concurrency; // Browser contexts checking locations at once
+const MAX_CHECKS_PER_MINUTE = CONFIG.maxChecksPerMinute; // No limit when unset
+const RECOVERY_POLICY = CONFIG.recoveryPolicy; // Overrides DEFAULT_RECOVERY_POLICY, e.g. timeout=skip
+const EXPORTS = createExportPipeline(CONFIG.exports); // e.g. json:test-results/scan.json,csv:test-results/slots.csv
+// SCAN_RECORD=<name> captures the site's responses; SCAN_REPLAY=<name> runs offline from them
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || DEFAULT_RECORDINGS_DIR;
+const RECORDER = process.env.SCAN_RECORD ? new FixtureRecorder({ name: process.env.SCAN_RECORD, baseUrl: BASE_URL, dir: RECORDINGS_DIR, site: SITE }) : null;
+const REPLAYER = process.env.SCAN_REPLAY ? FixtureReplayer.load(process.env.SCAN_REPLAY, RECORDINGS_DIR) : null;
 
 test.describe('NC DMV Appointment Checker', () => {
   let appointmentPage;
 
-  test.beforeEach(async ({ page }) => {
-    appointmentPage = new AppointmentPage(page);
+  /**
+   * Export the scan, then print the summary, record the scan history and send notifications
+   * @param {Array<object>} results - Location results
+   * @param {object} scan - Scan metadata and size
+   * @param {string} scan.startedAt - ISO timestamp the scan started
+   * @param {Array<object>} scan.appointmentTypes - Scanned appointment types with their labels
+   * @param {number} scan.checked - Locations planned for checking
+   * @param {Array<Error>} scan.errors - Errors that stopped the scan early
+   */
+  async function reportResults(results, { startedAt, appointmentTypes, checked, errors = [] }) {
+    const summary = TestHelpers.formatResults(results);
+    const rankedSlots = PREFERENCES ? TestHelpers.formatRankedSlots(rankSlots(results, PREFERENCES)) : undefined;
+
+    // SCAN_EXPORT writes the scan for dashboards and scripts, even when no location was offered
+    if (EXPORTS.enabled) {
+      const scan = { baseUrl: BASE_URL, startedAt, finishedAt: TestHelpers.getTimestamp(), appointmentTypes, results };
+      EXPORTS.finish(scan, { geolocation: GEOLOCATION, summary, rankedSlots, errors });
+    }
+
+    if (results.length === 0) {
+      return;
+    }
+
+    // Print summary
+    await test.step('Generate summary report', async () => {
+      TestHelpers.printSummary(summary);
+      if (rankedSlots) {
+        TestHelpers.printBestSlots(rankedSlots);
+      }
+
+      // Keep the results for trend queries (dmv-history); SCAN_HISTORY=off disables
+      if (CONFIG.historyFile) {
+        new HistoryStore(CONFIG.historyFile).append({ baseUrl: BASE_URL, startedAt, finishedAt: TestHelpers.getTimestamp(), results });
+      }
+
+      // Verify test completed successfully
+      expect(summary.total).toBe(checked);
+      expect(results).toHaveLength(checked);
+    });
+
+    // Notify configured channels (NOTIFY_* / SMTP_* variables) about available locations, or with
+    // a current booking (CURRENT_BOOKING) about slots that beat it, once each across runs
+    const dispatcher = createDispatcherFromEnv();
+    if (CONFIG.currentBooking) {
+      await test.step('Alert slots earlier than the current booking', async () => {
+        const alerts = new EarlierSlotTracker({ booking: CONFIG.currentBooking, filePath: process.env.EARLIER_SLOT_STATE || DEFAULT_ALERT_STATE_FILE });
+        const pending = alerts.pending(findEarlierSlots(results, CONFIG.currentBooking));
+        pending.forEach(event => TestHelpers.logWithTimestamp(formatEarlierSlot(event)));
+        if (dispatcher.enabled) {
+          // Only delivered slots count as alerted; the rest come up again on the next run
+          alerts.markAlerted(deliveredEvents(await dispatcher.dispatchEarlierSlots(pending, { baseUrl: BASE_URL, finishedAt: TestHelpers.getTimestamp() })));
+        } else {
+          alerts.markAlerted(pending);
+        }
+      });
+    } else if (dispatcher.enabled) {
+      await test.step('Send notifications', async () => {
+        await dispatcher.dispatch(diffResults([], results), { baseUrl: BASE_URL, finishedAt: TestHelpers.getTimestamp() });
+      });
+    }
+  }
+
+  /**
+   * Screenshot an open calendar and attach the location result for the availability report;
+   * the unit id keeps same-name offices apart
+   */
+  async function attachResult(checkedOn, result) {
+    let screenshot = null;
+    if (result.isAvailable) {
+      const name = [result.appointmentType.id || result.appointmentType.text, result.cityName, result.location.unitId].filter(Boolean).join('-');
+      const filename = `appointment-${TestHelpers.sanitizeFilename(name)}.png`;
+      const screenshotPath = await checkedOn.takeScreenshot(filename);
+      if (screenshotPath) {
+        await test.info().attach(filename, { path: screenshotPath, contentType: 'image/png' });
+        screenshot = filename;
+      }
+    }
+
+    const record = { ...toLocationRecord(result), screenshot };
+    await test.info().attach(RESULT_ATTACHMENT, { body: JSON.stringify(record), contentType: 'application/json' });
+  }
+
+  test.beforeEach(async ({ page, context }) => {
+    if (RECORDER) {
+      RECORDER.attach(context);
+    }
+    if (REPLAYER) {
+      await REPLAYER.attach(context);
+    }
+    appointmentPage = new AppointmentPage(page, { replay: REPLAYER, site: SITE });
 
     // Setup and navigate
     await test.step('Navigate to appointment page', async () => {
@@ -23,89 +134,156 @@ test.describe('NC DMV Appointment Checker', () => {
     });
   });
 
+  test.afterEach(async () => {
+    if (RECORDER) {
+      const file = await RECORDER.save();
+      TestHelpers.logWithTimestamp(`Recorded ${RECORDER.entries.length} responses to ${file}`);
+    }
+  });
+
   test('should verify initial page loads successfully', async ({ page }) => {
     await test.step('Verify page elements', async () => {
       await expect(appointmentPage.makeApptButton).toBeVisible({ timeout: 10000 });
-      expect(page.url()).toContain('skiptheline.ncdot.gov');
+      expect(page.url()).toContain(new URL(BASE_URL).host);
     });
   });
 
   test('should check all locations for appointments', async ({ page }) => {
-    // Navigate to appointment selection
-    let hasActiveUnits = false;
-    await test.step('Select appointment type', async () => {
-      await appointmentPage.clickMakeAppointment();
-      await appointmentPage.selectAppointmentType(APPOINTMENT_TYPE_ID, APPOINTMENT_TYPE_TEXT);
-      hasActiveUnits = await appointmentPage.waitForActiveUnitsLoad();
+    test.skip(CONCURRENCY > 1, 'SCAN_CONCURRENCY is set; the parallel scan checks the locations');
+    // Only the scanner's location checks are used, on this test's page
+    const scanner = new Scanner({
+      baseUrl: BASE_URL,
+      geolocation: GEOLOCATION,
+      maxChecksPerMinute: MAX_CHECKS_PER_MINUTE,
+      recoveryPolicy: RECOVERY_POLICY
     });
+    const results = [];
+    let checked = 0;
+    let aborted = null;
+    const scanStartedAt = TestHelpers.getTimestamp();
+    const scannedTypes = [];
+    EXPORTS.begin({ baseUrl: BASE_URL, startedAt: scanStartedAt });
 
-    // Get available locations
-    const count = await appointmentPage.getActiveUnitsCount();
-    TestHelpers.logWithTimestamp(`Found ${count} locations to check`);
+    // Every appointment type is scanned in this session, re-entering from the Index page
+    for (let t = 0; t < APPOINTMENT_TYPES.length && !aborted; t++) {
+      let appointmentType = APPOINTMENT_TYPES[t];
 
-    // Check each location
-    const results = [];
+      // Navigate to appointment selection
+      let hasActiveUnits = false;
+      await test.step(`Select appointment type ${appointmentTypeLabel(appointmentType)}`, async () => {
+        if (t > 0) {
+          await appointmentPage.returnToIndex(BASE_URL);
+        }
+        await appointmentPage.clickMakeAppointment();
+        const offered = findAppointmentType(await appointmentPage.getAppointmentTypes(), appointmentType);
+        appointmentType = { ...appointmentType, label: offered?.label || null };
+        scannedTypes.push(appointmentType);
+        await appointmentPage.selectAppointmentType(appointmentType.id, appointmentType.text);
+        hasActiveUnits = await appointmentPage.waitForActiveUnitsLoad();
+      });
 
-    if (count === 0 || !hasActiveUnits) {
-      // Handle no locations available gracefully
-      await test.step('Handle no locations', async () => {
-        TestHelpers.logWithTimestamp('No locations available at this time');
-        expect(count).toBe(0); // This is still a valid test result
+      // Get available locations
+      const count = await appointmentPage.getActiveUnitsCount();
+      TestHelpers.logWithTimestamp(`${appointmentTypeLabel(appointmentType)}: found ${count} locations to check`);
+
+      // Nearest first, skipping offices beyond MAX_DISTANCE_MILES
+      const locations = count > 0 ? await appointmentPage.getLocations() : [];
+      const plan = rankLocations(locations, GEOLOCATION, {
+        maxDistanceMiles: MAX_DISTANCE_MILES
       });
-    } else {
-      for (let i = 0; i < count; i++) {
-        await test.step(`Check location ${i + 1}/${count}`, async () => {
-          const result = await appointmentPage.checkLocationAvailability(i);
-          results.push(result);
+      if (plan.length < count) {
+        TestHelpers.logWithTimestamp(`Skipping ${count - plan.length} locations farther than ${MAX_DISTANCE_MILES} miles`);
+      }
+      checked += plan.length;
 
-          // Get appointment details if available
-          let status = result.isAvailable ? '✓ Appointments available' : '✗ Nothing available';
-          if (result.isAvailable) {
-            const apiData = appointmentPage.getAppointmentApiData();
-            if (apiData && apiData.availableDates && apiData.availableDates.length > 0) {
-              const dateStr = apiData.availableDates.join(', ');
-              status += ` (earliest: ${dateStr})`;
-            }
+      if (count === 0 || !hasActiveUnits) {
+        // Handle no locations available gracefully
+        await test.step('Handle no locations', async () => {
+          TestHelpers.logWithTimestamp('No locations available at this time');
+          expect(count).toBe(0); // This is still a valid test result
+        });
+        continue;
+      }
 
-            // Get available time slots for the first date
-            try {
-              const dateSelected = await appointmentPage.selectDate(0);
-              if (dateSelected) {
-                const timeSlots = await appointmentPage.getTimeSlots();
-                if (timeSlots.length > 0) {
-                  const times = timeSlots.map(slot => slot.datetime).slice(0, 5); // Show first 5 times
-                  const moreText = timeSlots.length > 5 ? ` (+${timeSlots.length - 5} more)` : '';
-                  status += `\n  Available times: ${times.join(', ')}${moreText}`;
-                }
+      // Check each location; a failure is retried from Make Appointment, skipped or ends the scan by its error type
+      const session = { type: appointmentType, locations, onLocationList: true, lost: false };
+      for (let i = 0; i < plan.length && !aborted; i++) {
+        await test.step(`Check location ${i + 1}/${plan.length}`, async () => {
+          let checkedLocation;
+          try {
+            checkedLocation = await retryWithPolicy(() => scanner.checkInSession(appointmentPage, plan[i], session), {
+              policy: RECOVERY_POLICY,
+              classify: error => classifyError(error, { response: appointmentPage.getLastApiResponse() }),
+              recover: () => {
+                session.lost = true;
               }
-            } catch (error) {
-              console.warn(`Could not retrieve time slots: ${error.message}`);
+            });
+          } catch (error) {
+            // Record the location as not checked and start the next one from a fresh pass through the flow
+            session.lost = true;
+            checkedLocation = toErrorResult(plan[i], error);
+            if (error.recovery === RECOVERY_ACTIONS.ABORT) {
+              aborted = error;
             }
           }
-          console.log(`${result.cityName}: ${status}`);
 
-          // Take screenshot if appointments are available
-          if (result.isAvailable) {
-            const filename = `appointment-${TestHelpers.sanitizeFilename(result.cityName)}.png`;
-            await appointmentPage.takeScreenshot(filename);
-          }
+          const result = { ...checkedLocation, appointmentType };
+          results.push(result);
+          console.log(TestHelpers.formatResultLine(result));
+          EXPORTS.addResult(result);
 
-          // Navigate back if not the last location
-          if (i < count - 1) {
-            await appointmentPage.navigateBack();
-          }
+          // Attach the result, with a screenshot if appointments are available
+          await attachResult(appointmentPage, result);
         });
       }
+    }
+
+    // A scan stopped by the recovery policy still reports what it checked, then fails
+    await reportResults(results, {
+      startedAt: scanStartedAt,
+      appointmentTypes: scannedTypes,
+      checked: aborted ? results.length : checked,
+      errors: aborted ? [aborted] : []
+    });
+    if (aborted) {
+      throw aborted;
+    }
+  });
 
-      // Print summary
-      await test.step('Generate summary report', async () => {
-        const summary = TestHelpers.formatResults(results);
-        TestHelpers.printSummary(summary);
+  test('should check all locations in parallel browser contexts', async ({ browser }) => {
+    test.skip(CONCURRENCY < 2, 'Set SCAN_CONCURRENCY above 1 to shard the locations across browser contexts');
 
-        // Verify test completed successfully
-        expect(summary.total).toBe(count);
-        expect(results).toHaveLength(count);
-      });
+    // Every context enters through the appointment type in its own session and takes the next location
+    const scanner = new ParallelScanner({
+      browser,
+      site: SITE,
+      baseUrl: BASE_URL,
+      geolocation: GEOLOCATION,
+      appointmentTypes: APPOINTMENT_TYPES,
+      maxDistanceMiles: MAX_DISTANCE_MILES,
+      concurrency: CONCURRENCY,
+      maxChecksPerMinute: MAX_CHECKS_PER_MINUTE,
+      recoveryPolicy: RECOVERY_POLICY,
+      recorder: RECORDER,
+      replayer: REPLAYER,
+      onResult: async (result, i, total, workerPage) => {
+        console.log(`[${i + 1}/${total}] ${TestHelpers.formatResultLine(result)}`);
+        EXPORTS.addResult(result);
+        await attachResult(workerPage, result);
+      }
+    });
+
+    let scan;
+    EXPORTS.begin({ baseUrl: BASE_URL, startedAt: TestHelpers.getTimestamp() });
+    await test.step(`Scan ${APPOINTMENT_TYPES.map(appointmentTypeLabel).join(', ')} across ${CONCURRENCY} contexts`, async () => {
+      scan = await scanner.scan();
+    });
+    TestHelpers.logWithTimestamp(`Checked ${scan.results.length} locations in ${(Date.parse(scan.finishedAt) - Date.parse(scan.startedAt)) / 1000}s`);
+
+    // Results come back nearest first, like the sequential scan; a scan stopped early fails after reporting
+    await reportResults(scan.results, { startedAt: scan.startedAt, appointmentTypes: scan.appointmentTypes, checked: scan.results.length, errors: scan.errors });
+    if (scan.errors.length > 0) {
+      throw scan.errors[0];
     }
   });
 
@@ -116,7 +294,7 @@ test.describe('NC DMV Appointment Checker', () => {
       await expect(appointmentPage.makeApptButton).toBeEnabled();
 
       // Verify URL is correct
-      expect(page.url()).toContain('skiptheline.ncdot.gov');
+      expect(page.url()).toContain(new URL(BASE_URL).host);
     });
   });
 });
@@ -0,0 +1,637 @@
+import { test, expect } from '@playwright/test';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadCatalog } from '../lib/office-catalog.js';
+import { MockQflowServer } from '../mock/server.js';
+import { INDEX_PATH } from './fixtures.js';
+
+/**
+ * Run a CLI and capture its output.
+ * Spawned asynchronously so the in-process mock server keeps serving.
+ * @param {Array<string>} args - CLI arguments
+ * @param {string} script - CLI script (default: dmv-scan)
+ * @param {object} env - Extra environment variables
+ * @returns {Promise<object>} Exit status, stdout and stderr
+ */
+function runCli(args, script = 'bin/dmv-scan.js', env = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [script, ...args], {
+      env: { ...process.env, SCAN_HISTORY: 'off', ...env }
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', status => resolve({ status, stdout, stderr }));
+  });
+}
+
+test.describe('dmv-scan CLI', () => {
+  let server;
+
+  test.beforeEach(async () => {
+    server = new MockQflowServer({ port: 0 });
+    await server.start();
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+  });
+
+  test('exits 0 and prints JSON when slots are found', async () => {
+    const { status, stdout } = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--type', '10', '--format', 'json']);
+
+    expect(status).toBe(0);
+    const scan = JSON.parse(stdout);
+    expect(scan.schemaVersion).toBe(1);
+    expect(scan.summary.availableLocations).toEqual(['Raleigh West', 'Cary']);
+    expect(scan.results.find(r => r.cityName === 'Cary').availableDates).toEqual(['2026-11-18']);
+  });
+
+  test('rings the bell on stderr, keeping the JSON document on stdout intact', async () => {
+    const { status, stdout, stderr } = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--engine', 'http', '--format', 'json'], 'bin/dmv-scan.js', { NOTIFY_BELL: 'true' });
+
+    expect(status).toBe(0);
+    expect(stdout).not.toContain('\u0007');
+    expect(JSON.parse(stdout).summary.availableLocations).toEqual(['Raleigh West', 'Cary']);
+    expect(stderr).toContain('\u0007DMV appointments available in Raleigh West');
+  });
+
+  test('reads the config file and profile, with flags winning over them', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-config-'));
+    const file = path.join(dir, 'dmv.config.json');
+    fs.writeFileSync(file, JSON.stringify({ baseUrl: `${server.url}${INDEX_PATH}`, profiles: { nearby: { maxDistanceMiles: 5 } } }));
+    const scanned = ({ stdout }) => JSON.parse(stdout).results.map(r => r.cityName);
+    try {
+      const profile = await runCli(['--config', file, '--profile', 'nearby', '--engine', 'http', '--format', 'json']);
+      expect(profile.status).toBe(0);
+      expect(scanned(profile)).toEqual(['Raleigh West']);
+
+      const fromEnv = await runCli(['--engine', 'http', '--format', 'json', '--max-distance', '7'], 'bin/dmv-scan.js', { DMV_CONFIG: file, DMV_PROFILE: 'nearby' });
+      expect(scanned(fromEnv)).toEqual(['Raleigh West', 'Raleigh North']);
+
+      const unknown = await runCli(['--config', file, '--profile', 'faraway']);
+      expect(unknown.status).toBe(2);
+      expect(unknown.stderr).toContain(`Unknown profile "faraway" (${file} has nearby)`);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('prints one CSV row per slot and one NDJSON line per location', async () => {
+    const csv = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--format', 'csv']);
+    expect(csv.status).toBe(0);
+    const rows = csv.stdout.trim().split('\r\n');
+    expect(rows[0]).toBe('scanStartedAt,appointmentTypeId,appointmentType,unitId,cityName,address,distanceMiles,date,time,datetime,serviceId');
+    expect(rows.slice(1).map(row => row.split(',')[4])).toEqual([...Array(8).fill('Raleigh West'), 'Cary', 'Cary', 'Cary']);
+
+    const ndjson = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--format', 'ndjson']);
+    expect(ndjson.status).toBe(0);
+    const lines = ndjson.stdout.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => [line.cityName, line.isAvailable])).toEqual([
+      ['Raleigh West', true], ['Raleigh North', false], ['Cary', true], ['Durham South', false]
+    ]);
+    expect(new Set(lines.map(line => line.scanStartedAt)).size).toBe(1);
+  });
+
+  test('exports to files next to the text output', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-export-'));
+    try {
+      const { status, stdout } = await runCli([
+        '--base-url', `${server.url}${INDEX_PATH}`,
+        '--export', `json:${path.join(dir, 'scan.json')},ndjson:${path.join(dir, 'scan.ndjson')}`,
+        '--export', `csv:${path.join(dir, 'slots.csv')}`
+      ]);
+
+      expect(status).toBe(0);
+      expect(stdout).toContain('Raleigh West');
+      expect(JSON.parse(fs.readFileSync(path.join(dir, 'scan.json'), 'utf8')).results).toHaveLength(4);
+      expect(fs.readFileSync(path.join(dir, 'scan.ndjson'), 'utf8').trim().split('\n')).toHaveLength(4);
+      expect(fs.readFileSync(path.join(dir, 'slots.csv'), 'utf8').trim().split('\r\n')).toHaveLength(12);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('checks every argument before writing any export', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-export-'));
+    try {
+      const { status, stderr } = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--export', `json:${path.join(dir, 'out', 'scan.json')}`, '--interval', '0']);
+
+      expect(status).toBe(2);
+      expect(stderr).toContain('--interval must be a positive number');
+      expect(fs.readdirSync(dir)).toEqual([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('finds the same slots with the browser engine', async () => {
+    const { status, stdout } = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--engine', 'browser', '--format', 'json']);
+
+    expect(status).toBe(0);
+    expect(JSON.parse(stdout).summary.availableLocations).toEqual(['Raleigh West', 'Cary']);
+  });
+
+  test('shards locations across browser contexts with --concurrency', async () => {
+    const { status, stdout } = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--engine', 'browser', '--concurrency', '2', '--rate-limit', '600', '--format', 'json']);
+
+    expect(status).toBe(0);
+    const scan = JSON.parse(stdout);
+    expect(scan.results.map(r => r.cityName)).toEqual(['Raleigh West', 'Raleigh North', 'Cary', 'Durham South']);
+    expect(scan.summary.availableLocations).toEqual(['Raleigh West', 'Cary']);
+  });
+
+  test('scans several appointment types in one browser session', async () => {
+    const { status, stdout } = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--engine', 'browser', '--type', '10,3', '--format', 'json']);
+
+    expect(status).toBe(0);
+    const scan = JSON.parse(stdout);
+    expect(scan.appointmentTypes.map(type => type.label)).toEqual(['Limited provisional license - ages 16-17; Level 1 permit', 'Driver license renewal']);
+    expect(scan.summary.byAppointmentType.map(group => [group.appointmentType.id, group.total])).toEqual([['10', 4], ['3', 5]]);
+    expect(scan.results.filter(r => r.cityName === 'Garner').map(r => r.appointmentType.id)).toEqual(['3']);
+  });
+
+  test('ranks slots by a preference spec and exits 1 when none matches', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-prefs-'));
+    const fridays = path.join(dir, 'fridays.json');
+    const never = path.join(dir, 'never.json');
+    fs.writeFileSync(fridays, JSON.stringify({ weekdays: ['fri'], timeWindows: ['afternoon'] }));
+    fs.writeFileSync(never, JSON.stringify({ dateRange: { to: '2026-01-01' } }));
+
+    try {
+      const matched = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--preferences', fridays, '--format', 'json']);
+      expect(matched.status).toBe(0);
+      expect(JSON.parse(matched.stdout).rankedSlots.map(row => [row.cityName, row.datetime])).toEqual([['Raleigh West', '11/6/2026 1:30:00 PM']]);
+
+      const unmatched = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--preferences', never]);
+      expect(unmatched.status).toBe(1);
+      expect(unmatched.stdout).toContain('No slot matches your preferences');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('exits 1 when nothing is found', async () => {
+    server.setScenario('no-appointments');
+    const { status, stdout } = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--type-text', 'Driver license renewal']);
+
+    expect(status).toBe(1);
+    expect(stdout).toMatch(/Cary \([\d.]+ mi\): ✗ Nothing available/);
+  });
+
+  test('exits 2 when the scan fails', async () => {
+    const { status, stdout, stderr } = await runCli(['--base-url', `${server.url}/missing`, '--format', 'json']);
+
+    expect(status).toBe(2);
+    expect(stderr).toContain('scan failed');
+    const scan = JSON.parse(stdout);
+    expect(scan.results).toEqual([]);
+    expect(scan.errors).toHaveLength(1);
+  });
+
+  test('keeps the locations checked before the site throttled, and skips instead with --recovery', async () => {
+    const raleighNorth = server.scenario.locations.find(location => location.id === '102');
+    raleighNorth.failures = [429];
+    const aborted = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--engine', 'browser', '--format', 'json']);
+
+    expect(aborted.status).toBe(2);
+    expect(aborted.stderr).toContain('scan stopped early: AmendStep for location 1 returned 429');
+    const partial = JSON.parse(aborted.stdout);
+    expect(partial.results.map(r => [r.cityName, r.error?.type ?? null])).toEqual([['Raleigh West', null], ['Raleigh North', 'throttled']]);
+    expect(partial.errors).toEqual([{ message: 'AmendStep for location 1 returned 429', type: 'throttled', recovery: 'abort' }]);
+
+    raleighNorth.failures = [429];
+    const skipped = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--engine', 'browser', '--recovery', 'throttled=skip', '--format', 'json']);
+
+    expect(skipped.status).toBe(0);
+    const scan = JSON.parse(skipped.stdout);
+    expect(scan.results.map(r => r.error?.recovery ?? null)).toEqual([null, 'skip', null, null]);
+    expect(scan.summary).toMatchObject({ available: 2, unavailable: 1, errors: 1 });
+  });
+
+  test('scans offline from a recording', async () => {
+    // The committed recording was captured from the mock; nothing listens on the base URL
+    const env = { RECORDINGS_DIR: 'tests/fixtures/recordings' };
+    const { status, stdout } = await runCli(['--base-url', `http://127.0.0.1:9${INDEX_PATH}`, '--replay', 'mock-default', '--format', 'json'], 'bin/dmv-scan.js', env);
+
+    expect(status).toBe(0);
+    expect(JSON.parse(stdout).results.map(r => [r.cityName, r.timeSlots.length])).toEqual([
+      ['Raleigh West', 8], ['Raleigh North', 0], ['Cary', 3], ['Durham South', 0]
+    ]);
+
+    const http = await runCli(['--engine', 'http', '--replay', 'mock-default'], 'bin/dmv-scan.js', env);
+    expect(http.status).toBe(2);
+    expect(http.stderr).toContain('--record and --replay need the browser engine');
+
+    const missing = await runCli(['--replay', 'nowhere'], 'bin/dmv-scan.js', env);
+    expect(missing.status).toBe(2);
+    expect(missing.stderr).toContain('No recording at tests/fixtures/recordings/nowhere.json');
+  });
+
+  test('reports slots that beat the current booking once, across runs', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-alerts-'));
+    const args = ['--base-url', `${server.url}${INDEX_PATH}`, '--booking', '2026-11-06 9:00 AM @ Cary'];
+    const env = { EARLIER_SLOT_STATE: path.join(dir, 'alerts.json') };
+    try {
+      const first = await runCli(args, 'bin/dmv-scan.js', env);
+      expect(first.status).toBe(0);
+      expect(first.stdout.split('\n').filter(line => line.includes('↑')).map(line => line.replace(/^.*?: /, ''))).toEqual([
+        expect.stringMatching(/^↑ 2026-11-04 8:00 AM is 2 days before your booking \(2026-11-06 9:00 AM at Cary\)$/),
+        expect.stringContaining('↑ 2026-11-04 8:15 AM'),
+        expect.stringContaining('↑ 2026-11-04 10:30 AM'),
+        expect.stringContaining('↑ 2026-11-04 12:15 PM'),
+        expect.stringContaining('↑ 2026-11-04 2:45 PM')
+      ]);
+
+      const again = await runCli(args, 'bin/dmv-scan.js', env);
+      expect(again.status).toBe(0);
+      expect(again.stdout).not.toContain('↑');
+
+      const none = await runCli([...args.slice(0, 2), '--booking', '2026-11-04'], 'bin/dmv-scan.js', env);
+      expect(none.status).toBe(1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('exits 2 with the error when something unexpected fails', async () => {
+    // A directory where the history file should be, read for the dashboard
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-history-'));
+    try {
+      const { status, stderr } = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--history', dir, '--dashboard', '0']);
+
+      expect(status).toBe(2);
+      expect(stderr).toContain('dmv-scan: Error: EISDIR');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('exits 2 on invalid arguments', async () => {
+    const { status, stderr } = await runCli(['--format', 'xml']);
+
+    expect(status).toBe(2);
+    expect(stderr).toContain('Unknown format "xml"');
+
+    const dashboard = await runCli(['--dashboard', '80000']);
+    expect(dashboard.status).toBe(2);
+    expect(dashboard.stderr).toContain('Invalid dashboard port "80000" (expected 0-65535)');
+
+    const site = await runCli(['--site', 'va-dmv']);
+    expect(site.status).toBe(2);
+    expect(site.stderr).toContain('Unknown site "va-dmv" (expected nc-dmv or a .json adapter file)');
+  });
+
+  test('serves the dashboard for the length of the scan', async () => {
+    const { status, stdout } = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--dashboard', '0']);
+
+    expect(status).toBe(0);
+    expect(stdout).toMatch(/Dashboard on http:\/\/127\.0\.0\.1:\d+/);
+    expect(stdout).toContain('Raleigh West');
+  });
+});
+
+test.describe('dmv-types CLI', () => {
+  let server;
+
+  test.beforeEach(async () => {
+    server = new MockQflowServer({ port: 0 });
+    await server.start();
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+  });
+
+  test('lists every appointment type with its data-id', async () => {
+    const { status, stdout } = await runCli(['--base-url', `${server.url}${INDEX_PATH}`], 'bin/dmv-types.js');
+
+    expect(status).toBe(0);
+    expect(stdout.split('\n')).toContain('3   Driver license renewal');
+  });
+
+  test('lists the same types with the browser engine', async () => {
+    const { status, stdout } = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--engine', 'browser', '--format', 'json'], 'bin/dmv-types.js');
+
+    expect(status).toBe(0);
+    expect(JSON.parse(stdout).map(type => type.id)).toEqual(['10', '3', '6', '12']);
+  });
+
+  test('takes the site URL from the config file profile', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-config-'));
+    const file = path.join(dir, 'dmv.config.json');
+    fs.writeFileSync(file, JSON.stringify({ profiles: { mock: { baseUrl: `${server.url}${INDEX_PATH}` } } }));
+    try {
+      const { status, stdout } = await runCli(['--config', file, '--profile', 'mock', '--format', 'json'], 'bin/dmv-types.js');
+
+      expect(status).toBe(0);
+      expect(JSON.parse(stdout).map(type => type.id)).toEqual(['10', '3', '6', '12']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+test.describe('dmv-history CLI', () => {
+  test('reads the history file from the config file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-config-'));
+    const file = path.join(dir, 'dmv.config.json');
+    fs.writeFileSync(file, JSON.stringify({ historyFile: path.join(dir, 'history.jsonl'), profiles: { quiet: { historyFile: 'off' } } }));
+    try {
+      const earliest = await runCli(['earliest', '--config', file], 'bin/dmv-history.js', { SCAN_HISTORY: '' });
+      expect(earliest.status).toBe(0);
+      expect(earliest.stdout).toContain('No scans recorded in this period');
+
+      const off = await runCli(['earliest', '--config', file, '--profile', 'quiet'], 'bin/dmv-history.js', { SCAN_HISTORY: '' });
+      expect(off.status).toBe(2);
+      expect(off.stderr).toContain('dmv-history: history is disabled');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+test.describe('dmv-offices CLI', () => {
+  let server;
+  let dir;
+
+  test.beforeEach(async () => {
+    server = new MockQflowServer({ port: 0, scenario: 'statewide' });
+    await server.start();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-offices-'));
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('builds a catalog from a grid and scans it with dmv-scan --catalog', async () => {
+    const catalogFile = path.join(dir, 'catalog.json');
+    const sweep = await runCli([
+      '--base-url', `${server.url}${INDEX_PATH}`, '--grid', 'nc', '--spacing', '120', '--type', '10,3', '--delay', '0', '--out', catalogFile
+    ], 'bin/dmv-offices.js');
+
+    expect(sweep.status).toBe(0);
+    expect(sweep.stderr).toContain(`8 offices from 10 positions written to ${catalogFile}`);
+    expect(sweep.stdout.split('\n')).toContain('202  Hickory         Hickory, NC       3      4');
+    expect(loadCatalog(catalogFile).offices).toHaveLength(8);
+
+    const scan = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--catalog', catalogFile, '--max-distance', '150', '--format', 'json']);
+    expect(scan.status).toBe(0);
+    expect(JSON.parse(scan.stdout).results.map(result => result.cityName)).toEqual([
+      'Raleigh West', 'Fayetteville', 'Greensboro', 'Greenville', 'Wilmington', 'Charlotte East'
+    ]);
+  });
+
+  test('exits 2 on invalid arguments', async () => {
+    const origin = await runCli(['--origin', 'Raleigh'], 'bin/dmv-offices.js');
+    expect(origin.status).toBe(2);
+    expect(origin.stderr).toContain('Invalid origin "Raleigh"');
+
+    const catalog = await runCli(['--catalog', path.join(dir, 'missing.json')]);
+    expect(catalog.status).toBe(2);
+    expect(catalog.stderr).toContain('Could not read office catalog');
+  });
+});
+
+test.describe('dmv-book CLI', () => {
+  let server;
+
+  test.beforeEach(async () => {
+    server = new MockQflowServer({ port: 0 });
+    await server.start();
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+  });
+
+  test('does a dry run by default and stops before confirming', async () => {
+    const { status, stdout } = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--customer', 'profile.example.json', '--format', 'json'], 'bin/dmv-book.js');
+
+    expect(status).toBe(0);
+    const outcome = JSON.parse(stdout);
+    expect(outcome).toMatchObject({ status: 'dry-run', dryRun: true, confirmationNumber: null });
+    expect(outcome.slot).toMatchObject({ cityName: 'Raleigh West', datetime: '11/4/2026 8:00:00 AM' });
+    expect(outcome.details['Name']).toBe('Pat Doe');
+    expect(server.bookings).toEqual([]);
+  });
+
+  test('takes the site URL from the config file and the customer from --customer', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-config-'));
+    const file = path.join(dir, 'dmv.config.json');
+    fs.writeFileSync(file, JSON.stringify({ profiles: { mock: { baseUrl: `${server.url}${INDEX_PATH}` } } }));
+    try {
+      const { status, stdout } = await runCli(['--config', file, '--profile', 'mock', '--customer', 'profile.example.json', '--format', 'json'], 'bin/dmv-book.js');
+      expect(status).toBe(0);
+      expect(JSON.parse(stdout)).toMatchObject({ status: 'dry-run', slot: { cityName: 'Raleigh West' } });
+
+      const customer = await runCli(['--config', file, '--profile', 'profile.example.json'], 'bin/dmv-book.js');
+      expect(customer.status).toBe(2);
+      expect(customer.stderr).toContain('pass the customer profile with --customer');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('exits 2 without a readable profile', async () => {
+    const { status, stderr } = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--customer', 'missing-profile.json'], 'bin/dmv-book.js');
+
+    expect(status).toBe(2);
+    expect(stderr).toContain('Could not read profile from missing-profile.json');
+    expect(server.requests).toEqual([]);
+  });
+
+  test('exits 2 on the live site while the booking selectors are unconfirmed', async () => {
+    const { status, stderr } = await runCli(['--customer', 'profile.example.json', '--submit'], 'bin/dmv-book.js', { BASE_URL: '' });
+
+    expect(status).toBe(2);
+    expect(stderr).toContain('dmv-book: The NC DMV selectors for booking (stepTitle, nextButton');
+  });
+});
+
+test.describe('dmv-manage CLI', () => {
+  const held = datetime => ({
+    confirmationNumber: 'NC20261210',
+    unitId: '101',
+    appointmentTypeId: '10',
+    datetime,
+    customer: { FirstName: 'Pat', LastName: 'Doe', PhoneNumber: '919-555-0142', Email: 'pat.doe@example.com' }
+  });
+  const lookup = ['--confirmation', 'NC20261210', '--contact', '919-555-0142'];
+  let server;
+
+  test.beforeEach(async () => {
+    server = new MockQflowServer({ port: 0, scenario: { ...MockQflowServer.loadScenario('default'), appointments: [held('12/10/2026 9:00:00 AM')] } });
+    await server.start();
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+  });
+
+  test('reschedule does a dry run for the appointment\'s own type by default', async () => {
+    const { status, stdout } = await runCli(['reschedule', ...lookup, '--base-url', `${server.url}${INDEX_PATH}`, '--format', 'json'], 'bin/dmv-manage.js');
+
+    expect(status).toBe(0);
+    const outcome = JSON.parse(stdout);
+    expect(outcome).toMatchObject({ command: 'reschedule', status: 'dry-run', confirmationNumber: 'NC20261210' });
+    expect(outcome.appointment).toMatchObject({ date: '2026-12-10', time: '9:00 AM', office: 'Raleigh West' });
+    expect(outcome.slot).toMatchObject({ cityName: 'Raleigh West', datetime: '11/4/2026 8:00:00 AM' });
+    expect(server.bookings[0].datetime).toBe('12/10/2026 9:00:00 AM');
+  });
+
+  test('reschedule exits 1 when nothing is earlier and cancel needs --confirm-cancel', async () => {
+    server.bookings = [held('11/1/2026 9:00:00 AM')];
+    const reschedule = await runCli(['reschedule', ...lookup, '--base-url', `${server.url}${INDEX_PATH}`], 'bin/dmv-manage.js');
+    expect(reschedule.status).toBe(1);
+    expect(reschedule.stderr).toContain('no open slot that matches is earlier than the appointment');
+
+    const dryRun = await runCli(['cancel', ...lookup, '--base-url', `${server.url}${INDEX_PATH}`], 'bin/dmv-manage.js');
+    expect(dryRun.status).toBe(0);
+    expect(dryRun.stdout).toContain('Dry run: stopped on the cancellation step, nothing was cancelled.');
+    expect(server.bookings[0].cancelledAt).toBeUndefined();
+
+    const cancel = await runCli(['cancel', ...lookup, '--confirm-cancel', '--base-url', `${server.url}${INDEX_PATH}`], 'bin/dmv-manage.js');
+    expect(cancel.status).toBe(0);
+    expect(cancel.stdout).toContain('✓ Appointment NC20261210 has been cancelled.');
+    expect(server.bookings[0].cancelledAt).toEqual(expect.any(String));
+  });
+
+  test('exits 2 when the appointment is not found or the arguments are invalid', async () => {
+    const notFound = await runCli(['lookup', '--confirmation', 'NC00000000', '--contact', 'pat.doe@example.com', '--base-url', `${server.url}${INDEX_PATH}`], 'bin/dmv-manage.js');
+    expect(notFound.status).toBe(2);
+    expect(notFound.stderr).toContain('No appointment matches confirmation number NC00000000');
+
+    const invalid = await runCli(['cancel', '--confirmation', 'NC20261210', '--submit'], 'bin/dmv-manage.js');
+    expect(invalid.status).toBe(2);
+    expect(invalid.stderr).toContain('dmv-manage: --submit only applies to reschedule');
+  });
+
+  test('exits 2 on the live site while the existing-appointment selectors are unconfirmed', async () => {
+    const { status, stderr } = await runCli(['lookup', ...lookup], 'bin/dmv-manage.js', { BASE_URL: '' });
+
+    expect(status).toBe(2);
+    expect(stderr).toContain('dmv-manage: The NC DMV selectors for existing appointments');
+    expect(stderr).toContain('"unconfirmedSelectors": []');
+  });
+});
+
+test.describe('dmv-health CLI', () => {
+  let server;
+
+  test.beforeEach(async () => {
+    server = new MockQflowServer({ port: 0 });
+    await server.start();
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+  });
+
+  test('exits 0 when every selector and marker is found', async () => {
+    const { status, stdout } = await runCli(['--base-url', `${server.url}${INDEX_PATH}`], 'bin/dmv-health.js');
+
+    expect(status).toBe(0);
+    expect(stdout).toContain('✓ calendarModel        OABSEngine.Models.CalendarDateModel (calendar)');
+    expect(stdout).toContain(`All checks found on ${server.url}${INDEX_PATH}`);
+  });
+
+  test('exits 1 and names what drifted', async () => {
+    server.setScenario({ ...MockQflowServer.loadScenario('default'), drift: ['noAppointmentsError'] });
+
+    const text = await runCli(['--base-url', `${server.url}${INDEX_PATH}`], 'bin/dmv-health.js');
+    expect(text.status).toBe(1);
+    expect(text.stdout).toContain('✗ noAppointmentsError  span.field-validation-error (no appointments)\n    No visible no-appointments message for Raleigh North');
+    expect(text.stdout).toContain(`Selector drift on ${server.url}${INDEX_PATH}: noAppointmentsError`);
+
+    const json = await runCli(['--base-url', `${server.url}${INDEX_PATH}`, '--format', 'json'], 'bin/dmv-health.js');
+    expect(json.status).toBe(1);
+    expect(JSON.parse(json.stdout)).toMatchObject({ healthy: false, drifted: ['noAppointmentsError'] });
+  });
+
+  test('checks the markup of the site adapter given by DMV_SITE', async () => {
+    server.setScenario({ ...MockQflowServer.loadScenario('default'), drift: ['noAppointmentsError', 'noDatesInput'] });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-site-cli-'));
+    try {
+      const file = path.join(dir, 'redesigned.json');
+      fs.writeFileSync(file, JSON.stringify({
+        extends: 'nc-dmv',
+        name: 'redesigned',
+        baseUrl: `${server.url}${INDEX_PATH}`,
+        markers: { noDatesField: 'ErrorNoAvailableDates', noAppointmentsClass: 'validation-summary-errors' }
+      }));
+
+      const { status, stdout } = await runCli([], 'bin/dmv-health.js', { DMV_SITE: file });
+      expect(status).toBe(0);
+      expect(stdout).toContain('✓ noAppointmentsError  span.validation-summary-errors (no appointments)');
+      expect(stdout).toContain(`All checks found on ${server.url}${INDEX_PATH}`);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+test.describe('dmv-schedule CLI', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-schedule-cli-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Write a config file
+   */
+  function configFile(config) {
+    const file = path.join(dir, 'dmv.config.json');
+    fs.writeFileSync(file, JSON.stringify(config));
+    return file;
+  }
+
+  test('lists the next runs of each scheduled profile and what would skip them', async () => {
+    const file = configFile({
+      timeZone: 'UTC',
+      profiles: {
+        midday: { schedule: '0 12 * * *', quietHours: '11:00-13:00' },
+        morning: { schedule: '30 9 * * *', maxRunsPerDay: 1 },
+        unscheduled: { maxDistanceMiles: 10 }
+      }
+    });
+
+    const { status, stdout } = await runCli(['--config', file, '--list', '--count', '2'], 'bin/dmv-schedule.js');
+    expect(status).toBe(0);
+    const lines = stdout.trim().split('\n');
+    expect(lines).toHaveLength(6);
+    expect(lines[0]).toBe('midday: 0 12 * * * (UTC, quiet 11:00-13:00)');
+    expect(lines[1]).toMatch(/^ {2}\w{3} \d{4}-\d{2}-\d{2} 12:00 {2}skip: quiet hours 11:00-13:00$/);
+    expect(lines[3]).toBe('morning: 30 9 * * * (UTC, at most 1 a day)');
+    expect(lines[4]).toMatch(/^ {2}\w{3} \d{4}-\d{2}-\d{2} 09:30 {2}run$/);
+
+    const only = await runCli(['--config', file, '--list', '--profile', 'morning'], 'bin/dmv-schedule.js');
+    expect(only.stdout).not.toContain('midday');
+    expect(only.stdout.trim().split('\n')).toHaveLength(6);
+  });
+
+  test('exits 2 for an invalid schedule or nothing to schedule', async () => {
+    const invalid = await runCli(['--config', configFile({ schedule: '0 9 * *' }), '--list'], 'bin/dmv-schedule.js');
+    expect(invalid.status).toBe(2);
+    expect(invalid.stderr).toContain('.schedule: Invalid cron expression "0 9 * *": expected 5 fields');
+
+    const none = await runCli(['--config', configFile({ profiles: { raleigh: { maxDistanceMiles: 10 } } })], 'bin/dmv-schedule.js', { SCAN_SCHEDULE: '' });
+    expect(none.status).toBe(2);
+    expect(none.stderr).toContain('dmv-schedule: Nothing to schedule');
+
+    const unknown = await runCli(['--config', configFile({ profiles: { raleigh: { schedule: '@hourly' } } }), '--profile', 'durham'], 'bin/dmv-schedule.js');
+    expect(unknown.status).toBe(2);
+    expect(unknown.stderr).toContain('No schedule for profile "durham" (scheduled: raleigh)');
+  });
+});
@@ -0,0 +1,43 @@
+import { Location } from '../lib/location.js';
+
+/**
+ * Appointment Index path of the mock site, the same as the real site's
+ */
+export const INDEX_PATH = '/Webapp/Appointment/Index/a7ade79b-996d-4971-8766-97feb75254de';
+
+/**
+ * Downtown Raleigh, the position the mock site ranks its offices from
+ */
+export const GEOLOCATION = { latitude: 35.7796, longitude: -78.6382 };
+
+/**
+ * Appointment type of the results below
+ */
+export const TEEN_DRIVER = { id: '10', text: null, label: 'Limited provisional license - ages 16-17; Level 1 permit' };
+
+/**
+ * Location result as the scanners build it
+ * @param {string} cityName - Office name
+ * @param {string} unitId - Office unit id, also the street number of its address
+ * @param {Array<Array<string>>} slots - Slots as [date, time] pairs, e.g. ['2026-11-04', '8:00 AM']
+ * @param {object} extra - Properties to set on the result, e.g. distanceMiles or error
+ * @returns {object} Location result
+ */
+export function locationResult(cityName, unitId, slots, extra = {}) {
+  const availability = {};
+  for (const [date, time] of slots) {
+    (availability[date] ||= []).push({ time, datetime: `${date} ${time}`, serviceId: '42', appointmentTypeId: '10' });
+  }
+  return {
+    cityName,
+    location: new Location({ unitId, name: cityName, address: `${unitId} Main St, Suite "B"`, city: 'Raleigh', state: 'NC', zip: '27601' }),
+    distanceMiles: 4.3,
+    isAvailable: slots.length > 0,
+    availableDates: Object.keys(availability),
+    availability,
+    timeSlots: slots.map(([date, time]) => ({ date, time, value: time, datetime: `${date} ${time}`, serviceId: '42', appointmentTypeId: '10' })),
+    checkedAt: '2026-10-19T12:00:01.000Z',
+    appointmentType: TEEN_DRIVER,
+    ...extra
+  };
+}
@@ -0,0 +1,131 @@
+import { test, expect } from '@playwright/test';
+import { AppointmentPage } from '../pages/AppointmentPage.js';
+import { MockQflowServer } from '../mock/server.js';
+import { INDEX_PATH, GEOLOCATION } from './fixtures.js';
+
+test.describe('AppointmentPage against the mock QFlow site', () => {
+  let server;
+  let appointmentPage;
+
+  test.beforeEach(async () => {
+    server = new MockQflowServer({ port: 0 });
+    await server.start();
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+  });
+
+  /**
+   * Open the Index page and walk to the location list
+   */
+  async function openLocations(page, scenario, appointmentTypeId = '10') {
+    server.setScenario(scenario);
+    appointmentPage = new AppointmentPage(page);
+    await appointmentPage.navigateAndSetup(`${server.url}${INDEX_PATH}`, GEOLOCATION);
+    await appointmentPage.clickMakeAppointment();
+    await appointmentPage.selectAppointmentType(appointmentTypeId, null);
+    return appointmentPage.waitForActiveUnitsLoad();
+  }
+
+  test('reports fixture availability for every location', async ({ page }) => {
+    expect(await openLocations(page, 'default')).toBe(true);
+
+    const count = await appointmentPage.getActiveUnitsCount();
+    const results = {};
+    for (let i = 0; i < count; i++) {
+      const result = await appointmentPage.checkLocationAvailability(i);
+      results[result.cityName] = result.isAvailable;
+      if (i < count - 1) {
+        await appointmentPage.navigateBack();
+      }
+    }
+
+    expect(results).toEqual({
+      'Raleigh West': true,
+      'Raleigh North': false,
+      'Cary': true,
+      'Durham South': false
+    });
+  });
+
+  test('reads a structured location from each tile', async ({ page }) => {
+    await openLocations(page, 'default');
+
+    const locations = await appointmentPage.getLocations();
+    expect(locations.map(l => l.unitId)).toEqual(['101', '102', '103', '104']);
+    expect(locations[1]).toMatchObject({
+      name: 'Raleigh North',
+      city: 'Raleigh',
+      state: 'NC',
+      latitude: 35.8687,
+      longitude: -78.6039
+    });
+    expect(locations[1].displayedDistanceMiles).toBeGreaterThan(0);
+  });
+
+  test('exposes dates and time slots for an available office', async ({ page }) => {
+    await openLocations(page, 'default');
+
+    const { cityName, isAvailable } = await appointmentPage.checkLocationAvailability(0);
+    expect(cityName).toBe('Raleigh West');
+    expect(isAvailable).toBe(true);
+    expect(appointmentPage.getAppointmentApiData().availableDates).toContain('2026-11-04');
+
+    expect(await appointmentPage.selectDate(0)).toBe(true);
+    const slots = await appointmentPage.getTimeSlots();
+    expect(slots.map(slot => slot.datetime)).toContain('11/4/2026 8:00:00 AM');
+  });
+
+  test('walks the datepicker across months when the model is not available', async ({ page }) => {
+    await openLocations(page, 'default');
+    await appointmentPage.checkLocationAvailability(0);
+    // Forget the intercepted payload so the times come from the rendered calendar
+    appointmentPage.appointmentApiData = null;
+
+    expect(await appointmentPage.getDatepickerDates()).toEqual(['2026-11-04', '2026-11-06', '2026-12-02']);
+
+    const availability = await appointmentPage.getAvailability();
+    expect(Object.keys(availability)).toEqual(['2026-11-04', '2026-11-06', '2026-12-02']);
+    expect(availability['2026-11-06'].map(slot => slot.time)).toEqual(['9:00 AM', '1:30 PM']);
+    expect(availability['2026-12-02']).toEqual([
+      { time: '11:00 AM', datetime: '12/2/2026 11:00:00 AM', serviceId: '101', appointmentTypeId: '10' }
+    ]);
+  });
+
+  test('selects the best slot for a preference spec', async ({ page }) => {
+    await openLocations(page, 'default');
+    await appointmentPage.checkLocationAvailability(0);
+
+    // 12:15 PM counts as afternoon
+    expect((await appointmentPage.getAfternoonTimeSlots()).map(slot => slot.datetime)).toContain('11/4/2026 12:15:00 PM');
+
+    const slot = await appointmentPage.selectBestMatchingSlot({ weekdays: ['fri'], timeWindows: ['afternoon'] });
+    expect(slot.datetime).toBe('11/6/2026 1:30:00 PM');
+    expect(await page.locator('select option:checked').first().textContent()).toBe('1:30 PM');
+  });
+
+  test('reports the no-appointments variant', async ({ page }) => {
+    await openLocations(page, 'no-appointments');
+
+    const result = await appointmentPage.checkLocationAvailability(0);
+    expect(result.isAvailable).toBe(false);
+    expect(appointmentPage.getAppointmentApiData().errorMessage).toBe('No appointments available');
+  });
+
+  test('handles an appointment type without offices', async ({ page }) => {
+    expect(await openLocations(page, 'no-locations')).toBe(false);
+    expect(await appointmentPage.getActiveUnitsCount()).toBe(0);
+  });
+
+  test('setting a scenario starts the bookings over', () => {
+    const held = { confirmationNumber: 'NC20261210', unitId: '101', appointmentTypeId: '10', datetime: '12/10/2026 9:00:00 AM' };
+    server.setScenario({ ...MockQflowServer.loadScenario('default'), appointments: [held] });
+    server.bookings.push({ confirmationNumber: 'NC00000001', unitId: '103', datetime: '11/18/2026 7:45:00 AM' });
+
+    server.setScenario({ ...MockQflowServer.loadScenario('default'), appointments: [held] });
+    expect(server.bookings).toEqual([held]);
+    server.setScenario('default');
+    expect(server.bookings).toEqual([]);
+  });
+});
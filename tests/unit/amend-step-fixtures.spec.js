@@ -0,0 +1,105 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { parseAppointmentData, flattenAvailability } from '../../lib/appointment-parser.js';
+import { parsePreferences, rankSlots } from '../../lib/preferences.js';
+
+/**
+ * AmendStep response body from tests/fixtures/amend-step
+ * @param {string} name - Fixture file name
+ * @returns {string} Response body
+ */
+function fixture(name) {
+  return fs.readFileSync(fileURLToPath(new URL(`../fixtures/amend-step/${name}`, import.meta.url)), 'utf8');
+}
+
+/**
+ * Time slots of a parsed step in a named window, as AppointmentPage.getMorningTimeSlots()
+ * and getAfternoonTimeSlots() select them on an open calendar
+ */
+function slotsIn(window, data) {
+  const timeSlots = flattenAvailability(data.availability);
+  return rankSlots([{ timeSlots }], parsePreferences({ timeWindows: [window] })).map(match => `${match.slot.date} ${match.slot.time}`);
+}
+
+test.describe('AmendStep fixtures', () => {
+  test('available: reads every date of the model, merging duplicates and skipping unreadable ones', () => {
+    const data = parseAppointmentData(fixture('available.html'));
+
+    expect(data.hasAppointments).toBe(true);
+    expect(data.errorMessage).toBeNull();
+    // 11/4 is listed twice, as an ASP.NET date and as M/D/YYYY; "TBD" is not a date
+    expect(data.availableDates).toEqual(['2026-11-04', '2026-11-06', '2026-12-02']);
+    expect(data.availability['2026-11-04'].map(slot => slot.time)).toEqual(['8:00 AM', '12:15 PM', '3:30 PM']);
+    expect(data.availability['2026-12-02']).toEqual([
+      { time: '12:00 PM', datetime: '12/2/2026 12:00:00 PM', serviceId: '101', appointmentTypeId: '10' }
+    ]);
+  });
+
+  test('available: dates outside the calendar model are not appointments', () => {
+    const data = parseAppointmentData(fixture('available.html'));
+
+    // The page also mentions 10/19/2026, 11/26/2026, 2026-12-25 and 2027-01-01, and the datepicker shows the 3rd and 5th disabled
+    for (const date of ['2026-10-19', '2026-11-03', '2026-11-05', '2026-11-26', '2026-12-25', '2027-01-01']) {
+      expect(data.availableDates).not.toContain(date);
+    }
+  });
+
+  test('no-appointments: reports the error and no dates', () => {
+    expect(parseAppointmentData(fixture('no-appointments.html')))
+      .toEqual({ hasAppointments: false, availableDates: [], availability: {}, errorMessage: 'No appointments available' });
+  });
+
+  test('JSON-shaped: takes the availability map, dates in order', () => {
+    const data = parseAppointmentData(fixture('available.json'));
+
+    expect(data.hasAppointments).toBe(true);
+    expect(data.availableDates).toEqual(['2026-11-04', '2026-11-06']);
+    expect(data.availability['2026-11-06'][0].datetime).toBe('11/6/2026 12:00:00 PM');
+  });
+
+  test('malformed: an unreadable model falls back to the datepicker, once per date', () => {
+    const data = parseAppointmentData(fixture('malformed.html'));
+
+    expect(data.hasAppointments).toBe(true);
+    // The 18th is rendered twice, one cell has no day and the last one is cut off mid-tag
+    expect(data.availability).toEqual({ '2026-11-18': [], '2026-11-20': [] });
+  });
+
+  test('malformed: truncated or garbled bodies are neither available nor unavailable', () => {
+    const truncated = fixture('available.html');
+    const unknown = { hasAppointments: false, availableDates: [], availability: {}, errorMessage: null };
+
+    expect(parseAppointmentData(truncated.slice(0, truncated.indexOf('OABSEngine')))).toEqual(unknown);
+    expect(parseAppointmentData('{"hasAppointments": tru')).toEqual(unknown);
+    expect(parseAppointmentData('')).toEqual(unknown);
+  });
+});
+
+test.describe('time slot filters', () => {
+  test('morning ends before noon and 12 PM slots are afternoon, earliest first', () => {
+    const data = parseAppointmentData(fixture('available.html'));
+
+    expect(slotsIn('morning', data)).toEqual(['2026-11-04 8:00 AM', '2026-11-06 11:45 AM']);
+    expect(slotsIn('afternoon', data)).toEqual([
+      '2026-11-04 12:15 PM',
+      '2026-11-04 3:30 PM',
+      '2026-11-06 12:45 PM',
+      '2026-12-02 12:00 PM'
+    ]);
+  });
+
+  test('treat a JSON response the same way', () => {
+    const data = parseAppointmentData(fixture('available.json'));
+
+    expect(slotsIn('morning', data)).toEqual(['2026-11-04 11:30 AM']);
+    expect(slotsIn('afternoon', data)).toEqual(['2026-11-04 12:30 PM', '2026-11-06 12:00 PM']);
+  });
+
+  test('find nothing in a step without appointments', () => {
+    const data = parseAppointmentData(fixture('no-appointments.html'));
+
+    expect(slotsIn('morning', data)).toEqual([]);
+    expect(slotsIn('afternoon', data)).toEqual([]);
+  });
+});
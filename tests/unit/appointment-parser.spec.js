@@ -0,0 +1,141 @@
+import { test, expect } from '@playwright/test';
+import {
+  parseAppointmentData,
+  parseCalendarModel,
+  parseDatepickerDates,
+  flattenAvailability,
+  toIsoDate
+} from '../../lib/appointment-parser.js';
+import { renderCalendarStep, renderNoAppointmentsStep, escapeHtml } from '../../mock/templates.js';
+
+const LOCATION = {
+  id: '101',
+  availability: {
+    '2026-12-02': ['11:00 AM'],
+    '2026-11-04': ['8:00 AM', '12:15 PM']
+  }
+};
+
+/**
+ * Calendar step with a hand-written model payload
+ * @param {object} model - CalendarDateModel payload
+ * @param {string} extra - Extra markup
+ */
+function calendarStep(model, extra = '') {
+  return `<input type="hidden" name="StepControls[3].ModelType" value="OABSEngine.Models.CalendarDateModel">
+    <input type="hidden" name="StepControls[3].Model" value="${escapeHtml(JSON.stringify(model))}">${extra}`;
+}
+
+test.describe('parseAppointmentData', () => {
+  test('returns every date with all of its time slots', () => {
+    const data = parseAppointmentData(renderCalendarStep(LOCATION, '10'));
+
+    expect(data.hasAppointments).toBe(true);
+    expect(data.availableDates).toEqual(['2026-11-04', '2026-12-02']);
+    expect(data.availability).toEqual({
+      '2026-11-04': [
+        { time: '8:00 AM', datetime: '11/4/2026 8:00:00 AM', serviceId: '101', appointmentTypeId: '10' },
+        { time: '12:15 PM', datetime: '11/4/2026 12:15:00 PM', serviceId: '101', appointmentTypeId: '10' }
+      ],
+      '2026-12-02': [
+        { time: '11:00 AM', datetime: '12/2/2026 11:00:00 AM', serviceId: '101', appointmentTypeId: '10' }
+      ]
+    });
+  });
+
+  test('ignores dates that are not part of the calendar', () => {
+    const html = `${renderCalendarStep(LOCATION, '10')}<footer>Updated 2025-01-15 &middot; Holiday closure 2026-11-26</footer>`;
+
+    expect(parseAppointmentData(html).availableDates).toEqual(['2026-11-04', '2026-12-02']);
+  });
+
+  test('reports the no-appointments error', () => {
+    const data = parseAppointmentData(renderNoAppointmentsStep());
+
+    expect(data).toEqual({ hasAppointments: false, availableDates: [], availability: {}, errorMessage: 'No appointments available' });
+  });
+
+  test('falls back to a server-rendered datepicker when the model is unreadable', () => {
+    const html = `<input type="hidden" name="StepControls[1].ModelType" value="OABSEngine.Models.CalendarDateModel">
+      <input type="hidden" name="StepControls[1].Model" value="{not json">
+      <table class="ui-datepicker-calendar"><tr>
+        <td data-handler="selectDay" data-event="click" data-month="10" data-year="2026"><a class="ui-state-default" href="#">18</a></td>
+        <td class="ui-datepicker-unselectable ui-state-disabled"><span class="ui-state-default">19</span></td>
+      </tr></table>`;
+
+    const data = parseAppointmentData(html);
+    expect(data.hasAppointments).toBe(true);
+    expect(data.availability).toEqual({ '2026-11-18': [] });
+  });
+
+  test('accepts a JSON response', () => {
+    const data = parseAppointmentData(JSON.stringify({ hasAppointments: true, availableDates: ['2026-11-18'] }));
+
+    expect(data).toMatchObject({ hasAppointments: true, availableDates: ['2026-11-18'], availability: { '2026-11-18': [] } });
+  });
+
+  test('reports a JSON response without appointments as the no-appointments error', () => {
+    expect(parseAppointmentData(JSON.stringify({ hasAppointments: false, availableDates: [] })))
+      .toEqual({ hasAppointments: false, availableDates: [], availability: {}, errorMessage: 'No appointments available' });
+    // Without the flag the payload is not a calendar we know
+    expect(parseAppointmentData(JSON.stringify({ message: 'Moved' })).errorMessage).toBeNull();
+  });
+});
+
+test.describe('parseCalendarModel', () => {
+  test('reads camelCase payloads, ASP.NET dates and model-level ids', () => {
+    const html = calendarStep({
+      serviceId: 7,
+      appointmentTypeId: 3,
+      availableDates: [
+        { date: '/Date(1794009600000)/', times: [{ dateTime: '11/7/2026 9:30:00 AM' }] },
+        { date: '11/9/2026', times: [] }
+      ]
+    });
+
+    expect(parseCalendarModel(html)).toEqual({
+      '2026-11-07': [{ time: '9:30 AM', datetime: '11/7/2026 9:30:00 AM', serviceId: '7', appointmentTypeId: '3' }],
+      '2026-11-09': []
+    });
+  });
+
+  test('merges repeated dates', () => {
+    const html = calendarStep({
+      AvailableDates: [
+        { Date: '2026-11-04T00:00:00', Times: [{ Time: '8:00 AM' }] },
+        { Date: '2026-11-04', Times: [{ Time: '9:00 AM' }] }
+      ]
+    });
+
+    expect(parseCalendarModel(html)['2026-11-04'].map(slot => slot.datetime)).toEqual(['11/4/2026 8:00:00 AM', '11/4/2026 9:00:00 AM']);
+  });
+
+  test('returns null without a model', () => {
+    expect(parseCalendarModel('<div>2026-11-04</div>')).toBeNull();
+  });
+});
+
+test.describe('calendar helpers', () => {
+  test('reads datepicker cells with and without data-date', () => {
+    const html = `<td data-handler="selectDay" data-date="2026-12-02" data-month="11" data-year="2026"><a>2</a></td>
+      <td data-handler="selectDay" data-month="10" data-year="2026"><a>4</a></td>`;
+
+    expect(parseDatepickerDates(html)).toEqual(['2026-11-04', '2026-12-02']);
+  });
+
+  test('flattens the map in date order', () => {
+    const slots = flattenAvailability(parseAppointmentData(renderCalendarStep(LOCATION, '10')).availability);
+
+    expect(slots.map(slot => [slot.date, slot.value])).toEqual([
+      ['2026-11-04', '8:00 AM'],
+      ['2026-11-04', '12:15 PM'],
+      ['2026-12-02', '11:00 AM']
+    ]);
+  });
+
+  test('normalizes date formats', () => {
+    expect(toIsoDate('2026-11-04T00:00:00')).toBe('2026-11-04');
+    expect(toIsoDate('1/5/2027')).toBe('2027-01-05');
+    expect(toIsoDate('tomorrow')).toBeNull();
+  });
+});
@@ -0,0 +1,73 @@
+import { test, expect } from '@playwright/test';
+import {
+  parseAppointmentTypes,
+  appointmentTypesFromEnv,
+  appointmentTypeLabel,
+  groupByAppointmentType,
+  normalizeAppointmentTypes,
+  findAppointmentType
+} from '../../lib/appointment-types.js';
+import { diffResults } from '../../lib/watcher.js';
+import { TestHelpers } from '../../utils/test-helpers.js';
+
+const OFFERED = [
+  { id: '10', label: 'Limited provisional license - ages 16-17; Level 1 permit' },
+  { id: '3', label: 'Driver license renewal' }
+];
+
+test.describe('appointment type lists', () => {
+  test('parses comma-separated ids and "|"-separated texts, ids first', () => {
+    expect(parseAppointmentTypes({ ids: ['10, 3', '3'], texts: 'REAL ID' })).toEqual([
+      { id: '10', text: null },
+      { id: '3', text: null }
+    ]);
+    expect(parseAppointmentTypes({ texts: 'Road test|Driver license renewal, duplicate' })).toEqual([
+      { id: null, text: 'Road test' },
+      { id: null, text: 'Driver license renewal, duplicate' }
+    ]);
+  });
+
+  test('reads the environment and defaults to the teen driver type', () => {
+    expect(appointmentTypesFromEnv({})).toEqual([{ id: '10', text: null }]);
+    expect(appointmentTypesFromEnv({ APPOINTMENT_TYPE_TEXT: 'REAL ID' })).toEqual([{ id: null, text: 'REAL ID' }]);
+  });
+
+  test('normalizes scanner options and matches offered types', () => {
+    expect(normalizeAppointmentTypes({ appointmentTypeId: '3', appointmentTypeText: 'ignored' })).toEqual([{ id: '3', text: null }]);
+    expect(normalizeAppointmentTypes({ appointmentTypes: [{ id: '10' }, { text: 'REAL ID' }] })).toEqual([
+      { id: '10', text: null },
+      { id: null, text: 'REAL ID' }
+    ]);
+    expect(normalizeAppointmentTypes()).toEqual([]);
+
+    expect(findAppointmentType(OFFERED, { id: 3 })).toBe(OFFERED[1]);
+    expect(findAppointmentType(OFFERED, { text: 'ages 16-17' })).toBe(OFFERED[0]);
+    expect(appointmentTypeLabel({ id: '12', text: null })).toBe('Type 12');
+  });
+});
+
+test.describe('results grouped by appointment type', () => {
+  const teen = { id: '10', text: null, label: 'Teen' };
+  const renewal = { id: '3', text: null, label: 'Renewal' };
+  const results = [
+    { cityName: 'Cary', appointmentType: teen, isAvailable: false, availableDates: [], timeSlots: [] },
+    { cityName: 'Cary', appointmentType: renewal, isAvailable: true, availableDates: ['2026-11-04'], timeSlots: [{ datetime: '11/4/2026 8:00:00 AM' }] }
+  ];
+
+  test('groups in scan order and summarizes each type', () => {
+    expect(groupByAppointmentType(results).map(group => group.appointmentType.id)).toEqual(['10', '3']);
+
+    const summary = TestHelpers.formatResults(results);
+    expect(summary.total).toBe(2);
+    expect(summary.byAppointmentType.map(group => [group.label, group.available, group.availableLocations])).toEqual([
+      ['Teen', 0, []],
+      ['Renewal', 1, ['Cary']]
+    ]);
+  });
+
+  test('keeps the same office apart across types between scans', () => {
+    const changes = diffResults(results, [{ ...results[0], isAvailable: true, availableDates: ['2026-11-05'] }, results[1]]);
+
+    expect(changes.map(change => [change.type, change.result.appointmentType.id])).toEqual([['gained', '10']]);
+  });
+});
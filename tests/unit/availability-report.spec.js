@@ -0,0 +1,130 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RESULT_ATTACHMENT, readSnapshot, renderReport, toReportRow } from '../../lib/availability-report.js';
+import { AvailabilityReporter } from '../../lib/availability-reporter.js';
+import { toLocationRecord } from '../../lib/exporters/scan-document.js';
+import { TEEN_DRIVER, locationResult } from '../fixtures.js';
+
+/**
+ * Location record as the scan spec attaches it
+ */
+function record(cityName, unitId, slots, { distanceMiles = 4.3, screenshot = null } = {}) {
+  return { ...toLocationRecord(locationResult(cityName, unitId, slots, { distanceMiles })), screenshot };
+}
+
+/**
+ * Cells of a rendered table row, as text
+ */
+function rowCells(html, office) {
+  const row = html.split('<tr').find(part => part.includes(`>${office}<div`));
+  return [...row.matchAll(/<td[^>]*>([\s\S]*?)<\/td>/g)].map(match => match[1].replace(/<[^>]+>/g, ' ').trim());
+}
+
+test.describe('availability report', () => {
+  test('rows carry the earliest date, slot and date counts and distance', () => {
+    const row = toReportRow(record('Cary', '103', [['2026-11-18', '9:00 AM'], ['2026-11-04', '8:00 AM'], ['2026-11-18', '9:30 AM']], { distanceMiles: 7.1 }));
+    expect(row).toMatchObject({
+      office: 'Cary',
+      unitId: '103',
+      appointmentType: TEEN_DRIVER.label,
+      distanceMiles: 7.1,
+      isAvailable: true,
+      earliestDate: '2026-11-04',
+      dateCount: 2,
+      slotCount: 3
+    });
+  });
+
+  test('renders a sortable table with embedded screenshots and escaped names', () => {
+    const report = {
+      generatedAt: '2026-10-19T12:00:00.000Z',
+      results: [
+        record('Raleigh West', '101', [['2026-11-04', '8:00 AM'], ['2026-11-06', '8:00 AM']], { screenshot: 'appointment-10-Raleigh-West-101.png' }),
+        record('<Durham>', '104', [], { distanceMiles: 17.9 })
+      ]
+    };
+    const html = renderReport(report, { screenshots: new Map([['appointment-10-Raleigh-West-101.png', 'data:image/png;base64,iVBORw0KGgo=']]) });
+
+    expect(html).toContain('2 locations checked, 1 with availability, 2 open slots, earliest 2026-11-04 at Raleigh West');
+    expect(html).toContain('<th data-sort="number">Distance (mi)</th>');
+    expect(rowCells(html, 'Raleigh West')).toEqual(['Raleigh West 101 Main St, Suite &quot;B&quot;, Raleigh', TEEN_DRIVER.label, '4.3', '2026-11-04', '2', '2', '', 'Available', 'View']);
+    expect(html).toContain('<td data-value="17.9" class="number">17.9</td>');
+    expect(html).toContain('<img src="data:image/png;base64,iVBORw0KGgo=" alt="Calendar at Raleigh West">');
+    expect(html).toContain('&lt;Durham&gt;');
+    expect(html).not.toContain('<Durham>');
+    expect(html).toContain('No previous report to compare with.');
+  });
+
+  test('compares against the previous run', () => {
+    const previous = {
+      generatedAt: '2026-10-18T12:00:00.000Z',
+      results: [
+        record('Raleigh West', '101', [['2026-11-06', '8:00 AM']]),
+        record('Cary', '103', [['2026-11-18', '9:00 AM'], ['2026-11-18', '9:30 AM']])
+      ]
+    };
+    const current = {
+      generatedAt: '2026-10-19T12:00:00.000Z',
+      results: [
+        record('Raleigh West', '101', [['2026-11-04', '8:00 AM'], ['2026-11-06', '8:00 AM']]),
+        record('Cary', '103', []),
+        record('Garner', '105', [['2026-12-01', '1:00 PM']])
+      ]
+    };
+    const html = renderReport(current, { previous });
+
+    expect(html).toContain('Since 2026-10-18T12:00:00.000Z:');
+    expect(html).toContain('<li class="earlier">Raleigh West: ↑ Earlier date available: 2026-11-04 (was 2026-11-06)</li>');
+    expect(html).toContain('<li class="lost">Cary: ✗ No longer available</li>');
+    expect(html).toContain('<li class="gained">Garner: ✓ Appointments now available (earliest: 2026-12-01)</li>');
+    expect(rowCells(html, 'Raleigh West')[6]).toBe('+1');
+    expect(rowCells(html, 'Cary')[6]).toBe('-2');
+    expect(rowCells(html, 'Garner')[6]).toBe('new');
+  });
+
+  test('the reporter writes the page and a snapshot the next run diffs against', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'availability-report-'));
+    const screenshot = path.join(dir, 'shot.png');
+    fs.writeFileSync(screenshot, Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+
+    /**
+     * Run the reporter over one test whose attempts attached the given records
+     */
+    function run(...attempts) {
+      const reporter = new AvailabilityReporter({ outputFolder: dir });
+      reporter.onBegin({ configFile: path.join(dir, 'playwright.config.js') });
+      for (const records of attempts) {
+        reporter.onTestEnd({ id: 'scan' }, {
+          attachments: [
+            ...records.map(r => ({ name: RESULT_ATTACHMENT, contentType: 'application/json', body: Buffer.from(JSON.stringify(r)) })),
+            { name: 'shot.png', contentType: 'image/png', path: screenshot },
+            { name: 'trace', contentType: 'application/zip', path: path.join(dir, 'missing.zip') }
+          ]
+        });
+      }
+      reporter.onEnd();
+      return fs.readFileSync(path.join(dir, 'index.html'), 'utf8');
+    }
+
+    try {
+      // A retry replaces the failed attempt's results
+      const first = run([record('Cary', '103', [])], [record('Raleigh West', '101', [['2026-11-04', '8:00 AM']], { screenshot: 'shot.png' })]);
+      expect(first).toContain('1 locations checked');
+      expect(first).toContain('data:image/png;base64,iVBORw==');
+      expect(readSnapshot(path.join(dir, 'report.json')).results.map(r => r.cityName)).toEqual(['Raleigh West']);
+
+      const second = run([record('Raleigh West', '101', [])]);
+      expect(second).toContain('Raleigh West: ✗ No longer available');
+
+      // Runs without location results keep the last report
+      const reporter = new AvailabilityReporter({ outputFolder: dir });
+      reporter.onTestEnd({ id: 'unit' }, { attachments: [] });
+      reporter.onEnd();
+      expect(fs.readFileSync(path.join(dir, 'index.html'), 'utf8')).toBe(second);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
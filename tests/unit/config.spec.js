@@ -0,0 +1,167 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_CONFIG_FILE, loadConfig, loadSchedules, resolveConfig, resolveSite } from '../../lib/config.js';
+import { DEFAULT_BASE_URL, DEFAULT_GEOLOCATION } from '../../lib/scanner.js';
+import { NC_DMV } from '../../lib/sites/index.js';
+
+const EXAMPLE = JSON.parse(fs.readFileSync(fileURLToPath(new URL('../../dmv.config.example.json', import.meta.url)), 'utf8'));
+
+test.describe('config', () => {
+  test('defaults without a file or environment', () => {
+    expect(resolveConfig({}, { env: {} })).toEqual({
+      file: null,
+      profile: null,
+      site: NC_DMV,
+      baseUrl: DEFAULT_BASE_URL,
+      geolocation: DEFAULT_GEOLOCATION,
+      appointmentTypes: [{ id: '10', text: null }],
+      maxDistanceMiles: null,
+      preferencesFile: null,
+      concurrency: 1,
+      maxChecksPerMinute: null,
+      recoveryPolicy: {},
+      historyFile: 'data/scan-history.jsonl',
+      exports: [],
+      currentBooking: null,
+      schedule: {
+        cron: null,
+        timeZone: 'America/New_York',
+        quietHours: [],
+        skipWeekends: false,
+        skipHolidays: false,
+        maxRunsPerDay: null
+      },
+      headless: true,
+      slowMo: 0
+    });
+  });
+
+  test('applies the profile over the top-level settings and the environment over both', () => {
+    const config = resolveConfig(EXAMPLE, {
+      profile: 'renewal-charlotte',
+      env: { MAX_DISTANCE_MILES: '40', HEADLESS: 'false', SLOW_MO: '250', SCAN_RECOVERY: 'timeout=skip' },
+      file: 'dmv.config.json'
+    });
+
+    expect(config).toMatchObject({
+      file: 'dmv.config.json',
+      profile: 'renewal-charlotte',
+      baseUrl: EXAMPLE.baseUrl,
+      geolocation: { latitude: 35.2271, longitude: -80.8431 },
+      appointmentTypes: [{ id: '3', text: null }],
+      maxDistanceMiles: 40,
+      maxChecksPerMinute: 30,
+      recoveryPolicy: { timeout: { action: 'skip' } },
+      exports: ['json:data/charlotte-scan.json', 'csv:data/charlotte-slots.csv'],
+      currentBooking: { date: '2027-01-20', time: '9:00 AM', minutes: 540, office: 'Charlotte East' },
+      headless: false,
+      slowMo: 250
+    });
+    expect(resolveConfig(EXAMPLE, { profile: 'teen-permit-raleigh', env: { APPOINTMENT_TYPE_TEXT: 'REAL ID|Driver license renewal' } }).appointmentTypes)
+      .toEqual([{ id: '10', text: null }]);
+  });
+
+  test('points at the mock site unless BASE_URL is set', () => {
+    expect(resolveConfig(EXAMPLE, { env: { MOCK_SITE: '1', MOCK_PORT: '3100' } }).baseUrl)
+      .toBe(`http://127.0.0.1:3100${new URL(DEFAULT_BASE_URL).pathname}`);
+    expect(resolveConfig(EXAMPLE, { env: { MOCK_SITE: '1', BASE_URL: 'http://localhost:8080/Index/x' } }).baseUrl)
+      .toBe('http://localhost:8080/Index/x');
+  });
+
+  test('lets --site and --base-url override the configured site', () => {
+    const configured = resolveConfig({ baseUrl: 'http://localhost:8080/Index/x' }, { env: {} });
+    expect(resolveSite(configured).baseUrl).toBe('http://localhost:8080/Index/x');
+    expect(resolveSite(configured, { baseUrl: 'http://localhost:9090/Index/y' }).baseUrl).toBe('http://localhost:9090/Index/y');
+    expect(resolveSite(resolveConfig({}, { env: {} }), { site: 'nc-dmv' })).toMatchObject({ site: { name: 'nc-dmv' }, baseUrl: DEFAULT_BASE_URL });
+  });
+
+  test('reports every problem in the file, its profiles and the environment at once', () => {
+    const fileConfig = {
+      lattitude: 35.7,
+      concurrency: 2.5,
+      profiles: {
+        'renewal-charlotte': { latitude: '35.2271', baseUrl: 'ftp://example.test', appointmentTypeIds: [3, { id: 4 }] },
+        broken: []
+      }
+    };
+
+    expect(() => resolveConfig(fileConfig, { profile: 'renewal-raleigh', env: { SCAN_CONCURRENCY: '0', HEADLESS: 'maybe' }, file: 'dmv.config.json' }))
+      .toThrow([
+        'Invalid configuration:',
+        '  dmv.config.json: unknown setting "lattitude" (expected one of site, baseUrl, latitude, longitude, appointmentTypeIds, appointmentTypeTexts, maxDistanceMiles, preferencesFile, concurrency, maxChecksPerMinute, recoveryPolicy, historyFile, exports, currentBooking, schedule, timeZone, quietHours, skipWeekends, skipHolidays, maxRunsPerDay, headless, slowMo)',
+        '  dmv.config.json.concurrency: expected a whole number, got 2.5',
+        '  dmv.config.json.profiles.renewal-charlotte.latitude: expected a number, got "35.2271"',
+        '  dmv.config.json.profiles.renewal-charlotte.baseUrl: Invalid URL "ftp://example.test" (expected http or https)',
+        '  dmv.config.json.profiles.renewal-charlotte.appointmentTypeIds: expected a string or a list of strings, got [3,{"id":4}]',
+        '  dmv.config.json.profiles.broken: expected an object of settings',
+        '  Unknown profile "renewal-raleigh" (dmv.config.json has renewal-charlotte, broken)',
+        '  SCAN_CONCURRENCY: Invalid concurrency "0" (expected a whole number of browser contexts, 1 or more)',
+        '  HEADLESS: expected true or false, got "maybe"'
+      ].join('\n'));
+  });
+
+  test('loads the file named by DMV_CONFIG, or dmv.config.json when present', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-config-'));
+    const cwd = process.cwd();
+    try {
+      const file = path.join(dir, 'family.json');
+      fs.writeFileSync(file, JSON.stringify(EXAMPLE));
+      expect(loadConfig({ env: { DMV_CONFIG: file, DMV_PROFILE: 'renewal-charlotte' } }).geolocation.latitude).toBe(35.2271);
+      expect(() => loadConfig({ env: { DMV_CONFIG: path.join(dir, 'missing.json') } })).toThrow(`No config file at ${path.join(dir, 'missing.json')}`);
+
+      process.chdir(dir);
+      expect(loadConfig({ env: {} }).file).toBeNull();
+      expect(() => loadConfig({ env: { DMV_PROFILE: 'renewal-charlotte' } }))
+        .toThrow(`Profile "renewal-charlotte" needs a config file (none at ${DEFAULT_CONFIG_FILE})`);
+
+      fs.writeFileSync(DEFAULT_CONFIG_FILE, '{ "baseUrl": ');
+      expect(() => loadConfig({ env: {} })).toThrow(`Could not read config from ${DEFAULT_CONFIG_FILE}`);
+      fs.writeFileSync(DEFAULT_CONFIG_FILE, JSON.stringify(EXAMPLE));
+      expect(loadConfig({ env: { DMV_PROFILE: 'teen-permit-raleigh' } })).toMatchObject({ file: DEFAULT_CONFIG_FILE, maxDistanceMiles: 25 });
+    } finally {
+      process.chdir(cwd);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('loads every scheduled profile, or the top-level settings when no profile has a schedule', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-config-'));
+    const file = path.join(dir, 'dmv.config.json');
+    try {
+      fs.writeFileSync(file, JSON.stringify(EXAMPLE));
+      const [raleigh, charlotte, ...rest] = loadSchedules({ file, env: { DMV_PROFILE: 'renewal-charlotte', MAX_RUNS_PER_DAY: '6' } });
+      expect(rest).toEqual([]);
+      expect(raleigh).toMatchObject({ profile: 'teen-permit-raleigh', maxDistanceMiles: 25 });
+      expect(raleigh.schedule).toMatchObject({
+        cron: { expression: '*/20 7-18 * * mon-fri' },
+        timeZone: 'America/New_York',
+        quietHours: [{ text: '19:00-07:00', start: 19 * 60, end: 7 * 60 }],
+        skipWeekends: true,
+        skipHolidays: true,
+        maxRunsPerDay: 6
+      });
+      expect(charlotte.profile).toBe('renewal-charlotte');
+      expect(charlotte.schedule.cron.expression).toBe('5 8,12,16 * * *');
+
+      const { profiles, ...topLevel } = EXAMPLE;
+      fs.writeFileSync(file, JSON.stringify({ ...topLevel, schedule: '@hourly' }));
+      expect(loadSchedules({ file, env: {} }).map(config => [config.profile, config.schedule.cron.expression])).toEqual([[null, '@hourly']]);
+      expect(loadSchedules({ file, env: { SCAN_SCHEDULE: '0 9 * * *' } })[0].schedule.cron.expression).toBe('0 9 * * *');
+      fs.writeFileSync(file, JSON.stringify(topLevel));
+      expect(loadSchedules({ file, env: {} })).toEqual([]);
+
+      expect(() => resolveConfig({ schedule: '0 25 * * *', quietHours: ['22:00-6'], timeZone: 'Mars/Olympus' }, { env: { MAX_RUNS_PER_DAY: '0' } })).toThrow([
+        'Invalid configuration:',
+        '  config.schedule: Invalid cron expression "0 25 * * *": hour "25" is out of range (expected 0-23)',
+        '  config.quietHours: Invalid quiet hours "22:00-6" (expected HH:MM-HH:MM, e.g. 22:00-06:00)',
+        '  config.timeZone: Unknown time zone "Mars/Olympus" (expected an IANA name such as America/New_York)',
+        '  MAX_RUNS_PER_DAY: Invalid max runs per day "0" (expected a positive integer)'
+      ].join('\n'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
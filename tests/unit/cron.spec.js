@@ -0,0 +1,98 @@
+import { test, expect } from '@playwright/test';
+import { parseCron, zonedParts } from '../../lib/cron.js';
+import { holidayOn, stateHolidays } from '../../lib/holidays.js';
+
+const NEW_YORK = 'America/New_York';
+
+/**
+ * The next few occurrences of an expression, as ISO strings
+ */
+function occurrences(expression, after, count, timeZone = NEW_YORK) {
+  const schedule = parseCron(expression);
+  const times = [];
+  for (let at = new Date(after); times.length < count;) {
+    at = schedule.next(at, timeZone);
+    times.push(at.toISOString());
+  }
+  return times;
+}
+
+test.describe('cron expressions', () => {
+  test('parses lists, ranges, steps, names and macros', () => {
+    const schedule = parseCron('5/20 7-9,17 */10 jan-mar MON,wed-fri');
+    expect([...schedule.minutes]).toEqual([5, 25, 45]);
+    expect([...schedule.hours]).toEqual([7, 8, 9, 17]);
+    expect([...schedule.daysOfMonth]).toEqual([1, 11, 21, 31]);
+    expect([...schedule.months]).toEqual([1, 2, 3]);
+    expect([...schedule.daysOfWeek]).toEqual([1, 3, 4, 5]);
+    expect([...parseCron('0 0 * * 7').daysOfWeek]).toEqual([0]);
+    expect([...parseCron('@hourly').minutes]).toEqual([0]);
+    expect(parseCron(schedule)).toBe(schedule);
+  });
+
+  test('rejects malformed expressions with the reason', () => {
+    expect(() => parseCron('* * *')).toThrow('Invalid cron expression "* * *": expected 5 fields (minute hour day-of-month month day-of-week)');
+    expect(() => parseCron('60 * * * *')).toThrow('minute "60" is out of range (expected 0-59)');
+    expect(() => parseCron('0 9 * * funday')).toThrow('day of week "funday" is out of range (expected 0-7 or a name)');
+    expect(() => parseCron('0 17-9 * * *')).toThrow('hour range "17-9" runs backwards');
+    expect(() => parseCron('*/0 * * * *')).toThrow('minute "*/0" has an invalid step');
+    expect(() => parseCron('0 0 30 2 *').next(new Date('2026-10-19T12:00:00Z'), NEW_YORK)).toThrow('Cron expression "0 0 30 2 *" never matches');
+  });
+
+  test('finds the next occurrences in the time zone, across weekends and DST', () => {
+    // Friday 4:50 PM in Raleigh
+    expect(occurrences('*/20 7-16 * * mon-fri', '2026-10-16T20:50:00Z', 3)).toEqual([
+      '2026-10-19T11:00:00.000Z',
+      '2026-10-19T11:20:00.000Z',
+      '2026-10-19T11:40:00.000Z'
+    ]);
+    // 2:30 AM does not exist on March 8, 2026
+    expect(occurrences('30 2 * * *', '2026-03-07T12:00:00Z', 2)).toEqual(['2026-03-09T06:30:00.000Z', '2026-03-10T06:30:00.000Z']);
+    expect(occurrences('0 9 * * *', '2026-10-31T12:00:00Z', 2)).toEqual(['2026-10-31T13:00:00.000Z', '2026-11-01T14:00:00.000Z']);
+    expect(occurrences('0 9 * * *', '2026-10-31T12:00:00Z', 1, 'UTC')).toEqual(['2026-11-01T09:00:00.000Z']);
+    // Midnight of the day after a 23-hour and a 25-hour day
+    expect(occurrences('0 0 * * 1', '2026-03-07T12:00:00Z', 2)).toEqual(['2026-03-09T04:00:00.000Z', '2026-03-16T04:00:00.000Z']);
+    expect(occurrences('0 0 * * 1', '2026-10-31T12:00:00Z', 1)).toEqual(['2026-11-02T05:00:00.000Z']);
+    // Clocks go from 23:59 to 01:00 on September 6, 2026 in Santiago
+    expect(occurrences('0 * 6 9 *', '2026-09-05T12:00:00Z', 1, 'America/Santiago')).toEqual(['2026-09-06T04:00:00.000Z']);
+    // Always at least a minute later, even from inside a matching minute
+    expect(occurrences('* * * * *', '2026-10-19T12:00:30Z', 1)).toEqual(['2026-10-19T12:01:00.000Z']);
+  });
+
+  test('runs on days matching either the day of month or the day of week when both are set', () => {
+    // The 1st, or any Friday
+    expect(occurrences('0 12 1 * fri', '2026-10-26T00:00:00Z', 3)).toEqual([
+      '2026-10-30T16:00:00.000Z',
+      '2026-11-01T17:00:00.000Z',
+      '2026-11-06T17:00:00.000Z'
+    ]);
+    expect(parseCron('0 12 1 * fri').matches(new Date('2026-11-01T17:00:00Z'), NEW_YORK)).toBe(true);
+    expect(zonedParts(new Date('2026-11-01T17:00:00Z'), NEW_YORK)).toEqual({ date: '2026-11-01', year: 2026, month: 11, day: 1, hour: 12, minute: 0, weekday: 0 });
+  });
+});
+
+test.describe('state holidays', () => {
+  test('computes the NC state holidays of a year, observed on weekdays', () => {
+    expect(stateHolidays(2026)).toEqual([
+      { date: '2026-01-01', name: 'New Year\'s Day' },
+      { date: '2026-01-19', name: 'Martin Luther King Jr. Birthday' },
+      { date: '2026-04-03', name: 'Good Friday' },
+      { date: '2026-05-25', name: 'Memorial Day' },
+      { date: '2026-07-03', name: 'Independence Day' },
+      { date: '2026-09-07', name: 'Labor Day' },
+      { date: '2026-11-11', name: 'Veterans Day' },
+      { date: '2026-11-26', name: 'Thanksgiving' },
+      { date: '2026-11-27', name: 'Day after Thanksgiving' },
+      { date: '2026-12-24', name: 'Christmas Eve' },
+      { date: '2026-12-25', name: 'Christmas Day' },
+      { date: '2026-12-28', name: 'Day after Christmas' }
+    ]);
+  });
+
+  test('finds the holiday on a date, including one observed in the year before', () => {
+    expect(holidayOn('2026-11-27')).toBe('Day after Thanksgiving');
+    expect(holidayOn('2021-12-31')).toBe('New Year\'s Day');
+    expect(holidayOn('2022-12-26')).toBe('Christmas Day');
+    expect(holidayOn('2026-10-19')).toBeNull();
+  });
+});
@@ -0,0 +1,144 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EARLIER_SLOT, EarlierSlotTracker, findEarlierSlots, formatEarlierSlot, isBeforeBooking, parseCurrentBooking } from '../../lib/current-booking.js';
+import { TEEN_DRIVER, locationResult } from '../fixtures.js';
+
+const results = [
+  locationResult('Raleigh West', '101', [['2026-11-04', '8:00 AM'], ['2026-11-06', '1:30 PM'], ['2026-12-02', '11:00 AM']]),
+  locationResult('Cary', '103', [['2026-11-18', '7:45 AM'], ['2026-11-18', '12:00 PM'], ['2026-11-18', '4:30 PM']], { distanceMiles: 7.1 }),
+  locationResult('Garner', '105', [], { error: { type: 'timeout', message: 'Timeout' } })
+];
+
+test.describe('current booking', () => {
+  test('parses a date with an optional time and office', () => {
+    expect(parseCurrentBooking('2026-11-18 12:00 PM @ Raleigh West')).toEqual({ date: '2026-11-18', time: '12:00 PM', minutes: 720, office: 'Raleigh West' });
+    expect(parseCurrentBooking('2026-11-18T14:30')).toEqual({ date: '2026-11-18', time: '14:30', minutes: 870, office: null });
+    expect(parseCurrentBooking('2026-11-18')).toEqual({ date: '2026-11-18', time: null, minutes: null, office: null });
+    expect(parseCurrentBooking('')).toBeNull();
+
+    expect(() => parseCurrentBooking('2026-02-30')).toThrow('Invalid current booking "2026-02-30"');
+    expect(() => parseCurrentBooking('2026-11-18 noon')).toThrow('Invalid current booking "2026-11-18 noon"');
+  });
+
+  test('finds every slot before the booking with its lead in days', () => {
+    const booking = parseCurrentBooking('2026-11-18 12:00 PM');
+    const events = findEarlierSlots(results, booking);
+
+    expect(events.map(event => [event.cityName, event.date, event.time, event.deltaDays])).toEqual([
+      ['Raleigh West', '2026-11-04', '8:00 AM', 14],
+      ['Raleigh West', '2026-11-06', '1:30 PM', 12],
+      ['Cary', '2026-11-18', '7:45 AM', 0]
+    ]);
+    expect(events[0]).toMatchObject({ type: EARLIER_SLOT, appointmentType: TEEN_DRIVER, datetime: '2026-11-04 8:00 AM', booking });
+    expect(formatEarlierSlot(events[0])).toBe('Raleigh West (Limited provisional license - ages 16-17; Level 1 permit): ↑ 2026-11-04 8:00 AM is 14 days before your booking (2026-11-18 12:00 PM)');
+    expect(formatEarlierSlot(events[2])).toContain('is earlier the same day as your booking');
+
+    // Without a time, the same day is not earlier
+    expect(findEarlierSlots(results, parseCurrentBooking('2026-11-18')).map(event => event.cityName)).toEqual(['Raleigh West', 'Raleigh West']);
+  });
+
+  test('counts an earlier time the same day only at the booked office', () => {
+    const slots = booking => findEarlierSlots(results, parseCurrentBooking(booking)).map(event => [event.cityName, event.date, event.time]);
+
+    expect(slots('2026-11-18 12:00 PM @ Raleigh West')).toEqual([
+      ['Raleigh West', '2026-11-04', '8:00 AM'],
+      ['Raleigh West', '2026-11-06', '1:30 PM']
+    ]);
+    expect(slots('2026-11-18 4:30 PM @ cary')).toEqual([
+      ['Raleigh West', '2026-11-04', '8:00 AM'],
+      ['Raleigh West', '2026-11-06', '1:30 PM'],
+      ['Cary', '2026-11-18', '7:45 AM'],
+      ['Cary', '2026-11-18', '12:00 PM']
+    ]);
+    expect(formatEarlierSlot(findEarlierSlots(results, parseCurrentBooking('2026-11-18 4:30 PM @ Cary'))[2]))
+      .toBe('Cary (Limited provisional license - ages 16-17; Level 1 permit): ↑ 2026-11-18 7:45 AM is earlier the same day as your booking (2026-11-18 4:30 PM at Cary)');
+  });
+
+  test('compares a slot with the booking by day, then by time when both are known', () => {
+    const booking = parseCurrentBooking('2026-11-18 12:00 PM');
+
+    expect(isBeforeBooking({ date: '2026-11-17', time: '4:30 PM' }, booking)).toBe(true);
+    expect(isBeforeBooking({ date: '2026-11-18', time: '11:45 AM' }, booking)).toBe(true);
+    expect(isBeforeBooking({ date: '2026-11-18', time: '12:00 PM' }, booking)).toBe(false);
+    expect(isBeforeBooking({ date: '2026-11-18', time: null }, booking)).toBe(false);
+    expect(isBeforeBooking({ date: '2026-11-18', time: '8:00 AM' }, parseCurrentBooking('2026-11-18'))).toBe(false);
+  });
+
+  test('compares dates the calendar gave no times for', () => {
+    const datesOnly = { ...locationResult('Durham South', '104', []), isAvailable: true, availableDates: ['2026-11-20', '2026-12-01'] };
+
+    expect(findEarlierSlots([datesOnly], parseCurrentBooking('2026-11-25')).map(event => [event.date, event.time, event.deltaDays]))
+      .toEqual([['2026-11-20', null, 5]]);
+  });
+
+  test.describe('EarlierSlotTracker', () => {
+    let dir;
+    let file;
+
+    test.beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-alerts-'));
+      file = path.join(dir, 'nested', 'alerts.json');
+    });
+
+    test.afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Alert the pending events and remember them, as a run that delivered them does
+     */
+    function alertAll(tracker, events, options) {
+      const pending = tracker.pending(events, options);
+      tracker.markAlerted(pending, options);
+      return pending;
+    }
+
+    test('alerts each slot once across runs', () => {
+      const booking = parseCurrentBooking('2026-11-18 12:00 PM');
+      const now = new Date('2026-10-19T12:00:00Z');
+      const first = alertAll(new EarlierSlotTracker({ booking, filePath: file }), findEarlierSlots(results.slice(0, 1), booking), { now });
+      expect(first).toHaveLength(2);
+
+      // The next run sees Cary's slot for the first time and Raleigh West's again
+      const next = alertAll(new EarlierSlotTracker({ booking, filePath: file }), findEarlierSlots(results, booking), { now });
+      expect(next.map(event => event.cityName)).toEqual(['Cary']);
+      expect(alertAll(new EarlierSlotTracker({ booking, filePath: file }), findEarlierSlots(results, booking), { now })).toEqual([]);
+    });
+
+    test('starts over for a new booking and forgets slots whose day has passed', () => {
+      const booking = parseCurrentBooking('2026-11-18 12:00 PM');
+      alertAll(new EarlierSlotTracker({ booking, filePath: file }), findEarlierSlots(results, booking), { now: new Date('2026-10-19T12:00:00Z') });
+
+      const moved = parseCurrentBooking('2026-11-20');
+      expect(alertAll(new EarlierSlotTracker({ booking: moved, filePath: file }), findEarlierSlots(results, moved))).toHaveLength(5);
+
+      const tracker = new EarlierSlotTracker({ booking: moved, filePath: file });
+      alertAll(tracker, [], { now: new Date('2026-11-10T12:00:00Z') });
+      expect([...tracker.alerted.values()].map(alert => alert.date)).toEqual(['2026-11-18', '2026-11-18', '2026-11-18']);
+    });
+
+    test('keeps a slot pending until it is marked alerted', () => {
+      const booking = parseCurrentBooking('2026-11-18 12:00 PM');
+      const events = findEarlierSlots(results, booking);
+      const tracker = new EarlierSlotTracker({ booking, filePath: file });
+
+      // Delivery failed: nothing was marked
+      expect(tracker.pending(events)).toHaveLength(3);
+      expect(new EarlierSlotTracker({ booking, filePath: file }).pending(events)).toHaveLength(3);
+
+      tracker.markAlerted(events.slice(0, 1));
+      expect(new EarlierSlotTracker({ booking, filePath: file }).pending(events)).toEqual(events.slice(1));
+    });
+
+    test('ignores an unreadable state file', () => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, '{ "booking": ');
+      const booking = parseCurrentBooking('2026-11-18');
+
+      expect(alertAll(new EarlierSlotTracker({ booking, filePath: file }), findEarlierSlots(results, booking))).toHaveLength(2);
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).booking).toBe('2026-11-18');
+    });
+  });
+});
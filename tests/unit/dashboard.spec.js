@@ -0,0 +1,143 @@
+import { test, expect } from '@playwright/test';
+import { DASHBOARD_EVENTS, DashboardServer, DashboardState, SCAN_STATUS } from '../../lib/dashboard.js';
+import { HttpScanner } from '../../lib/http-scanner.js';
+import { MockQflowServer } from '../../mock/server.js';
+import { INDEX_PATH, GEOLOCATION } from '../fixtures.js';
+
+/**
+ * Read Server-Sent Events from a fetch response until a number of them arrived
+ * @returns {Promise<Array<object>>} Events of { event, data }
+ */
+async function readEvents(response, count) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  const events = [];
+  let buffer = '';
+  while (events.length < count) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const fields = Object.fromEntries(block.split('\n').filter(line => !line.startsWith(':')).map(line => {
+        const separator = line.indexOf(': ');
+        return [line.slice(0, separator), line.slice(separator + 2)];
+      }));
+      if (fields.event) events.push({ event: fields.event, data: JSON.parse(fields.data) });
+    }
+  }
+  await reader.cancel();
+  return events;
+}
+
+test.describe('dashboard', () => {
+  let mock;
+  let state;
+  let dashboard;
+
+  test.beforeEach(async () => {
+    mock = new MockQflowServer({ port: 0 });
+    await mock.start();
+    state = new DashboardState();
+    dashboard = new DashboardServer({ state });
+    await dashboard.start();
+  });
+
+  test.afterEach(async () => {
+    await dashboard.stop();
+    await mock.stop();
+  });
+
+  /**
+   * Scan the mock site, feeding the dashboard from onResult as dmv-scan does
+   */
+  async function scan(options = {}) {
+    const startedAt = new Date().toISOString();
+    state.beginScan({ baseUrl: mock.url, startedAt });
+    const scanner = new HttpScanner({
+      baseUrl: `${mock.url}${INDEX_PATH}`,
+      geolocation: GEOLOCATION,
+      appointmentTypeId: '10',
+      requestDelayMs: 0,
+      onResult: (result, position, total) => state.addResult(result, position, total),
+      ...options
+    });
+    const result = await scanner.scan();
+    state.finishScan({ finishedAt: result.finishedAt });
+    return result;
+  }
+
+  test('serves scans and locations built from the scan results', async () => {
+    state.loadHistory([
+      { scanId: '2026-10-18T08:00:00.000Z', timestamp: '2026-10-18T08:00:05.000Z', appointmentType: { id: '10' }, unitId: '101', cityName: 'Raleigh West', isAvailable: true, availableDates: ['2026-11-20'], timeSlots: ['11/20/2026 9:00:00 AM'] }
+    ]);
+    const { results } = await scan();
+
+    const { scans } = await (await fetch(`${dashboard.url}/api/scans`)).json();
+    expect(scans).toHaveLength(1);
+    expect(scans[0]).toMatchObject({ status: SCAN_STATUS.FINISHED, checked: 4, available: 2, errors: 0 });
+    expect(scans[0].progress).toEqual([{ appointmentType: '10', label: expect.any(String), checked: 4, total: 4 }]);
+
+    const { locations } = await (await fetch(`${dashboard.url}/api/locations`)).json();
+    expect(locations.map(row => [row.office, row.distanceMiles, row.earliestDate, row.slotCount])).toEqual([
+      ['Raleigh West', 4.3, '2026-11-04', 8],
+      ['Raleigh North', 6.4, null, 0],
+      ['Cary', 7.1, expect.any(String), 3],
+      ['Durham South', 17.9, null, 0]
+    ]);
+    // The row carries the result object as the scanner returned it
+    expect(locations[0].result).toEqual(JSON.parse(JSON.stringify(results[0])));
+    expect(locations[0].history.map(point => point.slotCount)).toEqual([1, 8]);
+
+    const location = await (await fetch(`${dashboard.url}/api/locations/101`)).json();
+    expect(location).toMatchObject({ id: '101', office: 'Raleigh West', rows: [{ slotCount: 8 }] });
+    const missing = await fetch(`${dashboard.url}/api/locations/999`);
+    expect(missing.status).toBe(404);
+    expect(await missing.json()).toEqual({ error: 'No location 999 in this session' });
+  });
+
+  test('streams a snapshot, then every checked location and scan update', async () => {
+    const stream = await fetch(`${dashboard.url}/api/events`);
+    expect(stream.headers.get('content-type')).toBe('text/event-stream');
+    const events = readEvents(stream, 11);
+
+    await scan();
+
+    const received = await events;
+    expect(received[0]).toEqual({ event: DASHBOARD_EVENTS.SNAPSHOT, data: { scans: [], locations: [] } });
+    // Scan started, each location with the scan's progress, scan finished
+    expect(received.slice(1).map(event => event.event)).toEqual([
+      DASHBOARD_EVENTS.SCAN,
+      ...Array(4).fill([DASHBOARD_EVENTS.LOCATION, DASHBOARD_EVENTS.SCAN]).flat(),
+      DASHBOARD_EVENTS.SCAN
+    ]);
+    expect(received[10].data.status).toBe(SCAN_STATUS.FINISHED);
+    expect(received.filter(event => event.event === DASHBOARD_EVENTS.LOCATION).map(event => event.data.office))
+      .toEqual(['Raleigh West', 'Raleigh North', 'Cary', 'Durham South']);
+  });
+
+  test('keeps an error result in the table without adding it to the sparkline', () => {
+    state.beginScan({ baseUrl: 'http://127.0.0.1', startedAt: '2026-10-19T08:00:00.000Z' });
+    const row = state.addResult({ cityName: 'Garner', isAvailable: false, error: { type: 'timeout', message: 'Timeout 15000ms exceeded' } }, 0, 2);
+
+    expect(row).toMatchObject({ id: 'Garner', error: 'Timeout 15000ms exceeded', history: [] });
+    expect(state.finishScan({ error: new Error('Site is down') })).toMatchObject({ status: SCAN_STATUS.FAILED, errors: 1, error: 'Site is down' });
+    expect(state.currentScan.progress).toEqual([{ appointmentType: '', label: '', checked: 1, total: 2 }]);
+  });
+
+  test('updates the page live as locations are checked', { tag: '@browser' }, async ({ page }) => {
+    await page.goto(dashboard.url);
+    await expect(page.locator('#connection')).toHaveText('Live');
+
+    await scan();
+
+    const rows = page.locator('#locations tr');
+    await expect(rows).toHaveCount(4);
+    await expect(rows.first()).toContainText('Raleigh West');
+    await expect(rows.first().locator('td').nth(5)).toHaveText('8');
+    await expect(rows.first().locator('svg.sparkline polyline')).toHaveCount(1);
+    await expect(page.locator('#scan')).toContainText('Finished');
+    await expect(page.locator('#scan')).toContainText('4 of 4');
+  });
+});
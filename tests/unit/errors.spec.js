@@ -0,0 +1,138 @@
+import { test, expect } from '@playwright/test';
+import {
+  ERROR_TYPES,
+  RECOVERY_ACTIONS,
+  ScanError,
+  SelectorDriftError,
+  classifyError,
+  errorForStatus,
+  parseRecoveryPolicy,
+  recoveryAction,
+  retryWithPolicy,
+  toErrorResult
+} from '../../lib/errors.js';
+import { Location } from '../../lib/location.js';
+
+/**
+ * Error shaped like the ones Playwright throws when a wait runs out
+ */
+function timeoutError(message) {
+  const error = new Error(message);
+  error.name = 'TimeoutError';
+  return error;
+}
+
+test.describe('error classification', () => {
+  test('types errors from page objects, HTTP statuses and the network', () => {
+    const cases = [
+      [new Error('page.goto: net::ERR_CONNECTION_REFUSED at https://skiptheline.ncdot.gov'), {}, ERROR_TYPES.SITE_DOWN],
+      [new Error('fetch failed'), {}, ERROR_TYPES.SITE_DOWN],
+      [new Error('Page was closed unexpectedly after clicking unit'), {}, ERROR_TYPES.SESSION_EXPIRED],
+      [new Error('locator.click: Target page, context or browser has been closed'), {}, ERROR_TYPES.SESSION_EXPIRED],
+      [new Error('Request Rejected'), {}, ERROR_TYPES.THROTTLED],
+      [new Error('Active units not visible'), { response: { status: 429, body: '' } }, ERROR_TYPES.THROTTLED],
+      [new Error('Calendar did not load'), { response: { status: 503, body: '' } }, ERROR_TYPES.SITE_DOWN],
+      [timeoutError('locator.waitFor: Timeout 10000ms exceeded.\nwaiting for locator(\'#BlockLoader\') to be hidden'), {}, ERROR_TYPES.TIMEOUT],
+      [timeoutError('locator.waitFor: Timeout 10000ms exceeded.\nwaiting for locator(\'.Active-Unit\').first() to be visible'), { response: { status: 200, body: '<html>' } }, ERROR_TYPES.SELECTOR_DRIFT],
+      [timeoutError('locator.waitFor: Timeout 10000ms exceeded.\nwaiting for locator(\'.Active-Unit\').first() to be visible'), {}, ERROR_TYPES.TIMEOUT],
+      [new Error('Something else'), {}, ERROR_TYPES.UNKNOWN]
+    ];
+
+    for (const [error, context, type] of cases) {
+      const classified = classifyError(error, context);
+      expect(classified, error.message).toBeInstanceOf(ScanError);
+      expect(classified.type, error.message).toBe(type);
+      expect(classified.cause).toBe(error);
+    }
+
+    const typed = new SelectorDriftError('Unrecognized calendar step for Cary');
+    expect(classifyError(typed)).toBe(typed);
+  });
+
+  test('maps HTTP statuses to error types', () => {
+    expect(errorForStatus(429, 'x').type).toBe(ERROR_TYPES.THROTTLED);
+    expect(errorForStatus(403, 'x').type).toBe(ERROR_TYPES.THROTTLED);
+    expect(errorForStatus(440, 'x').type).toBe(ERROR_TYPES.SESSION_EXPIRED);
+    expect(errorForStatus(502, 'x')).toMatchObject({ type: ERROR_TYPES.SITE_DOWN, status: 502, name: 'SiteDownError' });
+    expect(errorForStatus(404, 'x').type).toBe(ERROR_TYPES.UNKNOWN);
+  });
+});
+
+test.describe('recovery policy', () => {
+  test('re-enters until the retries are used up, then skips; outages abort', () => {
+    const timeout = new ScanError('slow', { type: ERROR_TYPES.TIMEOUT });
+    expect(recoveryAction(timeout, 1)).toBe(RECOVERY_ACTIONS.REENTER);
+    expect(recoveryAction(timeout, 2)).toBe(RECOVERY_ACTIONS.SKIP);
+    expect(recoveryAction(new ScanError('gone', { type: ERROR_TYPES.SESSION_EXPIRED }), 2)).toBe(RECOVERY_ACTIONS.REENTER);
+    expect(recoveryAction(new ScanError('429', { type: ERROR_TYPES.THROTTLED }), 1)).toBe(RECOVERY_ACTIONS.ABORT);
+    expect(recoveryAction(new ScanError('503', { type: ERROR_TYPES.SITE_DOWN }), 1)).toBe(RECOVERY_ACTIONS.ABORT);
+    expect(recoveryAction(new ScanError('drift', { type: ERROR_TYPES.SELECTOR_DRIFT }), 1)).toBe(RECOVERY_ACTIONS.SKIP);
+    expect(recoveryAction(timeout, 1, { timeout: { action: RECOVERY_ACTIONS.SKIP } })).toBe(RECOVERY_ACTIONS.SKIP);
+  });
+
+  test('parses overrides', () => {
+    expect(parseRecoveryPolicy(undefined)).toEqual({});
+    expect(parseRecoveryPolicy('timeout=skip, selector-drift=reenter:2,throttled=abort')).toEqual({
+      timeout: { action: 'skip' },
+      'selector-drift': { action: 'reenter', retries: 2 },
+      throttled: { action: 'abort' }
+    });
+    expect(parseRecoveryPolicy('unknown=reenter')).toEqual({ unknown: { action: 'reenter', retries: 1 } });
+    expect(() => parseRecoveryPolicy('timeout=retry')).toThrow('Invalid recovery rule "timeout=retry"');
+    expect(() => parseRecoveryPolicy('slow=skip')).toThrow('Invalid recovery rule "slow=skip"');
+  });
+
+  test('retryWithPolicy recovers between attempts and reports how it gave up', async () => {
+    const delays = [];
+    const recovered = [];
+    const sleep = async ms => { delays.push(ms); };
+    let calls = 0;
+
+    const value = await retryWithPolicy(async attempt => {
+      calls++;
+      if (attempt < 3) throw new Error('Page was closed unexpectedly after clicking unit');
+      return 'checked';
+    }, { sleep, delayMs: 100, recover: error => recovered.push(error.type) });
+    expect(value).toBe('checked');
+    expect(calls).toBe(3);
+    expect(delays).toEqual([100, 200]);
+    expect(recovered).toEqual([ERROR_TYPES.SESSION_EXPIRED, ERROR_TYPES.SESSION_EXPIRED]);
+
+    // Selector drift is skipped without a retry
+    calls = 0;
+    const skipped = await retryWithPolicy(async () => {
+      calls++;
+      throw new SelectorDriftError('Unrecognized calendar step');
+    }, { sleep }).catch(error => error);
+    expect(calls).toBe(1);
+    expect(skipped).toMatchObject({ type: ERROR_TYPES.SELECTOR_DRIFT, recovery: RECOVERY_ACTIONS.SKIP });
+
+    // A timeout is retried once, then skipped
+    calls = 0;
+    const exhausted = await retryWithPolicy(async () => {
+      calls++;
+      throw timeoutError('Timeout 15000ms exceeded');
+    }, { sleep }).catch(error => error);
+    expect(calls).toBe(2);
+    expect(exhausted.recovery).toBe(RECOVERY_ACTIONS.SKIP);
+
+    const aborted = await retryWithPolicy(async () => {
+      throw errorForStatus(429, 'AmendStep returned 429');
+    }, { sleep }).catch(error => error);
+    expect(aborted).toMatchObject({ type: ERROR_TYPES.THROTTLED, recovery: RECOVERY_ACTIONS.ABORT });
+  });
+
+  test('a location that could not be checked becomes an error result', () => {
+    const location = new Location({ unitId: '103', name: 'Cary', city: 'Cary' });
+    const error = new SelectorDriftError('Unrecognized calendar step');
+    expect(toErrorResult({ location, distanceMiles: 7.1 }, error)).toMatchObject({
+      cityName: 'Cary',
+      location,
+      distanceMiles: 7.1,
+      isAvailable: false,
+      availableDates: [],
+      timeSlots: [],
+      error
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  SCAN_SCHEMA_VERSION,
+  CSV_COLUMNS,
+  csvField,
+  Exporter,
+  ExportPipeline,
+  JsonExporter,
+  CsvExporter,
+  NdjsonExporter,
+  createExporter,
+  createExportPipeline,
+  createExportPipelineFromEnv,
+  toScanDocument,
+  toSlotRows
+} from '../../lib/exporters/index.js';
+import { TestHelpers } from '../../utils/test-helpers.js';
+import { TEEN_DRIVER, locationResult } from '../fixtures.js';
+
+const SCHEMA = JSON.parse(fs.readFileSync(new URL('../../schemas/scan-v1.schema.json', import.meta.url), 'utf8'));
+const SCAN = {
+  baseUrl: 'http://127.0.0.1:3000/Webapp/Appointment/Index/x',
+  startedAt: '2026-10-19T12:00:00.000Z',
+  finishedAt: '2026-10-19T12:00:05.000Z',
+  appointmentTypes: [TEEN_DRIVER],
+  results: [
+    locationResult('Raleigh West', '101', [['2026-11-04', '8:00 AM'], ['2026-11-06', '1:30 PM']]),
+    locationResult('Raleigh North', '102', []),
+    locationResult('Cary', '103', [['2026-11-18', '7:45 AM']], { error: new Error('Calendar did not load') })
+  ]
+};
+
+test.describe('scan exporters', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-export-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('builds a versioned document with every field the schema requires', () => {
+    const document = toScanDocument(SCAN, { geolocation: { latitude: 35.7796, longitude: -78.6382 }, summary: TestHelpers.formatResults(SCAN.results) });
+
+    expect(document.schemaVersion).toBe(SCAN_SCHEMA_VERSION);
+    expect(SCHEMA.properties.schemaVersion.const).toBe(SCAN_SCHEMA_VERSION);
+    for (const key of SCHEMA.required) {
+      expect(document).toHaveProperty(key);
+    }
+    for (const record of document.results) {
+      for (const key of SCHEMA.$defs.location.required) {
+        expect(record).toHaveProperty(key);
+      }
+    }
+
+    expect(document.summary.availableLocations).toEqual(['Raleigh West', 'Cary']);
+    expect(document.results[0]).toMatchObject({
+      cityName: 'Raleigh West',
+      unitId: '101',
+      location: { name: 'Raleigh West', state: 'NC', zip: '27601' },
+      appointmentType: TEEN_DRIVER,
+      availableDates: ['2026-11-04', '2026-11-06'],
+      error: null
+    });
+    expect(document.results[0].timeSlots[0]).toEqual({
+      date: '2026-11-04', time: '8:00 AM', datetime: '2026-11-04 8:00 AM', serviceId: '42', appointmentTypeId: '10'
+    });
+    expect(document.results[2].error).toEqual({ message: 'Calendar did not load', type: 'Error', recovery: null });
+    expect(document.errors).toEqual([]);
+  });
+
+  test('writes the JSON document to a file', () => {
+    const output = path.join(dir, 'nested', 'scan.json');
+    new JsonExporter({ output }).finish(SCAN, { errors: ['HTTP scan failed'] });
+
+    const document = JSON.parse(fs.readFileSync(output, 'utf8'));
+    expect(document.results.map(r => r.cityName)).toEqual(['Raleigh West', 'Raleigh North', 'Cary']);
+    expect(document.errors).toEqual([{ message: 'HTTP scan failed', type: null, recovery: null }]);
+  });
+
+  test('writes one CSV row per slot and quotes fields as RFC 4180 asks', () => {
+    const output = path.join(dir, 'slots.csv');
+    new CsvExporter({ output }).finish(SCAN);
+
+    const lines = fs.readFileSync(output, 'utf8').split('\r\n');
+    expect(lines[0]).toBe(CSV_COLUMNS.join(','));
+    expect(lines).toHaveLength(5);
+    expect(lines[1]).toBe('2026-10-19T12:00:00.000Z,10,Limited provisional license - ages 16-17; Level 1 permit,101,Raleigh West,"101 Main St, Suite ""B""",4.3,2026-11-04,8:00 AM,2026-11-04 8:00 AM,42');
+    expect(toSlotRows(SCAN).map(row => row.cityName)).toEqual(['Raleigh West', 'Raleigh West', 'Cary']);
+  });
+
+  test('escapes CSV fields a spreadsheet would run as a formula', () => {
+    expect(['=HYPERLINK("http://x")', '+1', '-2+3', '@SUM(A1)', '\t=1', 'Raleigh West'].map(csvField))
+      .toEqual(['"\'=HYPERLINK(""http://x"")"', "'+1", "'-2+3", "'@SUM(A1)", "'\t=1", 'Raleigh West']);
+    expect(csvField(-4.3)).toBe('-4.3');
+  });
+
+  test('keeps the previous CSV when a scan fails outright', () => {
+    const output = path.join(dir, 'slots.csv');
+    const exporter = new CsvExporter({ output });
+    exporter.finish(SCAN);
+    exporter.finish({ ...SCAN, results: [] }, { errors: [new Error('Index page did not load')] });
+
+    expect(fs.readFileSync(output, 'utf8').split('\r\n')).toHaveLength(5);
+  });
+
+  test('streams NDJSON lines as locations complete and appends across scans', () => {
+    const output = path.join(dir, 'scan.ndjson');
+    const exporter = new NdjsonExporter({ output });
+    const lines = () => fs.readFileSync(output, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+    exporter.begin({ startedAt: SCAN.startedAt });
+    exporter.addResult(SCAN.results[0]);
+    expect(lines().map(line => line.cityName)).toEqual(['Raleigh West']);
+
+    // Results that were not streamed are written when the scan finishes
+    exporter.finish(SCAN);
+    expect(lines().map(line => line.cityName)).toEqual(['Raleigh West', 'Raleigh North', 'Cary']);
+    expect(lines()[1]).toMatchObject({ schemaVersion: SCAN_SCHEMA_VERSION, scanStartedAt: SCAN.startedAt, isAvailable: false });
+
+    exporter.finish({ ...SCAN, startedAt: '2026-10-19T12:05:00.000Z', results: [SCAN.results[1]] });
+    expect(lines().map(line => line.scanStartedAt)).toEqual([SCAN.startedAt, SCAN.startedAt, SCAN.startedAt, '2026-10-19T12:05:00.000Z']);
+  });
+
+  test('parses export specs', () => {
+    expect(createExporter('csv:data/slots.csv')).toMatchObject({ name: 'csv', output: 'data/slots.csv', toStdout: false });
+    expect(createExporter('NDJSON')).toMatchObject({ name: 'ndjson', output: '-', toStdout: true });
+    expect(() => createExporter('xml:scan.xml')).toThrow('Unknown export format "xml" (expected json, csv, ndjson)');
+
+    const pipeline = createExportPipeline(['json:a.json,csv:b.csv', 'ndjson']);
+    expect(pipeline.exporters.map(exporter => exporter.name)).toEqual(['json', 'csv', 'ndjson']);
+    expect(pipeline.usesStdout).toBe(true);
+    expect(() => createExportPipeline(['json', 'csv:-'])).toThrow('Only one export can go to stdout (got json, csv)');
+
+    expect(createExportPipelineFromEnv({}).enabled).toBe(false);
+    expect(createExportPipelineFromEnv({ SCAN_EXPORT: 'json:scan.json' }).exporters[0]).toBeInstanceOf(JsonExporter);
+  });
+
+  test('keeps exporting when one exporter fails', () => {
+    class BrokenExporter extends Exporter {
+      constructor() {
+        super('broken', { output: path.join(dir, 'broken') });
+      }
+    }
+    const output = path.join(dir, 'scan.json');
+    const pipeline = new ExportPipeline([new BrokenExporter(), new JsonExporter({ output })]);
+
+    pipeline.begin(SCAN);
+    pipeline.addResult(SCAN.results[0]);
+    pipeline.finish(SCAN);
+
+    expect(JSON.parse(fs.readFileSync(output, 'utf8')).results).toHaveLength(3);
+  });
+});
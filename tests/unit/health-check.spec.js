@@ -0,0 +1,80 @@
+import { test, expect } from '@playwright/test';
+import { Scanner } from '../../lib/scanner.js';
+import { CHECK_STATUS, HEALTH_CHECKS, HealthCheck } from '../../lib/health-check.js';
+import { ERROR_TYPES } from '../../lib/errors.js';
+import { MockQflowServer } from '../../mock/server.js';
+import { INDEX_PATH, GEOLOCATION } from '../fixtures.js';
+
+test.describe('health check against the mock QFlow site', { tag: '@browser' }, () => {
+  let server;
+  let scanner;
+
+  test.beforeEach(async ({ browser }) => {
+    server = new MockQflowServer({ port: 0 });
+    await server.start();
+    scanner = new Scanner({ browser, baseUrl: `${server.url}${INDEX_PATH}`, geolocation: GEOLOCATION, appointmentTypeId: '10', retryDelayMs: 0 });
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+  });
+
+  /**
+   * Serve the default scenario with some of the mock's markup renamed
+   */
+  function drift(...names) {
+    server.setScenario({ ...MockQflowServer.loadScenario('default'), drift: names });
+  }
+
+  const statuses = report => Object.fromEntries(report.checks.map(check => [check.id, check.status]));
+
+  test('finds every selector and marker, stopping once both calendar outcomes were seen', async () => {
+    const report = await new HealthCheck({ scanner }).run();
+
+    expect(report).toMatchObject({ healthy: true, drifted: [], locations: ['Raleigh West', 'Raleigh North'] });
+    expect(report.checks.map(check => check.id)).toEqual(HEALTH_CHECKS.map(check => check.id));
+    expect(report.checks.every(check => check.status === CHECK_STATUS.OK)).toBe(true);
+  });
+
+  test('reports exactly the selectors and markers that drifted', async () => {
+    drift('calendarModel', 'noDatesInput');
+
+    const report = await new HealthCheck({ scanner }).run();
+
+    expect(report.healthy).toBe(false);
+    expect(report.drifted).toEqual(['calendarModel', 'noDatesInput']);
+    expect(report.checks.find(check => check.id === 'calendarModel').detail)
+      .toBe('No OABSEngine.Models.CalendarDateModel in the AmendStep response for Raleigh West');
+    expect(report.checks.find(check => check.id === 'noDatesInput').detail).toBe('No ErrorNoAvaiableDates field for Raleigh North');
+  });
+
+  test('leaves the steps after a missing element unverified', async () => {
+    drift('activeUnit');
+
+    const report = await new HealthCheck({ scanner, timeoutMs: 1000 }).run();
+
+    expect(report.drifted).toEqual(['activeUnit']);
+    expect(statuses(report)).toMatchObject({
+      makeAppointment: CHECK_STATUS.OK,
+      appointmentType: CHECK_STATUS.OK,
+      calendarModel: CHECK_STATUS.UNVERIFIED,
+      noDatesInput: CHECK_STATUS.UNVERIFIED
+    });
+    expect(report.checks.find(check => check.id === 'calendarModel').detail).toBe('The calendar step was not reached');
+  });
+
+  test('a scan reports availability as unknown instead of guessing when the no-appointments markup drifted', async () => {
+    drift('noAppointmentsError', 'noDatesInput');
+
+    const { results, errors } = await scanner.scan();
+
+    expect(errors).toEqual([]);
+    expect(results.map(r => [r.cityName, r.isAvailable, r.error?.type ?? null])).toEqual([
+      ['Raleigh West', true, null],
+      ['Raleigh North', false, ERROR_TYPES.SELECTOR_DRIFT],
+      ['Cary', true, null],
+      ['Durham South', false, ERROR_TYPES.SELECTOR_DRIFT]
+    ]);
+    expect(results[1].error.message).toBe('Availability unknown for Raleigh North: no calendar or no-appointments message');
+  });
+});
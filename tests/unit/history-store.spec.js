@@ -0,0 +1,147 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { HistoryStore, resolveHistoryFile, DEFAULT_HISTORY_FILE } from '../../lib/history-store.js';
+
+const TYPE = { id: '10', text: null };
+
+/**
+ * Build a scan at a local time with the given per-city slots
+ * @param {string} time - Local time such as "2026-10-19T08:00:00"
+ * @param {object} slotsByCity - City name to array of slot datetimes
+ */
+function scanAt(time, slotsByCity) {
+  const timestamp = new Date(time).toISOString();
+  return {
+    baseUrl: 'http://127.0.0.1:3000/Webapp/Appointment/Index/x',
+    startedAt: timestamp,
+    finishedAt: timestamp,
+    // A city without slots (null) could not be checked
+    results: Object.entries(slotsByCity).map(([cityName, slots]) => slots === null ? { cityName, error: { message: 'HTTP 503' } } : ({
+      cityName,
+      isAvailable: slots.length > 0,
+      availableDates: [...new Set(slots.map(s => s.split(' ')[0]))].map(d => {
+        const [month, day, year] = d.split('/');
+        return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+      }),
+      timeSlots: slots.map(datetime => ({ datetime, value: datetime }))
+    }))
+  };
+}
+
+test.describe('HistoryStore', () => {
+  let dir;
+  let store;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-history-'));
+    store = new HistoryStore(path.join(dir, 'nested', 'history.jsonl'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('appends one JSONL record per location', async () => {
+    store.append(scanAt('2026-10-19T08:00:00', { Cary: ['11/18/2026 7:45:00 AM'], Garner: [] }), TYPE);
+
+    const lines = fs.readFileSync(store.filePath, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[0])).toMatchObject({
+      appointmentType: { id: '10' },
+      cityName: 'Cary',
+      isAvailable: true,
+      availableDates: ['2026-11-18'],
+      timeSlots: ['11/18/2026 7:45:00 AM']
+    });
+  });
+
+  test('skips malformed lines and filters by time and appointment type', async () => {
+    store.append(scanAt('2026-10-10T08:00:00', { Cary: [] }), TYPE);
+    fs.appendFileSync(store.filePath, '{not json\n');
+    store.append(scanAt('2026-10-19T08:00:00', { Cary: [] }), TYPE);
+    store.append(scanAt('2026-10-19T09:00:00', { Cary: [] }), { id: '3' });
+
+    expect(await store.readRecords()).toHaveLength(3);
+    expect(await store.readRecords({ since: new Date('2026-10-15T00:00:00') })).toHaveLength(2);
+    expect(await store.readRecords({ appointmentTypeId: '3' })).toHaveLength(1);
+  });
+
+  test('returns nothing for a missing file', async () => {
+    expect(await store.readRecords()).toEqual([]);
+  });
+
+  test('reports the earliest date seen per office', async () => {
+    store.append(scanAt('2026-10-19T08:00:00', { Cary: ['11/18/2026 7:45:00 AM'], Garner: [] }), TYPE);
+    store.append(scanAt('2026-10-19T12:00:00', { Cary: ['11/4/2026 9:00:00 AM'], Garner: [] }), TYPE);
+    store.append(scanAt('2026-10-19T16:00:00', { Cary: ['12/1/2026 9:00:00 AM'], Garner: [] }), TYPE);
+
+    const rows = await store.earliestDatePerOffice();
+    expect(rows).toEqual([
+      { cityName: 'Cary', unitId: null, appointmentTypeId: '10', earliestDate: '2026-11-04', seenAt: new Date('2026-10-19T12:00:00').toISOString(), scans: 3, availableScans: 3 },
+      { cityName: 'Garner', unitId: null, appointmentTypeId: '10', earliestDate: null, seenAt: null, scans: 3, availableScans: 0 }
+    ]);
+  });
+
+  test('tracks how long each slot stayed open', async () => {
+    store.append(scanAt('2026-10-19T08:00:00', { Cary: ['11/18/2026 7:45:00 AM'] }), TYPE);
+    store.append(scanAt('2026-10-19T09:00:00', { Cary: ['11/18/2026 7:45:00 AM', '11/4/2026 9:00:00 AM'] }), TYPE);
+    store.append(scanAt('2026-10-19T09:30:00', { Cary: ['11/4/2026 9:00:00 AM'] }), TYPE);
+    store.append(scanAt('2026-10-19T11:00:00', { Cary: [] }), TYPE);
+
+    const rows = await store.slotLifetimes();
+    expect(rows.map(r => [r.datetime, r.isNew, r.open, r.durationMs / 60000])).toEqual([
+      ['11/18/2026 7:45:00 AM', false, false, 90],
+      ['11/4/2026 9:00:00 AM', true, false, 120]
+    ]);
+  });
+
+  test('closes the open slots of a location a later scan set out to check but could not', async () => {
+    store.append(scanAt('2026-10-19T08:00:00', { Cary: ['11/18/2026 7:45:00 AM'], Garner: ['11/4/2026 9:00:00 AM'] }), TYPE);
+    store.append(scanAt('2026-10-19T09:00:00', { Cary: ['11/18/2026 7:45:00 AM', '12/1/2026 9:00:00 AM'], Garner: ['11/4/2026 9:00:00 AM'] }), TYPE);
+    store.append(scanAt('2026-10-19T10:00:00', { Cary: null, Garner: ['11/4/2026 9:00:00 AM'] }), TYPE);
+    store.append(scanAt('2026-10-19T11:00:00', { Cary: ['11/18/2026 7:45:00 AM'], Garner: null }), TYPE);
+    store.append(scanAt('2026-10-19T11:00:00', { Cary: null, Garner: ['11/4/2026 9:00:00 AM'] }), { id: '3' });
+
+    const rows = await store.slotLifetimes({ appointmentTypeId: '10' });
+    expect(rows.map(r => [r.cityName, r.datetime, r.isNew, r.open, r.closedAt])).toEqual([
+      ['Cary', '11/18/2026 7:45:00 AM', false, false, new Date('2026-10-19T10:00:00').toISOString()],
+      ['Garner', '11/4/2026 9:00:00 AM', false, false, new Date('2026-10-19T11:00:00').toISOString()],
+      ['Cary', '12/1/2026 9:00:00 AM', true, false, new Date('2026-10-19T10:00:00').toISOString()],
+      ['Cary', '11/18/2026 7:45:00 AM', false, true, null]
+    ]);
+  });
+
+  test('keeps slots open through scans of other offices', async () => {
+    store.append(scanAt('2026-10-19T08:00:00', { Cary: ['11/18/2026 7:45:00 AM'] }), TYPE);
+    store.append(scanAt('2026-10-19T08:30:00', { Charlotte: ['11/5/2026 9:00:00 AM'] }), TYPE);
+    store.append(scanAt('2026-10-19T09:00:00', { Cary: ['11/18/2026 7:45:00 AM', '11/4/2026 9:00:00 AM'] }), TYPE);
+    store.append(scanAt('2026-10-19T09:30:00', { Charlotte: ['11/5/2026 9:00:00 AM'] }), TYPE);
+    store.append(scanAt('2026-10-19T10:00:00', { Cary: ['11/18/2026 7:45:00 AM', '11/4/2026 9:00:00 AM'] }), TYPE);
+
+    const rows = (await store.slotLifetimes()).filter(row => row.cityName === 'Cary');
+    expect(rows.map(r => [r.datetime, r.isNew, r.open, r.durationMs / 60000])).toEqual([
+      ['11/18/2026 7:45:00 AM', false, true, 120],
+      ['11/4/2026 9:00:00 AM', true, true, 60]
+    ]);
+  });
+
+  test('counts new slots by local hour of appearance', async () => {
+    store.append(scanAt('2026-10-19T07:00:00', { Cary: ['11/18/2026 7:45:00 AM'] }), TYPE);
+    store.append(scanAt('2026-10-19T08:05:00', { Cary: ['11/18/2026 7:45:00 AM', '11/4/2026 9:00:00 AM', '11/4/2026 9:15:00 AM'] }), TYPE);
+    store.append(scanAt('2026-10-19T17:10:00', { Cary: ['11/5/2026 9:00:00 AM'] }), TYPE);
+
+    const hours = await store.newSlotHours();
+    expect(hours).toHaveLength(24);
+    expect(hours.filter(h => h.count > 0)).toEqual([{ hour: 8, count: 2 }, { hour: 17, count: 1 }]);
+  });
+});
+
+test.describe('resolveHistoryFile', () => {
+  test('defaults, overrides and disables the history file', () => {
+    expect(resolveHistoryFile(undefined)).toBe(DEFAULT_HISTORY_FILE);
+    expect(resolveHistoryFile('/tmp/h.jsonl')).toBe('/tmp/h.jsonl');
+    expect(resolveHistoryFile('off')).toBeNull();
+  });
+});
@@ -0,0 +1,199 @@
+import { test, expect } from '@playwright/test';
+import { parseAppointmentData } from '../../lib/appointment-parser.js';
+import { ERROR_TYPES, RECOVERY_ACTIONS, SiteDownError, ThrottledError } from '../../lib/errors.js';
+import { HttpScanner, QflowHttpClient } from '../../lib/http-scanner.js';
+import { RateLimiter } from '../../lib/rate-limiter.js';
+import { FallbackScanner, createScanner } from '../../lib/scanner-factory.js';
+import { MockQflowServer } from '../../mock/server.js';
+import { INDEX_PATH, GEOLOCATION } from '../fixtures.js';
+
+test.describe('HttpScanner against the mock QFlow site', () => {
+  let server;
+
+  test.beforeEach(async () => {
+    server = new MockQflowServer({ port: 0 });
+    await server.start();
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+  });
+
+  const scanner = options => new HttpScanner({
+    baseUrl: `${server.url}${INDEX_PATH}`,
+    geolocation: GEOLOCATION,
+    appointmentTypeId: '10',
+    requestDelayMs: 0,
+    ...options
+  });
+
+  test('reports the same availability as the browser scan', async () => {
+    const { results } = await scanner().scan();
+
+    expect(Object.fromEntries(results.map(r => [r.cityName, r.isAvailable]))).toEqual({
+      'Raleigh West': true,
+      'Raleigh North': false,
+      'Cary': true,
+      'Durham South': false
+    });
+
+    const raleighWest = results[0];
+    expect(raleighWest.availableDates).toEqual(['2026-11-04', '2026-11-06', '2026-12-02']);
+    expect(raleighWest.availability['2026-11-06'].map(slot => slot.time)).toEqual(['9:00 AM', '1:30 PM']);
+    expect(raleighWest.timeSlots).toHaveLength(8);
+    expect(raleighWest.timeSlots.map(slot => slot.datetime)).toContain('11/4/2026 12:15:00 PM');
+    expect(raleighWest.timeSlots[0]).toEqual({
+      date: '2026-11-04',
+      time: '8:00 AM',
+      datetime: '11/4/2026 8:00:00 AM',
+      value: '8:00 AM',
+      serviceId: '101',
+      appointmentTypeId: '10'
+    });
+  });
+
+  test('reports a JSON calendar without appointments as unavailable, not as drift', async () => {
+    const location = { cityName: 'Cary', location: { unitId: '103' } };
+    const client = body => ({ checkLocation: async () => parseAppointmentData(body) });
+
+    const result = await scanner().checkLocation(client(JSON.stringify({ hasAppointments: false, availableDates: [] })), location, 7.1);
+    expect(result).toMatchObject({ cityName: 'Cary', isAvailable: false, availableDates: [], timeSlots: [] });
+    await expect(scanner().checkLocation(client('<p>Under maintenance</p>'), location)).rejects.toThrow('Unrecognized calendar step for Cary');
+  });
+
+  test('carries the location model and applies the distance cutoff', async () => {
+    const { results } = await scanner({ maxDistanceMiles: 10 }).scan();
+
+    expect(results.map(r => [r.location.unitId, r.distanceMiles])).toEqual([['101', 4.3], ['102', 6.4], ['103', 7.1]]);
+    expect(results[0].location).toMatchObject({ name: 'Raleigh West', address: '4701 Atlantic Ave Suite 116', city: 'Raleigh', zip: '27604' });
+  });
+
+  test('starts no more location checks per minute than the rate limit, on the default engine too', async () => {
+    expect(createScanner({ baseUrl: `${server.url}${INDEX_PATH}`, appointmentTypeId: '10', maxChecksPerMinute: 30 }).primary.rateLimiter.intervalMs).toBe(2000);
+
+    const limited = scanner();
+    const waits = [];
+    limited.rateLimiter = new RateLimiter({ maxPerMinute: 30, now: () => 0, sleep: async ms => { waits.push(ms); } });
+    const { results } = await limited.scan();
+    expect(results).toHaveLength(4);
+    expect(waits).toEqual([2000, 4000, 6000]);
+  });
+
+  test('replays the session cookie, token and step fields', async () => {
+    await scanner({ appointmentTypeId: null, appointmentTypeText: 'REAL ID' }).scan();
+
+    const posts = server.requests.filter(r => r.method === 'POST');
+    expect(posts.every(r => r.status === 200)).toBe(true);
+    expect(posts[1].form).toMatchObject({ AppointmentTypeId: '6', Latitude: String(GEOLOCATION.latitude) });
+    expect(posts.slice(2).map(r => r.form.UnitId)).toContain('105');
+  });
+
+  test('scans several appointment types in one session', async () => {
+    const { appointmentTypes, results } = await scanner({ appointmentTypeId: null, appointmentTypes: [{ id: '10' }, { id: '3' }] }).scan();
+
+    expect(appointmentTypes.map(type => [type.id, type.label])).toEqual([
+      ['10', 'Limited provisional license - ages 16-17; Level 1 permit'],
+      ['3', 'Driver license renewal']
+    ]);
+    expect(results.filter(r => r.appointmentType.id === '10').map(r => r.location.unitId)).toEqual(['101', '102', '103', '104']);
+    // Garner only offers type 3; nearest first within each type
+    expect(results.filter(r => r.appointmentType.id === '3').map(r => r.location.unitId)).toEqual(['101', '105', '102', '103', '104']);
+  });
+
+  test('lists appointment types with their labels', async () => {
+    const client = new QflowHttpClient({ baseUrl: `${server.url}${INDEX_PATH}`, geolocation: GEOLOCATION });
+
+    const types = await client.getAppointmentTypes();
+
+    expect(types.map(t => t.id)).toEqual(['10', '3', '6', '12']);
+    expect(types[0].label).toBe('Limited provisional license - ages 16-17; Level 1 permit');
+  });
+
+  test('fails on an unknown appointment type and an empty session', async () => {
+    await expect(scanner({ appointmentTypeId: '999' }).scan()).rejects.toThrow('Appointment type 999 not found');
+
+    const client = new QflowHttpClient({ baseUrl: `${server.url}${INDEX_PATH}` });
+    await expect(client.amendStep({ trigger: 'x', target: 'y' })).rejects.toThrow('call start() first');
+  });
+});
+
+test.describe('FallbackScanner', () => {
+  test('switches to the fallback for the rest of the session after a failure', async () => {
+    let primaryScans = 0;
+    let fallbackScans = 0;
+    const primary = {
+      scan: async () => { primaryScans++; throw new Error('markup changed'); },
+      close: async () => {}
+    };
+    const scanner = new FallbackScanner(primary, () => ({
+      scan: async () => ({ results: [{ scan: ++fallbackScans }] }),
+      close: async () => {}
+    }));
+
+    expect((await scanner.scan()).results).toEqual([{ scan: 1 }]);
+    expect((await scanner.scan()).results).toEqual([{ scan: 2 }]);
+    expect(primaryScans).toBe(1);
+  });
+
+  test('does not report the offices again that the failed HTTP scan already reported', async () => {
+    const reported = [];
+    const onResult = async (result, position, total) => { reported.push(`${result.cityName} ${position + 1}/${total}`); };
+    const results = ['Raleigh West', 'Raleigh North', 'Cary', 'Durham South'].map(cityName => ({ cityName }));
+    const primary = {
+      onResult,
+      async scan() {
+        for (let i = 0; i < 2; i++) await this.onResult(results[i], i, results.length);
+        throw new Error('HTTP 401 on Cary');
+      },
+      close: async () => {}
+    };
+    const scanner = new FallbackScanner(primary, () => ({
+      onResult,
+      async scan() {
+        for (let i = 0; i < results.length; i++) await this.onResult(results[i], i, results.length);
+        return { results };
+      },
+      close: async () => {}
+    }));
+
+    expect((await scanner.scan()).results).toHaveLength(4);
+    expect(reported).toEqual(['Raleigh West 1/4', 'Raleigh North 2/4', 'Cary 3/4', 'Durham South 4/4']);
+
+    // The next scan is the browser's alone
+    await scanner.scan();
+    expect(reported).toHaveLength(8);
+  });
+
+  test('falls back when listing appointment types fails', async () => {
+    const scanner = new FallbackScanner(
+      { listAppointmentTypes: async () => { throw new Error('markup changed'); }, close: async () => {} },
+      () => ({ listAppointmentTypes: async () => [{ id: '10', label: 'Teen' }], close: async () => {} })
+    );
+
+    expect(await scanner.listAppointmentTypes()).toEqual([{ id: '10', label: 'Teen' }]);
+  });
+
+  test('throws throttling and outages instead of falling back, as the recovery policy aborts on them', async () => {
+    let fallbacks = 0;
+    const failing = error => new FallbackScanner(
+      { scan: async () => { throw error; }, close: async () => {} },
+      () => ({ scan: async () => ({ results: [{ scan: ++fallbacks }] }), close: async () => {} })
+    );
+
+    await expect(failing(new ThrottledError('Too many requests', { status: 429 })).scan()).rejects.toMatchObject({ type: ERROR_TYPES.THROTTLED });
+    await expect(failing(new Error('fetch failed')).scan()).rejects.toMatchObject({ type: ERROR_TYPES.SITE_DOWN });
+    expect(fallbacks).toBe(0);
+
+    const lenient = new FallbackScanner(
+      { scan: async () => { throw new SiteDownError('HTTP 503', { status: 503 }); }, close: async () => {} },
+      () => ({ scan: async () => ({ results: [{ scan: ++fallbacks }] }), close: async () => {} }),
+      { recoveryPolicy: { [ERROR_TYPES.SITE_DOWN]: { action: RECOVERY_ACTIONS.SKIP } } }
+    );
+    expect((await lenient.scan()).results).toEqual([{ scan: 1 }]);
+  });
+
+  test('rejects unknown engines', () => {
+    expect(() => createScanner({ engine: 'curl', appointmentTypeId: '10' })).toThrow('Unknown engine "curl"');
+    expect(createScanner({ engine: 'http', appointmentTypeId: '10' })).toBeInstanceOf(HttpScanner);
+  });
+});
@@ -0,0 +1,85 @@
+import { test, expect } from '@playwright/test';
+import { Location, haversineMiles, rankLocations, parseMaxDistance } from '../../lib/location.js';
+
+const RALEIGH = { latitude: 35.7796, longitude: -78.6382 };
+
+test.describe('Location', () => {
+  test('parses the unit id, address, city, zip and displayed distance from a tile', () => {
+    const location = Location.fromTile({
+      id: '101',
+      latitude: '35.8383',
+      longitude: '-78.6118',
+      lines: ['Raleigh West', '4701 Atlantic Ave Suite 116', 'Raleigh, NC 27604', '4.3 mi']
+    });
+
+    expect(location).toEqual(new Location({
+      unitId: '101',
+      name: 'Raleigh West',
+      address: '4701 Atlantic Ave Suite 116',
+      city: 'Raleigh',
+      state: 'NC',
+      zip: '27604',
+      displayedDistanceMiles: 4.3,
+      latitude: 35.8383,
+      longitude: -78.6118
+    }));
+  });
+
+  test('keeps missing fields empty', () => {
+    const location = Location.fromTile({ id: null, latitude: '', lines: ['  Raleigh  ', ''] });
+
+    expect(location).toMatchObject({ unitId: null, name: 'Raleigh', city: null, zip: null, latitude: null });
+    expect(location.hasCoordinates).toBe(false);
+    expect(location.distanceFrom(RALEIGH)).toBeNull();
+  });
+
+  test('prefers coordinates over the displayed distance', () => {
+    const location = new Location({ latitude: 35.9940, longitude: -78.8986, displayedDistanceMiles: 99 });
+    const displayedOnly = new Location({ displayedDistanceMiles: 12.5 });
+
+    expect(location.distanceFrom(RALEIGH)).toBeCloseTo(20.5, 0);
+    expect(displayedOnly.distanceFrom(RALEIGH)).toBe(12.5);
+  });
+});
+
+test.describe('rankLocations', () => {
+  const locations = [
+    new Location({ unitId: 'far', latitude: 35.2271, longitude: -80.8431 }),
+    new Location({ unitId: 'unknown' }),
+    new Location({ unitId: 'near', latitude: 35.7915, longitude: -78.7811 })
+  ];
+
+  test('orders by distance, unknown distances last', () => {
+    const plan = rankLocations(locations, RALEIGH);
+
+    expect(plan.map(entry => [entry.location.unitId, entry.index])).toEqual([['near', 2], ['far', 0], ['unknown', 1]]);
+    expect(plan[0].distanceMiles).toBe(8.1);
+  });
+
+  test('drops locations beyond the cutoff', () => {
+    const plan = rankLocations(locations, RALEIGH, { maxDistanceMiles: 25 });
+
+    expect(plan.map(entry => entry.location.unitId)).toEqual(['near', 'unknown']);
+  });
+
+  test('keeps only the given offices, keeping their tile positions', () => {
+    const plan = rankLocations(locations, RALEIGH, { unitIds: ['far', 'near'] });
+
+    expect(plan.map(entry => [entry.location.unitId, entry.index])).toEqual([['near', 2], ['far', 0]]);
+  });
+});
+
+test.describe('distance helpers', () => {
+  test('computes great-circle distance in miles', () => {
+    // Raleigh to Charlotte
+    expect(haversineMiles(35.7796, -78.6382, 35.2271, -80.8431)).toBeCloseTo(129.8, 1);
+    expect(haversineMiles(35.7796, -78.6382, 35.7796, -78.6382)).toBe(0);
+  });
+
+  test('parses MAX_DISTANCE_MILES', () => {
+    expect(parseMaxDistance(undefined)).toBeNull();
+    expect(parseMaxDistance('')).toBeNull();
+    expect(parseMaxDistance('15')).toBe(15);
+    expect(() => parseMaxDistance('-3')).toThrow('Invalid maximum distance');
+  });
+});
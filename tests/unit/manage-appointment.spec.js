@@ -0,0 +1,59 @@
+import { test, expect } from '@playwright/test';
+import { checkManageSelectors, earlierCandidates, heldAppointment, parseAppointmentLookup } from '../../lib/manage-appointment.js';
+import { NC_DMV } from '../../lib/sites/nc-dmv.js';
+import { INDEX_PATH } from '../fixtures.js';
+
+const DETAILS = {
+  'Confirmation number': 'NC20261210',
+  'Office': 'Raleigh West, 4701 Atlantic Ave Suite 116, Raleigh, NC 27604',
+  'Appointment type': 'Driver license renewal',
+  'Date and time': '12/10/2026 1:30:00 PM',
+  'Name': 'Pat Doe'
+};
+
+test.describe('existing appointment', () => {
+  test('validates the lookup', () => {
+    expect(parseAppointmentLookup({ confirmationNumber: ' NC20261210 ', contact: ' pat.doe@example.com ' }))
+      .toEqual({ confirmationNumber: 'NC20261210', contact: 'pat.doe@example.com' });
+    expect(parseAppointmentLookup({ confirmationNumber: 'NC20261210', contact: '(919) 555-0142' }).contact).toBe('(919) 555-0142');
+
+    expect(() => parseAppointmentLookup({ contact: 'pat.doe@example.com' })).toThrow('Missing the confirmation number of the appointment');
+    expect(() => parseAppointmentLookup({ confirmationNumber: 'NC20261210', contact: '555-0142' }))
+      .toThrow('Contact "555-0142" is neither an email address nor a 10-digit phone number');
+  });
+
+  test('reads the appointment held from its details', () => {
+    expect(heldAppointment(DETAILS)).toEqual({
+      confirmationNumber: 'NC20261210',
+      office: 'Raleigh West',
+      appointmentType: 'Driver license renewal',
+      datetime: '12/10/2026 1:30:00 PM',
+      date: '2026-12-10',
+      time: '1:30 PM',
+      minutes: 810,
+      details: DETAILS
+    });
+    expect(() => heldAppointment({ ...DETAILS, 'Date and time': 'soon' })).toThrow('Could not read the appointment\'s date and time from "soon"');
+  });
+
+  test('keeps the candidates earlier than the appointment, in rank order', () => {
+    const candidate = datetime => ({ slot: { datetime }, result: { cityName: 'Cary' } });
+    const candidates = [
+      candidate('12/11/2026 8:00:00 AM'),
+      candidate('12/10/2026 9:00:00 AM'),
+      candidate('12/10/2026 1:30:00 PM'),
+      candidate('11/18/2026 4:30:00 PM')
+    ];
+
+    expect(earlierCandidates(candidates, heldAppointment(DETAILS)).map(({ slot }) => slot.datetime))
+      .toEqual(['12/10/2026 9:00:00 AM', '11/18/2026 4:30:00 PM']);
+  });
+
+  test('refuses the live site until the existing-appointment selectors are confirmed', () => {
+    expect(() => checkManageSelectors(NC_DMV, NC_DMV.baseUrl))
+      .toThrow('The NC DMV selectors for existing appointments (manageAppointment, lookupConfirmationNumber, lookupContact, findAppointment, '
+        + 'rescheduleAppointment, cancelAppointment, confirmCancellation, cancellationMessage) are not confirmed against https://skiptheline.ncdot.gov yet');
+    expect(() => checkManageSelectors(NC_DMV, `http://127.0.0.1:3000${INDEX_PATH}`)).not.toThrow();
+    expect(() => checkManageSelectors(NC_DMV.extend({ unconfirmedSelectors: [] }), NC_DMV.baseUrl)).not.toThrow();
+  });
+});
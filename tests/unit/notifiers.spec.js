@@ -0,0 +1,318 @@
+import { test, expect } from '@playwright/test';
+import http from 'http';
+import net from 'net';
+import {
+  NotificationDispatcher,
+  WebhookNotifier,
+  EmailNotifier,
+  BellNotifier,
+  Notifier,
+  createDispatcherFromEnv,
+  deliveredEvents
+} from '../../lib/notifiers/index.js';
+import { ehloName, encodeHeader } from '../../lib/notifiers/email-notifier.js';
+import { findEarlierSlots, parseCurrentBooking } from '../../lib/current-booking.js';
+import { MockSmtpServer } from '../../mock/smtp-server.js';
+
+const caryResult = {
+  cityName: 'Cary',
+  isAvailable: true,
+  availableDates: ['2026-11-18', '2026-11-04', '2026-12-01'],
+  timeSlots: [
+    { datetime: '11/4/2026 8:00:00 AM' },
+    { datetime: '11/4/2026 8:15:00 AM' },
+    { datetime: '12/1/2026 9:00:00 AM' }
+  ]
+};
+const gained = result => ({ type: 'gained', cityName: result.cityName, result });
+const scan = { baseUrl: 'http://127.0.0.1:3000/Webapp/Appointment/Index/x', finishedAt: '2026-10-19T12:00:00.000Z' };
+
+/**
+ * Collects notifications in memory
+ */
+class RecordingNotifier extends Notifier {
+  constructor() {
+    super('recording');
+    this.sent = [];
+  }
+
+  async send(notification) {
+    this.sent.push(notification);
+  }
+}
+
+test.describe('NotificationDispatcher', () => {
+  test('builds a notification with city, sorted dates and first time slots', () => {
+    const notification = new NotificationDispatcher().buildNotification(gained(caryResult), scan);
+
+    expect(notification).toMatchObject({
+      event: 'appointments-available',
+      change: 'gained',
+      cityName: 'Cary',
+      dates: ['2026-11-04', '2026-11-18', '2026-12-01'],
+      earliestDate: '2026-11-04',
+      timeSlots: ['11/4/2026 8:00:00 AM', '11/4/2026 8:15:00 AM', '12/1/2026 9:00:00 AM'],
+      scannedAt: scan.finishedAt
+    });
+    expect(notification.text).toContain(`Book at: ${scan.baseUrl}`);
+  });
+
+  test('names the appointment type the slots are for', () => {
+    const appointmentType = { id: '3', text: null, label: 'Driver license renewal' };
+    const notification = new NotificationDispatcher().buildNotification(gained({ ...caryResult, appointmentType }), scan);
+
+    expect(notification.appointmentType).toEqual(appointmentType);
+    expect(notification.text).toContain('Appointment type: Driver license renewal');
+  });
+
+  test('ignores lost availability', () => {
+    const dispatcher = new NotificationDispatcher();
+
+    expect(dispatcher.buildNotification({ type: 'lost', cityName: 'Cary', result: null })).toBeNull();
+  });
+
+  test('filters by city list', () => {
+    const dispatcher = new NotificationDispatcher({ filters: { cities: ['raleigh', ' Durham '] } });
+
+    expect(dispatcher.buildNotification(gained(caryResult))).toBeNull();
+    expect(dispatcher.buildNotification(gained({ ...caryResult, cityName: 'Durham' }))).not.toBeNull();
+  });
+
+  test('keeps only dates and slots before the cutoff', () => {
+    const dispatcher = new NotificationDispatcher({ filters: { dateBefore: '2026-11-30' } });
+
+    const notification = dispatcher.buildNotification(gained(caryResult));
+    expect(notification.dates).toEqual(['2026-11-04', '2026-11-18']);
+    expect(notification.timeSlots).toEqual(['11/4/2026 8:00:00 AM', '11/4/2026 8:15:00 AM']);
+
+    const strict = new NotificationDispatcher({ filters: { dateBefore: '2026-11-01' } });
+    expect(strict.buildNotification(gained(caryResult))).toBeNull();
+  });
+
+  test('filters by distance when the location has one', () => {
+    const dispatcher = new NotificationDispatcher({ filters: { maxDistanceMiles: 10 } });
+
+    expect(dispatcher.buildNotification(gained({ ...caryResult, distanceMiles: 25 }))).toBeNull();
+    expect(dispatcher.buildNotification(gained({ ...caryResult, distanceMiles: 6.5 }))).not.toBeNull();
+    expect(dispatcher.buildNotification(gained(caryResult))).not.toBeNull();
+  });
+
+  test('keeps delivering when one channel fails', async () => {
+    const failing = new Notifier('failing');
+    const recording = new RecordingNotifier();
+    const dispatcher = new NotificationDispatcher({ notifiers: [failing, recording] });
+
+    const outcomes = await dispatcher.dispatch([gained(caryResult)], scan);
+
+    expect(outcomes.map(o => [o.notifier, !!o.error])).toEqual([['failing', true], ['recording', false]]);
+    expect(recording.sent).toHaveLength(1);
+  });
+
+  test('sends one notification per location for slots that beat the current booking', async () => {
+    const recording = new RecordingNotifier();
+    const dispatcher = new NotificationDispatcher({ notifiers: [recording], filters: { cities: ['cary'] } });
+    const raleigh = { ...caryResult, cityName: 'Raleigh West', location: { unitId: '101' } };
+    const events = findEarlierSlots([caryResult, raleigh], parseCurrentBooking('2026-11-18 @ Durham South'));
+
+    await dispatcher.dispatchEarlierSlots(events, scan);
+
+    expect(recording.sent).toHaveLength(1);
+    expect(recording.sent[0]).toMatchObject({
+      event: 'earlier-slot-found',
+      cityName: 'Cary',
+      booking: { date: '2026-11-18', time: null, office: 'Durham South' },
+      deltaDays: 14,
+      earliestDate: '2026-11-04',
+      slots: [
+        { date: '2026-11-04', datetime: '11/4/2026 8:00:00 AM', deltaDays: 14 },
+        { date: '2026-11-04', datetime: '11/4/2026 8:15:00 AM', deltaDays: 14 }
+      ],
+      title: 'Earlier DMV appointment in Cary: 2026-11-04, 14 days before your booking'
+    });
+    expect(recording.sent[0].text).toContain('Your booking: 2026-11-18 at Durham South');
+  });
+
+  test('counts a location\'s slots as delivered only when every channel took them', async () => {
+    const raleigh = { ...caryResult, cityName: 'Raleigh West', location: { unitId: '101' } };
+    const durham = { ...caryResult, cityName: 'Durham South', location: { unitId: '104' } };
+    const events = findEarlierSlots([caryResult, raleigh, durham], parseCurrentBooking('2026-11-18'));
+    const flaky = new RecordingNotifier();
+    flaky.send = async notification => {
+      if (notification.cityName === 'Raleigh West') throw new Error('SMTP 451');
+      flaky.sent.push(notification);
+    };
+    const dispatcher = new NotificationDispatcher({ notifiers: [new RecordingNotifier(), flaky], filters: { cities: ['cary', 'raleigh west'] } });
+
+    const outcomes = await dispatcher.dispatchEarlierSlots(events, scan);
+
+    expect(outcomes.map(o => [o.cityName, o.notifier, !!o.error, o.events.length])).toEqual([
+      ['Cary', 'recording', false, 2], ['Cary', 'recording', false, 2],
+      ['Raleigh West', 'recording', false, 2], ['Raleigh West', 'recording', true, 2]
+    ]);
+    // Raleigh West failed on one channel and Durham South was filtered out: both stay pending
+    expect(deliveredEvents(outcomes).map(event => event.cityName)).toEqual(['Cary', 'Cary']);
+  });
+});
+
+test.describe('WebhookNotifier', () => {
+  let sink;
+  let received;
+  let status;
+
+  test.beforeEach(async () => {
+    received = [];
+    status = 204;
+    sink = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(status);
+        res.end();
+      });
+    });
+    await new Promise(resolve => sink.listen(0, '127.0.0.1', resolve));
+  });
+
+  test.afterEach(async () => {
+    await new Promise(resolve => sink.close(resolve));
+  });
+
+  test('POSTs the notification as JSON', async () => {
+    const url = `http://127.0.0.1:${sink.address().port}/hook`;
+    const dispatcher = new NotificationDispatcher({ notifiers: [new WebhookNotifier({ url, headers: { 'X-Token': 'abc' } })] });
+
+    await dispatcher.dispatch([gained(caryResult)], scan);
+
+    expect(received).toHaveLength(1);
+    expect(received[0].method).toBe('POST');
+    expect(received[0].headers['content-type']).toBe('application/json');
+    expect(received[0].headers['x-token']).toBe('abc');
+    expect(received[0].body).toMatchObject({ cityName: 'Cary', earliestDate: '2026-11-04' });
+    expect(received[0].body.timeSlots).toHaveLength(3);
+  });
+
+  test('rejects non-2xx responses', async () => {
+    status = 500;
+    const notifier = new WebhookNotifier({ url: `http://127.0.0.1:${sink.address().port}/hook` });
+
+    await expect(notifier.send({ title: 'x', text: 'x', cityName: 'Cary' })).rejects.toThrow('500');
+  });
+});
+
+test.describe('EmailNotifier', () => {
+  let smtp;
+
+  test.beforeEach(async () => {
+    smtp = new MockSmtpServer({ port: 0 });
+    await smtp.start();
+  });
+
+  test.afterEach(async () => {
+    await smtp.stop();
+  });
+
+  test('sends the notification over SMTP', async () => {
+    const notifier = new EmailNotifier({
+      host: '127.0.0.1',
+      port: smtp.port,
+      user: 'scanner',
+      pass: 'secret',
+      allowInsecureAuth: true,
+      from: 'scanner@example.com',
+      to: ['parent@example.com', 'teen@example.com']
+    });
+    const notification = new NotificationDispatcher().buildNotification(gained(caryResult), scan);
+
+    await notifier.send(notification);
+
+    expect(smtp.messages).toHaveLength(1);
+    const [message] = smtp.messages;
+    expect(message.auth).toBe('scanner');
+    expect(message.from).toBe('scanner@example.com');
+    expect(message.to).toEqual(['parent@example.com', 'teen@example.com']);
+    expect(message.data).toContain('Subject: DMV appointments available in Cary (earliest 2026-11-04)');
+    expect(message.data).toContain('First times: 11/4/2026 8:00:00 AM');
+  });
+
+  test('refuses to send the password to a server without STARTTLS', async () => {
+    const notifier = new EmailNotifier({ host: '127.0.0.1', port: smtp.port, user: 'scanner', pass: 'secret', from: 'a@example.com', to: ['b@example.com'] });
+
+    await expect(notifier.send({ title: 'x', text: 'x' })).rejects.toThrow('SMTP server does not offer STARTTLS');
+    expect(smtp.messages).toEqual([]);
+  });
+
+  test('greets with the hostname only when it looks like a domain', () => {
+    expect(ehloName('scanner.example.com')).toBe('scanner.example.com');
+    expect(ehloName('raspberrypi')).toBe('[127.0.0.1]');
+    expect(ehloName('my_laptop.local')).toBe('[127.0.0.1]');
+  });
+
+  test('fails when the server is unreachable', async () => {
+    const port = smtp.port;
+    await smtp.stop();
+    const notifier = new EmailNotifier({ host: '127.0.0.1', port, from: 'a@example.com', to: ['b@example.com'] });
+
+    await expect(notifier.send({ title: 'x', text: 'x' })).rejects.toThrow();
+  });
+
+  test('gives up on a server that stops answering', async () => {
+    const silent = net.createServer(() => {});
+    await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+    try {
+      const notifier = new EmailNotifier({ host: '127.0.0.1', port: silent.address().port, from: 'a@example.com', to: ['b@example.com'], timeoutMs: 100 });
+
+      await expect(notifier.send({ title: 'x', text: 'x' })).rejects.toThrow('SMTP server did not answer within 100ms');
+    } finally {
+      await new Promise(resolve => silent.close(resolve));
+    }
+  });
+
+  test('encodes a subject that is not plain ASCII', async () => {
+    const title = 'Cary ↑ 2026-11-04 8:00 AM is 14 days before your booking (2026-11-18 12:00 PM at Raleigh West)';
+    const notifier = new EmailNotifier({ host: '127.0.0.1', port: smtp.port, from: 'a@example.com', to: ['b@example.com'] });
+
+    await notifier.send({ title, text: 'x' });
+
+    const subject = /^Subject: (.*(?:\r\n .*)*)/m.exec(smtp.messages[0].data)[1];
+    const words = subject.split('\r\n ');
+    expect(words.length).toBeGreaterThan(1);
+    expect(words.every(word => /^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/.test(word) && word.length <= 75)).toBe(true);
+    expect(words.map(word => Buffer.from(word.slice(10, -2), 'base64').toString('utf8')).join('')).toBe(title);
+    expect(encodeHeader('DMV appointments available in Cary')).toBe('DMV appointments available in Cary');
+  });
+});
+
+test.describe('BellNotifier', () => {
+  test('rings the bell with the title', async () => {
+    let output = '';
+    const notifier = new BellNotifier({ stream: { write: chunk => { output += chunk; } } });
+
+    await notifier.send({ title: 'DMV appointments available in Cary', text: '' });
+
+    expect(output).toBe('\u0007DMV appointments available in Cary\n');
+  });
+});
+
+test.describe('createDispatcherFromEnv', () => {
+  test('enables channels whose variables are set', () => {
+    const dispatcher = createDispatcherFromEnv({
+      NOTIFY_WEBHOOK_URL: 'http://127.0.0.1/hook',
+      SMTP_HOST: 'smtp.example.com',
+      SMTP_USER: 'me@example.com',
+      NOTIFY_EMAIL_TO: 'a@example.com, b@example.com',
+      NOTIFY_BELL: 'true',
+      NOTIFY_MAX_DISTANCE: '15',
+      NOTIFY_DATE_BEFORE: '2026-12-01',
+      NOTIFY_CITIES: 'Raleigh,Cary'
+    });
+
+    expect(dispatcher.notifiers.map(n => n.name)).toEqual(['webhook', 'email', 'bell']);
+    expect(dispatcher.notifiers[1].smtp).toMatchObject({ port: 587, allowInsecureAuth: false, from: 'me@example.com', to: ['a@example.com', 'b@example.com'] });
+    expect(dispatcher.filters).toEqual({ maxDistanceMiles: 15, dateBefore: '2026-12-01', cities: ['raleigh', 'cary'] });
+  });
+
+  test('has no channels by default', () => {
+    expect(createDispatcherFromEnv({}).enabled).toBe(false);
+  });
+});
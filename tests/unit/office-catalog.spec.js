@@ -0,0 +1,202 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { HttpScanner } from '../../lib/http-scanner.js';
+import { Location } from '../../lib/location.js';
+import {
+  CatalogScanner,
+  NC_BOUNDS,
+  gridOrigins,
+  loadCatalog,
+  parseBounds,
+  parseOrigin,
+  planCatalogScans,
+  saveCatalog,
+  sweepOffices
+} from '../../lib/office-catalog.js';
+import { MockQflowServer } from '../../mock/server.js';
+import { INDEX_PATH } from '../fixtures.js';
+
+const RALEIGH = { latitude: 35.7796, longitude: -78.6382 };
+const ASHEVILLE = { latitude: 35.5951, longitude: -82.5515 };
+const WILMINGTON = { latitude: 34.2257, longitude: -77.9447 };
+
+test.describe('origins', () => {
+  test('parses positions and bounding boxes', () => {
+    expect(parseOrigin(' 35.7796, -78.6382 ')).toEqual(RALEIGH);
+    expect(parseBounds('NC')).toEqual(NC_BOUNDS);
+    expect(parseBounds('35.5,-79.2,36.2,-78.3')).toEqual({ south: 35.5, west: -79.2, north: 36.2, east: -78.3 });
+
+    expect(() => parseOrigin('35.7796')).toThrow('Invalid origin "35.7796"');
+    expect(() => parseOrigin('95,-78')).toThrow('Invalid origin "95,-78"');
+    expect(() => parseBounds('36.2,-79.2,35.5,-78.3')).toThrow('Invalid grid "36.2,-79.2,35.5,-78.3"');
+  });
+
+  test('covers a bounding box with cell centers about the spacing apart', () => {
+    // About 48 miles north to south and 50.4 west to east: two rows of three
+    const origins = gridOrigins({ south: 35.5, west: -79.2, north: 36.2, east: -78.3 }, 25);
+
+    expect(origins).toEqual([
+      { latitude: 35.675, longitude: -79.05 },
+      { latitude: 35.675, longitude: -78.75 },
+      { latitude: 35.675, longitude: -78.45 },
+      { latitude: 36.025, longitude: -79.05 },
+      { latitude: 36.025, longitude: -78.75 },
+      { latitude: 36.025, longitude: -78.45 }
+    ]);
+    expect(gridOrigins({ south: 35.5, west: -79.2, north: 36.2, east: -78.3 }, 100)).toEqual([{ latitude: 35.85, longitude: -78.75 }]);
+    expect(gridOrigins(NC_BOUNDS, 40)).toHaveLength(65);
+    expect(() => gridOrigins(NC_BOUNDS, 0)).toThrow('Invalid grid spacing "0"');
+  });
+});
+
+test.describe('sweepOffices', () => {
+  let server;
+
+  test.beforeEach(async () => {
+    server = new MockQflowServer({ port: 0, scenario: 'statewide' });
+    await server.start();
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+  });
+
+  const scanner = options => new HttpScanner({
+    baseUrl: `${server.url}${INDEX_PATH}`,
+    geolocation: RALEIGH,
+    appointmentTypes: [{ id: '10' }, { id: '3' }],
+    requestDelayMs: 0,
+    ...options
+  });
+
+  test('merges the offices listed from each origin', async () => {
+    // The mock lists only the three offices nearest the reported position
+    const fromRaleigh = await scanner().listLocations();
+    expect(fromRaleigh[0].locations.map(location => location.name)).toEqual(['Raleigh West', 'Fayetteville', 'Greensboro']);
+
+    const progress = [];
+    const catalog = await sweepOffices(scanner(), [RALEIGH, ASHEVILLE, WILMINGTON], {
+      baseUrl: server.url,
+      onOrigin: (entry, index, total) => progress.push([index, total, entry.officeCount, entry.newOfficeCount])
+    });
+
+    expect(catalog).toMatchObject({ catalogVersion: 1, baseUrl: server.url, generatedAt: expect.any(String) });
+    expect(progress).toEqual([[0, 3, 3, 3], [1, 3, 4, 3], [2, 3, 3, 2]]);
+    expect(catalog.offices.map(office => office.name)).toEqual([
+      'Asheville', 'Charlotte East', 'Fayetteville', 'Greensboro', 'Greenville', 'Hickory', 'Raleigh West', 'Wilmington'
+    ]);
+
+    const greensboro = catalog.offices.find(office => office.name === 'Greensboro');
+    expect(greensboro).toMatchObject({ key: '204', unitId: '204', city: 'Greensboro', zip: '27401', latitude: 36.0794, longitude: -79.7525 });
+    expect(greensboro.appointmentTypes.map(type => type.id)).toEqual(['10', '3']);
+    expect(greensboro.seenFrom).toEqual([{ ...RALEIGH, distanceMiles: 65.7 }, { ...ASHEVILLE, distanceMiles: 160.3 }]);
+
+    // Hickory only offers renewals, and only shows up from the mountains
+    const hickory = catalog.offices.find(office => office.name === 'Hickory');
+    expect(hickory.appointmentTypes).toEqual([{ id: '3', text: null, label: 'Driver license renewal' }]);
+    expect(hickory.seenFrom.map(seen => seen.latitude)).toEqual([ASHEVILLE.latitude]);
+  });
+
+  test('records an origin that failed and goes on', async () => {
+    const listLocations = async origin => {
+      if (origin === ASHEVILLE) throw new Error('Site is down');
+      return [{ id: '10', locations: [new Location({ unitId: '205', name: 'Raleigh West', latitude: 35.8383, longitude: -78.6118 })] }];
+    };
+
+    const catalog = await sweepOffices({ listLocations }, [ASHEVILLE, RALEIGH]);
+
+    expect(catalog.origins).toEqual([
+      { ...ASHEVILLE, officeCount: 0, newOfficeCount: 0, error: 'Site is down' },
+      { ...RALEIGH, officeCount: 1, newOfficeCount: 1, error: null }
+    ]);
+    expect(catalog.offices.map(office => office.key)).toEqual(['205']);
+  });
+
+  test('scans the catalog offices as one scan, nearest first', async () => {
+    const catalog = await sweepOffices(scanner(), [RALEIGH, ASHEVILLE, WILMINGTON]);
+    const positions = [];
+    const catalogScanner = new CatalogScanner({
+      catalog,
+      appointmentTypes: [{ id: '10' }],
+      geolocation: RALEIGH,
+      onResult: (result, position, total) => positions.push([result.cityName, position, total]),
+      createScanner: search => scanner({ appointmentTypes: [{ id: '10' }], ...search })
+    });
+
+    const scan = await catalogScanner.scan();
+    await catalogScanner.close();
+
+    expect(scan.results.map(result => [result.cityName, result.distanceMiles, result.isAvailable])).toEqual([
+      ['Raleigh West', 4.3, false],
+      ['Fayetteville', 52.2, false],
+      ['Greensboro', 65.7, true],
+      ['Greenville', 70.3, true],
+      ['Wilmington', 115.6, false],
+      ['Charlotte East', 131.3, false],
+      ['Asheville', 223.2, true]
+    ]);
+    expect(scan.appointmentTypes).toEqual([{ id: '10', text: null, label: 'Limited provisional license - ages 16-17; Level 1 permit' }]);
+    expect(positions.map(([, position]) => position)).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    expect(new Set(positions.map(([, , total]) => total))).toEqual(new Set([7]));
+  });
+});
+
+test.describe('planCatalogScans', () => {
+  const office = (key, seenFrom, extra = {}) => ({
+    key,
+    latitude: 35.8,
+    longitude: -78.6,
+    appointmentTypes: [{ id: '10', text: null, label: 'Teen Driver Level 1' }],
+    seenFrom: seenFrom.map(([latitude, longitude]) => ({ latitude, longitude, distanceMiles: 0 })),
+    ...extra
+  });
+  const catalog = {
+    offices: [
+      office('a', [[1, 1]]),
+      office('b', [[1, 1], [2, 2]]),
+      office('c', [[2, 2]]),
+      office('d', [[2, 2], [3, 3]]),
+      office('e', [[3, 3]], { latitude: 34.2, longitude: -77.9 }),
+      office('f', [[3, 3]], { appointmentTypes: [{ id: '3', text: null, label: 'Driver license renewal' }] })
+    ]
+  };
+
+  test('covers every office from as few origins as it can', () => {
+    expect(planCatalogScans(catalog)).toEqual([
+      { origin: { latitude: 2, longitude: 2 }, unitIds: ['b', 'c', 'd'] },
+      { origin: { latitude: 3, longitude: 3 }, unitIds: ['e', 'f'] },
+      { origin: { latitude: 1, longitude: 1 }, unitIds: ['a'] }
+    ]);
+  });
+
+  test('leaves out offices too far away or not offering the appointment types', () => {
+    const plan = planCatalogScans(catalog, { appointmentTypes: [{ text: 'Teen Driver' }], geolocation: RALEIGH, maxDistanceMiles: 50 });
+
+    expect(plan.flatMap(search => search.unitIds).sort()).toEqual(['a', 'b', 'c', 'd']);
+  });
+});
+
+test.describe('catalog file', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-catalog-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('round-trips and rejects files that are not catalogs', () => {
+    const file = path.join(dir, 'nested', 'catalog.json');
+    const catalog = { catalogVersion: 1, baseUrl: null, generatedAt: '2026-10-19T08:00:00.000Z', origins: [], offices: [] };
+    saveCatalog(catalog, file);
+    expect(loadCatalog(file)).toEqual(catalog);
+
+    fs.writeFileSync(file, '{ "results": [] }');
+    expect(() => loadCatalog(file)).toThrow(`${file} is not an office catalog`);
+    expect(() => loadCatalog(path.join(dir, 'missing.json'))).toThrow(`Could not read office catalog ${path.join(dir, 'missing.json')}`);
+  });
+});
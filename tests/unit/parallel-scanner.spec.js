@@ -0,0 +1,149 @@
+import { test, expect } from '@playwright/test';
+import { ParallelScanner, parseConcurrency } from '../../lib/parallel-scanner.js';
+import { Scanner } from '../../lib/scanner.js';
+import { createScanner } from '../../lib/scanner-factory.js';
+import { MockQflowServer } from '../../mock/server.js';
+import { INDEX_PATH, GEOLOCATION } from '../fixtures.js';
+
+test.describe('ParallelScanner against the mock QFlow site', { tag: '@browser' }, () => {
+  let server;
+
+  test.beforeEach(async () => {
+    server = new MockQflowServer({ port: 0 });
+    await server.start();
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+  });
+
+  // Contexts are opened in the test runner's browser
+  let browser;
+  test.beforeEach(async ({ browser: sharedBrowser }) => {
+    browser = sharedBrowser;
+  });
+
+  const options = extra => ({
+    browser,
+    baseUrl: `${server.url}${INDEX_PATH}`,
+    geolocation: GEOLOCATION,
+    appointmentTypeId: '10',
+    ...extra
+  });
+
+  test('checks locations in separate sessions and merges them nearest first', async () => {
+    const scanner = new ParallelScanner(options({ concurrency: 3 }));
+    const completed = [];
+    scanner.onResult = (result, i, total) => completed.push(`${i + 1}/${total}`);
+
+    const { results, appointmentTypes } = await scanner.scan();
+
+    expect(appointmentTypes.map(type => type.id)).toEqual(['10']);
+    expect(results.map(r => r.cityName)).toEqual(['Raleigh West', 'Raleigh North', 'Cary', 'Durham South']);
+    expect(results.filter(r => r.isAvailable).map(r => r.cityName)).toEqual(['Raleigh West', 'Cary']);
+    expect(results[2].timeSlots.map(slot => slot.datetime)).toEqual([
+      '11/18/2026 7:45:00 AM',
+      '11/18/2026 12:00:00 PM',
+      '11/18/2026 4:30:00 PM'
+    ]);
+    expect(completed).toEqual(['1/4', '2/4', '3/4', '4/4']);
+
+    // Each context is its own site session entering through the appointment type; every unit is clicked once
+    const typeSelections = server.requests.filter(request => request.form.AppointmentTypeId && !request.form.UnitId);
+    expect(new Set(typeSelections.map(request => request.sessionId)).size).toBe(3);
+    const unitClicks = server.requests.filter(request => request.form.UnitId);
+    expect(unitClicks.map(request => request.form.UnitId).sort()).toEqual(['101', '102', '103', '104']);
+
+    // The browser was passed in, so it stays open
+    await scanner.close();
+    expect(browser.isConnected()).toBe(true);
+  });
+
+  test('scans several appointment types with the same concurrency', async () => {
+    const { results } = await new ParallelScanner(options({ appointmentTypeId: null, appointmentTypes: [{ id: '10' }, { id: '3' }], concurrency: 2 })).scan();
+
+    expect(results.map(r => `${r.appointmentType.id}:${r.cityName}`)).toEqual([
+      '10:Raleigh West', '10:Raleigh North', '10:Cary', '10:Durham South',
+      '3:Raleigh West', '3:Garner', '3:Raleigh North', '3:Cary', '3:Durham South'
+    ]);
+  });
+
+  test('hands a failed location to another context', async () => {
+    const scanner = new ParallelScanner(options({ concurrency: 2 }));
+    const checkLocation = scanner.checkLocation.bind(scanner);
+    let failed = false;
+    scanner.checkLocation = async (appointmentPage, entry) => {
+      if (entry.location.unitId === '103' && !failed) {
+        failed = true;
+        throw new Error('Timeout waiting for AmendStep');
+      }
+      return checkLocation(appointmentPage, entry);
+    };
+
+    const { results } = await scanner.scan();
+
+    expect(failed).toBe(true);
+    expect(results.map(r => r.cityName)).toEqual(['Raleigh West', 'Raleigh North', 'Cary', 'Durham South']);
+    expect(results[2].isAvailable).toBe(true);
+  });
+
+  test('records a location that fails twice as an error result', async () => {
+    const scanner = new ParallelScanner(options({ concurrency: 2, retryDelayMs: 0 }));
+    const checkLocation = scanner.checkLocation.bind(scanner);
+    let attempts = 0;
+    scanner.checkLocation = async (appointmentPage, entry) => {
+      if (entry.location.unitId === '104') {
+        attempts++;
+        throw new Error('Durham South is down');
+      }
+      return checkLocation(appointmentPage, entry);
+    };
+
+    const { results, errors } = await scanner.scan();
+
+    expect(attempts).toBe(2);
+    expect(errors).toEqual([]);
+    expect(results.map(r => r.cityName)).toEqual(['Raleigh West', 'Raleigh North', 'Cary', 'Durham South']);
+    expect(results[3].error).toMatchObject({ message: 'Durham South is down', type: 'unknown', recovery: 'skip' });
+  });
+
+  test('stops every context when the site throttles', async () => {
+    server.scenario.locations.find(location => location.id === '101').failures = [429];
+
+    const { results, errors } = await new ParallelScanner(options({ concurrency: 2, retryDelayMs: 0 })).scan();
+
+    expect(errors.map(error => error.type)).toEqual(['throttled']);
+    expect(results.find(r => r.cityName === 'Raleigh West').error.recovery).toBe('abort');
+    expect(results.length).toBeLessThan(4);
+  });
+
+  test('caps location checks per minute across contexts', async () => {
+    const scanner = new ParallelScanner(options({ concurrency: 4, maxChecksPerMinute: 600 }));
+    const starts = [];
+    const acquire = scanner.rateLimiter.acquire.bind(scanner.rateLimiter);
+    scanner.rateLimiter.acquire = async () => {
+      await acquire();
+      starts.push(Date.now());
+    };
+
+    await scanner.scan();
+
+    expect(starts).toHaveLength(4);
+    starts.sort((a, b) => a - b);
+    for (let i = 1; i < starts.length; i++) {
+      expect(starts[i] - starts[i - 1]).toBeGreaterThanOrEqual(90);
+    }
+  });
+});
+
+test.describe('createScanner', () => {
+  test('creates a ParallelScanner for the browser engine when concurrency is above 1', () => {
+    expect(createScanner({ engine: 'browser', concurrency: 3 })).toBeInstanceOf(ParallelScanner);
+    expect(createScanner({ engine: 'browser', concurrency: 1 })).not.toBeInstanceOf(ParallelScanner);
+    expect(createScanner({ engine: 'browser' })).toBeInstanceOf(Scanner);
+    expect(parseConcurrency(undefined)).toBe(1);
+    expect(parseConcurrency('4')).toBe(4);
+    expect(() => parseConcurrency('0')).toThrow('Invalid concurrency "0"');
+    expect(() => parseConcurrency('2.5')).toThrow('Invalid concurrency "2.5"');
+  });
+});
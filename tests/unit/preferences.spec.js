@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+import { parsePreferences, rankSlots, slotMismatch, toMinutes } from '../../lib/preferences.js';
+import { locationResult } from '../fixtures.js';
+
+const NOW = new Date(2026, 9, 19, 12, 0);
+
+const RESULTS = [
+  locationResult('Raleigh West', '101', [['2026-11-04', '8:00 AM'], ['2026-11-04', '12:15 PM'], ['2026-11-04', '2:45 PM'], ['2026-11-07', '9:00 AM']]),
+  locationResult('Cary', '103', [['2026-11-04', '7:45 AM'], ['2026-11-04', '12:00 PM'], ['2026-11-18', '4:30 PM']], { distanceMiles: 7.1 }),
+  locationResult('Durham South', '104', [['2026-11-02', '10:00 AM']], { distanceMiles: 17.9 })
+];
+
+const describeSlot = match => `${match.result.cityName} ${match.slot.date} ${match.slot.time}`;
+
+test.describe('slot preferences', () => {
+  test('reads 12-hour and 24-hour times, with 12 PM after noon', () => {
+    expect(toMinutes('12:15 PM')).toBe(12 * 60 + 15);
+    expect(toMinutes('12:05 AM')).toBe(5);
+    expect(toMinutes('4:30:00 PM')).toBe(16 * 60 + 30);
+    expect(toMinutes('14:30')).toBe(14 * 60 + 30);
+    expect(toMinutes('13:00 PM')).toBeNull();
+  });
+
+  test('counts 12:xx PM slots as afternoon', () => {
+    const afternoon = parsePreferences({ timeWindows: ['afternoon'] });
+
+    expect(slotMismatch({ date: '2026-11-04', time: '12:15 PM' }, {}, afternoon)).toBeNull();
+    expect(slotMismatch({ date: '2026-11-04', time: '5:00 PM' }, {}, afternoon)).toBe('outside the time windows');
+    expect(slotMismatch({ datetime: '11/4/2026 11:45:00 AM' }, {}, parsePreferences({ timeWindows: ['morning'] }))).toBeNull();
+  });
+
+  test('applies weekdays, date range, excluded dates and distance', () => {
+    const preferences = parsePreferences({
+      weekdays: ['Wednesday', 'sat'],
+      dateRange: { from: '2026-11-03', to: '2026-11-30' },
+      excludedDates: ['2026-11-18'],
+      maxDistanceMiles: 10
+    });
+
+    expect(rankSlots(RESULTS, preferences, { now: NOW }).map(describeSlot)).toEqual([
+      'Raleigh West 2026-11-04 8:00 AM',
+      'Raleigh West 2026-11-04 12:15 PM',
+      'Raleigh West 2026-11-04 2:45 PM',
+      'Cary 2026-11-04 7:45 AM',
+      'Cary 2026-11-04 12:00 PM',
+      'Raleigh West 2026-11-07 9:00 AM'
+    ]);
+  });
+
+  test('ranks across locations by date, distance and preferred offices', () => {
+    // Two days later but 13.6 miles nearer beats the earliest slot at the default weights
+    expect(rankSlots(RESULTS, parsePreferences(), { now: NOW }).slice(0, 2).map(describeSlot)).toEqual([
+      'Raleigh West 2026-11-04 8:00 AM',
+      'Raleigh West 2026-11-04 12:15 PM'
+    ]);
+    expect(rankSlots(RESULTS, parsePreferences({ weights: { perMile: 0 } }), { now: NOW })[0].result.cityName).toBe('Durham South');
+
+    const ranked = rankSlots(RESULTS, parsePreferences({ preferredOffices: ['cary', '101'], timeWindows: ['08:00-13:00'] }), { now: NOW });
+    expect(ranked.map(describeSlot)).toEqual([
+      'Cary 2026-11-04 12:00 PM',
+      'Raleigh West 2026-11-04 8:00 AM',
+      'Raleigh West 2026-11-04 12:15 PM',
+      'Raleigh West 2026-11-07 9:00 AM',
+      'Durham South 2026-11-02 10:00 AM'
+    ]);
+    expect(ranked[0].score).toBeGreaterThan(ranked[1].score);
+  });
+
+  test('rejects invalid specs', () => {
+    expect(() => parsePreferences({ timeWindows: ['noon-ish'] })).toThrow('Invalid time window "noon-ish"');
+    expect(() => parsePreferences({ timeWindows: ['13:00-09:00'] })).toThrow('Invalid time window');
+    expect(() => parsePreferences({ weekdays: ['someday'] })).toThrow('Invalid weekday "someday"');
+    expect(() => parsePreferences({ dateRange: { from: '2026-12-01', to: '2026-11-01' } })).toThrow('Invalid date range');
+    expect(() => parsePreferences({ excludedDates: ['11/26/2026'] })).toThrow('Invalid excluded date "11/26/2026"');
+    expect(() => parsePreferences({ weights: { perDay: -1 } })).toThrow('Invalid weight perDay');
+  });
+});
@@ -0,0 +1,55 @@
+import { test, expect } from '@playwright/test';
+import { RateLimiter, parseRateLimit } from '../../lib/rate-limiter.js';
+
+/**
+ * Limiter on a fake clock whose sleep advances the clock
+ */
+function fakeLimiter(maxPerMinute) {
+  const clock = { now: 1000000, sleeps: [] };
+  const limiter = new RateLimiter({
+    maxPerMinute,
+    now: () => clock.now,
+    sleep: async ms => {
+      clock.sleeps.push(ms);
+      clock.now += ms;
+    }
+  });
+  return { clock, limiter };
+}
+
+test.describe('RateLimiter', () => {
+  test('lets the first operation start at once and spaces out the rest', async () => {
+    const { clock, limiter } = fakeLimiter(30);
+
+    expect(await limiter.acquire()).toBe(0);
+    expect(await limiter.acquire()).toBe(2000);
+    clock.now += 5000;
+    expect(await limiter.acquire()).toBe(0);
+    expect(clock.sleeps).toEqual([2000]);
+  });
+
+  test('queues concurrent callers behind each other', async () => {
+    const clock = { now: 0 };
+    const limiter = new RateLimiter({ maxPerMinute: 60, now: () => clock.now, sleep: async () => {} });
+
+    const waits = await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+    expect(waits).toEqual([0, 1000, 2000]);
+  });
+
+  test('never waits without a limit', async () => {
+    const { clock, limiter } = fakeLimiter(null);
+
+    for (let i = 0; i < 5; i++) {
+      expect(await limiter.acquire()).toBe(0);
+    }
+    expect(clock.sleeps).toEqual([]);
+  });
+
+  test('parses a per-minute limit', () => {
+    expect(parseRateLimit('120')).toBe(120);
+    expect(parseRateLimit('off')).toBeNull();
+    expect(parseRateLimit(undefined)).toBeNull();
+    expect(() => parseRateLimit('0')).toThrow('Invalid rate limit "0"');
+    expect(() => parseRateLimit('fast')).toThrow('Invalid rate limit "fast"');
+  });
+});
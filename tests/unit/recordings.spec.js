@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Scanner } from '../../lib/scanner.js';
+import { parseAppointmentData } from '../../lib/appointment-parser.js';
+import {
+  AMEND_STEP_PATH,
+  FixtureRecorder,
+  FixtureReplayer,
+  loadRecording,
+  parseForm,
+  requestKey
+} from '../../lib/recordings.js';
+import { MockQflowServer } from '../../mock/server.js';
+import { INDEX_PATH, GEOLOCATION } from '../fixtures.js';
+
+const FIXTURES_DIR = fileURLToPath(new URL('../fixtures/recordings', import.meta.url));
+
+test.describe('recordings', () => {
+  test('match requests by step and form, without the session token', () => {
+    const form = parseForm('__RequestVerificationToken=abc&UnitId=103&AppointmentTypeId=10');
+    expect(form).toEqual({ __RequestVerificationToken: '[redacted]', UnitId: '103', AppointmentTypeId: '10' });
+
+    const key = requestKey({ method: 'POST', url: 'https://example.test/Webapp/Appointment/AmendStep?a=1', form });
+    expect(key).toBe('POST /Webapp/Appointment/AmendStep?a=1&AppointmentTypeId=10&UnitId=103');
+    // Another session, on another host
+    expect(requestKey({ method: 'POST', url: 'http://127.0.0.1:3000/Webapp/Appointment/AmendStep?a=1', form: { UnitId: '103', AppointmentTypeId: '10', __RequestVerificationToken: 'xyz' } }))
+      .toBe(key);
+    expect(requestKey({ method: 'GET', url: 'https://example.test/Webapp/Scripts/qflow.js' })).toBe('GET /Webapp/Scripts/qflow.js');
+  });
+
+  test('replays a recorded scan with the site offline', { tag: '@browser' }, async ({ browser }) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+    const server = new MockQflowServer({ port: 0 });
+    await server.start();
+    const baseUrl = `${server.url}${INDEX_PATH}`;
+    const options = { browser, baseUrl, geolocation: GEOLOCATION, appointmentTypeId: '10', retryDelayMs: 0 };
+
+    try {
+      const recorder = new FixtureRecorder({ name: 'triangle', baseUrl, dir });
+      const recorded = await new Scanner({ ...options, recorder }).scan();
+      await server.stop();
+
+      const recording = loadRecording(path.join(dir, 'triangle.json'));
+      const steps = recording.entries.filter(entry => new URL(entry.request.url).pathname === AMEND_STEP_PATH);
+      expect(steps).toHaveLength(2 + recorded.results.length);
+      expect(steps[2].request.form).toMatchObject({ __RequestVerificationToken: '[redacted]', UnitId: '101', AppointmentTypeId: '10' });
+      expect(steps[2].request.headers.cookie).toBe('[redacted]');
+      expect(steps[2].timing.durationMs).toBeGreaterThanOrEqual(0);
+      expect(steps[2].parsed.availableDates).toEqual(['2026-11-04', '2026-11-06', '2026-12-02']);
+      expect(JSON.stringify(recording)).not.toMatch(/__RequestVerificationToken" value="(?!\[redacted\])/);
+
+      const replayer = FixtureReplayer.load('triangle', dir);
+      const replayed = await new Scanner({ ...options, replayer }).scan();
+      expect(replayed.errors).toEqual([]);
+      expect(replayed.results.map(r => [r.cityName, r.isAvailable, r.timeSlots.length]))
+        .toEqual(recorded.results.map(r => [r.cityName, r.isAvailable, r.timeSlots.length]));
+    } finally {
+      await server.stop();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('parseAppointmentData still reads every captured step the way it did when recorded', () => {
+    const files = fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json'));
+    expect(files.length).toBeGreaterThan(0);
+
+    for (const file of files) {
+      const recording = loadRecording(path.join(FIXTURES_DIR, file));
+      for (const entry of recording.entries.filter(e => e.parsed)) {
+        expect(parseAppointmentData(entry.response.body), `${file}: ${requestKey(entry.request)}`).toEqual(entry.parsed);
+      }
+    }
+  });
+});
@@ -0,0 +1,103 @@
+import { test, expect } from '@playwright/test';
+import { Scanner } from '../../lib/scanner.js';
+import { ERROR_TYPES, RECOVERY_ACTIONS } from '../../lib/errors.js';
+import { MockQflowServer } from '../../mock/server.js';
+import { TestHelpers } from '../../utils/test-helpers.js';
+import { INDEX_PATH, GEOLOCATION } from '../fixtures.js';
+
+test.describe('Scanner recovery against the mock QFlow site', { tag: '@browser' }, () => {
+  let server;
+  let browser;
+
+  test.beforeEach(async ({ browser: sharedBrowser }) => {
+    server = new MockQflowServer({ port: 0 });
+    await server.start();
+    browser = sharedBrowser;
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+  });
+
+  const scanner = extra => new Scanner({
+    browser,
+    baseUrl: `${server.url}${INDEX_PATH}`,
+    geolocation: GEOLOCATION,
+    appointmentTypeId: '10',
+    retryDelayMs: 0,
+    ...extra
+  });
+
+  /**
+   * Make the mock answer the next clicks on a unit with these HTTP statuses
+   */
+  function failUnit(unitId, ...statuses) {
+    server.scenario.locations.find(location => location.id === unitId).failures = statuses;
+  }
+
+  test('re-enters the flow from Make Appointment after a failed navigation back', async () => {
+    const scan = scanner();
+    let failures = 0;
+    scan.onResult = (result, i, total, appointmentPage) => {
+      if (i === 1 && failures === 0) {
+        const navigateBack = appointmentPage.navigateBack.bind(appointmentPage);
+        appointmentPage.navigateBack = async () => {
+          failures++;
+          appointmentPage.navigateBack = navigateBack;
+          throw new Error('Page closed while waiting for active units after navigation');
+        };
+      }
+    };
+
+    const { results, errors } = await scan.scan();
+
+    expect(failures).toBe(1);
+    expect(errors).toEqual([]);
+    expect(results.map(r => r.cityName)).toEqual(['Raleigh West', 'Raleigh North', 'Cary', 'Durham South']);
+    expect(results.every(r => !r.error)).toBe(true);
+    expect(results[2].timeSlots).toHaveLength(3);
+
+    // The retry went through Make Appointment and the type step again
+    const typeSelections = server.requests.filter(request => request.form.AppointmentTypeId && !request.form.UnitId);
+    expect(typeSelections).toHaveLength(2);
+  });
+
+  test('records a location that keeps failing as an error result and carries on', async () => {
+    failUnit('102', 404, 404);
+
+    const { results, errors } = await scanner().scan();
+
+    expect(errors).toEqual([]);
+    expect(results.map(r => r.cityName)).toEqual(['Raleigh West', 'Raleigh North', 'Cary', 'Durham South']);
+    expect(results[1]).toMatchObject({ isAvailable: false, timeSlots: [] });
+    expect(results[1].error).toMatchObject({ type: ERROR_TYPES.UNKNOWN, recovery: RECOVERY_ACTIONS.SKIP });
+    expect(results[2].isAvailable).toBe(true);
+
+    const summary = TestHelpers.summarizeResults(results);
+    expect(summary).toMatchObject({ total: 4, available: 2, unavailable: 1, errors: 1, errorLocations: ['Raleigh North'] });
+    expect(TestHelpers.formatResultLine(results[1])).toBe('Raleigh North (6.4 mi): ⚠ Not checked (unknown): AmendStep for location 1 returned 404');
+  });
+
+  test('stops when the site throttles, keeping the locations checked so far', async () => {
+    failUnit('103', 429);
+
+    const { results, errors } = await scanner().scan();
+
+    expect(results.map(r => r.cityName)).toEqual(['Raleigh West', 'Raleigh North', 'Cary']);
+    expect(results[0].isAvailable).toBe(true);
+    expect(results[2].error).toMatchObject({ type: ERROR_TYPES.THROTTLED, status: 429, recovery: RECOVERY_ACTIONS.ABORT });
+    expect(errors).toEqual([results[2].error]);
+
+    // Durham South was never clicked
+    expect(server.requests.filter(request => request.form.UnitId === '104')).toEqual([]);
+  });
+
+  test('follows policy overrides', async () => {
+    failUnit('103', 429);
+
+    const { results, errors } = await scanner({ recoveryPolicy: { throttled: { action: RECOVERY_ACTIONS.SKIP } } }).scan();
+
+    expect(errors).toEqual([]);
+    expect(results.map(r => r.error?.type ?? null)).toEqual([null, null, ERROR_TYPES.THROTTLED, null]);
+  });
+});
@@ -0,0 +1,202 @@
+import { test, expect } from '@playwright/test';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseCron } from '../../lib/cron.js';
+import { RUN_STATUS, RunLock, RunLog, Scheduler, parseQuietHours, quietWindowAt } from '../../lib/scheduler.js';
+
+const NEW_YORK = 'America/New_York';
+
+/**
+ * Clock that only moves when the scheduler sleeps or a job advances it
+ */
+function fakeClock(start) {
+  let time = new Date(start).getTime();
+  return {
+    now: () => new Date(time),
+    sleep: async ms => {
+      time += ms;
+    },
+    advance: ms => {
+      time += ms;
+    }
+  };
+}
+
+/**
+ * Job schedule as resolved by the config
+ */
+function schedule(cron, settings = {}) {
+  return { cron: parseCron(cron), timeZone: NEW_YORK, quietHours: [], skipWeekends: false, skipHolidays: false, maxRunsPerDay: null, ...settings };
+}
+
+/**
+ * Local date and hour of a log entry, e.g. "2026-11-25 08:00"
+ */
+function local(entry) {
+  return new Date(entry.scheduledFor).toLocaleString('sv-SE', { timeZone: NEW_YORK }).slice(0, 16);
+}
+
+test.describe('scheduler', () => {
+  let dir;
+  let lock;
+  let log;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-scheduler-'));
+    lock = new RunLock(path.join(dir, 'scheduler.lock'));
+    log = new RunLog(path.join(dir, 'runs.jsonl'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('parses quiet hours, including windows across midnight', () => {
+    const quietHours = parseQuietHours(['22:00-06:30', '12:00-13:00']);
+    expect(quietHours).toEqual([{ text: '22:00-06:30', start: 1320, end: 390 }, { text: '12:00-13:00', start: 720, end: 780 }]);
+    expect(parseQuietHours('19:00-07:00, 12:00-12:30')).toHaveLength(2);
+    expect(quietWindowAt(quietHours, 23 * 60)?.text).toBe('22:00-06:30');
+    expect(quietWindowAt(quietHours, 6 * 60 + 29)?.text).toBe('22:00-06:30');
+    expect(quietWindowAt(quietHours, 6 * 60 + 30)).toBeNull();
+    expect(quietWindowAt(quietHours, 12 * 60 + 59)?.text).toBe('12:00-13:00');
+    expect(() => parseQuietHours('9-17')).toThrow('Invalid quiet hours "9-17" (expected HH:MM-HH:MM, e.g. 22:00-06:00)');
+    expect(() => parseQuietHours('09:00-09:00')).toThrow('Invalid quiet hours "09:00-09:00"');
+  });
+
+  test('runs jobs at their occurrences on a fake clock and logs every run', async () => {
+    // Monday, October 19, 2026, 8:00 AM in Raleigh
+    const clock = fakeClock('2026-10-19T12:00:00Z');
+    const ran = [];
+    const jobs = [
+      { name: 'raleigh', schedule: schedule('0 9,12 * * *'), run: async job => { ran.push([job.name, clock.now().toISOString()]); clock.advance(90 * 1000); return 0; } },
+      { name: 'charlotte', schedule: schedule('0 12 * * *'), run: async () => { throw new Error('spawn npm ENOENT'); } }
+    ];
+    const reported = [];
+    const scheduler = new Scheduler({ jobs, lock, log, now: clock.now, sleep: clock.sleep, onRun: entry => reported.push(entry) });
+
+    await scheduler.run({ until: new Date('2026-10-19T23:00:00Z') });
+
+    expect(ran).toEqual([
+      ['raleigh', '2026-10-19T13:00:00.000Z'],
+      ['raleigh', '2026-10-19T16:00:00.000Z']
+    ]);
+    const entries = await log.readRuns();
+    expect(entries).toEqual(reported);
+    expect(entries.map(entry => [entry.job, local(entry), entry.status, entry.exitCode, entry.error])).toEqual([
+      ['raleigh', '2026-10-19 09:00', RUN_STATUS.OK, 0, null],
+      ['raleigh', '2026-10-19 12:00', RUN_STATUS.OK, 0, null],
+      // Due the same minute, so it ran after raleigh finished
+      ['charlotte', '2026-10-19 12:00', RUN_STATUS.FAILED, null, 'spawn npm ENOENT']
+    ]);
+    expect(entries[0]).toMatchObject({ startedAt: '2026-10-19T13:00:00.000Z', finishedAt: '2026-10-19T13:01:30.000Z', durationMs: 90 * 1000, reason: null });
+    expect(entries[2].startedAt).toBe('2026-10-19T16:01:30.000Z');
+    expect(await log.readRuns({ job: 'charlotte' })).toHaveLength(1);
+    expect(fs.existsSync(lock.filePath)).toBe(false);
+  });
+
+  test('skips quiet hours, weekends and state holidays', async () => {
+    // Wednesday before Thanksgiving, midnight in Raleigh
+    const clock = fakeClock('2026-11-25T05:00:00Z');
+    const job = {
+      name: 'raleigh',
+      schedule: schedule('0 * * * *', { quietHours: parseQuietHours('18:00-08:00'), skipWeekends: true, skipHolidays: true }),
+      run: async () => 0
+    };
+    const scheduler = new Scheduler({ jobs: [job], lock, log, now: clock.now, sleep: clock.sleep });
+
+    expect(scheduler.upcoming(job, 2, new Date('2026-11-25T22:30:00Z')).map(({ at, reason }) => [at.toISOString(), reason])).toEqual([
+      ['2026-11-25T23:00:00.000Z', 'quiet hours 18:00-08:00'],
+      ['2026-11-26T00:00:00.000Z', 'quiet hours 18:00-08:00']
+    ]);
+
+    // Through 10:00 AM the Monday after
+    await scheduler.run({ until: new Date('2026-11-30T15:00:00Z') });
+
+    const entries = await log.readRuns();
+    expect(entries.filter(entry => entry.status === RUN_STATUS.OK).map(local)).toEqual([
+      '2026-11-25 08:00', '2026-11-25 09:00', '2026-11-25 10:00', '2026-11-25 11:00', '2026-11-25 12:00',
+      '2026-11-25 13:00', '2026-11-25 14:00', '2026-11-25 15:00', '2026-11-25 16:00', '2026-11-25 17:00',
+      '2026-11-30 08:00', '2026-11-30 09:00', '2026-11-30 10:00'
+    ]);
+    const reasons = entries.filter(entry => entry.status === RUN_STATUS.SKIPPED).map(entry => [local(entry), entry.reason]);
+    expect(reasons).toContainEqual(['2026-11-25 18:00', 'quiet hours 18:00-08:00']);
+    expect(reasons).toContainEqual(['2026-11-26 12:00', 'holiday (Thanksgiving)']);
+    expect(reasons).toContainEqual(['2026-11-27 09:00', 'holiday (Day after Thanksgiving)']);
+    expect(reasons).toContainEqual(['2026-11-28 12:00', 'weekend']);
+    // Quiet hours come first
+    expect(reasons).toContainEqual(['2026-11-29 07:00', 'quiet hours 18:00-08:00']);
+  });
+
+  test('stops at the daily run budget, counting runs already in the log', async () => {
+    // A run from an earlier scheduler process this morning
+    log.append({ job: 'raleigh', scheduledFor: '2026-10-19T13:00:00.000Z', status: RUN_STATUS.OK, startedAt: '2026-10-19T13:00:00.000Z', exitCode: 0 });
+    log.append({ job: 'charlotte', scheduledFor: '2026-10-19T13:00:00.000Z', status: RUN_STATUS.OK, startedAt: '2026-10-19T13:00:00.000Z', exitCode: 0 });
+    fs.appendFileSync(log.filePath, '{"job":"raleigh","sta\n');
+
+    // 10:00 PM to 2:15 AM in Raleigh
+    const clock = fakeClock('2026-10-20T02:00:00Z');
+    const job = { name: 'raleigh', schedule: schedule('*/30 * * * *', { maxRunsPerDay: 3 }), run: async () => 1 };
+    const scheduler = new Scheduler({ jobs: [job], lock, log, now: clock.now, sleep: clock.sleep });
+    await scheduler.run({ until: new Date('2026-10-20T06:15:00Z') });
+
+    const entries = (await log.readRuns({ job: 'raleigh' })).slice(1);
+    expect(entries.map(entry => [local(entry), entry.status, entry.reason])).toEqual([
+      ['2026-10-19 22:30', RUN_STATUS.FAILED, null],
+      ['2026-10-19 23:00', RUN_STATUS.FAILED, null],
+      ['2026-10-19 23:30', RUN_STATUS.SKIPPED, 'daily budget of 3 runs used'],
+      // A new day in the job's time zone
+      ['2026-10-20 00:00', RUN_STATUS.FAILED, null],
+      ['2026-10-20 00:30', RUN_STATUS.FAILED, null],
+      ['2026-10-20 01:00', RUN_STATUS.FAILED, null],
+      ['2026-10-20 01:30', RUN_STATUS.SKIPPED, 'daily budget of 3 runs used'],
+      ['2026-10-20 02:00', RUN_STATUS.SKIPPED, 'daily budget of 3 runs used']
+    ]);
+  });
+
+  test('never overlaps runs: skips occurrences during a run and runs another process holds the lock for', async () => {
+    const clock = fakeClock('2026-10-19T13:55:00Z');
+    let lockDuringRun = null;
+    const job = {
+      name: 'raleigh',
+      schedule: schedule('*/10 * * * *'),
+      run: async () => {
+        lockDuringRun = lock.holder();
+        clock.advance(25 * 60 * 1000);
+        return 0;
+      }
+    };
+    const scheduler = new Scheduler({ jobs: [job], lock, log, now: clock.now, sleep: clock.sleep });
+
+    // Held by a live process: this one stands in for another scheduler
+    fs.writeFileSync(lock.filePath, JSON.stringify({ pid: process.pid, job: 'charlotte', startedAt: '2026-10-19T13:50:00.000Z' }));
+    await scheduler.run({ until: new Date('2026-10-19T14:00:00Z') });
+    lock.release();
+    expect(fs.existsSync(lock.filePath)).toBe(true);
+
+    // Left behind by a process that has exited
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+    fs.writeFileSync(lock.filePath, JSON.stringify({ pid: deadPid, job: 'charlotte', startedAt: '2026-10-19T13:50:00.000Z' }));
+    await scheduler.run({ until: new Date('2026-10-19T14:30:00Z') });
+
+    expect(lockDuringRun).toEqual({ pid: process.pid, job: 'raleigh', startedAt: '2026-10-19T14:10:00.000Z' });
+    expect(fs.existsSync(lock.filePath)).toBe(false);
+    expect((await log.readRuns()).map(entry => [local(entry), entry.status, entry.reason])).toEqual([
+      ['2026-10-19 10:00', RUN_STATUS.SKIPPED, `charlotte is still running (pid ${process.pid})`],
+      ['2026-10-19 10:10', RUN_STATUS.OK, null],
+      ['2026-10-19 10:20', RUN_STATUS.SKIPPED, 'previous run still in progress'],
+      ['2026-10-19 10:30', RUN_STATUS.SKIPPED, 'previous run still in progress']
+    ]);
+  });
+
+  test('stop() cuts short the wait for the next occurrence', async () => {
+    const scheduler = new Scheduler({ jobs: [{ name: 'raleigh', schedule: schedule('@yearly'), run: async () => 0 }], lock, log });
+    const running = scheduler.run();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    scheduler.stop();
+    await running;
+    expect(scheduler.running).toBe(false);
+    expect(await log.readRuns()).toEqual([]);
+  });
+});
@@ -0,0 +1,166 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { NC_DMV, SITE_NAMES, SiteAdapter, getSiteAdapter } from '../../lib/sites/index.js';
+import { parseAppointmentData } from '../../lib/appointment-parser.js';
+import { HttpScanner } from '../../lib/http-scanner.js';
+import { Scanner } from '../../lib/scanner.js';
+import { HealthCheck } from '../../lib/health-check.js';
+import { BookingPage } from '../../pages/BookingPage.js';
+import { MockQflowServer } from '../../mock/server.js';
+import { MARKUP_DRIFT, applyMarkupDrift, renderNoAppointmentsStep } from '../../mock/templates.js';
+import { GEOLOCATION } from '../fixtures.js';
+
+/**
+ * Adapter spec for the mock with every MARKUP_DRIFT applied, as a site on the
+ * same engine with different markup would need
+ */
+const DRIFTED_SPEC = {
+  extends: 'nc-dmv',
+  name: 'drifted-mock',
+  selectors: {
+    makeAppointment: 'button#cmdNewAppointment',
+    activeUnit: '.QflowObjectItem.form-control.ui-selectable.Active-Location.valid',
+    appointmentHeading: 'text=Choose a date and time'
+  },
+  markers: {
+    calendarModelType: 'OABSEngine.Models.AppointmentCalendarModel',
+    noDatesField: 'ErrorNoAvailableDates',
+    noAppointmentsClass: 'validation-summary-errors',
+    makeAppointmentId: 'cmdNewAppointment',
+    activeUnitClass: 'Active-Location'
+  }
+};
+
+test.describe('site adapters', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dmv-site-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Write an adapter spec to a JSON file
+   */
+  function specFile(spec, name = 'site.json') {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(spec));
+    return file;
+  }
+
+  test('resolves built-in adapters by name and rejects unknown ones', () => {
+    expect(SITE_NAMES).toEqual(['nc-dmv']);
+    expect(getSiteAdapter('nc-dmv')).toBe(NC_DMV);
+    expect(getSiteAdapter(' NC-DMV ')).toBe(NC_DMV);
+    expect(getSiteAdapter(NC_DMV)).toBe(NC_DMV);
+    expect(() => getSiteAdapter('va-dmv')).toThrow('Unknown site "va-dmv" (expected nc-dmv or a .json adapter file)');
+  });
+
+  test('loads a JSON adapter over the one it extends, deriving the no-appointments selectors from the markers', () => {
+    const site = getSiteAdapter(specFile({ ...DRIFTED_SPEC, baseUrl: 'https://appointments.example.gov/Webapp/Appointment/Index/x' }));
+
+    expect(site).toBeInstanceOf(SiteAdapter);
+    expect(site).toMatchObject({ name: 'drifted-mock', label: 'drifted-mock', baseUrl: 'https://appointments.example.gov/Webapp/Appointment/Index/x' });
+    expect(site.steps).toEqual(NC_DMV.steps);
+    expect(site.markers).toMatchObject({ calendarModelId: 'CalendarDateModel', appointmentTypeClass: 'QflowObjectItem', activeUnitClass: 'Active-Location' });
+    expect(site.selectors).toMatchObject({
+      appointmentType: NC_DMV.selectors.appointmentType,
+      makeAppointment: 'button#cmdNewAppointment',
+      noAppointmentsError: 'span.validation-summary-errors',
+      noDatesInput: 'input[name="StepControls[1].FieldName"][value="ErrorNoAvailableDates"]'
+    });
+    expect(site.isAmendStep('http://127.0.0.1:3000/Webapp/Appointment/AmendStep?stepControlTriggerId=1')).toBe(true);
+    expect(site.indexUrlOn('http://127.0.0.1:3000')).toBe('http://127.0.0.1:3000/Webapp/Appointment/Index/x');
+  });
+
+  test('the booking page objects take their selectors from the adapter', () => {
+    const site = getSiteAdapter(specFile({ extends: 'nc-dmv', selectors: { nextButton: 'button.btn-continue', email: '#EmailAddress' } }));
+    const page = { locator: selector => ({ selector }) };
+
+    const bookingPage = new BookingPage(page, { site });
+    expect(bookingPage.nextButton.selector).toBe('button.btn-continue');
+    expect(bookingPage.customerFields.email.selector).toBe('#EmailAddress');
+    expect(bookingPage.confirmButton.selector).toBe(NC_DMV.selectors.confirmAppointment);
+  });
+
+  test('refuses a flow with unconfirmed selectors on the live site only', () => {
+    expect(() => NC_DMV.checkConfirmed(['nextButton', 'activeUnit'], NC_DMV.baseUrl, 'booking'))
+      .toThrow('The NC DMV selectors for booking (nextButton) are not confirmed against https://skiptheline.ncdot.gov yet');
+    expect(() => NC_DMV.checkConfirmed(['activeUnit'], NC_DMV.baseUrl, 'scans')).not.toThrow();
+    expect(() => NC_DMV.checkConfirmed(['nextButton'], 'http://127.0.0.1:3000/Webapp/Appointment/Index/x', 'booking')).not.toThrow();
+    expect(() => NC_DMV.extend({ unconfirmedSelectors: [] }).checkConfirmed(['nextButton'], NC_DMV.baseUrl, 'booking')).not.toThrow();
+  });
+
+  test('reports a broken adapter file', () => {
+    expect(() => getSiteAdapter(path.join(dir, 'missing.json'))).toThrow(`Could not read site adapter from ${path.join(dir, 'missing.json')}`);
+    expect(() => getSiteAdapter(specFile({ extends: 'va-dmv' }))).toThrow('extends unknown site "va-dmv" (expected nc-dmv)');
+    expect(() => new SiteAdapter({ name: 'bare', baseUrl: NC_DMV.baseUrl })).toThrow('Site adapter "bare" is missing steps, selectors, markers, messages');
+  });
+
+  test('the parser reads availability by the adapter\'s markers and message', () => {
+    const site = NC_DMV.extend(DRIFTED_SPEC);
+    const noAppointments = renderNoAppointmentsStep();
+    const drifted = applyMarkupDrift(noAppointments, ['noAppointmentsError']);
+
+    expect(parseAppointmentData(noAppointments).errorMessage).toBe('No appointments available');
+    expect(parseAppointmentData(drifted).errorMessage).toBeNull();
+    expect(parseAppointmentData(drifted, site).errorMessage).toBe('No appointments available');
+
+    const translated = NC_DMV.extend({ messages: { noAppointments: 'Esta oficina no tiene citas disponibles' } });
+    expect(parseAppointmentData('<span class="field-validation-error">Esta oficina no tiene citas disponibles.</span>', translated).errorMessage)
+      .toBe('No appointments available');
+  });
+});
+
+test.describe('site adapters against a redesigned mock QFlow site', () => {
+  let server;
+  let site;
+
+  test.beforeEach(async () => {
+    server = new MockQflowServer({ port: 0 });
+    await server.start();
+    server.setScenario({ ...MockQflowServer.loadScenario('default'), drift: Object.keys(MARKUP_DRIFT) });
+    site = NC_DMV.extend(DRIFTED_SPEC);
+  });
+
+  test.afterEach(async () => {
+    await server.stop();
+  });
+
+  const summary = scan => scan.results.map(r => [r.cityName, r.isAvailable, r.availableDates.length > 0]);
+
+  test('the HTTP scanner fails on the NC DMV markup and scans with the matching adapter', async () => {
+    const options = { baseUrl: site.indexUrlOn(server.url), geolocation: GEOLOCATION, appointmentTypeId: '10', requestDelayMs: 0 };
+
+    await expect(new HttpScanner(options).scan()).rejects.toThrow('Index page has no Make Appointment button');
+
+    const scan = await new HttpScanner({ ...options, site }).scan();
+    expect(summary(scan)).toEqual([
+      ['Raleigh West', true, true],
+      ['Raleigh North', false, false],
+      ['Cary', true, true],
+      ['Durham South', false, false]
+    ]);
+  });
+
+  test('the browser scanner and the health check work against whichever adapter they are given', { tag: '@browser' }, async ({ browser }) => {
+    const scanner = new Scanner({ browser, site, baseUrl: site.indexUrlOn(server.url), geolocation: GEOLOCATION, appointmentTypeId: '10', retryDelayMs: 0 });
+
+    const scan = await scanner.scan();
+    expect(scan.errors).toEqual([]);
+    expect(summary(scan)).toEqual([
+      ['Raleigh West', true, true],
+      ['Raleigh North', false, false],
+      ['Cary', true, true],
+      ['Durham South', false, false]
+    ]);
+
+    const report = await new HealthCheck({ scanner }).run();
+    expect(report).toMatchObject({ healthy: true, drifted: [] });
+  });
+});
@@ -0,0 +1,91 @@
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../../utils/test-helpers.js';
+import { flattenAvailability } from '../../lib/appointment-parser.js';
+
+/**
+ * Location result with slots built from an availability map of date to time labels
+ */
+function available(cityName, availability, extra = {}) {
+  const map = Object.fromEntries(Object.entries(availability).map(([date, times]) => [date, times.map(time => ({ time }))]));
+  return { cityName, isAvailable: true, availability: map, availableDates: Object.keys(map), timeSlots: flattenAvailability(map), ...extra };
+}
+
+const RESULTS = [
+  available('Raleigh West', { '2026-12-02': ['12:00 PM'], '2026-11-06': ['8:00 AM', '12:15 PM'] }, { distanceMiles: 4.3 }),
+  { cityName: 'Raleigh North', isAvailable: false, distanceMiles: 6.4 },
+  available('Cary', { '2026-11-04': ['3:30 PM'] }),
+  { cityName: 'Durham South', isAvailable: false, error: { type: 'navigation', message: 'AmendStep timed out' } }
+];
+
+test.describe('TestHelpers.sanitizeFilename', () => {
+  test('lowercases and joins words with single dashes', () => {
+    expect(TestHelpers.sanitizeFilename('Raleigh West')).toBe('raleigh-west');
+    expect(TestHelpers.sanitizeFilename('Winston-Salem  (North)')).toBe('winston-salem-north');
+    expect(TestHelpers.sanitizeFilename('  Kill Devil Hills / Nags Head!  ')).toBe('kill-devil-hills-nags-head');
+  });
+
+  test('replaces characters that are not ASCII letters or digits', () => {
+    expect(TestHelpers.sanitizeFilename('../etc/passwd')).toBe('etc-passwd');
+    expect(TestHelpers.sanitizeFilename('Café 12:00 PM')).toBe('caf-12-00-pm');
+    expect(TestHelpers.sanitizeFilename('***')).toBe('');
+  });
+});
+
+test.describe('TestHelpers.formatResults', () => {
+  test('counts locations and slots and finds the earliest date', () => {
+    const summary = TestHelpers.formatResults(RESULTS);
+
+    expect(summary).toMatchObject({
+      total: 4,
+      available: 2,
+      unavailable: 1,
+      errors: 1,
+      totalSlots: 4,
+      earliest: { cityName: 'Cary', date: '2026-11-04' },
+      availableLocations: ['Raleigh West', 'Cary'],
+      unavailableLocations: ['Raleigh North'],
+      errorLocations: ['Durham South']
+    });
+    expect(summary.availableDetails).toEqual([
+      { cityName: 'Raleigh West', earliestDate: '2026-11-06', dates: 2, slots: 3 },
+      { cityName: 'Cary', earliestDate: '2026-11-04', dates: 1, slots: 1 }
+    ]);
+    expect(summary.byAppointmentType).toBeUndefined();
+  });
+
+  test('falls back to availableDates and handles an empty scan', () => {
+    const summary = TestHelpers.formatResults([{ cityName: 'Garner', isAvailable: true, availableDates: ['2026-11-20', '2026-11-18'] }]);
+
+    expect(summary.availableDetails).toEqual([{ cityName: 'Garner', earliestDate: '2026-11-18', dates: 2, slots: 0 }]);
+    expect(TestHelpers.formatResults([])).toMatchObject({ total: 0, available: 0, totalSlots: 0, earliest: null });
+  });
+
+  test('summarizes each appointment type separately', () => {
+    const teen = { id: '10', label: 'Teen Driver Level 1' };
+    const renewal = { id: '3' };
+    const summary = TestHelpers.formatResults([
+      { ...RESULTS[0], appointmentType: teen },
+      { ...RESULTS[1], appointmentType: teen },
+      { ...RESULTS[2], appointmentType: renewal }
+    ]);
+
+    expect(summary.total).toBe(3);
+    expect(summary.byAppointmentType.map(group => [group.label, group.available, group.total])).toEqual([
+      ['Teen Driver Level 1', 1, 2],
+      ['Type 3', 1, 1]
+    ]);
+  });
+});
+
+test.describe('TestHelpers.formatResultLine', () => {
+  test('lists dates with their times, then errors and empty locations', () => {
+    expect(TestHelpers.formatResultLine(RESULTS[0])).toBe([
+      'Raleigh West (4.3 mi): ✓ Appointments available (2 dates, 3 slots, earliest: 2026-11-06)',
+      '  2026-11-06: 8:00 AM, 12:15 PM',
+      '  2026-12-02: 12:00 PM'
+    ].join('\n'));
+    expect(TestHelpers.formatResultLine(RESULTS[0], 1)).toMatch(/2026-11-06: 8:00 AM, 12:15 PM\n {2}\(\+1 more dates\)$/);
+    expect(TestHelpers.formatResultLine(RESULTS[1])).toBe('Raleigh North (6.4 mi): ✗ Nothing available');
+    expect(TestHelpers.formatResultLine(RESULTS[3])).toBe('Durham South: ⚠ Not checked (navigation): AmendStep timed out');
+  });
+});
@@ -0,0 +1,172 @@
+import { test, expect } from '@playwright/test';
+import { Watcher, diffResults, MIN_INTERVAL_MS } from '../../lib/watcher.js';
+
+const available = (cityName, ...availableDates) => ({ cityName, isAvailable: true, availableDates, timeSlots: [] });
+const unavailable = cityName => ({ cityName, isAvailable: false, availableDates: [], timeSlots: [] });
+const failed = cityName => ({ ...unavailable(cityName), error: { type: 'timeout', message: 'Timeout 15000ms exceeded' } });
+
+test.describe('diffResults', () => {
+  test('reports locations gaining and losing availability', () => {
+    const changes = diffResults(
+      [available('Cary', '2026-11-18'), unavailable('Garner')],
+      [unavailable('Cary'), available('Garner', '2026-11-02')]
+    );
+
+    expect(changes.map(c => [c.type, c.cityName])).toEqual([['lost', 'Cary'], ['gained', 'Garner']]);
+    expect(changes[1].earliestDate).toBe('2026-11-02');
+  });
+
+  test('reports an earlier date appearing at an available location', () => {
+    const changes = diffResults(
+      [available('Cary', '2026-11-18', '2026-11-20')],
+      [available('Cary', '2026-11-20', '2026-11-09')]
+    );
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ type: 'earlier', earliestDate: '2026-11-09', previousEarliestDate: '2026-11-18' });
+  });
+
+  test('ignores unchanged and later-only availability', () => {
+    const changes = diffResults(
+      [available('Cary', '2026-11-18'), unavailable('Garner')],
+      [available('Cary', '2026-11-18', '2026-12-01'), unavailable('Garner')]
+    );
+
+    expect(changes).toEqual([]);
+  });
+
+  test('treats a location dropping out of the list as lost', () => {
+    const changes = diffResults([available('Cary', '2026-11-18')], []);
+
+    expect(changes).toMatchObject([{ type: 'lost', cityName: 'Cary', result: null }]);
+  });
+
+  test('keeps two offices with the same name apart by unit id', () => {
+    const office = (unitId, result) => ({ ...result, location: { unitId } });
+    const changes = diffResults(
+      [office('101', available('Raleigh', '2026-11-18')), office('102', unavailable('Raleigh'))],
+      [office('101', available('Raleigh', '2026-11-18')), office('102', available('Raleigh', '2026-11-20'))]
+    );
+
+    expect(changes.map(c => [c.type, c.result.location.unitId])).toEqual([['gained', '102']]);
+  });
+
+  test('does not count a location that could not be checked as lost', () => {
+    expect(diffResults([available('Cary', '2026-11-18')], [failed('Cary')])).toEqual([]);
+  });
+});
+
+test.describe('Watcher', () => {
+  test('never schedules scans closer than the minimum interval', () => {
+    const watcher = new Watcher({ scan: async () => ({ results: [] }), intervalMs: 1000, jitterMs: 30000, random: () => 0 });
+
+    expect(watcher.intervalMs).toBe(MIN_INTERVAL_MS);
+    expect(watcher.nextDelay()).toBe(MIN_INTERVAL_MS);
+  });
+
+  test('applies jitter within the configured bounds', () => {
+    const options = { scan: async () => ({ results: [] }), intervalMs: 300000, jitterMs: 30000 };
+
+    expect(new Watcher({ ...options, random: () => 0 }).nextDelay()).toBe(270000);
+    expect(new Watcher({ ...options, random: () => 0.5 }).nextDelay()).toBe(300000);
+    expect(new Watcher({ ...options, random: () => 0.999999 }).nextDelay()).toBe(330000);
+  });
+
+  test('backs off exponentially after errors and resets after a success', async () => {
+    const outcomes = [new Error('down'), new Error('down'), new Error('down'), { results: [] }, { results: [] }];
+    const delays = [];
+    const errors = [];
+    const watcher = new Watcher({
+      scan: async () => {
+        const outcome = outcomes.shift();
+        if (outcome instanceof Error) throw outcome;
+        return outcome;
+      },
+      intervalMs: 120000,
+      jitterMs: 0,
+      maxBackoffMs: 600000,
+      onError: (error, delayMs) => errors.push(delayMs),
+      sleep: async ms => { delays.push(ms); }
+    });
+
+    await watcher.run({ maxScans: 5 });
+
+    expect(errors).toEqual([240000, 480000, 600000]);
+    expect(delays).toEqual([240000, 480000, 600000, 120000]);
+  });
+
+  test('reports only changes between consecutive scans', async () => {
+    const scans = [
+      [unavailable('Cary'), unavailable('Garner')],
+      [unavailable('Cary'), unavailable('Garner')],
+      [available('Cary', '2026-11-18'), unavailable('Garner')],
+      [available('Cary', '2026-11-18'), unavailable('Garner')],
+      [available('Cary', '2026-11-04'), unavailable('Garner')]
+    ];
+    const reported = [];
+    const watcher = new Watcher({
+      scan: async () => ({ results: scans.shift() }),
+      onChange: changes => reported.push(changes.map(c => `${c.type}:${c.cityName}`)),
+      sleep: async () => { }
+    });
+
+    await watcher.run({ maxScans: 5 });
+
+    expect(reported).toEqual([['gained:Cary'], ['earlier:Cary']]);
+  });
+
+  test('compares the scan after an error result with the last known result', async () => {
+    const scans = [
+      [available('Cary', '2026-11-18')],
+      [failed('Cary')],
+      [available('Cary', '2026-11-18')],
+      [unavailable('Cary')]
+    ];
+    const reported = [];
+    const watcher = new Watcher({
+      scan: async () => ({ results: scans.shift() }),
+      onChange: changes => reported.push(changes.map(c => `${c.type}:${c.cityName}`)),
+      sleep: async () => { }
+    });
+
+    await watcher.run({ maxScans: 4 });
+
+    expect(reported).toEqual([['gained:Cary'], ['lost:Cary']]);
+  });
+
+  test('reports the changes again after the change callback failed', async () => {
+    const scans = [
+      [unavailable('Cary')],
+      [available('Cary', '2026-11-18')],
+      [available('Cary', '2026-11-18')],
+      [available('Cary', '2026-11-18')]
+    ];
+    const reported = [];
+    const errors = [];
+    let failures = 1;
+    const watcher = new Watcher({
+      scan: async () => ({ results: scans.shift() }),
+      onChange: changes => {
+        if (failures-- > 0) throw new Error('webhook down');
+        reported.push(changes.map(c => `${c.type}:${c.cityName}`));
+      },
+      onError: error => errors.push(error.message),
+      sleep: async () => { }
+    });
+
+    await watcher.run({ maxScans: 4 });
+
+    expect(errors).toEqual(['webhook down']);
+    expect(reported).toEqual([['gained:Cary']]);
+  });
+
+  test('stop() ends the run and cuts short the pending delay', async () => {
+    const watcher = new Watcher({ scan: async () => ({ results: [] }), intervalMs: MIN_INTERVAL_MS, jitterMs: 0 });
+
+    const running = watcher.run();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    watcher.stop();
+
+    await expect(running).resolves.toBeUndefined();
+  });
+});
@@ -1,28 +1,9 @@
+import { groupByAppointmentType, appointmentTypeLabel } from '../lib/appointment-types.js';
+
 /**
  * Test helper utilities for DMV appointment tests
  */
 export class TestHelpers {
-  /**
-   * Retry an operation with exponential backoff
-   * @param {Function} operation - The async operation to retry
-   * @param {number} maxRetries - Maximum number of retry attempts
-   * @param {number} delay - Initial delay in milliseconds
-   * @returns {Promise<any>} Result of the operation
-   */
-  static async retryOperation(operation, maxRetries = 3, delay = 1000) {
-    for (let i = 0; i < maxRetries; i++) {
-      try {
-        return await operation();
-      } catch (error) {
-        if (i === maxRetries - 1) {
-          throw error;
-        }
-        console.log(`Retry ${i + 1}/${maxRetries} after error: ${error.message}`);
-        await new Promise(resolve => setTimeout(resolve, delay * (i + 1)));
-      }
-    }
-  }
-
   /**
    * Sanitize a string to be used as a filename
    * @param {string} name - The string to sanitize
@@ -39,21 +20,94 @@ export class TestHelpers {
   /**
    * Format test results into a summary object
    * @param {Array<object>} results - Array of result objects with cityName and isAvailable
-   * @returns {object} Summary statistics
+   * @returns {object} Summary statistics; byAppointmentType holds the same statistics
+   *   per appointment type when results carry their appointmentType
    */
   static formatResults(results) {
+    const summary = this.summarizeResults(results);
+    const groups = groupByAppointmentType(results).filter(group => group.appointmentType);
+
+    if (groups.length > 0) {
+      summary.byAppointmentType = groups.map(group => ({
+        appointmentType: group.appointmentType,
+        label: appointmentTypeLabel(group.appointmentType),
+        ...this.summarizeResults(group.results)
+      }));
+    }
+    return summary;
+  }
+
+  /**
+   * Summary statistics for a set of location results
+   * @param {Array<object>} results - Array of result objects with cityName and isAvailable
+   * @returns {object} Summary statistics
+   */
+  static summarizeResults(results) {
     const available = results.filter(r => r.isAvailable);
-    const unavailable = results.filter(r => !r.isAvailable);
-    
+    const failed = results.filter(r => r.error);
+    const unavailable = results.filter(r => !r.isAvailable && !r.error);
+    const availableDetails = available.map(r => {
+      const dates = Object.keys(r.availability || {}).length > 0 ? Object.keys(r.availability).sort() : [...(r.availableDates || [])].sort();
+      return {
+        cityName: r.cityName,
+        earliestDate: dates[0] || null,
+        dates: dates.length,
+        slots: (r.timeSlots || []).length
+      };
+    });
+    const earliest = availableDetails
+      .filter(d => d.earliestDate)
+      .sort((a, b) => a.earliestDate.localeCompare(b.earliestDate))[0];
+
     return {
       total: results.length,
       available: available.length,
       unavailable: unavailable.length,
+      errors: failed.length,
+      totalSlots: availableDetails.reduce((sum, d) => sum + d.slots, 0),
+      earliest: earliest ? { cityName: earliest.cityName, date: earliest.earliestDate } : null,
       availableLocations: available.map(r => r.cityName),
-      unavailableLocations: unavailable.map(r => r.cityName)
+      unavailableLocations: unavailable.map(r => r.cityName),
+      errorLocations: failed.map(r => r.cityName),
+      availableDetails
     };
   }
 
+  /**
+   * Format one location result as a console status line, with one line per available date
+   * @param {object} result - Location result with cityName, isAvailable, availability and distanceMiles
+   * @param {number} maxDates - Dates to list before summarizing the rest
+   * @returns {string} Status text
+   */
+  static formatResultLine(result, maxDates = 5) {
+    const distance = result.distanceMiles != null ? ` (${result.distanceMiles} mi)` : '';
+    if (result.error) {
+      return `${result.cityName}${distance}: ⚠ Not checked (${result.error.type || 'error'}): ${result.error.message}`;
+    }
+    if (!result.isAvailable) {
+      return `${result.cityName}${distance}: ✗ Nothing available`;
+    }
+
+    const availability = result.availability && Object.keys(result.availability).length > 0
+      ? result.availability
+      : Object.fromEntries((result.availableDates || []).map(date => [date, []]));
+    const dates = Object.keys(availability).sort();
+    const slotCount = dates.reduce((sum, date) => sum + availability[date].length, 0);
+
+    let status = '✓ Appointments available';
+    if (dates.length > 0) {
+      status += ` (${dates.length} ${dates.length === 1 ? 'date' : 'dates'}, ${slotCount} ${slotCount === 1 ? 'slot' : 'slots'}, earliest: ${dates[0]})`;
+    }
+    for (const date of dates.slice(0, maxDates)) {
+      const times = availability[date].map(slot => slot.time);
+      status += `\n  ${date}: ${times.length > 0 ? times.join(', ') : 'times not available'}`;
+    }
+    if (dates.length > maxDates) {
+      status += `\n  (+${dates.length - maxDates} more dates)`;
+    }
+    return `${result.cityName}${distance}: ${status}`;
+  }
+
   /**
    * Print a formatted summary to console
    * @param {object} summary - Summary object from formatResults
@@ -65,16 +119,85 @@ export class TestHelpers {
     console.log(`Total locations checked: ${summary.total}`);
     console.log(`Locations with appointments: ${summary.available}`);
     console.log(`Locations without appointments: ${summary.unavailable}`);
+    if (summary.errors > 0) {
+      console.log(`Locations not checked due to errors: ${summary.errors} (${summary.errorLocations.join(', ')})`);
+    }
     
     if (summary.available > 0) {
-      console.log('\n✓ Locations with availability:');
-      summary.availableLocations.forEach(loc => console.log(`  • ${loc}`));
+      console.log(`Open time slots: ${summary.totalSlots}`);
+      if (summary.earliest) {
+        console.log(`Earliest date: ${summary.earliest.date} (${summary.earliest.cityName})`);
+      }
+    }
+
+    if (summary.byAppointmentType?.length > 1) {
+      // One section per appointment type, since the same office can appear under several
+      summary.byAppointmentType.forEach(group => {
+        console.log(`\n${group.label}: ${group.available} of ${group.total} locations available`);
+        this.printAvailableDetails(group);
+      });
     } else {
-      console.log('\n✗ No locations with availability found');
+      console.log('');
+      this.printAvailableDetails(summary);
     }
     console.log('='.repeat(40) + '\n');
   }
 
+  /**
+   * Print the locations with availability of a summary
+   * @param {object} summary - Summary object from summarizeResults
+   */
+  static printAvailableDetails(summary) {
+    if (summary.available === 0) {
+      console.log('✗ No locations with availability found');
+      return;
+    }
+
+    console.log('✓ Locations with availability:');
+    summary.availableDetails.forEach(detail => {
+      const counts = `${detail.dates} ${detail.dates === 1 ? 'date' : 'dates'}, ${detail.slots} ${detail.slots === 1 ? 'slot' : 'slots'}`;
+      const earliest = detail.earliestDate ? ` - earliest ${detail.earliestDate}, ${counts}` : '';
+      console.log(`  • ${detail.cityName}${earliest}`);
+    });
+  }
+
+  /**
+   * Ranked slots as plain rows for output
+   * @param {Array<object>} ranked - Ranked slots from rankSlots()
+   * @returns {Array<object>} Rows of { cityName, unitId, appointmentTypeId, distanceMiles, date, time, datetime, score }
+   */
+  static formatRankedSlots(ranked) {
+    return ranked.map(({ slot, result, score }) => ({
+      cityName: result.cityName,
+      unitId: result.location?.unitId || null,
+      appointmentTypeId: result.appointmentType?.id || null,
+      distanceMiles: result.distanceMiles ?? null,
+      date: slot.date || null,
+      time: slot.time || slot.value || null,
+      datetime: slot.datetime || null,
+      score
+    }));
+  }
+
+  /**
+   * Print the best slots for a preference spec
+   * @param {Array<object>} rows - Rows from formatRankedSlots()
+   * @param {number} limit - Slots to print
+   */
+  static printBestSlots(rows, limit = 5) {
+    if (rows.length === 0) {
+      console.log('✗ No slot matches your preferences\n');
+      return;
+    }
+
+    console.log(`Best matching slots (${rows.length} ${rows.length === 1 ? 'match' : 'matches'}):`);
+    rows.slice(0, limit).forEach((row, i) => {
+      const distance = row.distanceMiles != null ? `, ${row.distanceMiles} mi` : '';
+      console.log(`  ${i + 1}. ${row.date} ${row.time} - ${row.cityName}${distance} (score ${row.score})`);
+    });
+    console.log('');
+  }
+
   /**
    * Get current timestamp for logging
    * @returns {string} Formatted timestamp